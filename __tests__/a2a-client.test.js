@@ -0,0 +1,173 @@
+const http = require('http');
+const { A2AClient, mapArtifacts, parseSseEvents } = require('../src/agents/a2a-client');
+const { A2ATransport, MockTransport } = require('../src/agents/transports');
+
+// Minimal A2A agent that completes every task after one "working" poll
+function startStubAgent() {
+  const requests = [];
+  const tasks = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const address = server.address();
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.method === 'GET' && req.url === '/.well-known/agent.json') {
+        res.end(JSON.stringify({ name: 'stub', url: `http://127.0.0.1:${address.port}/rpc` }));
+        return;
+      }
+
+      const rpc = JSON.parse(body);
+      requests.push({ headers: req.headers, rpc });
+
+      if (rpc.method === 'tasks/send') {
+        tasks.set(rpc.params.id, { polls: 0, action: rpc.params.metadata.action });
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: rpc.id,
+          result: { id: rpc.params.id, status: { state: 'submitted' } }
+        }));
+        return;
+      }
+
+      if (rpc.method === 'tasks/sendSubscribe') {
+        const id = rpc.params.id;
+        const send = result => res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result })}\n\n`);
+        res.setHeader('Content-Type', 'text/event-stream');
+        send({ id, status: { state: 'working', message: { role: 'agent', parts: [{ type: 'text', text: 'Planning' }] } }, final: false });
+        send({ id, artifact: { name: 'result', parts: [{ type: 'data', data: { streamed: true } }] } });
+        send({ id, status: { state: 'completed' }, final: true });
+        res.end();
+        return;
+      }
+
+      if (rpc.method === 'tasks/get') {
+        const task = tasks.get(rpc.params.id);
+        task.polls++;
+        const done = task.polls > 1;
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: rpc.id,
+          result: {
+            id: rpc.params.id,
+            status: { state: done ? 'completed' : 'working' },
+            artifacts: done ? [
+              { name: 'result', parts: [{ type: 'data', data: { scope_definition: { name: task.action } } }] }
+            ] : []
+          }
+        }));
+        return;
+      }
+
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: rpc.id, error: { code: -32601, message: 'Method not found' } }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests }));
+  });
+}
+
+describe('A2AClient', () => {
+  let stub;
+  let agentConfig;
+
+  beforeAll(async () => {
+    stub = await startStubAgent();
+    process.env.STUB_AGENT_TOKEN = 'secret';
+    agentConfig = {
+      agent_card_url: `http://127.0.0.1:${stub.server.address().port}/.well-known/agent.json`,
+      auth_type: 'Bearer',
+      token_env: 'STUB_AGENT_TOKEN',
+      timeout_ms: 5000,
+      poll_interval_ms: 10
+    };
+  });
+
+  afterAll(done => {
+    delete process.env.STUB_AGENT_TOKEN;
+    stub.server.close(done);
+  });
+
+  test('sends tasks/send, polls tasks/get and maps artifacts', async () => {
+    const transport = new A2ATransport({ consultant: agentConfig });
+    const result = await transport.execute('consultant', 'analyze_prompt', { user_prompt: 'hi' });
+
+    expect(result).toEqual({ scope_definition: { name: 'analyze_prompt' } });
+
+    const methods = stub.requests.map(r => r.rpc.method);
+    expect(methods[0]).toBe('tasks/send');
+    expect(methods.slice(1).every(m => m === 'tasks/get')).toBe(true);
+    expect(stub.requests[0].rpc.params.message.parts[0].data).toEqual({
+      action: 'analyze_prompt',
+      inputs: { user_prompt: 'hi' }
+    });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer secret');
+  });
+
+  test('follows tasks/sendSubscribe events when use_sse is set', async () => {
+    const transport = new A2ATransport({ consultant: { ...agentConfig, use_sse: true } });
+    const progress = [];
+    const result = await transport.execute('consultant', 'analyze_prompt', {}, {
+      onProgress: update => progress.push(update)
+    });
+
+    expect(result).toEqual({ streamed: true });
+    expect(progress).toEqual([
+      { state: 'working', message: 'Planning' },
+      { state: 'completed', message: null }
+    ]);
+    expect(stub.requests[stub.requests.length - 1].rpc.method).toBe('tasks/sendSubscribe');
+  });
+
+  test('surfaces JSON-RPC errors', async () => {
+    const client = new A2AClient('consultant', agentConfig);
+    await expect(client.call('tasks/unknown', {})).rejects.toThrow('Method not found');
+  });
+});
+
+describe('mapArtifacts', () => {
+  test('collects text and file parts under the artifact name', () => {
+    const result = mapArtifacts({
+      artifacts: [
+        { name: 'summary', parts: [{ type: 'text', text: 'done' }] },
+        {
+          name: 'generated_code',
+          parts: [
+            { type: 'file', file: { name: 'index.js', bytes: Buffer.from('1;').toString('base64') } }
+          ]
+        }
+      ]
+    });
+
+    expect(result).toEqual({ summary: 'done', generated_code: { 'index.js': '1;' } });
+  });
+
+  test('rejects file names outside the output directory and files sent by URI', () => {
+    const withFile = file => ({ artifacts: [{ name: 'generated_code', parts: [{ type: 'file', file }] }] });
+    const bytes = Buffer.from('1;').toString('base64');
+
+    expect(mapArtifacts(withFile({ name: './src/../index.js', bytes }))).toEqual({ generated_code: { 'index.js': '1;' } });
+    expect(() => mapArtifacts(withFile({ name: '../../x.js', bytes }))).toThrow('unsafe path: ../../x.js');
+    expect(() => mapArtifacts(withFile({ name: '/etc/passwd', bytes }))).toThrow('unsafe path: /etc/passwd');
+    expect(() => mapArtifacts(withFile({ name: 'index.js', uri: 'http://example.com/index.js' }))).toThrow('references file index.js by URI');
+  });
+});
+
+describe('parseSseEvents', () => {
+  test('parses complete events and keeps the partial one', () => {
+    const { events, rest } = parseSseEvents('event: update\ndata: {"result":1}\n\ndata: {"res');
+    expect(events).toEqual([{ result: 1 }]);
+    expect(rest).toBe('data: {"res');
+  });
+});
+
+describe('MockTransport', () => {
+  test('keeps the canned responses', async () => {
+    const transport = new MockTransport({}, { delayMs: 0 });
+    const result = await transport.execute('code_generator', 'refine_code', {});
+    expect(result).toEqual({ refined_code: 'refined/sample_module' });
+  });
+});
@@ -0,0 +1,204 @@
+const { analyzeIssues, findTraceLocations, mapTracePath } = require('../src/analysis');
+const { LocalTransport, MockTransport } = require('../src/agents/transports');
+
+const CODE = {
+  'package.json': JSON.stringify({ name: 'books', dependencies: { express: '^4.18.2' } }),
+  'src/app.js': [
+    'const express = require(\'express\');',
+    'const dayjs = require(\'dayjs\');',
+    '',
+    'const app = express();',
+    'app.get(\'/books\', (req, res) => res.json(books.list()));',
+    'module.exports = app;'
+  ].join('\n'),
+  'tests/app.test.js': [
+    'const request = require(\'supertest\');',
+    'const app = require(\'../src/app\');',
+    '',
+    'test(\'lists books\', async () => {',
+    '  const response = await request(app).get(\'/books\');',
+    '  expect(response.status).toBe(200);',
+    '});'
+  ].join('\n'),
+  'api/requirements.txt': 'flask>=3.0.0\n',
+  'api/app/main.py': 'def total(items):\n    return sum(item.price for item in items)\n',
+  'api/tests/test_main.py': 'from app.main import total\n\n\ndef test_total():\n    assert total([]) == 1\n'
+};
+
+describe('stack traces', () => {
+  test('finds Node and Python locations and maps them to generated files', () => {
+    const trace = [
+      'ReferenceError: books is not defined',
+      '    at /tmp/happiness-test-1/src/app.js:5:50',
+      '    at Layer.handle (/tmp/happiness-test-1/node_modules/express/lib/router/layer.js:95:5)',
+      '  File "/tmp/happiness-test-1/api/app/main.py", line 2, in total',
+      'api/tests/test_main.py:5: AssertionError'
+    ].join('\n');
+
+    expect(findTraceLocations(trace).map(({ path, line }) => `${path}:${line}`)).toEqual([
+      '/tmp/happiness-test-1/src/app.js:5',
+      '/tmp/happiness-test-1/node_modules/express/lib/router/layer.js:95',
+      '/tmp/happiness-test-1/api/app/main.py:2',
+      'api/tests/test_main.py:5'
+    ]);
+    expect(mapTracePath('/tmp/happiness-test-1/src/app.js', CODE)).toBe('src/app.js');
+    expect(mapTracePath('/tmp/happiness-test-1/node_modules/express/index.js', CODE)).toBeNull();
+    expect(mapTracePath('tests/test_main.py', CODE)).toBe('api/tests/test_main.py');
+  });
+});
+
+describe('analyzeIssues', () => {
+  test('classifies, locates and groups test failures', () => {
+    const runtime = [
+      'Error: expect(received).toBe(expected) // Object.is equality',
+      '',
+      'Expected: 200',
+      'Received: 500',
+      '    at Object.toBe (/tmp/happiness-test-1/tests/app.test.js:6:27)'
+    ].join('\n');
+    const crash = [
+      'Cannot find module \'dayjs\' from \'src/app.js\'',
+      '',
+      'Require stack:',
+      '  src/app.js',
+      '  tests/app.test.js'
+    ].join('\n');
+    const pytest = [
+      'assert 0 == 1',
+      'def test_total():',
+      '>       assert total([]) == 1',
+      'E       assert 0 == 1',
+      'E        +  where 0 = total([])',
+      '',
+      'tests/test_main.py:5: AssertionError'
+    ].join('\n');
+
+    const analysis = analyzeIssues({
+      code: CODE,
+      test_results: {
+        tests: [
+          { name: 'lists books', file: 'tests/app.test.js', status: 'FAILED', error: runtime },
+          { name: 'tests/books.test.js', file: 'tests/books.test.js', status: 'FAILED', error: crash },
+          { name: 'tests/authors.test.js', file: 'tests/authors.test.js', status: 'FAILED', error: crash },
+          { name: 'api: tests.test_main test_total', status: 'FAILED', error: pytest },
+          { name: 'api: tests.test_main test_empty', status: 'PASSED' }
+        ]
+      }
+    });
+
+    expect(analysis.summary).toBe('3 issues: 2 assertion failures, 1 missing dependency');
+    expect(analysis.issues).toEqual([
+      {
+        type: 'assertion_failure',
+        location: 'tests/app.test.js:6:27',
+        description: 'lists books: Error: expect(received).toBe(expected) // Object.is equality\nExpected: 200\nReceived: 500',
+        suggested_fix: 'The test expected 200 but received 500; fix the code under test, or the test if its expectation is wrong',
+        source: 'tests',
+        occurrences: 1,
+        tests: ['lists books'],
+        excerpt: [
+          '  4 | test(\'lists books\', async () => {',
+          '  5 |   const response = await request(app).get(\'/books\');',
+          '> 6 |   expect(response.status).toBe(200);',
+          '  7 | });'
+        ].join('\n')
+      },
+      {
+        type: 'missing_dependency',
+        location: 'src/app.js',
+        description: 'Cannot find module \'dayjs\' from \'src/app.js\'\nRequire stack:\n  src/app.js\n  tests/app.test.js\nFailed in 2 tests: tests/books.test.js, tests/authors.test.js',
+        suggested_fix: 'Add dayjs to the dependencies of package.json',
+        source: 'tests',
+        dependency: { name: 'dayjs', manifest: 'package.json' },
+        occurrences: 2,
+        tests: ['tests/books.test.js', 'tests/authors.test.js']
+      },
+      {
+        type: 'assertion_failure',
+        location: 'api/tests/test_main.py:5',
+        description: 'api: tests.test_main test_total: assert 0 == 1\n+  where 0 = total([])',
+        suggested_fix: 'Make the code satisfy `assert 0 == 1`, or fix the test if its expectation is wrong',
+        source: 'tests',
+        occurrences: 1,
+        tests: ['api: tests.test_main test_total'],
+        excerpt: [
+          '  3 |',
+          '  4 | def test_total():',
+          '> 5 |     assert total([]) == 1',
+          '  6 |'
+        ].join('\n')
+      }
+    ]);
+  });
+
+  test('points runtime errors at the innermost generated frame', () => {
+    const { issues } = analyzeIssues({
+      code: CODE,
+      test_results: {
+        tests: [{
+          name: 'lists books',
+          file: 'tests/app.test.js',
+          status: 'FAILED',
+          error: [
+            'ReferenceError: books is not defined',
+            '    at /tmp/happiness-test-1/src/app.js:5:50',
+            '    at Layer.handle [as handle_request] (/tmp/happiness-test-1/node_modules/express/lib/router/layer.js:95:5)',
+            '    at Object.<anonymous> (/tmp/happiness-test-1/tests/app.test.js:5:46)'
+          ].join('\n')
+        }]
+      }
+    });
+
+    expect(issues).toMatchObject([{
+      type: 'runtime_error',
+      location: 'src/app.js:5:50',
+      description: 'lists books: ReferenceError: books is not defined',
+      suggested_fix: 'Define or import books in src/app.js'
+    }]);
+    expect(issues[0].excerpt).toContain('> 5 | app.get(\'/books\'');
+  });
+
+  test('classifies validation and lint issues', () => {
+    const { issues, summary } = analyzeIssues({
+      code: CODE,
+      validation: {
+        issues: [
+          { type: 'error', message: 'Syntax error: Unexpected token', file: 'src/app.js', line: 1, column: 7 },
+          { type: 'error', message: 'Package dayjs is imported but not declared in package.json', file: 'src/app.js', line: 2, column: 15 },
+          { type: 'error', message: '1 lint error in the generated code', source: 'lint' }
+        ]
+      },
+      lint_results: {
+        issues: [
+          { type: 'error', location: 'src/app.js:5:50', rule: 'no-undef', message: '\'books\' is not defined.' },
+          { type: 'warning', location: 'src/app.js:1:7', rule: 'no-unused-vars', message: '\'x\' is assigned a value but never used.' }
+        ]
+      }
+    });
+
+    expect(summary).toBe('3 issues: 1 syntax error, 1 missing dependency, 1 runtime error');
+    expect(issues.map(({ type, location, suggested_fix: fix, source }) => ({ type, location, fix, source }))).toEqual([
+      { type: 'syntax_error', location: 'src/app.js:1:7', fix: 'Fix the syntax at src/app.js:1:7', source: 'validation' },
+      { type: 'missing_dependency', location: 'src/app.js:2:15', fix: 'Add dayjs to the dependencies of package.json', source: 'validation' },
+      { type: 'runtime_error', location: 'src/app.js:5:50', fix: 'Define or import books in src/app.js', source: 'lint' }
+    ]);
+  });
+});
+
+describe('LocalTransport error analyzer', () => {
+  test('analyzes the test and lint results of a step', async () => {
+    const transport = new LocalTransport({}, { fallback: new MockTransport({}, { delayMs: 0 }) });
+
+    const { error_analysis: analysis } = await transport.execute('error_analyzer', 'analyze_issues', {
+      code_path: CODE,
+      test_results: { tests: [{ name: 'test_total', status: 'FAILED', error: 'E   ModuleNotFoundError: No module named \'yaml\'\napi/app/main.py:1: ModuleNotFoundError' }] },
+      lint_results: { issues: [] }
+    });
+    expect(analysis.issues).toMatchObject([{
+      type: 'missing_dependency',
+      location: 'api/app/main.py:1',
+      suggested_fix: 'Add PyYAML to api/requirements.txt',
+      dependency: { name: 'PyYAML', manifest: 'api/requirements.txt' }
+    }]);
+  });
+});
@@ -0,0 +1,56 @@
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { MockTransport } = require('../src/agents/transports');
+
+const workflows = {
+  slow: {
+    tasks: [
+      {
+        name: 'first',
+        agent: 'code_generator',
+        action: 'generate_module',
+        inputs: { task_plan: '{{user_prompt}}' },
+        outputs: { generated_code: 'generated/' }
+      },
+      { name: 'second', agent: 'test_runner', action: 'test_module', inputs: { code_path: '{{generated_code}}' } }
+    ]
+  }
+};
+
+describe('OrchestratorClient cancellation', () => {
+  test('stops the running step and cancels the remaining ones', async () => {
+    const orchestrator = new OrchestratorClient({ code_generator: {}, test_runner: {} }, {
+      workflows,
+      workflowsDir: null,
+      registry: null,
+      store: null,
+      transport: new MockTransport({}, { delayMs: 5000 })
+    });
+
+    const taskId = await orchestrator.startWorkflow('slow', { user_prompt: 'hello' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const started = Date.now();
+    await orchestrator.cancelTask(taskId);
+    await orchestrator.waitForTask(taskId);
+
+    const status = await orchestrator.getTaskStatus(taskId);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(status.status).toBe('CANCELLED');
+    expect(status.steps.map(step => step.status)).toEqual(['CANCELLED', 'CANCELLED']);
+  });
+
+  test('refuses to cancel a finished task', async () => {
+    const orchestrator = new OrchestratorClient({ code_generator: {}, test_runner: {} }, {
+      workflows,
+      workflowsDir: null,
+      registry: null,
+      store: null,
+      transport: new MockTransport({}, { delayMs: 0 })
+    });
+
+    const taskId = await orchestrator.startWorkflow('slow', { user_prompt: 'hello' });
+    await orchestrator.waitForTask(taskId);
+
+    await expect(orchestrator.cancelTask(taskId)).rejects.toThrow('cannot be cancelled');
+  });
+});
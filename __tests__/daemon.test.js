@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Daemon, DaemonClient, DaemonError, JobQueue } = require('../src/daemon');
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { TaskStore } = require('../src/core/task-store');
+const { MockTransport } = require('../src/agents/transports');
+
+describe('Daemon', () => {
+  let baseDir;
+  let daemon;
+
+  const waitFor = async (check) => {
+    for (let i = 0; i < 100 && !(await check()); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-daemon-'));
+  });
+
+  afterEach(async () => {
+    if (daemon) {
+      await daemon.stop({ force: true });
+      daemon = null;
+    }
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('queues tasks beyond the worker count and serves task calls', async () => {
+    const orchestrator = new OrchestratorClient({ pm: {} }, {
+      workflows: {
+        plan: {
+          tasks: [{ name: 'plan', agent: 'pm', action: 'create_task_plan', inputs: { scope: '{{user_prompt}}' } }]
+        }
+      },
+      workflowsDir: path.join(baseDir, 'workflows'),
+      registry: null,
+      transport: new MockTransport({}, { delayMs: 200 }),
+      store: new TaskStore(baseDir)
+    });
+    daemon = new Daemon({ workflow: orchestrator }, { basePath: baseDir, workers: 1 });
+    await daemon.start();
+
+    const client = await DaemonClient.connect(baseDir);
+    expect(client).not.toBeNull();
+
+    const first = await client.submitWorkflow('plan', { user_prompt: 'one' });
+    const second = await client.submitWorkflow('plan', { user_prompt: 'two' });
+    const third = await client.submitWorkflow('plan', { user_prompt: 'three' });
+    expect(first.position).toBeNull();
+    expect([second.position, third.position]).toEqual([0, 1]);
+
+    const tasks = client.forKind('workflow');
+    expect(await tasks.getTaskStatus(third.task_id)).toMatchObject({ status: 'QUEUED', queue_position: 1 });
+
+    await tasks.cancelTask(third.task_id);
+    expect((await tasks.getTaskStatus(third.task_id)).status).toBe('CANCELLED');
+
+    await waitFor(async () => (await tasks.getTaskStatus(second.task_id)).status === 'COMPLETED');
+    expect((await tasks.getTaskStatus(first.task_id)).status).toBe('COMPLETED');
+    expect((await tasks.getTaskStatus(second.task_id)).status).toBe('COMPLETED');
+    expect(daemon.getStatus()).toMatchObject({ running: [], queued: [] });
+
+    await expect(client.forKind('generation').listTasks()).rejects.toThrow(DaemonError);
+  });
+
+  test('rejects calls that are not JSON or lack the token of daemon.json', async () => {
+    daemon = new Daemon({}, { basePath: baseDir });
+    await daemon.start();
+    const client = await DaemonClient.connect(baseDir);
+    const post = (headers, data = { jsonrpc: '2.0', id: 1, method: 'daemon/stop' }) => axios.post('http://localhost/', data, {
+      headers,
+      socketPath: client.state.socket_path,
+      validateStatus: () => true
+    });
+
+    const plain = await post({ 'Content-Type': 'text/plain', Authorization: `Bearer ${client.state.token}` }, JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'daemon/stop' }));
+    expect(plain.status).toBe(415);
+    const anonymous = await post({ 'Content-Type': 'application/json' });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.data.error.message).toBe('Unauthorized');
+    expect(daemon.stopping).toBe(false);
+
+    await expect(new DaemonClient({ ...client.state, token: 'guessed' }).getStatus()).rejects.toThrow('Unauthorized');
+    expect(await client.getStatus()).toMatchObject({ pid: process.pid });
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(path.join(baseDir, 'daemon.json')).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('finds no daemon when none is running', async () => {
+    expect(await DaemonClient.connect(baseDir)).toBeNull();
+  });
+});
+
+describe('JobQueue', () => {
+  test('persists jobs in FIFO order', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-queue-'));
+    const queue = new JobQueue(path.join(dir, 'queue.json'));
+    queue.push({ task_id: 'a', kind: 'workflow' });
+    queue.push({ task_id: 'b', kind: 'workflow' });
+    queue.push({ task_id: 'c', kind: 'generation' });
+    queue.remove('b');
+
+    const reloaded = new JobQueue(path.join(dir, 'queue.json'));
+    expect(reloaded.load()).toBe(2);
+    expect(reloaded.shift().task_id).toBe('a');
+    expect(reloaded.position('c')).toBe(0);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
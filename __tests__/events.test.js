@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventLog } = require('../src/core/events');
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { MockTransport } = require('../src/agents/transports');
+
+const workflows = {
+  build: {
+    tasks: [
+      {
+        name: 'generate',
+        agent: 'code_generator',
+        action: 'generate_module',
+        inputs: { task_plan: '{{user_prompt}}' },
+        outputs: { generated_code: 'generated/' }
+      },
+      { name: 'test', agent: 'test_runner', action: 'test_module', inputs: { code_path: '{{generated_code}}' } }
+    ]
+  }
+};
+
+describe('EventLog', () => {
+  let basePath;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-events-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  test('numbers events and continues the numbering in a new log instance', () => {
+    new EventLog(basePath).append({ type: 'task.started', task_id: 'task-1' });
+    new EventLog(basePath).append({ type: 'task.finished', task_id: 'task-1', status: 'COMPLETED' });
+
+    const events = new EventLog(basePath).read('task-1');
+    expect(events.map(event => [event.seq, event.type])).toEqual([[1, 'task.started'], [2, 'task.finished']]);
+  });
+
+  test('follows events appended later until the task finishes', async () => {
+    const writer = new EventLog(basePath);
+    writer.append({ type: 'task.started', task_id: 'task-2' });
+
+    const seen = [];
+    const following = new EventLog(basePath).follow('task-2', event => seen.push(event.type), { pollIntervalMs: 10 });
+
+    setTimeout(() => {
+      writer.append({ type: 'step.started', task_id: 'task-2', step: 'generate' });
+      writer.append({ type: 'task.finished', task_id: 'task-2', status: 'COMPLETED' });
+    }, 30);
+
+    const finished = await following;
+    expect(finished.status).toBe('COMPLETED');
+    expect(seen).toEqual(['task.started', 'step.started', 'task.finished']);
+  });
+
+  test('follows a resumed task past the task.finished of its earlier run', async () => {
+    const writer = new EventLog(basePath);
+    writer.append({ type: 'task.started', task_id: 'task-4' });
+    writer.append({ type: 'task.finished', task_id: 'task-4', status: 'FAILED' });
+    writer.append({ type: 'task.started', task_id: 'task-4', resumed: true });
+
+    const seen = [];
+    const following = new EventLog(basePath).follow('task-4', event => seen.push(event.status || event.type), { pollIntervalMs: 10 });
+
+    setTimeout(() => writer.append({ type: 'task.finished', task_id: 'task-4', status: 'COMPLETED' }), 30);
+
+    expect((await following).status).toBe('COMPLETED');
+    expect(seen).toEqual(['task.started', 'FAILED', 'task.started', 'COMPLETED']);
+  });
+
+  test('ignores the task.finished events of runs known to be over', async () => {
+    const writer = new EventLog(basePath);
+    writer.append({ type: 'task.started', task_id: 'task-5' });
+    writer.append({ type: 'task.finished', task_id: 'task-5', status: 'FAILED' });
+
+    // Resumed, but its task.started is not logged yet
+    const following = new EventLog(basePath).follow('task-5', () => {}, { pollIntervalMs: 10, finishedAfter: 2 });
+
+    setTimeout(() => {
+      writer.append({ type: 'task.started', task_id: 'task-5', resumed: true });
+      writer.append({ type: 'task.finished', task_id: 'task-5', status: 'COMPLETED' });
+    }, 30);
+
+    expect(await following).toMatchObject({ seq: 4, status: 'COMPLETED' });
+  });
+
+  test('stops following when aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const finished = await new EventLog(basePath).follow('task-3', () => {}, {
+      signal: controller.signal,
+      pollIntervalMs: 5
+    });
+    expect(finished).toBeNull();
+  });
+
+  test('rejects task IDs that are not file names', () => {
+    expect(() => new EventLog(basePath).read('../tasks/x')).toThrow('Invalid task ID');
+  });
+
+  test('receives the events of an orchestrator run', async () => {
+    const eventLog = new EventLog(basePath);
+    const orchestrator = new OrchestratorClient({ code_generator: {}, test_runner: {} }, {
+      workflows,
+      workflowsDir: null,
+      registry: null,
+      store: null,
+      eventLog,
+      transport: new MockTransport({}, { delayMs: 0 })
+    });
+
+    const emitted = [];
+    orchestrator.on('event', event => emitted.push(event));
+
+    const taskId = await orchestrator.startWorkflow('build', { user_prompt: 'hello' });
+    await orchestrator.waitForTask(taskId);
+
+    expect(emitted.map(event => [event.type, event.step])).toEqual([
+      ['task.started', undefined],
+      ['step.started', 'generate'],
+      ['step.progress', 'generate'],
+      ['step.completed', 'generate'],
+      ['step.started', 'test'],
+      ['step.progress', 'test'],
+      ['step.completed', 'test'],
+      ['task.finished', undefined]
+    ]);
+    expect(emitted[emitted.length - 1].status).toBe('COMPLETED');
+    expect(eventLog.read(taskId)).toEqual(emitted);
+  });
+});
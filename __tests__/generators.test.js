@@ -0,0 +1,432 @@
+const http = require('http');
+const {
+  createCodeGenerator,
+  parseCodeResponse,
+  ResponseParseError,
+  TemplateCodeGenerator,
+  validateProject,
+  findFramework,
+  analyzePrompt,
+  normalizeAnalysis,
+  buildTemplateData
+} = require('../src/generators');
+
+const ANSWER = [
+  'Here is your project.',
+  '',
+  '**src/index.js**',
+  '```javascript',
+  'console.log(\'hi\');',
+  '```',
+  '',
+  '```json title="package.json"',
+  '{ "name": "demo" }',
+  '```'
+].join('\n');
+
+// Minimal OpenAI-compatible and Ollama-style model server
+function startStubModel() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/v1/chat/completions') {
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: ANSWER } }] }));
+      } else if (req.url === '/api/chat') {
+        res.end(JSON.stringify({ message: { role: 'assistant', content: ANSWER }, done: true }));
+      } else {
+        res.statusCode = 404;
+        res.end('{}');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests }));
+  });
+}
+
+describe('parseCodeResponse', () => {
+  test('names fenced blocks from labels and info strings', () => {
+    expect(parseCodeResponse(ANSWER)).toEqual({
+      'src/index.js': 'console.log(\'hi\');\n',
+      'package.json': '{ "name": "demo" }\n'
+    });
+  });
+
+  test('reads JSON file maps, fenced or not', () => {
+    expect(parseCodeResponse('{"files": [{"path": "./app.py", "content": "print(1)"}]}')).toEqual({ 'app.py': 'print(1)' });
+    expect(parseCodeResponse('```json\n{"main.go": "package main"}\n```')).toEqual({ 'main.go': 'package main' });
+  });
+
+  test('names unlabelled blocks after the language', () => {
+    const files = parseCodeResponse('```python\nprint(1)\n```\n\n```python\n# filename: util.py\nx = 1\n```', {
+      language: 'python'
+    });
+    expect(Object.keys(files)).toEqual(['main.py', 'util.py']);
+  });
+
+  test('rejects answers without code and paths outside the output directory', () => {
+    expect(() => parseCodeResponse('I cannot help with that.')).toThrow(ResponseParseError);
+    expect(() => parseCodeResponse('{"../evil.js": "x"}')).toThrow('unsafe file path');
+  });
+});
+
+describe('createCodeGenerator', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startStubModel();
+    process.env.STUB_MODEL_KEY = 'secret';
+  });
+
+  afterAll(done => {
+    delete process.env.STUB_MODEL_KEY;
+    stub.server.close(done);
+  });
+
+  test('defaults to the template provider', async () => {
+    const generator = createCodeGenerator({});
+    expect(generator).toBeInstanceOf(TemplateCodeGenerator);
+
+    const files = await generator.generateCode('a flask api', {});
+    expect(files['app.py']).toBeDefined();
+    await expect(generator.generateCode('x', { language: 'cobol' })).rejects.toThrow('Unsupported language');
+  });
+
+  test('calls an OpenAI-compatible chat completions endpoint', async () => {
+    const generator = createCodeGenerator({
+      provider: 'openai',
+      model: 'gpt-test',
+      api_url: `http://127.0.0.1:${stub.server.address().port}/v1/`,
+      api_key_env: 'STUB_MODEL_KEY'
+    });
+
+    const files = await generator.generateCode('a todo api', { language: 'javascript' });
+    const request = stub.requests[stub.requests.length - 1];
+
+    expect(Object.keys(files)).toEqual(['src/index.js', 'package.json']);
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.body.model).toBe('gpt-test');
+    expect(request.body.messages[1].content).toContain('a todo api');
+  });
+
+  test('calls an Ollama-style chat endpoint', async () => {
+    const generator = createCodeGenerator({
+      provider: 'ollama',
+      model: 'llama3',
+      api_url: `http://127.0.0.1:${stub.server.address().port}`
+    });
+
+    const files = await generator.generateCode('a todo api', {});
+    const request = stub.requests[stub.requests.length - 1];
+
+    expect(files['package.json']).toBeDefined();
+    expect(request.url).toBe('/api/chat');
+    expect(request.body.stream).toBe(false);
+  });
+
+  test('asks the model to fix the files an error analysis points to', async () => {
+    const generator = createCodeGenerator({
+      provider: 'openai',
+      model: 'gpt-test',
+      api_url: `http://127.0.0.1:${stub.server.address().port}/v1`
+    });
+
+    const files = await generator.refineCode({ 'src/index.js': 'console.log(;', 'src/util.js': '', 'README.md': '# Demo' }, {
+      issues: [{ type: 'validation_error', location: 'src/index.js:1:13', description: 'Syntax error: Unexpected token ;', suggested_fix: '' }]
+    }, { prompt: 'a greeting script' });
+    const { content } = stub.requests[stub.requests.length - 1].body.messages[1];
+
+    expect(files).toEqual({
+      'src/index.js': 'console.log(\'hi\');\n',
+      'src/util.js': '',
+      'README.md': '# Demo',
+      'package.json': '{ "name": "demo" }\n'
+    });
+    expect(content).toContain('- [validation_error] src/index.js:1:13: Syntax error: Unexpected token ;');
+    expect(content).toContain('**src/index.js**\n```\nconsole.log(;\n```');
+    expect(content).not.toContain('**src/util.js**');
+  });
+
+  test('requires a model and a known provider', async () => {
+    await expect(createCodeGenerator({ provider: 'openai' }).generateCode('x', {})).rejects.toThrow('No model configured');
+    expect(() => createCodeGenerator({ provider: 'nope' })).toThrow('Unknown code generator provider');
+  });
+});
+
+describe('languages', () => {
+  const generator = new TemplateCodeGenerator({}, { basePath: '/nonexistent' });
+
+  test('detects the language named in the prompt', () => {
+    expect(generator.detectLanguage('A typed API in TypeScript')).toBe('typescript');
+    expect(generator.detectLanguage('A golang web service')).toBe('go');
+    expect(generator.detectLanguage('Go REST server for notes')).toBe('go');
+    expect(generator.detectLanguage('A small Go command-line tool')).toBe('go');
+    expect(generator.detectLanguage('A notes API written in Go')).toBe('go');
+    expect(generator.detectLanguage('An axum server')).toBe('rust');
+    expect(generator.detectLanguage('A Django blog')).toBe('python');
+    expect(generator.detectLanguage('A JavaScript widget')).toBe('javascript');
+    expect(generator.detectLanguage('Something to go shopping with')).toBe('javascript');
+  });
+
+  test('refuses languages it cannot generate instead of falling back', async () => {
+    await expect(generator.generateCode('A Java service')).rejects.toThrow('unsupported language: java');
+  });
+
+  test('generates TypeScript, Go and Rust projects that validate', async () => {
+    const typescript = await generator.generateCode('A react ui for an api', { language: 'typescript' });
+    expect(Object.keys(typescript)).toEqual(expect.arrayContaining(['tsconfig.json', 'src/server.ts', 'src/App.tsx']));
+
+    const go = await generator.generateCode('A golang api');
+    expect(go['go.mod']).toMatch(/^module example.com\/api-server/);
+
+    const cli = await generator.generateCode('A Rust cli', { variables: { crate_name: 'todo' } });
+    expect(cli['Cargo.toml']).toContain('name = "todo"');
+    expect(cli['Cargo.toml']).not.toContain('axum');
+    const server = await generator.generateCode('A Rust api server');
+    expect(server['src/main.rs']).toContain('axum::serve');
+
+    for (const files of [typescript, go, cli, server]) {
+      expect(generator.validateCode(files)).toEqual({ passed: true, issues: [] });
+    }
+  });
+
+  test('validators report broken manifests', () => {
+    const messages = files => validateProject(files).map(item => `${item.type}: ${item.message}`);
+
+    expect(messages({ 'src/App.tsx': '', 'tsconfig.json': '{ "compilerOptions": {} }' })).toEqual([
+      'error: tsconfig.json must set compilerOptions.jsx to compile .tsx files',
+      'warning: tsconfig.json does not enable strict type checking',
+      'warning: No tests were generated for the source files'
+    ]);
+    expect(messages({ 'main.go': 'package main\n' })).toEqual([
+      'error: go.mod is missing; the Go sources cannot be built as a module',
+      'error: Package main in . has no func main()',
+      'warning: No tests were generated for the source files'
+    ]);
+    expect(messages({
+      'Cargo.toml': '[package]\nname = "demo"\n\n[dependencies]\n',
+      'src/main.rs': 'mod store;\nuse store::Store;\nuse serde::Serialize;\nfn main() {}\n'
+    })).toEqual([
+      'warning: Cargo.toml does not set an edition, so Rust 2015 is used',
+      'error: Crate serde is used but not listed in Cargo.toml [dependencies]',
+      'warning: No tests were generated for the source files'
+    ]);
+  });
+
+  test('validators report syntax errors and invalid data files with their position', () => {
+    const errors = files => validateProject(files).filter(item => item.type === 'error');
+
+    expect(errors({
+      'src/app.js': 'module.exports = {\n  port: 3000,\n  host:\n};\n',
+      'src/view.jsx': 'export const View = () => <p>{items.map(item => item.name)}</p>;\n',
+      'src/server.ts': 'const port: number = ;\n',
+      'src/App.vue': '<template><p /></template>\n<script setup>\nconst count = ref(;\n</script>\n',
+      'app.py': 'def index(:\n    return "ok"\n',
+      'tsconfig.json': '{\n  // Comments are allowed\n  "compilerOptions": { "strict": true, }\n}\n',
+      'data.json': '{\n  "a": 1,\n}\n',
+      'compose.yaml': 'services:\n  web: [1\n  db: 2\n'
+    })).toEqual([
+      { type: 'error', message: 'Invalid JSON: Expected double-quoted property name', file: 'data.json', line: 3, column: 1 },
+      { type: 'error', message: expect.stringMatching(/^Invalid YAML: /), file: 'compose.yaml', line: 3, column: 3 },
+      { type: 'error', message: 'Syntax error: Unexpected token }', file: 'src/app.js', line: 4, column: 1 },
+      { type: 'error', message: 'Syntax error: Expression expected.', file: 'src/server.ts', line: 1, column: 22 },
+      { type: 'error', message: 'Syntax error: Unexpected token ;', file: 'src/App.vue', line: 3, column: 19 },
+      { type: 'error', message: 'Syntax error: invalid syntax', file: 'app.py', line: 1, column: 11 }
+    ]);
+  });
+
+  test('validators report undeclared packages and imports that do not resolve', () => {
+    const errors = files => validateProject(files).filter(item => item.type === 'error');
+
+    expect(errors({
+      'package.json': JSON.stringify({ name: 'api', main: 'src/index.js', dependencies: { express: '^4.18.2' } }),
+      'src/app.js': [
+        'const express = require(\'express\');',
+        'const fs = require(\'node:fs\');',
+        'const path = require(\'path\');',
+        'const cors = require(\'cors\');',
+        'const books = require(\'./routes/books\');',
+        'const authors = require(\'./routes/authors\');'
+      ].join('\n'),
+      'src/routes/books.js': 'const { Router } = require(\'express\');\n',
+      'requirements.txt': 'Flask>=3.0\npython-dotenv\n',
+      'analysis/__init__.py': '',
+      'analysis/report.py': 'import os\nimport flask\nfrom dotenv import load_dotenv\nfrom sklearn import svm\nfrom .charts import plot\nfrom . import summary\n',
+      'analysis/summary.py': '',
+      'tests/test_report.py': 'from analysis.report import plot\nfrom analysis.missing import x\n'
+    })).toEqual([
+      { type: 'error', message: 'The main file src/index.js of package.json was not generated', file: 'package.json' },
+      { type: 'error', message: 'Package cors is imported but not declared in package.json', file: 'src/app.js', line: 4, column: 23 },
+      { type: 'error', message: 'Cannot resolve import \'./routes/authors\'', file: 'src/app.js', line: 6, column: 26 },
+      { type: 'error', message: 'Module sklearn is imported but its distribution scikit-learn is not declared in requirements.txt', file: 'analysis/report.py', line: 4, column: 1 },
+      { type: 'error', message: 'Cannot resolve import .charts', file: 'analysis/report.py', line: 5, column: 1 },
+      { type: 'error', message: 'Cannot resolve import analysis.missing', file: 'tests/test_report.py', line: 2, column: 1 }
+    ]);
+  });
+
+  test('validators accept the TypeScript sources a main in outDir is built from', () => {
+    expect(validateProject({
+      'package.json': JSON.stringify({ name: 'api', main: 'dist/server.js', devDependencies: { typescript: '^5.3.0' } }),
+      'tsconfig.json': JSON.stringify({ compilerOptions: { outDir: 'dist', rootDir: 'src', strict: true } }),
+      'src/server.ts': 'export const port = 3000;\n',
+      'src/server.test.ts': 'import { port } from \'./server\';\n'
+    })).toEqual([]);
+  });
+
+  test('validators report source files without a test counterpart', () => {
+    const messages = files => validateProject(files).map(item => `${item.type}: ${item.message}`);
+
+    expect(messages({
+      'src/app.js': 'const books = require(\'./routes/books\');\n',
+      'src/routes/books.js': 'const store = require(\'../store\');\n',
+      'src/routes/authors.js': '',
+      'src/store.js': '',
+      'src/server.js': 'require(\'./app\');\n',
+      'tests/books.test.js': 'const app = require(\'../src/app\');\n',
+      'app.py': '',
+      'models.py': '',
+      'tests/conftest.py': 'from app import app\n',
+      'tests/test_models.py': 'import models\n'
+    })).toEqual(['warning: src/routes/authors.js has no test counterpart']);
+    expect(messages({
+      'Cargo.toml': '[package]\nname = "demo"\nedition = "2021"\n',
+      'src/lib.rs': 'pub fn add() {}\n\n#[cfg(test)]\nmod tests {}\n'
+    })).toEqual([]);
+  });
+});
+
+describe('prompt analysis', () => {
+  const generator = new TemplateCodeGenerator({}, { basePath: '/nonexistent' });
+
+  test('finds entities, fields and relations, parents first', () => {
+    const analysis = analyzePrompt('A bookstore with books (title, price, in_stock, an optional isbn) that belong to authors (name, email)');
+
+    expect(analysis.source).toBe('heuristic');
+    expect(analysis.entities.map(entity => entity.name)).toEqual(['author', 'book']);
+    expect(analysis.entities[1].fields).toEqual([
+      { name: 'title', type: 'string', required: true },
+      { name: 'price', type: 'number', required: true },
+      { name: 'in_stock', type: 'boolean', required: false },
+      { name: 'isbn', type: 'string', required: false },
+      { name: 'author_id', type: 'integer', required: true, reference: 'author' }
+    ]);
+    expect(analyzePrompt('A react app with recipes having a title and ingredients with a flask api').entities)
+      .toEqual([{ name: 'recipe', fields: [{ name: 'title', type: 'string', required: true }, { name: 'ingredients', type: 'string', required: true }], relations: [] }]);
+    expect(analyzePrompt('hello world').entities.map(entity => entity.name)).toEqual(['item']);
+  });
+
+  test('normalizes analyses from a model', () => {
+    const analysis = normalizeAnalysis({
+      entities: [
+        { name: 'BlogPosts', fields: [{ name: 'Title' }, { name: 'id' }, { name: 'writer', reference: 'People' }, { name: 'tag', reference: 'unknown' }] },
+        { name: 'person', fields: [{ name: 'is_admin', required: true }] }
+      ]
+    });
+
+    expect(analysis.entities).toEqual([
+      { name: 'person', fields: [{ name: 'name', type: 'string', required: true }, { name: 'is_admin', type: 'boolean', required: false }], relations: [] },
+      {
+        name: 'blog_post',
+        fields: [
+          { name: 'title', type: 'string', required: true },
+          { name: 'writer_id', type: 'integer', required: true, reference: 'person' },
+          { name: 'tag_id', type: 'integer', required: true }
+        ],
+        relations: [{ type: 'belongs_to', entity: 'person' }]
+      }
+    ]);
+    expect(normalizeAnalysis(null).entities.map(entity => entity.name)).toEqual(['item']);
+  });
+
+  test('names entities and types fields for every language', () => {
+    const data = buildTemplateData(normalizeAnalysis({
+      entities: [
+        { name: 'people', fields: [{ name: 'name' }, { name: 'bio' }, { name: 'website', required: false }] },
+        { name: 'blog posts', fields: [{ name: 'title' }, { name: 'published_at' }], relations: [{ entity: 'person' }] }
+      ]
+    }));
+    const [person, post] = data.entities;
+
+    expect(data.entity_labels).toBe('People and Blog posts');
+    expect(data.has_relations).toBe(true);
+    expect(person).toMatchObject({ plural: 'people', camel_plural: 'people', pascal: 'Person', article: 'a', display_field: 'name', has_children: true });
+    expect(post).toMatchObject({ name: 'blog_post', kebab_plural: 'blog-posts', pascal_plural: 'BlogPosts', label_plural: 'Blog posts' });
+    expect(person.children.map(child => [child.name, child.field])).toEqual([['blog_post', 'person_id']]);
+    expect(person.fields[2]).toMatchObject({ name: 'website', type: 'url', optional: true, ts_type: 'string', go_field_type: '*string', rust_field_type: 'Option<String>', django_field: 'URLField(blank=True, null=True)' });
+    expect(post.fields[2]).toMatchObject({ name: 'person_id', label: 'Person', django_name: 'person', go_name: 'PersonID', rust_type: 'u64', is_reference: true });
+    expect(post.fields.map(field => field.go_column)).toEqual(['Title       string', 'PublishedAt string', 'PersonID    int   ']);
+  });
+
+  test('generates code around the entities of the prompt', async () => {
+    const files = await generator.generateCode('A bookstore api with books (title, price) that belong to authors (name)');
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining(['src/routes/authors.js', 'src/routes/books.js', 'tests/books.test.js']));
+    expect(files['src/models/book.js']).toContain('author_id');
+    expect(files['README.md']).toContain('/api/authors/:id/books');
+    expect(generator.validateCode(files)).toEqual({ passed: true, issues: [] });
+  });
+});
+
+describe('frameworks', () => {
+  const generator = new TemplateCodeGenerator({}, { basePath: '/nonexistent' });
+
+  test('scaffolds the framework named in the prompt or requested', async () => {
+    const django = await generator.generateCode('A Django blog');
+    expect(Object.keys(django)).toEqual(expect.arrayContaining(['manage.py', 'config/settings.py', 'api/models.py', 'api/tests/test_posts.py']));
+
+    const fastapi = await generator.generateCode('A todo service', { framework: 'FastAPI' });
+    expect(Object.keys(fastapi)).toEqual(expect.arrayContaining(['app/main.py', 'app/routers/todos.py', 'tests/test_todos.py']));
+
+    const next = await generator.generateCode('A store in Next.js');
+    expect(next['app/api/products/[id]/route.js']).toContain('NextResponse');
+
+    const express = await generator.generateCode('A todo api');
+    expect(Object.keys(express)).toEqual(expect.arrayContaining(['src/app.js', 'src/routes/todos.js', 'tests/todos.test.js']));
+  });
+
+  test('accepts framework names and rejects mismatched languages', async () => {
+    expect(findFramework('Next.js')).toBe('nextjs');
+    expect(findFramework('vuejs')).toBe('vue');
+    expect(findFramework('rails')).toBeNull();
+
+    await expect(generator.generateCode('x', { framework: 'rails' })).rejects.toThrow('Unknown framework: rails');
+    await expect(generator.generateCode('x', { framework: 'django', language: 'javascript' }))
+      .rejects.toThrow('Django projects are written in python, not javascript');
+  });
+
+  test('ignores frameworks of another language than the requested one', () => {
+    expect(generator.resolveFramework('an express api', { language: 'typescript' })).toBeNull();
+    expect(generator.resolveFramework('a vue front end')).toBe('vue');
+  });
+});
+
+describe('full-stack generation', () => {
+  const generator = new TemplateCodeGenerator({}, { basePath: '/nonexistent' });
+
+  test('splits server and client into workspaces sharing the API contract', async () => {
+    const files = await generator.generateCode('A React UI with an Express API backend', { variables: { project_name: 'todo' } });
+
+    expect(JSON.parse(files['package.json']).workspaces).toEqual(['shared', 'server', 'client']);
+    expect(JSON.parse(files['shared/package.json']).name).toBe('@todo/shared');
+    for (const workspace of ['server', 'client']) {
+      expect(JSON.parse(files[`${workspace}/package.json`]).dependencies['@todo/shared']).toBe('1.0.0');
+    }
+    expect(files['server/src/routes/items.js']).toContain('from \'@todo/shared\'');
+    expect(files['client/src/api.js']).toContain('from \'@todo/shared\'');
+    expect(files['client/vite.config.js']).toContain('proxy');
+    expect(generator.validateCode(files)).toEqual({ passed: true, issues: [] });
+  });
+
+  test('reports workspaces without a manifest', () => {
+    const issues = validateProject({ 'package.json': '{ "name": "app", "private": true, "workspaces": ["server"] }' });
+    expect(issues).toEqual([{ type: 'error', message: 'Workspace server listed in package.json has no package.json', file: 'package.json' }]);
+  });
+});
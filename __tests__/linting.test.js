@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CodeLinter } = require('../src/linting');
+const { LocalTransport, MockTransport } = require('../src/agents/transports');
+
+describe('CodeLinter', () => {
+  test('lints JavaScript, JSX and TypeScript with the bundled ESLint config', async () => {
+    const { issues, tools } = await new CodeLinter().lint({
+      'src/app.js': 'const unused = 1;\nmodule.exports = () => missing;\n',
+      'src/App.jsx': 'import List from \'./List\';\nexport default function App() {\n  return <List />;\n}\n',
+      'src/broken.js': 'const x = ;\n',
+      'src/server.ts': 'const port: number = 3000;\nexport default port;\n',
+      'README.md': '# Demo'
+    });
+
+    expect(tools).toEqual(['eslint']);
+    expect(issues).toEqual([
+      { type: 'warning', location: 'src/app.js:1:7', rule: 'no-unused-vars', message: '\'unused\' is assigned a value but never used.' },
+      { type: 'error', location: 'src/app.js:2:24', rule: 'no-undef', message: '\'missing\' is not defined.' },
+      { type: 'error', location: 'src/broken.js:1:11', rule: 'syntax', message: 'Parsing error: Unexpected token ;' }
+    ]);
+  });
+
+  test('uses the project\'s own .eslintrc.json', async () => {
+    const { issues } = await new CodeLinter().lint({
+      '.eslintrc.json': JSON.stringify({ parserOptions: { ecmaVersion: 2020 }, rules: { semi: ['error', 'always'] } }),
+      'index.js': 'const unused = 1\n'
+    });
+
+    expect(issues).toEqual([
+      { type: 'error', location: 'index.js:1:17', rule: 'semi', message: 'Missing semicolon.' }
+    ]);
+  });
+
+  test('falls back to the bundled config when the project\'s loads code from the project', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-linting-'));
+    const marker = path.join(dir, 'required');
+    try {
+      fs.writeFileSync(path.join(dir, 'evil.js'), `require('fs').writeFileSync(${JSON.stringify(marker)}, '');\n`);
+      fs.writeFileSync(path.join(dir, 'index.js'), 'module.exports = value;\n');
+
+      for (const config of [{ parser: './evil.js' }, { plugins: ['./evil.js'] }, { overrides: [{ files: ['*.js'], extends: ['./evil.js'] }] }]) {
+        fs.writeFileSync(path.join(dir, '.eslintrc.json'), JSON.stringify(config));
+        const { issues } = await new CodeLinter().lint(dir);
+        expect(issues.map(issue => issue.location)).toEqual(['index.js:1:18']);
+      }
+      expect(fs.existsSync(marker)).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports Python syntax errors and lints a directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-linting-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'app.py'), 'def broken(:\n    pass\n');
+      fs.mkdirSync(path.join(dir, 'node_modules'));
+      fs.writeFileSync(path.join(dir, 'node_modules', 'ignored.js'), 'const x = ;');
+
+      const { issues, tools } = await new CodeLinter().lint(dir);
+      expect(tools).toHaveLength(1);
+      expect(issues.length).toBeGreaterThan(0);
+      expect(issues[0]).toMatchObject({ type: 'error', location: expect.stringMatching(/^app\.py:1:/) });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('does not import generated modules that shadow the ones of the linters', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-linting-'));
+    const marker = path.join(dir, 'imported');
+    try {
+      const { issues } = await new CodeLinter().lint({
+        'json.py': `open(${JSON.stringify(marker)}, "w").close()\n`,
+        'app.py': 'def broken(:\n    pass\n'
+      });
+
+      expect(fs.existsSync(marker)).toBe(false);
+      expect(issues.some(issue => issue.type === 'error' && issue.location.startsWith('app.py:1:'))).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('LocalTransport linter', () => {
+  test('lints the code path of a step', async () => {
+    const transport = new LocalTransport({}, { fallback: new MockTransport({}, { delayMs: 0 }) });
+
+    const { lint_results: results } = await transport.execute('linter', 'lint_code', {
+      code_path: { 'index.js': 'module.exports = value;\n' }
+    });
+    expect(results.issues).toEqual([
+      { type: 'error', location: 'index.js:1:18', rule: 'no-undef', message: '\'value\' is not defined.' }
+    ]);
+  });
+});
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { TaskStore } = require('../src/core/task-store');
+const { LocalTransport } = require('../src/agents/transports');
+const { analyzePrompt } = require('../src/generators');
+const {
+  createScope,
+  createTaskPlan,
+  validateScope,
+  validateTaskPlan,
+  findClarifications,
+  buildQuestions,
+  createSpec
+} = require('../src/planning');
+
+const PROMPT = 'A REST API with books and authors. Books have a title, a price and belong to an author. Use PostgreSQL and JWT authentication.';
+
+// The planning steps of the full_cycle workflow
+const PLANNING_WORKFLOW = {
+  tasks: [
+    {
+      name: 'analyze_requirements',
+      agent: 'consultant',
+      action: 'analyze_prompt',
+      inputs: { user_prompt: '{{user_prompt}}' },
+      outputs: { scope_definition: 'scope.json' }
+    },
+    {
+      name: 'decompose_tasks',
+      agent: 'pm',
+      action: 'create_task_plan',
+      inputs: { scope_definition: '{{scope_definition}}' },
+      outputs: { task_plan: 'task_plan.json' },
+      depends_on: ['analyze_requirements']
+    }
+  ]
+};
+
+describe('scope definitions', () => {
+  test('list the features, requirements and open decisions of a prompt', () => {
+    const scope = createScope(PROMPT, { analysis: analyzePrompt(PROMPT) });
+
+    expect(validateScope(scope)).toEqual([]);
+    expect(scope).toMatchObject({ name: 'Books API', language: 'javascript', framework: null });
+    expect(scope.features).toEqual([
+      { id: 'F1', name: 'Manage books', description: 'Create, list, view, update and delete books, with title, price, its author', entity: 'book' },
+      { id: 'F2', name: 'Manage authors', description: 'Create, list, view, update and delete authors, with name', entity: 'author' },
+      { id: 'F3', name: 'Authentication', description: 'Users sign up and log in; changing data requires a logged-in user' }
+    ]);
+    expect(scope.non_functional_requirements).toContainEqual({ category: 'persistence', description: 'Data is stored in PostgreSQL' });
+    expect(scope.non_functional_requirements).toContainEqual({ category: 'security', description: 'Passwords are stored hashed, never in plain text' });
+    expect(scope.assumptions).toEqual(['The project is written in JavaScript', 'The code generator picks the framework']);
+    expect(scope.open_questions).toEqual([
+      'Which language should the project be written in?',
+      'Which framework should it be built with (Express, Fastify, Next.js, Vue, or none)?'
+    ]);
+  });
+
+  test('assume what a one-line prompt leaves open', () => {
+    const scope = createScope('make me an app', { analysis: analyzePrompt('make me an app'), language: 'python', framework: 'fastapi' });
+
+    expect(validateScope(scope)).toEqual([]);
+    expect(scope.assumptions).toEqual([
+      'Data is kept in memory and lost when the project stops',
+      'There are no user accounts: anyone can use every feature',
+      'The project manages items that have a name'
+    ]);
+  });
+});
+
+describe('task plans', () => {
+  test('order the tasks of a scope by their dependencies', () => {
+    const scope = createScope(PROMPT, { analysis: analyzePrompt(PROMPT) });
+    const plan = createTaskPlan(scope);
+
+    expect(validateTaskPlan(plan, scope)).toEqual([]);
+    expect(plan.tasks.map(({ id, title, files, depends_on: dependsOn }) => [id, title, files.join(' '), dependsOn.join(' ')])).toEqual([
+      ['T1', 'Set up the project', 'package.json src/app.js', ''],
+      ['T2', 'Model author', 'src/models/author.js', 'T1'],
+      ['T3', 'Model book', 'src/models/book.js', 'T1 T2'],
+      ['T4', 'Authentication', 'src/auth.js', 'T1'],
+      ['T5', 'Routes for authors', 'src/routes/authors.js', 'T2 T4'],
+      ['T6', 'Routes for books', 'src/routes/books.js', 'T3 T4'],
+      ['T7', 'Test authors', 'tests/authors.test.js', 'T5'],
+      ['T8', 'Test books', 'tests/books.test.js', 'T6'],
+      ['T9', 'Document the project', 'README.md', 'T7 T8']
+    ]);
+    expect(plan.tasks[5].features).toEqual(['F1']);
+  });
+
+  test('reject plans that do not match the schema or whose dependencies are unknown or later', () => {
+    const task = { title: 'Write it', description: 'Write the module', files: ['src/index.js'] };
+
+    expect(validateTaskPlan({ name: 'Plan', language: 'javascript', tasks: [{ ...task, id: 1, depends_on: [] }] })).toEqual([
+      'plan.tasks[0].id should be string'
+    ]);
+    expect(validateTaskPlan({
+      name: 'Plan',
+      language: 'javascript',
+      tasks: [{ ...task, id: 'T1', depends_on: ['T2'] }, { ...task, id: 'T2', depends_on: ['T7'], features: ['F9'] }]
+    }, createScope(PROMPT, { analysis: analyzePrompt(PROMPT) }))).toEqual([
+      'Task T1 depends on T2, which is not listed before it',
+      'Task T2 depends on unknown task T7',
+      'Task T2 implements unknown feature F9'
+    ]);
+  });
+});
+
+describe('clarification', () => {
+  test('asks about what a one-line prompt leaves open and folds the answers into the prompt', () => {
+    const decisions = findClarifications('an app');
+    expect(decisions.map(decision => decision.id)).toEqual(['language', 'framework', 'persistence', 'auth', 'entities']);
+
+    const questions = buildQuestions(decisions, { languages: ['javascript', 'python', 'go'] });
+    expect(questions[0]).toMatchObject({ name: 'language', type: 'list', message: 'Which language should the project be written in?' });
+    expect(questions[1].choices({ language: 'python' }).map(choice => choice.value)).toEqual(['fastapi', 'django', 'none']);
+    expect(questions[1].message({ language: 'python' })).toBe('Which framework should it be built with (FastAPI, Django, or none)?');
+    expect(questions[1].when({ language: 'go' })).toBe(false);
+
+    const spec = createSpec('an app', {
+      decisions,
+      answers: { language: 'python', framework: 'fastapi', persistence: 'SQLite', auth: false, entities: 'recipes with a title and servings' },
+      interactive: true
+    });
+    expect(spec).toMatchObject({
+      prompt: 'an app',
+      enriched_prompt: 'an app. Write it in Python. Build it with FastAPI. Store the data in SQLite. Anyone can use every feature. It manages recipes with a title and servings.',
+      language: 'python',
+      framework: 'fastapi',
+      assumptions: [],
+      interactive: true
+    });
+
+    const scope = createScope(spec.enriched_prompt, { analysis: analyzePrompt(spec.enriched_prompt), answers: spec.answers });
+    expect(scope).toMatchObject({ name: 'Recipes App', language: 'python', framework: 'fastapi', assumptions: [], open_questions: [] });
+    expect(scope.features.map(feature => feature.name)).toEqual(['Manage recipes']);
+  });
+
+  test('records assumptions instead of asking', () => {
+    const prompt = 'A todo list in TypeScript';
+    const spec = createSpec(prompt, { decisions: findClarifications(prompt), interactive: false });
+
+    expect(spec).toEqual({
+      prompt,
+      enriched_prompt: prompt,
+      language: 'typescript',
+      framework: null,
+      answers: {},
+      assumptions: ['Data is kept in memory and lost when the project stops', 'There are no user accounts: anyone can use every feature'],
+      interactive: false
+    });
+  });
+});
+
+describe('planning workflow', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-planning-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create an orchestrator running the planning steps
+   * @param {Object} transport - Transport executing the steps
+   * @returns {OrchestratorClient} Orchestrator
+   */
+  const createOrchestrator = transport => new OrchestratorClient({ consultant: {}, pm: {} }, {
+    workflows: { plan: PLANNING_WORKFLOW },
+    workflowsDir: path.join(baseDir, 'workflows'),
+    registry: null,
+    transport,
+    store: new TaskStore(baseDir)
+  });
+
+  test('saves the scope and the task plan as the workflow outputs specify', async () => {
+    const orchestrator = createOrchestrator(new LocalTransport({}, { fallback: { name: 'none', execute: jest.fn() } }));
+    const taskId = await orchestrator.startWorkflow('plan', { user_prompt: PROMPT });
+    await orchestrator.waitForTask(taskId);
+    const status = await orchestrator.getTaskStatus(taskId);
+
+    expect(status.status).toBe('COMPLETED');
+    const scope = JSON.parse(fs.readFileSync(status.artifacts.scope_definition, 'utf8'));
+    const plan = JSON.parse(fs.readFileSync(status.artifacts.task_plan, 'utf8'));
+    expect(status.artifacts.scope_definition).toBe(path.join(baseDir, 'artifacts', taskId, 'scope.json'));
+    expect(scope.name).toBe('Books API');
+    expect(plan.tasks).toHaveLength(9);
+  });
+
+  test('fails the step of an agent whose scope does not match the schema', async () => {
+    const transport = { name: 'stub', execute: jest.fn(async () => ({ scope_definition: { name: 'Sample Module', features: ['Feature 1'] } })) };
+    const orchestrator = createOrchestrator(transport);
+    const taskId = await orchestrator.startWorkflow('plan', { user_prompt: PROMPT });
+    await orchestrator.waitForTask(taskId);
+    const status = await orchestrator.getTaskStatus(taskId);
+
+    expect(status.status).toBe('FAILED');
+    expect(status.steps[0].error).toContain('Step "analyze_requirements" returned an invalid scope_definition:\n  - scope should have required property \'summary\'');
+    expect(status.steps[0].error).toContain('\n  - scope.features[0] should be object');
+    expect(transport.execute).toHaveBeenCalledTimes(1);
+  });
+});
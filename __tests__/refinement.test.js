@@ -0,0 +1,350 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MinimalOrchestratorClient } = require('../src/core/minimal-orchestrator');
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { TaskStore } = require('../src/core/task-store');
+const { LocalTransport } = require('../src/agents/transports');
+const { BaseCodeGenerator, applyFixers, unifiedDiff } = require('../src/generators');
+const { analyzeIssues, affectedFiles } = require('../src/analysis');
+
+// A project whose only source does not parse until it is refined
+const BROKEN_PROJECT = {
+  'README.md': '# Demo',
+  'package.json': JSON.stringify({ name: 'demo', private: true }),
+  'index.js': 'module.exports = (;\n'
+};
+
+class FixingGenerator extends BaseCodeGenerator {
+  /**
+   * Initialize the generator
+   * @param {Function} fix - Returns the refined files for an iteration
+   */
+  constructor(fix) {
+    super();
+    this.fix = fix;
+    this.analyses = [];
+  }
+
+  async generateCode() {
+    return { ...BROKEN_PROJECT };
+  }
+
+  async refineCode(codeFiles, errorAnalysis) {
+    this.analyses.push(errorAnalysis);
+    return { ...codeFiles, ...this.fix(this.analyses.length) };
+  }
+}
+
+describe('error analysis', () => {
+  test('turns validation, lint and test results into issues with locations', () => {
+    const analysis = analyzeIssues({
+      validation: {
+        passed: false,
+        issues: [
+          { type: 'error', message: 'Syntax error: Unexpected token', file: 'src/app.js', line: 3, column: 7 },
+          { type: 'warning', message: 'README.md file is missing' },
+          { type: 'error', message: '1 lint error in the generated code', source: 'lint' }
+        ]
+      },
+      lint_results: {
+        issues: [
+          { type: 'error', location: 'src/routes.js:2:1', rule: 'no-undef', message: '\'router\' is not defined.' },
+          { type: 'warning', location: 'src/routes.js:1:7', rule: 'no-unused-vars', message: '\'x\' is assigned a value but never used.' }
+        ]
+      },
+      test_results: {
+        tests: [
+          { name: 'books creates a book', file: 'tests/books.test.js', status: 'FAILED', error: 'expected 201\nreceived 500' },
+          { name: 'books lists books', file: 'tests/books.test.js', status: 'PASSED' }
+        ]
+      }
+    });
+
+    expect(analysis).toEqual({
+      issues: [
+        {
+          type: 'syntax_error',
+          location: 'src/app.js:3:7',
+          description: 'Syntax error: Unexpected token',
+          suggested_fix: 'Fix the syntax at src/app.js:3:7',
+          source: 'validation',
+          occurrences: 1
+        },
+        {
+          type: 'runtime_error',
+          location: 'src/routes.js:2:1',
+          description: '\'router\' is not defined. (no-undef)',
+          suggested_fix: 'Define or import router in src/routes.js',
+          source: 'lint',
+          occurrences: 1
+        },
+        {
+          type: 'runtime_error',
+          location: 'tests/books.test.js',
+          description: 'books creates a book: expected 201\nreceived 500',
+          suggested_fix: '',
+          source: 'tests',
+          occurrences: 1,
+          tests: ['books creates a book']
+        }
+      ],
+      summary: '3 issues: 1 syntax error, 2 runtime errors'
+    });
+    expect(affectedFiles(analysis, { 'src/app.js': '', 'src/routes.js': '' })).toEqual(['src/app.js', 'src/routes.js']);
+  });
+});
+
+describe('MinimalOrchestratorClient refinement', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-refinement-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create an orchestrator that validates the code of a generator
+   * @param {BaseCodeGenerator} generator - Code generator
+   * @returns {MinimalOrchestratorClient} Orchestrator
+   */
+  function createOrchestrator(generator) {
+    const orchestrator = new MinimalOrchestratorClient({
+      code_generator: { provider: 'template' },
+      storage: { base_path: baseDir, generations_path: path.join(baseDir, 'generated') },
+      retry_policy: { max_retries: 0 },
+      validation: { enable_basic_testing: true },
+      refinement: { max_iterations: 3, time_budget_ms: 60000 }
+    });
+    orchestrator.codeGenerator = generator;
+    return orchestrator;
+  }
+
+  test('refines failing code until it validates and keeps every iteration', async () => {
+    const generator = new FixingGenerator(() => ({ 'index.js': 'module.exports = () => 1;\n' }));
+    const orchestrator = createOrchestrator(generator);
+
+    const taskId = await orchestrator.generateCode('A demo module');
+    await orchestrator.waitForTask(taskId);
+    const status = await orchestrator.getTaskStatus(taskId);
+
+    expect(status.status).toBe('COMPLETED');
+    expect(status.refinement).toEqual({ iterations: 2, passed: true, stopped: 'passed' });
+    expect(status.iterations.map(({ iteration, passed, changed_files }) => ({ iteration, passed, changed_files }))).toEqual([
+      { iteration: 1, passed: false, changed_files: ['README.md', 'package.json', 'index.js'] },
+      { iteration: 2, passed: true, changed_files: ['index.js'] }
+    ]);
+    expect(generator.analyses[0].issues).toEqual([
+      {
+        type: 'syntax_error',
+        location: 'index.js:1:19',
+        description: 'Syntax error: Unexpected token ;',
+        suggested_fix: 'Fix the syntax at index.js:1:19',
+        source: 'validation',
+        occurrences: 1,
+        excerpt: '> 1 | module.exports = (;\n  2 |'
+      }
+    ]);
+
+    expect(fs.readFileSync(path.join(status.outputPath, 'index.js'), 'utf8')).toBe('module.exports = () => 1;\n');
+    const first = path.join(status.iterationsPath, 'iteration-1');
+    expect(fs.readFileSync(path.join(first, 'files', 'index.js'), 'utf8')).toBe(BROKEN_PROJECT['index.js']);
+    expect(JSON.parse(fs.readFileSync(path.join(first, 'diagnostics.json'), 'utf8'))).toMatchObject({
+      iteration: 1,
+      validation: { passed: false },
+      error_analysis: { summary: '1 issue: 1 syntax error' }
+    });
+
+    const steps = orchestrator.eventLog.read(taskId)
+      .filter(event => event.type === 'step.started')
+      .map(event => `${event.step}${event.iteration ? ` ${event.iteration}` : ''}`);
+    expect(steps).toEqual([
+      'analyze_prompt', 'generate_code', 'validate 1', 'analyze_errors 1', 'refine_code 1', 'validate 2', 'save_artifacts'
+    ]);
+  });
+
+  test('stops when the budget is spent or the generator changes nothing', async () => {
+    const stubborn = createOrchestrator(new FixingGenerator(attempt => ({ 'index.js': `module.exports = (${attempt};\n` })));
+    const stubbornTask = await stubborn.generateCode('A demo module', { max_iterations: 2 });
+    await stubborn.waitForTask(stubbornTask);
+    expect((await stubborn.getTaskStatus(stubbornTask)).refinement).toEqual({ iterations: 2, passed: false, stopped: 'max_iterations' });
+
+    const template = createOrchestrator(new FixingGenerator(() => ({})));
+    const templateTask = await template.generateCode('A demo module');
+    await template.waitForTask(templateTask);
+    const status = await template.getTaskStatus(templateTask);
+    expect(status).toMatchObject({
+      status: 'COMPLETED_WITH_ERRORS',
+      error: 'The generated code still fails validation after 1 iteration',
+      outputPath: expect.stringMatching(/-with-errors$/)
+    });
+    expect(status.refinement).toEqual({ iterations: 1, passed: false, stopped: 'unchanged' });
+    expect(status.iterationsPath).toBeUndefined();
+  });
+
+  test('saves nothing when a file name leaves the output directory', async () => {
+    const orchestrator = createOrchestrator(new FixingGenerator(() => ({ 'index.js': 'module.exports = () => 1;\n', '../../escaped.js': '1;\n' })));
+    const taskId = await orchestrator.generateCode('A demo module');
+    await orchestrator.waitForTask(taskId);
+
+    expect(await orchestrator.getTaskStatus(taskId)).toMatchObject({ status: 'FAILED', error: expect.stringContaining('Refusing to write ../../escaped.js') });
+    expect(fs.existsSync(path.join(baseDir, 'escaped.js'))).toBe(false);
+    expect(fs.existsSync(path.join(baseDir, 'generated'))).toBe(false);
+  });
+});
+
+describe('refining an artifact tree', () => {
+  const GENERATED = {
+    'package.json': '{\n  "name": "books",\n  "dependencies": {\n    "express": "^4.18.2"\n  }\n}\n',
+    'src/app.js': 'const dayjs = require(\'dayjs\');\nmodule.exports = () => dayjs();\n',
+    'tests/app.test.js': 'const request = require(\'supertest\');\n',
+    'api/app.py': 'import yaml\n',
+    'api/requirements.txt': 'flask\n'
+  };
+  const FAILURES = {
+    tests: [
+      { name: 'app', file: 'tests/app.test.js', status: 'FAILED', error: 'Cannot find module \'dayjs\' from \'src/app.js\'' },
+      { name: 'api', status: 'FAILED', error: 'E   ModuleNotFoundError: No module named \'yaml\'\napi/app.py:1: ModuleNotFoundError' }
+    ]
+  };
+
+  test('declares missing packages and diffs the changed files', () => {
+    const analysis = analyzeIssues({
+      code: GENERATED,
+      validation: {
+        issues: [{ type: 'error', message: 'Package supertest is imported but not declared in package.json', file: 'tests/app.test.js', line: 1, column: 17 }]
+      },
+      test_results: FAILURES
+    });
+    const { files, fixed } = applyFixers(GENERATED, analysis);
+
+    expect(fixed).toHaveLength(3);
+    expect(JSON.parse(files['package.json'])).toEqual({
+      name: 'books',
+      dependencies: { dayjs: 'latest', express: '^4.18.2' },
+      devDependencies: { supertest: 'latest' }
+    });
+    expect(files['api/requirements.txt']).toBe('flask\nPyYAML\n');
+    expect(unifiedDiff('package.json', GENERATED['package.json'], files['package.json'])).toBe([
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -1,6 +1,10 @@',
+      ' {',
+      '   "name": "books",',
+      '   "dependencies": {',
+      '+    "dayjs": "latest",',
+      '     "express": "^4.18.2"',
+      '+  },',
+      '+  "devDependencies": {',
+      '+    "supertest": "latest"',
+      '   }',
+      ' }',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes the refined tree and its diffs next to the generated one', async () => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-artifacts-'));
+    const generator = { name: 'generator', execute: jest.fn(async () => ({ generated_code: GENERATED })) };
+    const orchestrator = new OrchestratorClient({ code_generator: {}, error_analyzer: {} }, {
+      workflows: {
+        refine: {
+          params: ['test_results'],
+          tasks: [
+            { name: 'generate', agent: 'code_generator', action: 'generate_module', inputs: {}, outputs: { generated_code: 'generated/' } },
+            {
+              name: 'analyze',
+              agent: 'error_analyzer',
+              action: 'analyze_issues',
+              inputs: { code_path: '{{generated_code}}', test_results: '{{test_results}}' },
+              outputs: { error_analysis: 'error_analysis.json' },
+              depends_on: ['generate']
+            },
+            {
+              name: 'refine',
+              agent: 'code_generator',
+              action: 'refine_code',
+              inputs: { code_path: '{{generated_code}}', error_analysis: '{{error_analysis}}' },
+              outputs: { refined_code: 'refined/', diffs: 'diffs/' },
+              depends_on: ['analyze']
+            }
+          ]
+        }
+      },
+      workflowsDir: path.join(baseDir, 'workflows'),
+      registry: null,
+      transport: new LocalTransport({}, { fallback: generator }),
+      store: new TaskStore(baseDir)
+    });
+
+    try {
+      const taskId = await orchestrator.startWorkflow('refine', { test_results: FAILURES });
+      await orchestrator.waitForTask(taskId);
+      const status = await orchestrator.getTaskStatus(taskId);
+
+      expect(status.status).toBe('COMPLETED');
+      const taskDir = path.join(baseDir, 'artifacts', taskId);
+      expect(status.artifacts).toEqual({
+        generated_code: path.join(taskDir, 'generated/'),
+        error_analysis: path.join(taskDir, 'error_analysis.json'),
+        refined_code: path.join(taskDir, 'refined/'),
+        diffs: path.join(taskDir, 'diffs/')
+      });
+      expect(fs.readFileSync(path.join(taskDir, 'refined', 'api', 'requirements.txt'), 'utf8')).toBe('flask\nPyYAML\n');
+      expect(fs.readFileSync(path.join(taskDir, 'generated', 'src', 'app.js'), 'utf8')).toBe(GENERATED['src/app.js']);
+      expect(fs.readdirSync(path.join(taskDir, 'diffs')).sort()).toEqual(['api', 'package.json.diff']);
+      expect(fs.readFileSync(path.join(taskDir, 'diffs', 'api', 'requirements.txt.diff'), 'utf8')).toBe(
+        '--- a/api/requirements.txt\n+++ b/api/requirements.txt\n@@ -1 +1,2 @@\n flask\n+PyYAML\n'
+      );
+
+      const refined = await orchestrator.getTaskArtifacts(taskId);
+      expect(JSON.parse(refined['package.json']).dependencies).toHaveProperty('dayjs', 'latest');
+      expect(await orchestrator.getTaskArtifacts(taskId, { original: true })).toEqual(GENERATED);
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    }
+  });
+
+  test('fails the step instead of writing or removing anything outside the task directory', async () => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-artifacts-'));
+    const outside = path.join(baseDir, 'outside');
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(outside, 'keep.txt'), 'keep');
+
+    const run = async (target, files) => {
+      const orchestrator = new OrchestratorClient({ code_generator: {} }, {
+        workflows: {
+          generate: {
+            tasks: [{ name: 'generate', agent: 'code_generator', action: 'generate_module', inputs: {}, outputs: { generated_code: target } }]
+          }
+        },
+        workflowsDir: path.join(baseDir, 'workflows'),
+        registry: null,
+        transport: { name: 'stub', execute: jest.fn(async () => ({ generated_code: files })) },
+        store: new TaskStore(baseDir)
+      });
+      const taskId = await orchestrator.startWorkflow('generate', {});
+      await orchestrator.waitForTask(taskId);
+      return orchestrator.getTaskStatus(taskId);
+    };
+
+    try {
+      const escaping = await run('generated/', { 'src/app.js': '1;', '../../../outside/app.js': '2;' });
+      expect(escaping.status).toBe('FAILED');
+      expect(escaping.steps[0].error).toContain('Refusing to write ../../../outside/app.js outside');
+      expect(fs.existsSync(path.join(baseDir, 'artifacts', escaping.id, 'generated'))).toBe(false);
+
+      const absolute = await run('generated/', { [path.join(outside, 'app.js')]: '2;' });
+      expect(absolute.status).toBe('FAILED');
+
+      const target = await run('../../outside/', { 'app.js': '2;' });
+      expect(target.status).toBe('FAILED');
+      expect(fs.readdirSync(outside)).toEqual(['keep.txt']);
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    }
+  });
+});
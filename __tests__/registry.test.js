@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentRegistry, describeCard } = require('../src/agents/registry');
+const { MockTransport } = require('../src/agents/transports');
+
+describe('AgentRegistry', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-agents-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('discovers and caches agent cards', async () => {
+    const registry = new AgentRegistry({ pm: {} }, { transport: new MockTransport({}), cacheDir });
+    const { agents, errors } = await registry.discover();
+
+    expect(errors).toEqual([]);
+    expect(agents[0].skills).toEqual(['create_task_plan']);
+    expect(fs.existsSync(path.join(cacheDir, 'pm.json'))).toBe(true);
+
+    const reloaded = new AgentRegistry({ pm: {} }, { transport: new MockTransport({}), cacheDir });
+    reloaded.loadCache();
+    expect(reloaded.supports('pm', 'create_task_plan')).toBe(true);
+  });
+
+  test('reports unknown agents and unsupported actions', async () => {
+    const registry = new AgentRegistry({ pm: {} }, { transport: new MockTransport({}), cacheDir });
+    const problems = await registry.checkWorkflow({
+      steps: [
+        { name: 'plan', agent: 'pm', action: 'write_code' },
+        { name: 'review', agent: 'reviewer', action: 'review' }
+      ]
+    });
+
+    expect(problems).toEqual([
+      'Step "plan": agent "pm" does not support action "write_code" (skills: create_task_plan)',
+      'Step "review" uses unknown agent "reviewer"'
+    ]);
+  });
+});
+
+describe('describeCard', () => {
+  test('understands agent-card.schema.json cards', () => {
+    const summary = describeCard({
+      name: 'linter',
+      authentication: { type: 'Bearer' },
+      capabilities: [{ name: 'lint_code' }]
+    });
+
+    expect(summary.skills).toEqual(['lint_code']);
+    expect(summary.auth_schemes).toEqual(['Bearer']);
+  });
+});
@@ -0,0 +1,50 @@
+const { withRetry, isRetryableError, getBackoffDelay } = require('../src/utils/retry');
+
+const policy = { max_retries: 2, initial_backoff_ms: 1, max_backoff_ms: 4, backoff_multiplier: 2 };
+
+describe('isRetryableError', () => {
+  test('retries timeouts, 5xx and connection resets only', () => {
+    expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('down'), { response: { status: 503 } }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('bad'), { response: { status: 400 } }))).toBe(false);
+    expect(isRetryableError(new Error('Unsupported language'))).toBe(false);
+  });
+});
+
+describe('getBackoffDelay', () => {
+  test('grows exponentially up to the maximum', () => {
+    const delays = [1, 2, 3, 4, 5].map(retry => getBackoffDelay(retry, { initial_backoff_ms: 100, max_backoff_ms: 400, backoff_multiplier: 2 }));
+    expect(delays[0]).toBeGreaterThanOrEqual(50);
+    expect(delays[0]).toBeLessThanOrEqual(100);
+    expect(delays[4]).toBeGreaterThanOrEqual(200);
+    expect(delays[4]).toBeLessThanOrEqual(400);
+  });
+});
+
+describe('withRetry', () => {
+  test('retries retryable failures and records every attempt', async () => {
+    const attempts = [];
+    const fn = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+      .mockResolvedValueOnce('ok');
+
+    const result = await withRetry(fn, policy, {
+      onAttempt: ({ attempt }) => attempts.push(attempt),
+      onFailure: ({ retryable }) => attempts.push(retryable ? 'retry' : 'fatal')
+    });
+
+    expect(result).toBe('ok');
+    expect(attempts).toEqual([1, 'retry', 2]);
+  });
+
+  test('gives up on fatal errors and after max_retries', async () => {
+    const fatal = jest.fn().mockRejectedValue(new Error('bad request'));
+    await expect(withRetry(fatal, policy)).rejects.toThrow('bad request');
+    expect(fatal).toHaveBeenCalledTimes(1);
+
+    const flaky = jest.fn().mockRejectedValue(Object.assign(new Error('down'), { response: { status: 502 } }));
+    await expect(withRetry(flaky, policy)).rejects.toMatchObject({ attempts: 3 });
+    expect(flaky).toHaveBeenCalledTimes(3);
+  });
+});
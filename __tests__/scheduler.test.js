@@ -0,0 +1,64 @@
+const { runGraph } = require('../src/core/scheduler');
+
+const steps = [
+  { name: 'generate', depends_on: [] },
+  { name: 'test', depends_on: ['generate'] },
+  { name: 'lint', depends_on: ['generate'] },
+  { name: 'analyze', depends_on: ['test', 'lint'] }
+];
+
+describe('runGraph', () => {
+  test('runs independent steps in parallel', async () => {
+    const running = new Set();
+    let parallel = 0;
+
+    await runGraph(steps, {
+      runStep: async step => {
+        running.add(step.name);
+        parallel = Math.max(parallel, running.size);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running.delete(step.name);
+      }
+    });
+
+    expect(parallel).toBe(2);
+  });
+
+  test('respects the concurrency limit and finished steps', async () => {
+    const order = [];
+    let parallel = 0;
+    let active = 0;
+
+    await runGraph(steps, {
+      concurrency: 1,
+      done: ['generate'],
+      runStep: async step => {
+        active++;
+        parallel = Math.max(parallel, active);
+        order.push(step.name);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      }
+    });
+
+    expect(parallel).toBe(1);
+    expect(order).toEqual(['test', 'lint', 'analyze']);
+  });
+
+  test('blocks steps downstream of a failure', async () => {
+    const blockedBy = {};
+    const result = await runGraph(steps, {
+      runStep: async step => {
+        if (step.name === 'test') {
+          throw new Error('boom');
+        }
+      },
+      onBlocked: (step, failedStep) => {
+        blockedBy[step.name] = failedStep;
+      }
+    });
+
+    expect(result).toEqual({ failed: ['test'], blocked: ['analyze'] });
+    expect(blockedBy).toEqual({ analyze: 'test' });
+  });
+});
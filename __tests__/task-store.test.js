@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { TaskStore, migrateTask, SCHEMA_VERSION } = require('../src/core/task-store');
+const { OrchestratorClient } = require('../src/core/orchestrator');
+const { MockTransport } = require('../src/agents/transports');
+
+describe('TaskStore', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-tasks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('saves one file per task and reads it back', () => {
+    const store = new TaskStore(baseDir);
+    store.save({ id: 'a1', kind: 'generation', status: 'RUNNING', started_at: '2024-01-02' });
+    store.save({ id: 'b2', kind: 'generation', status: 'PENDING', started_at: '2024-01-01' });
+
+    expect(fs.readdirSync(path.join(baseDir, 'tasks')).sort()).toEqual(['a1.json', 'b2.json']);
+    expect(store.get('a1')).toMatchObject({ status: 'RUNNING', schema_version: SCHEMA_VERSION });
+    expect(store.list().map(task => task.id)).toEqual(['b2', 'a1']);
+    expect(store.get('missing')).toBeNull();
+  });
+
+  test('migrates the legacy tasks.json array', () => {
+    fs.writeFileSync(path.join(baseDir, 'tasks.json'), JSON.stringify([
+      { id: 'old', prompt: 'make an api', status: 'COMPLETED', started_at: '2024-01-01' },
+      { id: 'flow', type: 'full_cycle', status: 'FAILED', steps: [{ name: 'plan', status: 'FAILED' }] }
+    ]));
+
+    const store = new TaskStore(baseDir);
+    const [flow, old] = [store.get('flow'), store.get('old')];
+
+    expect(old).toMatchObject({ kind: 'generation', attempts: [], schema_version: SCHEMA_VERSION });
+    expect(flow.kind).toBe('workflow');
+    expect(flow.steps[0]).toMatchObject({ name: 'plan', attempts: [], retry: null });
+    expect(fs.existsSync(path.join(baseDir, 'tasks.json'))).toBe(false);
+    expect(fs.existsSync(path.join(baseDir, 'tasks.json.migrated'))).toBe(true);
+  });
+
+  test('rejects records from a newer schema', () => {
+    expect(() => migrateTask({ id: 'x', schema_version: SCHEMA_VERSION + 1 })).toThrow('newer than supported');
+  });
+
+  test('waits for the lock and breaks stale locks', () => {
+    const store = new TaskStore(baseDir, { lockTimeoutMs: 50, staleLockMs: 60000 });
+    fs.mkdirSync(store.tasksDir, { recursive: true });
+    fs.writeFileSync(store.lockPath, '12345');
+
+    expect(() => store.save({ id: 'a1' })).toThrow('Timed out waiting for task store lock');
+
+    const stale = new Date(Date.now() - 120000);
+    fs.utimesSync(store.lockPath, stale, stale);
+    store.save({ id: 'a1' });
+
+    expect(store.get('a1')).not.toBeNull();
+    expect(fs.existsSync(store.lockPath)).toBe(false);
+  });
+
+  test('marks tasks of exited processes as interrupted', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const store = new TaskStore(baseDir);
+    store.save({ id: 'dead', kind: 'workflow', status: 'RUNNING', owner: { pid: deadPid }, steps: [{ name: 'plan', status: 'RUNNING' }] });
+    store.save({ id: 'alive', kind: 'workflow', status: 'RUNNING', owner: TaskStore.currentOwner(), steps: [] });
+    store.save({ id: 'done', kind: 'workflow', status: 'COMPLETED', steps: [] });
+
+    expect(store.recoverOrphans(['PENDING', 'RUNNING'])).toEqual(['dead']);
+    expect(store.get('dead')).toMatchObject({ status: 'INTERRUPTED', steps: [{ status: 'INTERRUPTED' }] });
+    expect(store.get('alive').status).toBe('RUNNING');
+  });
+
+  test('resumes a workflow from the first unfinished step', async () => {
+    const store = new TaskStore(baseDir);
+    store.save({
+      id: 'resume-me',
+      kind: 'workflow',
+      type: 'build',
+      status: 'INTERRUPTED',
+      params: { user_prompt: 'hello' },
+      steps: [
+        { name: 'plan', status: 'COMPLETED', result: { task_plan: { tasks: ['one'] } }, attempts: [] },
+        { name: 'generate', status: 'INTERRUPTED', result: null, attempts: [] }
+      ],
+      results: { task_plan: { tasks: ['one'] } },
+      started_at: new Date().toISOString()
+    });
+
+    const transport = {
+      name: 'stub',
+      execute: jest.fn(async () => ({ generated_code: { 'index.js': '' } }))
+    };
+    const orchestrator = new OrchestratorClient({ pm: {}, code_generator: {} }, {
+      workflows: {
+        build: {
+          tasks: [
+            { name: 'plan', agent: 'pm', action: 'create_task_plan', inputs: { scope: '{{user_prompt}}' }, outputs: { task_plan: 'plan.json' } },
+            { name: 'generate', agent: 'code_generator', action: 'generate_module', inputs: { task_plan: '{{task_plan}}' }, outputs: { generated_code: 'generated/' } }
+          ]
+        }
+      },
+      workflowsDir: path.join(baseDir, 'workflows'),
+      registry: null,
+      transport,
+      store
+    });
+
+    await orchestrator.resumeWorkflow('resume-me');
+    await orchestrator.waitForTask('resume-me');
+
+    expect(transport.execute).toHaveBeenCalledTimes(1);
+    expect(transport.execute.mock.calls[0].slice(0, 3)).toEqual(['code_generator', 'generate_module', { task_plan: { tasks: ['one'] } }]);
+    expect(store.get('resume-me')).toMatchObject({ status: 'COMPLETED', steps: [{ status: 'COMPLETED' }, { status: 'COMPLETED' }] });
+    await expect(orchestrator.resumeWorkflow('resume-me')).rejects.toThrow('already completed');
+  });
+
+  test('lets another orchestrator read and cancel a running task', async () => {
+    const options = {
+      workflows: {
+        slow: {
+          tasks: [{ name: 'plan', agent: 'pm', action: 'create_task_plan', inputs: { scope: '{{user_prompt}}' } }]
+        }
+      },
+      workflowsDir: path.join(baseDir, 'workflows'),
+      registry: null,
+      store: new TaskStore(baseDir)
+    };
+    const owner = new OrchestratorClient({ pm: {} }, { ...options, transport: new MockTransport({}, { delayMs: 5000 }) });
+    const other = new OrchestratorClient({ pm: {} }, { ...options, store: new TaskStore(baseDir) });
+
+    const taskId = await owner.startWorkflow('slow', { user_prompt: 'hello' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect((await other.getTaskStatus(taskId)).status).toBe('RUNNING');
+    expect((await other.listTasks()).map(task => task.id)).toEqual([taskId]);
+
+    await other.cancelTask(taskId);
+    owner.saveTask(owner.tasks.get(taskId));
+    await owner.waitForTask(taskId);
+
+    expect((await other.getTaskStatus(taskId)).status).toBe('CANCELLED');
+  });
+
+  test('aborts a task cancelled by another orchestrator during a long step', async () => {
+    const options = {
+      workflows: {
+        slow: {
+          tasks: [{ name: 'plan', agent: 'pm', action: 'create_task_plan', inputs: { scope: '{{user_prompt}}' } }]
+        }
+      },
+      workflowsDir: path.join(baseDir, 'workflows'),
+      registry: null,
+      cancelPollIntervalMs: 20
+    };
+    const owner = new OrchestratorClient({ pm: {} }, { ...options, store: new TaskStore(baseDir), transport: new MockTransport({}, { delayMs: 5000 }) });
+    const other = new OrchestratorClient({ pm: {} }, { ...options, store: new TaskStore(baseDir) });
+
+    const taskId = await owner.startWorkflow('slow', { user_prompt: 'hello' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const started = Date.now();
+    await other.cancelTask(taskId);
+    await other.waitForTask(taskId);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(owner.executions.has(taskId)).toBe(false);
+    expect(await other.getTaskStatus(taskId)).toMatchObject({ status: 'CANCELLED', steps: [{ status: 'CANCELLED' }] });
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateLibrary, renderTemplate, TemplateError } = require('../src/templates');
+
+/**
+ * Write a pack into a directory
+ * @param {string} dir - Pack directory
+ * @param {Object} manifest - template.json content
+ * @param {Object} files - Template files by path below files/
+ */
+function writePack(dir, manifest, files = {}) {
+  fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'template.json'), JSON.stringify(manifest));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, 'files', name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'files', name), content);
+  }
+}
+
+describe('renderTemplate', () => {
+  test('interpolates variables and renders blocks', () => {
+    const template = [
+      'name: {{app.name}} \\{{literal}} style={{ color: 1 }}',
+      '{{#if api}}',
+      'api',
+      '{{else}}',
+      'no api',
+      '{{/if}}',
+      '{{#unless api}}only without api{{/unless}}',
+      '{{#each files}}',
+      '- {{this}}',
+      '{{/each}}'
+    ].join('\n');
+
+    expect(renderTemplate(template, { app: { name: 'demo' }, api: false, files: ['a.js', 'b.js'] })).toBe([
+      'name: demo {{literal}} style={{ color: 1 }}',
+      'no api',
+      'only without api',
+      '- a.js',
+      '- b.js',
+      ''
+    ].join('\n'));
+  });
+
+  test('names each element and marks the first and last', () => {
+    const template = '{{#each entities as entity}}{{entity.name}}:{{#each entity.fields as field}}{{field}}{{#unless last}},{{/unless}}{{/each}}{{#if first}} first{{/if}}\n{{/each}}';
+    const entities = [{ name: 'author', fields: ['name'] }, { name: 'book', fields: ['title', 'author_id'] }];
+
+    expect(renderTemplate(template, { entities })).toBe('author:name first\nbook:title,author_id\n');
+  });
+
+  test('keeps escaped braces that hold variables, as Vue templates do', () => {
+    const template = '{{#each fields as field}}<b>\\{{ record.{{field}} }}</b>{{/each}}';
+
+    expect(renderTemplate(template, { fields: ['title'] })).toBe('<b>{{ record.title }}</b>');
+  });
+
+  test('reports unbalanced blocks', () => {
+    expect(() => renderTemplate('{{#if x}}open', {}, 'README.md')).toThrow(TemplateError);
+    expect(() => renderTemplate('{{/each}}', {})).toThrow('unexpected {{/each}}');
+  });
+});
+
+describe('TemplateLibrary', () => {
+  let root;
+  let library;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-templates-'));
+    library = new TemplateLibrary({
+      sources: [
+        { name: 'built-in', dir: path.join(root, 'builtin') },
+        { name: 'project', dir: path.join(root, 'project') }
+      ]
+    });
+
+    writePack(path.join(root, 'builtin', 'web'), {
+      language: 'javascript',
+      default: true,
+      keywords: ['api'],
+      variables: { ui: { keywords: ['react'] }, port: { default: 3000 } },
+      files: [
+        { path: 'server.js' },
+        { path: 'App.js', when: '{{ui}}', content: 'ui' },
+        { path: 'README.md', content: '{{#each files}}{{this}} {{/each}}' }
+      ]
+    }, { 'server.js': 'listen({{port}})' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('renders the file tree with conditional files', () => {
+    const pack = library.select('a react api', 'javascript');
+    expect(library.render(pack, 'a react api', { port: '8080' })).toEqual({
+      'server.js': 'listen(8080)',
+      'App.js': 'ui',
+      'README.md': 'server.js App.js README.md '
+    });
+    expect(Object.keys(library.render(pack, 'an api'))).toEqual(['server.js', 'README.md']);
+  });
+
+  test('selects the pack whose keywords match best and installs project packs', () => {
+    const source = path.join(root, 'cli-pack');
+    writePack(source, {
+      name: 'cli',
+      language: 'javascript',
+      keywords: ['cli', 'command'],
+      variables: { bin: { required: true } },
+      files: [{ path: 'bin/{{bin}}.js', content: '#!/usr/bin/env node' }]
+    });
+
+    library.add(source);
+    expect(() => library.add(source)).toThrow('already installed');
+
+    expect(library.select('a cli command', 'javascript').name).toBe('cli');
+    expect(library.select('a todo list', 'javascript').name).toBe('web');
+    expect(() => library.select('a cli', 'javascript', 'vue')).toThrow('No template pack for the vue framework');
+    expect(() => library.select('x', 'python')).toThrow('No template pack for python');
+
+    const cli = library.get('cli');
+    expect(cli.source).toBe('project');
+    expect(() => library.render(cli, 'a cli')).toThrow('requires bin');
+    expect(library.render(cli, 'a cli', { bin: 'greet' })).toEqual({ 'bin/greet.js': '#!/usr/bin/env node' });
+
+    library.remove('cli');
+    expect(library.get('cli')).toBeUndefined();
+    expect(() => library.remove('web')).toThrow('built-in and cannot be removed');
+  });
+
+  test('picks packs with requires only when every keyword group matches', () => {
+    writePack(path.join(root, 'builtin', 'stack'), {
+      language: 'javascript',
+      keywords: ['api', 'react', 'ui'],
+      requires: [['api'], ['react', 'ui']],
+      files: [{ path: 'package.json', content: '{}' }]
+    });
+
+    expect(library.select('a react ui', 'javascript').name).toBe('web');
+    expect(library.select('a react ui for an api', 'javascript').name).toBe('stack');
+  });
+
+  test('skips invalid packs and refuses to install them', () => {
+    const invalid = path.join(root, 'builtin', 'broken');
+    writePack(invalid, { keywords: 'api', files: [{ path: 'missing.js' }] });
+
+    const { packs, errors } = library.load();
+    expect(packs.has('broken')).toBe(false);
+    expect(errors[invalid]).toEqual([
+      'language is required',
+      'keywords must be a list of strings',
+      'files[0]: template files/missing.js not found'
+    ]);
+    expect(() => library.add(invalid)).toThrow('Invalid template pack');
+  });
+
+  test('renders a file per element of a list', () => {
+    writePack(path.join(root, 'project', 'crud'), {
+      language: 'javascript',
+      files: [
+        { path: 'routes/{{entity.name}}.js', source: 'route.js', each: 'entities', as: 'entity' },
+        { path: 'models/{{name}}.js', content: '{{index}}', each: 'entities' },
+        { path: 'same.js', content: '', each: 'entities' }
+      ]
+    }, { 'route.js': 'get(\'/api/{{entity.name}}s\'){{#if last}};{{/if}}' });
+
+    const pack = library.get('crud');
+    const entities = [{ name: 'author' }, { name: 'book' }];
+    expect(() => library.render(pack, '', {}, { entities })).toThrow('renders same.js more than once');
+
+    pack.files.pop();
+    expect(library.render(pack, '', {}, { entities })).toEqual({
+      'routes/author.js': 'get(\'/api/authors\')',
+      'routes/book.js': 'get(\'/api/books\');',
+      'models/author.js': '0',
+      'models/book.js': '1'
+    });
+  });
+
+  test('refuses to write outside the output directory', () => {
+    writePack(path.join(root, 'project', 'evil'), {
+      language: 'javascript',
+      files: [{ path: '../{{name}}.js', content: 'x' }]
+    });
+    expect(() => library.render(library.get('evil'), '', { name: 'escape' })).toThrow('outside the output directory');
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestRunner, findSuites, parseJestReport, parseJUnitReport } = require('../src/testing');
+const { LocalTransport, MockTransport } = require('../src/agents/transports');
+
+// A package tested with the node test runner, which needs no dependencies
+const NODE_PROJECT = {
+  'package.json': JSON.stringify({ name: 'sample', scripts: { test: 'node --test test/' } }),
+  'test/math.test.js': [
+    'const test = require(\'node:test\');',
+    'const assert = require(\'assert\');',
+    'test(\'adds numbers\', () => assert.strictEqual(1 + 1, 2));',
+    'test(\'multiplies numbers\', () => assert.strictEqual(2 * 2, 5));',
+    'test(\'is not ready\', { skip: true }, () => {});'
+  ].join('\n')
+};
+
+describe('test reports', () => {
+  test('parses Jest and Vitest JSON reports', () => {
+    const results = parseJestReport({
+      testResults: [
+        {
+          name: '/work/tests/books.test.js',
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'books API creates a book', status: 'passed', duration: 12.4 },
+            { fullName: 'books API rejects a book', status: 'failed', failureMessages: ['\u001b[31mexpected 400\u001b[39m'] },
+            { fullName: 'books API is pending', status: 'pending' }
+          ]
+        },
+        { name: '/work/tests/broken.test.js', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] }
+      ]
+    }, '/work');
+
+    expect(results).toEqual({
+      total: 4,
+      passed: 1,
+      failures: 2,
+      skipped: 1,
+      tests: [
+        { name: 'books API creates a book', file: 'tests/books.test.js', status: 'PASSED', duration_ms: 12 },
+        { name: 'books API rejects a book', file: 'tests/books.test.js', status: 'FAILED', error: 'expected 400' },
+        { name: 'books API is pending', file: 'tests/books.test.js', status: 'SKIPPED' },
+        { name: 'tests/broken.test.js', file: 'tests/broken.test.js', status: 'FAILED', error: 'SyntaxError: Unexpected token' }
+      ]
+    });
+  });
+
+  test('parses JUnit XML reports', () => {
+    const results = parseJUnitReport([
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<testsuites><testsuite name="pytest" tests="4">',
+      '<testcase classname="tests.test_books" name="test_create" time="0.015" />',
+      '<testcase classname="tests.test_books" name="test_reject" time="0.002">',
+      '<failure message="assert 200 == 400">response &lt;Response 200&gt;</failure>',
+      '</testcase>',
+      '<testcase classname="tests.test_books" name="test_later"><skipped message="later" /></testcase>',
+      '<testcase classname="test" name="loads &quot;fixtures&quot;"><error type="testCodeFailure" /></testcase>',
+      '</testsuite></testsuites>'
+    ].join('\n'));
+
+    expect(results.total).toBe(4);
+    expect(results.tests).toEqual([
+      { name: 'tests.test_books test_create', status: 'PASSED', duration_ms: 15 },
+      { name: 'tests.test_books test_reject', status: 'FAILED', duration_ms: 2, error: 'assert 200 == 400\nresponse <Response 200>' },
+      { name: 'tests.test_books test_later', status: 'SKIPPED' },
+      { name: 'loads "fixtures"', status: 'FAILED', error: 'testCodeFailure' }
+    ]);
+  });
+});
+
+describe('TestRunner', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-testing-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Write code files into a directory
+   * @param {string} dir - Directory
+   * @param {Object} files - File contents by path
+   */
+  function writeFiles(dir, files) {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+  }
+
+  test('finds the suites of npm workspaces and Python projects', () => {
+    writeFiles(path.join(root, 'monorepo'), {
+      'package.json': JSON.stringify({ workspaces: ['server', 'packages/*'], scripts: { test: 'npm test --workspaces' } }),
+      'server/package.json': JSON.stringify({ scripts: { test: 'node --test test/*.test.js' } }),
+      'packages/client/package.json': JSON.stringify({ scripts: { test: 'vitest run' } }),
+      'packages/shared/package.json': JSON.stringify({ scripts: { test: 'echo "Error: no test specified" && exit 1' } })
+    });
+    writeFiles(path.join(root, 'python'), { 'requirements.txt': 'flask', 'tests/test_app.py': '' });
+
+    const install = { dir: '.', kind: 'npm' };
+    expect(findSuites(path.join(root, 'monorepo'))).toEqual([
+      { dir: 'server', runner: 'node', install },
+      { dir: 'packages/client', runner: 'vitest', install }
+    ]);
+    expect(findSuites(path.join(root, 'python'))).toEqual([
+      { dir: '.', runner: 'pytest', install: { dir: '.', kind: 'pip' } }
+    ]);
+  });
+
+  test('runs the tests in a workspace it removes afterwards', async () => {
+    const workspacePath = path.join(root, 'workspaces');
+    const progress = [];
+    const results = await new TestRunner({ workspace_path: workspacePath, timeout_ms: 60000 })
+      .run(NODE_PROJECT, { onProgress: ({ message }) => progress.push(message) });
+
+    expect(results).toMatchObject({ total: 3, passed: 1, failures: 1, skipped: 1 });
+    expect(results.tests.map(test => [test.name, test.status])).toEqual([
+      ['adds numbers', 'PASSED'],
+      ['multiplies numbers', 'FAILED'],
+      ['is not ready', 'SKIPPED']
+    ]);
+    expect(results.tests[1].error).toContain('4 !== 5');
+    expect(results.suites).toMatchObject([{ path: '.', runner: 'node', exit_code: 1 }]);
+    expect(progress).toEqual(['Running the node tests']);
+    expect(fs.readdirSync(workspacePath)).toEqual([]);
+  });
+
+  test('fails tests that run past the time limit', async () => {
+    writeFiles(path.join(root, 'slow'), {
+      'package.json': JSON.stringify({ scripts: { test: 'node --test' } }),
+      'test/slow.test.js': 'require(\'node:test\')(\'never ends\', () => new Promise(() => setInterval(() => {}, 1000)));'
+    });
+
+    const results = await new TestRunner({ workspace_path: root, timeout_ms: 2000 }).run(path.join(root, 'slow'));
+
+    expect(results.failures).toBe(1);
+    expect(results.tests[0].error).toContain('time limit of 2s reached');
+  });
+
+  test('reports code without tests', async () => {
+    const results = await new TestRunner({ workspace_path: root }).run({ 'main.go': 'package main' });
+
+    expect(results).toMatchObject({ total: 0, failures: 0, reason: 'No npm test script or pytest tests found' });
+    await expect(new TestRunner().run(path.join(root, 'missing'))).rejects.toThrow('does not exist');
+  });
+
+  test('refuses to run with network access unless it is allowed', async () => {
+    let SandboxlessRunner;
+    jest.isolateModules(() => {
+      // No sandbox tool works on this machine
+      jest.doMock('child_process', () => ({ ...jest.requireActual('child_process'), spawnSync: () => ({ status: 1 }) }));
+      SandboxlessRunner = require('../src/testing').TestRunner;
+    });
+    jest.dontMock('child_process');
+
+    await expect(new SandboxlessRunner({ workspace_path: root }).run({ 'main.go': 'package main' }))
+      .rejects.toThrow('unshare is not available');
+    const results = await new SandboxlessRunner({ workspace_path: root, allow_network: true }).run({ 'main.go': 'package main' });
+    expect(results.sandbox).toEqual({ network: 'allowed', limits: false });
+  });
+});
+
+describe('LocalTransport', () => {
+  test('runs the test runner locally and delegates other agents', async () => {
+    const transport = new LocalTransport({}, {
+      fallback: new MockTransport({}, { delayMs: 0 }),
+      testRunner: { timeout_ms: 60000 }
+    });
+
+    const { test_results: results } = await transport.execute('test_runner', 'test_module', { code_path: NODE_PROJECT });
+    expect(results).toMatchObject({ total: 3, failures: 1 });
+
+    expect(await transport.execute('code_generator', 'generate_module', {})).toHaveProperty('generated_code');
+    expect((await transport.getAgentCard('test_runner')).skills).toEqual([{ id: 'test_module', name: 'test_module' }]);
+    await expect(transport.execute('test_runner', 'test_module', {})).rejects.toThrow('requires a code_path');
+  });
+});
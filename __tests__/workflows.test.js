@@ -0,0 +1,65 @@
+const defaultConfig = require('../config/default.json');
+const {
+  loadWorkflows,
+  normalizeWorkflow,
+  validateWorkflow,
+  resolveTemplate,
+  evaluateCondition
+} = require('../src/core/workflows');
+
+describe('resolveTemplate', () => {
+  test('keeps raw values for whole placeholders and interpolates the rest', () => {
+    const context = { scope: { name: 'todo' }, user_prompt: 'Build it' };
+
+    expect(resolveTemplate({ scope: '{{scope}}', text: 'Prompt: {{user_prompt}} ({{scope.name}})' }, context)).toEqual({
+      scope: { name: 'todo' },
+      text: 'Prompt: Build it (todo)'
+    });
+  });
+});
+
+describe('evaluateCondition', () => {
+  test('runs when any condition holds and treats empty lists as false', () => {
+    expect(evaluateCondition(['{{failures}}', '{{issues}}'], { failures: 0, issues: [] })).toBe(false);
+    expect(evaluateCondition(['{{failures}}', '{{issues}}'], { failures: 0, issues: [{}] })).toBe(true);
+    expect(evaluateCondition(undefined, {})).toBe(true);
+  });
+});
+
+describe('validateWorkflow', () => {
+  test('reports unknown agents, missing references and cycles', () => {
+    const workflow = normalizeWorkflow('broken', {
+      steps: [
+        { name: 'plan', agent: 'pm', action: 'create_task_plan', inputs: { scope: '{{scope_definition}}' }, depends_on: ['build'] },
+        { name: 'build', agent: 'builder', action: 'build', inputs: { plan: '{{task_plan}}' }, outputs: { artifact: 'out/' }, depends_on: ['plan'] }
+      ]
+    });
+
+    expect(validateWorkflow(workflow, { pm: {} })).toEqual([
+      'Step "build" uses unknown agent "builder"',
+      'Dependency cycle: plan -> build -> plan',
+      'Step "plan" references "{{scope_definition}}", which no step produces',
+      'Step "build" references "{{task_plan}}", which no step produces'
+    ]);
+  });
+});
+
+describe('loadWorkflows', () => {
+  test('loads the full_cycle workflow from config/default.json', () => {
+    const { workflows, errors } = loadWorkflows({
+      definitions: defaultConfig.workflows,
+      agents: defaultConfig.agents
+    });
+
+    expect(errors).toEqual({});
+    expect(workflows.full_cycle.steps.map(step => step.name)).toEqual([
+      'analyze_requirements',
+      'decompose_tasks',
+      'generate_code',
+      'run_tests',
+      'lint_code',
+      'analyze_errors',
+      'refine_code'
+    ]);
+  });
+});
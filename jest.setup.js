@@ -0,0 +1,2 @@
+// Keep test runs from writing to the project's log files
+require('./src/utils').logger.silent = true;
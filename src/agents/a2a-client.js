@@ -0,0 +1,502 @@
+/**
+ * A2A Client
+ * 
+ * JSON-RPC 2.0 client for talking to a single remote agent over the A2A protocol
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger, timeUtils, abortUtils } = require('../utils');
+
+// Task states after which an A2A task will not change anymore
+const TERMINAL_STATES = ['completed', 'failed', 'canceled'];
+
+/**
+ * Error raised when an agent answers with a JSON-RPC error or a failed task
+ */
+class A2AError extends Error {
+  /**
+   * Create a new A2A error
+   * @param {string} message - Error message
+   * @param {Object} details - Additional details (code, data, state)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'A2AError';
+    this.code = details.code;
+    this.data = details.data;
+    this.state = details.state;
+  }
+}
+
+class A2AClient {
+  /**
+   * Initialize the client for one agent
+   * @param {string} agentName - Name of the agent in the configuration
+   * @param {Object} agentConfig - Agent configuration (agent_card_url, auth_type, token_env, timeout_ms, use_sse)
+   * @param {Object} options - Additional options (pollIntervalMs)
+   */
+  constructor(agentName, agentConfig, options = {}) {
+    this.agentName = agentName;
+    this.config = agentConfig || {};
+    this.timeoutMs = this.config.timeout_ms || 30000;
+    this.pollIntervalMs = this.config.poll_interval_ms || options.pollIntervalMs || 1000;
+    this.useSse = Boolean(this.config.use_sse);
+    this.card = null;
+  }
+
+  /**
+   * Build the authentication headers for the configured auth type
+   * @returns {Object} HTTP headers
+   */
+  getAuthHeaders() {
+    const authType = this.config.auth_type || 'None';
+    if (authType === 'None') {
+      return {};
+    }
+
+    const token = this.config.token_env ? process.env[this.config.token_env] : null;
+    if (!token) {
+      logger.warn(`No token found in ${this.config.token_env} for agent ${this.agentName}`);
+      return {};
+    }
+
+    if (authType === 'ApiKey') {
+      return { [this.config.header_name || 'X-API-Key']: token };
+    }
+
+    return { Authorization: `${authType} ${token}` };
+  }
+
+  /**
+   * Fetch the agent card from the configured agent_card_url
+   * @param {boolean} refresh - Fetch again even if the card is already known
+   * @returns {Promise<Object>} Agent card
+   */
+  async getAgentCard(refresh = false) {
+    if (this.card && !refresh) {
+      return this.card;
+    }
+
+    if (!this.config.agent_card_url) {
+      throw new Error(`Agent ${this.agentName} has no agent_card_url configured`);
+    }
+
+    const response = await axios.get(this.config.agent_card_url, {
+      headers: this.getAuthHeaders(),
+      timeout: this.timeoutMs
+    });
+
+    this.card = response.data;
+    return this.card;
+  }
+
+  /**
+   * Resolve the JSON-RPC endpoint of the agent from its card
+   * @returns {Promise<string>} Endpoint URL
+   */
+  async getEndpoint() {
+    const card = await this.getAgentCard();
+    if (card.url || card.base_url) {
+      return card.url || card.base_url;
+    }
+
+    // Fall back to the origin serving the agent card
+    return new URL(this.config.agent_card_url).origin;
+  }
+
+  /**
+   * Send a JSON-RPC 2.0 request to the agent
+   * @param {string} method - JSON-RPC method (e.g. tasks/send)
+   * @param {Object} params - Method parameters
+   * @param {AbortSignal} signal - Optional signal that aborts the request
+   * @returns {Promise<Object>} JSON-RPC result
+   */
+  async call(method, params, signal) {
+    const endpoint = await this.getEndpoint();
+    const response = await axios.post(endpoint, {
+      jsonrpc: '2.0',
+      id: uuidv4(),
+      method,
+      params
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders()
+      },
+      timeout: this.timeoutMs,
+      signal
+    });
+
+    const body = response.data || {};
+    if (body.error) {
+      throw new A2AError(`Agent ${this.agentName} returned error for ${method}: ${body.error.message}`, {
+        code: body.error.code,
+        data: body.error.data
+      });
+    }
+
+    return body.result;
+  }
+
+  /**
+   * Send a task to the agent
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {AbortSignal} signal - Optional signal that aborts the request
+   * @returns {Promise<Object>} A2A task as returned by the agent
+   */
+  async sendTask(action, inputs, signal) {
+    return this.call('tasks/send', buildTaskParams(action, inputs), signal);
+  }
+
+  /**
+   * Send a task with tasks/sendSubscribe and follow its Server-Sent Events
+   * until the agent marks an update as final. If the stream ends before the
+   * task does, the task is polled instead.
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Signal that cancels the task
+   * @param {Function} options.onProgress - Called with {state, message} when the task status changes
+   * @returns {Promise<Object>} Completed A2A task
+   */
+  async streamTask(action, inputs, options = {}) {
+    const { signal, onProgress } = options;
+    const params = buildTaskParams(action, inputs);
+    const task = { id: params.id, status: { state: 'submitted' }, artifacts: [] };
+    const reportProgress = createProgressReporter(onProgress);
+
+    try {
+      const response = await axios.post(await this.getEndpoint(), {
+        jsonrpc: '2.0',
+        id: uuidv4(),
+        method: 'tasks/sendSubscribe',
+        params
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...this.getAuthHeaders()
+        },
+        responseType: 'stream',
+        timeout: this.timeoutMs,
+        signal
+      });
+
+      let buffer = '';
+      let final = false;
+
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const { events, rest } = parseSseEvents(buffer);
+        buffer = rest;
+
+        for (const body of events) {
+          if (body.error) {
+            throw new A2AError(`Agent ${this.agentName} returned error for tasks/sendSubscribe: ${body.error.message}`, {
+              code: body.error.code,
+              data: body.error.data
+            });
+          }
+
+          // TaskStatusUpdateEvent or TaskArtifactUpdateEvent
+          const update = body.result || {};
+          if (update.status) {
+            task.status = update.status;
+            reportProgress(task);
+          }
+          if (update.artifact) {
+            task.artifacts.push(update.artifact);
+          }
+          if (update.final || TERMINAL_STATES.includes(getState(task))) {
+            final = true;
+            break;
+          }
+        }
+
+        if (final) {
+          break;
+        }
+      }
+
+      return await this.waitForTask(task, action, { signal, onProgress: reportProgress });
+    } catch (error) {
+      // Aborting the request can also surface as a reset of the stream
+      if (abortUtils.isAbortError(error) || (signal && signal.aborted)) {
+        await this.cancelRemoteTask(task);
+        throw abortUtils.isAbortError(error) ? error : abortUtils.createAbortError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current state of a task
+   * @param {string} taskId - ID of the A2A task
+   * @param {AbortSignal} signal - Optional signal that aborts the request
+   * @returns {Promise<Object>} A2A task
+   */
+  async getTask(taskId, signal) {
+    return this.call('tasks/get', { id: taskId }, signal);
+  }
+
+  /**
+   * Ask the agent to cancel a task
+   * @param {string} taskId - ID of the A2A task
+   * @returns {Promise<Object>} A2A task
+   */
+  async cancelTask(taskId) {
+    return this.call('tasks/cancel', { id: taskId });
+  }
+
+  /**
+   * Cancel a remote task that has not reached a terminal state yet
+   * @param {Object} task - Last known state of the A2A task
+   */
+  async cancelRemoteTask(task) {
+    if (TERMINAL_STATES.includes(getState(task))) {
+      return;
+    }
+
+    try {
+      await this.cancelTask(task.id);
+    } catch (cancelError) {
+      logger.warn(`Failed to cancel task ${task.id} on agent ${this.agentName}: ${cancelError.message}`);
+    }
+  }
+
+  /**
+   * Send a task and wait until it reaches a terminal state, streaming its
+   * updates when use_sse is configured and polling otherwise. When the signal
+   * is aborted the remote task is cancelled with tasks/cancel.
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Signal that cancels the task
+   * @param {Function} options.onProgress - Called with {state, message} when the task status changes
+   * @returns {Promise<Object>} Completed A2A task
+   */
+  async runTask(action, inputs, options = {}) {
+    const { signal, onProgress } = options;
+    abortUtils.throwIfAborted(signal);
+
+    if (this.useSse) {
+      return this.streamTask(action, inputs, options);
+    }
+
+    const task = await this.sendTask(action, inputs, signal);
+
+    try {
+      return await this.waitForTask(task, action, { signal, onProgress: createProgressReporter(onProgress) });
+    } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        await this.cancelRemoteTask(task);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Poll a task until it reaches a terminal state
+   * @param {Object} task - A2A task returned by tasks/send
+   * @param {string} action - Action being executed
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Optional signal that stops polling
+   * @param {Function} options.onProgress - Called with every polled task
+   * @returns {Promise<Object>} Completed A2A task
+   */
+  async waitForTask(task, action, options = {}) {
+    const { signal, onProgress } = options;
+    const deadline = Date.now() + this.timeoutMs;
+
+    if (onProgress) {
+      onProgress(task);
+    }
+
+    while (!TERMINAL_STATES.includes(getState(task))) {
+      if (getState(task) === 'input-required') {
+        throw new A2AError(`Agent ${this.agentName} requires input for ${action}, which is not supported`, {
+          state: 'input-required'
+        });
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error(`Agent ${this.agentName} timed out after ${this.timeoutMs}ms running ${action}`);
+        error.code = 'ETIMEDOUT';
+        throw error;
+      }
+
+      await timeUtils.sleep(this.pollIntervalMs, signal);
+      task = await this.getTask(task.id, signal);
+      if (onProgress) {
+        onProgress(task);
+      }
+    }
+
+    if (getState(task) !== 'completed') {
+      throw new A2AError(`Agent ${this.agentName} ${getState(task)} task ${action}: ${getStatusText(task) || 'no details'}`, {
+        state: getState(task)
+      });
+    }
+
+    return task;
+  }
+}
+
+/**
+ * Get the state of an A2A task
+ * @param {Object} task - A2A task
+ * @returns {string} Task state
+ */
+function getState(task) {
+  return task && task.status ? task.status.state : undefined;
+}
+
+/**
+ * Extract the text of the status message of an A2A task
+ * @param {Object} task - A2A task
+ * @returns {string} Status text
+ */
+function getStatusText(task) {
+  const message = task && task.status && task.status.message;
+  if (!message || !Array.isArray(message.parts)) {
+    return '';
+  }
+
+  return message.parts
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Build the tasks/send parameters for an action
+ * @param {string} action - Action to execute
+ * @param {Object} inputs - Input parameters
+ * @returns {Object} Task parameters
+ */
+function buildTaskParams(action, inputs) {
+  return {
+    id: uuidv4(),
+    message: {
+      role: 'user',
+      parts: [
+        { type: 'data', data: { action, inputs } }
+      ]
+    },
+    metadata: { action }
+  };
+}
+
+/**
+ * Create a callback that reports a task's progress whenever its state or
+ * status message changes
+ * @param {Function} onProgress - Called with {state, message}
+ * @returns {Function} Callback taking an A2A task
+ */
+function createProgressReporter(onProgress) {
+  let last = null;
+
+  return task => {
+    const progress = { state: getState(task), message: getStatusText(task) || null };
+    const key = `${progress.state}:${progress.message}`;
+    if (onProgress && key !== last) {
+      last = key;
+      onProgress(progress);
+    }
+  };
+}
+
+/**
+ * Parse the complete Server-Sent Events in a buffer. Each event's data lines
+ * are joined and parsed as a JSON-RPC response.
+ * @param {string} buffer - Received text
+ * @returns {Object} Parsed events and the incomplete text left over
+ */
+function parseSseEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+
+    if (!data) {
+      continue;
+    }
+
+    try {
+      events.push(JSON.parse(data));
+    } catch (error) {
+      logger.warn(`Skipping malformed SSE event: ${data.slice(0, 80)}`);
+    }
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Normalize the name of a file an agent returned, rejecting names that would
+ * be written outside the output directory
+ * @param {string} name - File name chosen by the agent
+ * @returns {string} Normalized relative path
+ */
+function sanitizeFileName(name) {
+  const normalized = path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^\.\//, '');
+  if (path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized) || normalized.split('/').includes('..')) {
+    throw new A2AError(`Agent returned a file with an unsafe path: ${name}`);
+  }
+  return normalized;
+}
+
+/**
+ * Map the artifacts of a completed A2A task into a step result.
+ *
+ * - `data` parts are merged into the result
+ * - `text` parts are stored under the artifact name
+ * - `file` parts are collected into a `{filename: content}` map under the artifact name;
+ *   files sent by URI and paths outside the output directory are rejected
+ *
+ * @param {Object} task - Completed A2A task
+ * @returns {Object} Step result
+ */
+function mapArtifacts(task) {
+  const result = {};
+
+  for (const [index, artifact] of (task.artifacts || []).entries()) {
+    const name = artifact.name || `artifact_${index}`;
+
+    for (const part of artifact.parts || []) {
+      if (part.type === 'data') {
+        Object.assign(result, part.data);
+      } else if (part.type === 'text') {
+        result[name] = result[name] ? `${result[name]}\n${part.text}` : part.text;
+      } else if (part.type === 'file' && part.file) {
+        const files = result[name] && typeof result[name] === 'object' ? result[name] : {};
+        const fileName = sanitizeFileName(part.file.name || `file_${Object.keys(files).length}`);
+        if (part.file.bytes === undefined) {
+          // Fetching would let a remote agent make us download from any URL
+          throw new A2AError(`Artifact ${name} references file ${fileName} by URI, which is not supported`);
+        }
+        files[fileName] = Buffer.from(part.file.bytes, 'base64').toString('utf8');
+        result[name] = files;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  A2AClient,
+  A2AError,
+  TERMINAL_STATES,
+  mapArtifacts,
+  parseSseEvents
+};
@@ -0,0 +1,208 @@
+/**
+ * Agent Registry
+ * 
+ * Discovers agent cards, caches them under .happiness/ and answers which
+ * actions each configured agent supports
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { logger, fileUtils } = require('../utils');
+
+class AgentRegistry {
+  /**
+   * Initialize the registry
+   * @param {Object} agentConfig - Configuration for agent connections
+   * @param {Object} options - Additional options
+   * @param {Object} options.transport - Transport used to fetch agent cards
+   * @param {string} options.cacheDir - Directory where agent cards are cached
+   */
+  constructor(agentConfig, options = {}) {
+    this.agents = agentConfig || {};
+    this.transport = options.transport;
+    this.cacheDir = options.cacheDir || path.join('.happiness', 'agents');
+    this.entries = new Map();
+  }
+
+  /**
+   * Fetch the agent card of every configured agent and cache it
+   * @param {Array<string>} agentNames - Agents to discover (defaults to all configured agents)
+   * @returns {Promise<Object>} Discovered entries and per-agent errors
+   */
+  async discover(agentNames = Object.keys(this.agents)) {
+    const discovered = [];
+    const errors = [];
+
+    for (const agentName of agentNames) {
+      try {
+        discovered.push(await this.discoverAgent(agentName));
+      } catch (error) {
+        logger.error(`Agent discovery failed for ${agentName}`, error);
+        errors.push({ agent: agentName, message: error.message });
+      }
+    }
+
+    return { agents: discovered, errors };
+  }
+
+  /**
+   * Fetch, record and cache the card of a single agent
+   * @param {string} agentName - Name of the agent
+   * @returns {Promise<Object>} Registry entry
+   */
+  async discoverAgent(agentName) {
+    if (!this.agents[agentName]) {
+      throw new Error(`Agent "${agentName}" is not configured`);
+    }
+
+    const card = await this.transport.getAgentCard(agentName, true);
+    const entry = {
+      ...describeCard(card),
+      agent: agentName,
+      transport: this.transport.name,
+      card_url: this.agents[agentName].agent_card_url || null,
+      discovered_at: new Date().toISOString(),
+      card
+    };
+
+    this.entries.set(agentName, entry);
+    fileUtils.writeJSON(path.join(this.cacheDir, `${agentName}.json`), entry);
+
+    return entry;
+  }
+
+  /**
+   * Load cached agent cards discovered with the current transport
+   */
+  loadCache() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return;
+    }
+
+    for (const file of fs.readdirSync(this.cacheDir).filter(name => name.endsWith('.json'))) {
+      try {
+        const entry = fileUtils.readJSON(path.join(this.cacheDir, file));
+        if (entry && entry.transport === this.transport.name && this.agents[entry.agent]) {
+          this.entries.set(entry.agent, entry);
+        }
+      } catch (error) {
+        logger.warn(`Ignoring unreadable agent card cache ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the registry entry of an agent
+   * @param {string} agentName - Name of the agent
+   * @returns {Object|undefined} Registry entry
+   */
+  get(agentName) {
+    return this.entries.get(agentName);
+  }
+
+  /**
+   * Check whether an agent advertises a skill for an action
+   * @param {string} agentName - Name of the agent
+   * @param {string} action - Action name
+   * @returns {boolean} Whether the action is supported
+   */
+  supports(agentName, action) {
+    const entry = this.entries.get(agentName);
+    return Boolean(entry && entry.skills.includes(action));
+  }
+
+  /**
+   * Check that every step of a workflow targets a configured agent that
+   * supports the step action. Agents missing from the cache are discovered.
+   * @param {Object} workflow - Workflow definition
+   * @returns {Promise<Array<string>>} Problems found (empty when the workflow is supported)
+   */
+  async checkWorkflow(workflow) {
+    const problems = [];
+    const unreachable = new Map();
+
+    if (this.entries.size === 0) {
+      this.loadCache();
+    }
+
+    for (const step of workflow.steps) {
+      if (!this.agents[step.agent]) {
+        problems.push(`Step "${step.name}" uses unknown agent "${step.agent}"`);
+        continue;
+      }
+
+      if (!this.entries.has(step.agent) && !unreachable.has(step.agent)) {
+        try {
+          await this.discoverAgent(step.agent);
+        } catch (error) {
+          unreachable.set(step.agent, error.message);
+        }
+      }
+
+      if (unreachable.has(step.agent)) {
+        problems.push(`Step "${step.name}": could not discover agent "${step.agent}" (${unreachable.get(step.agent)})`);
+        continue;
+      }
+
+      const entry = this.entries.get(step.agent);
+      if (!this.supports(step.agent, step.action)) {
+        problems.push(`Step "${step.name}": agent "${step.agent}" does not support action "${step.action}" (skills: ${entry.skills.join(', ') || 'none'})`);
+      }
+
+      const authType = this.agents[step.agent].auth_type;
+      if (authType && entry.auth_schemes.length > 0 && !entry.auth_schemes.includes(authType) && !entry.auth_schemes.includes('None')) {
+        problems.push(`Step "${step.name}": agent "${step.agent}" expects ${entry.auth_schemes.join('/')} auth but ${authType} is configured`);
+      }
+    }
+
+    return [...new Set(problems)];
+  }
+
+  /**
+   * Throw if any step of a workflow is not supported by its agent
+   * @param {string} workflowName - Name of the workflow
+   * @param {Object} workflow - Workflow definition
+   */
+  async assertWorkflowSupported(workflowName, workflow) {
+    const problems = await this.checkWorkflow(workflow);
+    if (problems.length > 0) {
+      throw new Error(`Workflow "${workflowName}" cannot run:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+}
+
+/**
+ * Summarize an agent card. Both A2A cards (skills, defaultInputModes) and
+ * cards following agent-card.schema.json (capabilities, authentication.type)
+ * are understood.
+ * @param {Object} card - Agent card
+ * @returns {Object} Skills, input/output modes and auth schemes
+ */
+function describeCard(card) {
+  const skills = (card.skills || card.capabilities || [])
+    .map(skill => skill.id || skill.name)
+    .filter(Boolean);
+
+  const collectModes = (defaults, key) => {
+    const modes = new Set(card[defaults] || []);
+    (card.skills || []).forEach(skill => (skill[key] || []).forEach(mode => modes.add(mode)));
+    return Array.from(modes);
+  };
+
+  const auth = card.authentication || {};
+  const authSchemes = auth.schemes || (auth.type ? [auth.type] : []);
+
+  return {
+    name: card.name,
+    version: card.version,
+    skills,
+    input_modes: collectModes('defaultInputModes', 'inputModes'),
+    output_modes: collectModes('defaultOutputModes', 'outputModes'),
+    auth_schemes: authSchemes
+  };
+}
+
+module.exports = {
+  AgentRegistry,
+  describeCard
+};
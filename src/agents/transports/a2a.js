@@ -0,0 +1,62 @@
+/**
+ * A2A Transport
+ * 
+ * Executes workflow steps on remote agents using A2A JSON-RPC requests
+ */
+
+const { A2AClient, mapArtifacts } = require('../a2a-client');
+
+class A2ATransport {
+  /**
+   * Initialize the A2A transport
+   * @param {Object} agentConfig - Configuration for agent connections
+   * @param {Object} options - Additional options passed to every client
+   */
+  constructor(agentConfig, options = {}) {
+    this.name = 'a2a';
+    this.agents = agentConfig || {};
+    this.options = options;
+    this.clients = new Map();
+  }
+
+  /**
+   * Get (or create) the client for an agent
+   * @param {string} agentName - Name of the agent
+   * @returns {A2AClient} Client for the agent
+   */
+  getClient(agentName) {
+    if (!this.clients.has(agentName)) {
+      if (!this.agents[agentName]) {
+        throw new Error(`Agent "${agentName}" is not configured`);
+      }
+      this.clients.set(agentName, new A2AClient(agentName, this.agents[agentName], this.options));
+    }
+
+    return this.clients.get(agentName);
+  }
+
+  /**
+   * Fetch the agent card of a remote agent
+   * @param {string} agentName - Name of the agent
+   * @param {boolean} refresh - Fetch again even if the card is already known
+   * @returns {Promise<Object>} Agent card
+   */
+  async getAgentCard(agentName, refresh = false) {
+    return this.getClient(agentName).getAgentCard(refresh);
+  }
+
+  /**
+   * Execute an action on a remote agent
+   * @param {string} agentName - Name of the agent to use
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {Object} options - Execution options (signal, onProgress)
+   * @returns {Promise<Object>} Step result mapped from the task artifacts
+   */
+  async execute(agentName, action, inputs, options = {}) {
+    const task = await this.getClient(agentName).runTask(action, inputs, options);
+    return mapArtifacts(task);
+  }
+}
+
+module.exports = { A2ATransport };
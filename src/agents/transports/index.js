@@ -0,0 +1,38 @@
+/**
+ * Agent transports
+ * 
+ * A transport knows how to execute an agent action and return its result
+ */
+
+const { A2ATransport } = require('./a2a');
+const { MockTransport } = require('./mock');
+const { LocalTransport } = require('./local');
+
+const TRANSPORTS = {
+  a2a: A2ATransport,
+  mock: MockTransport,
+  local: LocalTransport
+};
+
+/**
+ * Create a transport by name
+ * @param {string} name - Transport name (a2a, mock, local)
+ * @param {Object} agentConfig - Configuration for agent connections
+ * @param {Object} options - Transport options
+ * @returns {Object} Transport instance
+ */
+function createTransport(name, agentConfig, options = {}) {
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown transport "${name}". Available transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  return new Transport(agentConfig, options);
+}
+
+module.exports = {
+  createTransport,
+  A2ATransport,
+  MockTransport,
+  LocalTransport
+};
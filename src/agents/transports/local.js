@@ -0,0 +1,198 @@
+/**
+ * Local Transport
+ * 
+ * Executes the actions of agents that run in this process, the consultant,
+ * the project manager, the test runner, the linter, the error analyzer and
+ * the refinement of the code generator, and hands every other action to a
+ * fallback transport
+ */
+
+const { TestRunner } = require('../../testing');
+const { CodeLinter } = require('../../linting');
+const { analyzeIssues, readCode } = require('../../analysis');
+const { createCodeGenerator, refineCodeFiles } = require('../../generators');
+const { createScope, createTaskPlan } = require('../../planning');
+
+// Actions of the agents run in this process, keyed by agent name and action
+const LOCAL_AGENTS = {
+  consultant: {
+    analyze_prompt: async (transport, inputs, options) => {
+      if (!inputs.user_prompt) {
+        throw new Error('consultant:analyze_prompt requires a user_prompt input');
+      }
+
+      // A spec of the clarification phase holds the answers folded into the prompt
+      const spec = inputs.spec || {};
+      const prompt = spec.enriched_prompt || inputs.user_prompt;
+
+      // The entities come from the code generator, which asks its model when configured to
+      const analysis = await transport.codeGenerator.analyzePrompt(prompt, { signal: options.signal });
+      return {
+        scope_definition: createScope(prompt, {
+          analysis,
+          language: inputs.language || spec.language,
+          framework: inputs.framework || spec.framework,
+          answers: spec.answers
+        })
+      };
+    }
+  },
+  pm: {
+    create_task_plan: async (transport, inputs) => {
+      if (!inputs.scope_definition) {
+        throw new Error('pm:create_task_plan requires a scope_definition input');
+      }
+
+      return { task_plan: createTaskPlan(inputs.scope_definition) };
+    }
+  },
+  test_runner: {
+    test_module: async (transport, inputs, options) => {
+      if (!inputs.code_path) {
+        throw new Error('test_runner:test_module requires a code_path input');
+      }
+
+      const testResults = await transport.testRunner.run(inputs.code_path, {
+        signal: options.signal,
+        onProgress: ({ message }) => {
+          if (options.onProgress) {
+            options.onProgress({ state: 'working', message });
+          }
+        }
+      });
+      return { test_results: testResults };
+    }
+  },
+  linter: {
+    lint_code: async (transport, inputs, options) => {
+      if (!inputs.code_path) {
+        throw new Error('linter:lint_code requires a code_path input');
+      }
+
+      return { lint_results: await transport.linter.lint(inputs.code_path, { signal: options.signal }) };
+    }
+  },
+  code_generator: {
+    refine_code: async (transport, inputs, options) => {
+      if (!inputs.code_path) {
+        throw new Error('code_generator:refine_code requires a code_path input');
+      }
+      if (!inputs.error_analysis) {
+        throw new Error('code_generator:refine_code requires an error_analysis input');
+      }
+
+      const code = readCode(inputs.code_path);
+      if (Object.keys(code).length === 0) {
+        throw new Error(`No generated code found at ${inputs.code_path}`);
+      }
+
+      const { files, diffs } = await refineCodeFiles(code, inputs.error_analysis, {
+        generator: transport.codeGenerator,
+        prompt: inputs.user_prompt,
+        signal: options.signal
+      });
+      return {
+        refined_code: files,
+        // One diff per changed file, named after it
+        diffs: Object.fromEntries(Object.entries(diffs).map(([file, diff]) => [`${file}.diff`, diff]))
+      };
+    }
+  },
+  error_analyzer: {
+    analyze_issues: async (transport, inputs) => ({
+      error_analysis: analyzeIssues({
+        code: readCode(inputs.code_path),
+        validation: inputs.validation,
+        lint_results: inputs.lint_results,
+        test_results: inputs.test_results
+      })
+    })
+  }
+};
+
+// Local agents whose other actions are executed by the fallback transport
+const PARTIAL_AGENTS = ['code_generator'];
+
+class LocalTransport {
+  /**
+   * Initialize the local transport
+   * @param {Object} agentConfig - Configuration for agent connections
+   * @param {Object} options - Additional options
+   * @param {string|Object} options.fallback - Transport name or instance for the other agents (default a2a)
+   * @param {Object} options.testRunner - test_runner configuration (see test_runner in config/default.json)
+   * @param {Object} options.linter - linter configuration (see linter in config/default.json)
+   * @param {Object} options.codeGenerator - code_generator configuration of the provider that analyzes prompts and refines code
+   */
+  constructor(agentConfig, options = {}) {
+    this.name = 'local';
+    this.agents = agentConfig || {};
+    this.testRunner = new TestRunner(options.testRunner);
+    this.linter = new CodeLinter(options.linter);
+    this.codeGenerator = createCodeGenerator(options.codeGenerator);
+
+    if (typeof options.fallback === 'object' && options.fallback !== null) {
+      this.fallback = options.fallback;
+    } else if (options.fallback === 'local') {
+      throw new Error('The local transport cannot fall back to itself');
+    } else {
+      // Required here because the transport index requires this module
+      const { createTransport } = require('./index');
+      this.fallback = createTransport(options.fallback || 'a2a', agentConfig, options);
+    }
+  }
+
+  /**
+   * Get the agent card of an agent. A partly local agent has the card of its
+   * fallback, with the local actions added to its skills.
+   * @param {string} agentName - Name of the agent
+   * @param {boolean} refresh - Fetch again even if the card is already known
+   * @returns {Promise<Object>} Agent card
+   */
+  async getAgentCard(agentName, refresh = false) {
+    const actions = LOCAL_AGENTS[agentName];
+    if (!actions) {
+      return this.fallback.getAgentCard(agentName, refresh);
+    }
+
+    if (PARTIAL_AGENTS.includes(agentName)) {
+      const card = await this.fallback.getAgentCard(agentName, refresh);
+      const skills = card.skills || [];
+      const local = Object.keys(actions)
+        .filter(action => !skills.some(skill => skill.id === action))
+        .map(action => ({ id: action, name: action }));
+      return { ...card, skills: [...skills, ...local] };
+    }
+
+    return {
+      name: agentName,
+      description: `Local ${agentName} agent`,
+      authentication: { schemes: ['None'] },
+      defaultInputModes: ['data'],
+      defaultOutputModes: ['data'],
+      skills: Object.keys(actions).map(action => ({ id: action, name: action }))
+    };
+  }
+
+  /**
+   * Execute an action, in this process if the agent runs locally
+   * @param {string} agentName - Name of the agent to use
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {Object} options - Execution options (signal, onProgress)
+   * @returns {Promise<Object>} Step result
+   */
+  async execute(agentName, action, inputs, options = {}) {
+    const actions = LOCAL_AGENTS[agentName];
+    if (!actions || (!actions[action] && PARTIAL_AGENTS.includes(agentName))) {
+      return this.fallback.execute(agentName, action, inputs, options);
+    }
+
+    if (!actions[action]) {
+      throw new Error(`Unknown agent action: ${agentName}:${action}`);
+    }
+
+    return actions[action](this, inputs, options);
+  }
+}
+
+module.exports = { LocalTransport };
@@ -0,0 +1,158 @@
+/**
+ * Mock Transport
+ * 
+ * Returns canned agent responses, useful for demos and offline development
+ */
+
+const { timeUtils } = require('../../utils');
+
+// Canned responses keyed by agent name and action
+const MOCK_RESPONSES = {
+  consultant: {
+    analyze_prompt: () => ({
+      scope_definition: {
+        name: 'Sample Module',
+        summary: 'A sample module',
+        language: 'javascript',
+        framework: null,
+        features: [
+          { id: 'F1', name: 'Feature 1', description: 'Implement feature 1' },
+          { id: 'F2', name: 'Feature 2', description: 'Implement feature 2' }
+        ],
+        non_functional_requirements: [
+          { category: 'testing', description: 'Automated tests cover every feature' }
+        ],
+        assumptions: ['The module is written in JavaScript'],
+        open_questions: []
+      }
+    })
+  },
+  pm: {
+    create_task_plan: () => ({
+      task_plan: {
+        name: 'Sample Module',
+        language: 'javascript',
+        framework: null,
+        tasks: [
+          { id: 'T1', title: 'Task 1', description: 'Implement feature 1', files: ['src/feature1.js'], depends_on: [], features: ['F1'] },
+          { id: 'T2', title: 'Task 2', description: 'Implement feature 2', files: ['src/feature2.js'], depends_on: ['T1'], features: ['F2'] }
+        ]
+      }
+    })
+  },
+  code_generator: {
+    generate_module: () => ({
+      generated_code: 'generated/sample_module'
+    }),
+    refine_code: () => ({
+      refined_code: 'refined/sample_module'
+    })
+  },
+  test_runner: {
+    test_module: () => ({
+      test_results: {
+        total: 5,
+        passed: 4,
+        failures: 1,
+        tests: [
+          { name: 'Test 1', status: 'PASSED' },
+          { name: 'Test 2', status: 'PASSED' },
+          { name: 'Test 3', status: 'FAILED', error: 'Expected 3, got 4' },
+          { name: 'Test 4', status: 'PASSED' },
+          { name: 'Test 5', status: 'PASSED' }
+        ]
+      }
+    })
+  },
+  linter: {
+    lint_code: () => ({
+      lint_results: {
+        issues: [
+          { type: 'warning', location: 'file.js:10', message: 'Unused variable' },
+          { type: 'error', location: 'file.js:15', message: 'Missing semicolon' }
+        ]
+      }
+    })
+  },
+  error_analyzer: {
+    analyze_issues: () => ({
+      error_analysis: {
+        issues: [
+          {
+            type: 'test_failure',
+            location: 'module.js:25',
+            description: 'Incorrect calculation',
+            suggested_fix: 'Change + to *'
+          },
+          {
+            type: 'lint_error',
+            location: 'module.js:15',
+            description: 'Missing semicolon',
+            suggested_fix: 'Add semicolon'
+          }
+        ],
+        summary: 'Minor issues found'
+      }
+    })
+  }
+};
+
+class MockTransport {
+  /**
+   * Initialize the mock transport
+   * @param {Object} agentConfig - Configuration for agent connections (unused)
+   * @param {Object} options - Additional options (delayMs)
+   */
+  constructor(agentConfig, options = {}) {
+    this.name = 'mock';
+    this.agents = agentConfig || {};
+    this.delayMs = options.delayMs !== undefined ? options.delayMs : 1000;
+  }
+
+  /**
+   * Build an agent card describing the canned actions of an agent
+   * @param {string} agentName - Name of the agent
+   * @returns {Promise<Object>} Agent card
+   */
+  async getAgentCard(agentName) {
+    const actions = MOCK_RESPONSES[agentName];
+    if (!actions) {
+      throw new Error(`No mock agent named "${agentName}"`);
+    }
+
+    return {
+      name: agentName,
+      description: `Mock ${agentName} agent`,
+      authentication: { schemes: ['None'] },
+      defaultInputModes: ['data'],
+      defaultOutputModes: ['data'],
+      skills: Object.keys(actions).map(action => ({ id: action, name: action }))
+    };
+  }
+
+  /**
+   * Execute an action by returning a mock response
+   * @param {string} agentName - Name of the agent to use
+   * @param {string} action - Action to execute
+   * @param {Object} inputs - Input parameters
+   * @param {Object} options - Execution options (signal, onProgress)
+   * @returns {Promise<Object>} Mock result
+   */
+  async execute(agentName, action, inputs, options = {}) {
+    // Simulate network delay, reporting progress halfway like a streaming agent
+    await timeUtils.sleep(this.delayMs / 2, options.signal);
+    if (options.onProgress) {
+      options.onProgress({ state: 'working', message: `${agentName} is working on ${action}` });
+    }
+    await timeUtils.sleep(this.delayMs / 2, options.signal);
+
+    const respond = MOCK_RESPONSES[agentName] && MOCK_RESPONSES[agentName][action];
+    if (!respond) {
+      throw new Error(`Unknown agent action: ${agentName}:${action}`);
+    }
+
+    return respond(inputs);
+  }
+}
+
+module.exports = { MockTransport };
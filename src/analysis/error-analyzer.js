@@ -0,0 +1,496 @@
+/**
+ * Error Analyzer
+ * 
+ * Turns the validation, lint and test results of generated code into the
+ * error analysis the refine_code step takes: a list of issues, each
+ * classified, located in the generated tree and shown with its code
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { locateError, isFrameLine } = require('./stack-traces');
+const { PYTHON_DISTRIBUTIONS } = require('../generators/validators');
+
+// Lines of an error message kept in the description of its issue
+const MAX_ERROR_LINES = 5;
+
+// Lines of code shown before and after the line of an issue
+const EXCERPT_CONTEXT = 2;
+
+// Test names listed in the description of a failure shared by several tests
+const MAX_LISTED_TESTS = 3;
+
+// Directories left out when the code is read from disk
+const IGNORED_DIRS = ['node_modules', '.git', '.venv', 'venv', '__pycache__', '.pytest_cache', 'target', 'dist', 'build'];
+
+// Singular labels of the issue types in summaries
+const TYPE_LABELS = {
+  syntax_error: 'syntax error',
+  missing_dependency: 'missing dependency',
+  assertion_failure: 'assertion failure',
+  runtime_error: 'runtime error',
+  lint_error: 'lint error',
+  validation_error: 'validation error'
+};
+
+// Lint rules reporting names used without being defined
+const UNDEFINED_NAME_RULES = ['no-undef', 'F821', 'F822', 'F823'];
+
+/**
+ * Build an issue of an error analysis
+ * @param {string} type - syntax_error, missing_dependency, assertion_failure, runtime_error, lint_error or validation_error
+ * @param {string} location - file:line:column, or the file alone
+ * @param {string} description - What is wrong
+ * @param {string} suggestedFix - How to fix it, empty if unknown
+ * @param {string} source - Check that found it: validation, lint or tests
+ * @param {Object|null} dependency - Package a missing dependency issue is about, as {name, manifest}
+ * @returns {Object} Issue
+ */
+function analysisIssue(type, location, description, suggestedFix, source, dependency = null) {
+  const item = { type, location, description, suggested_fix: suggestedFix || '', source };
+  if (dependency) {
+    item.dependency = dependency;
+  }
+  return item;
+}
+
+/**
+ * Join a file, line and column into a location
+ * @param {string} file - File
+ * @param {number} line - Line, if known
+ * @param {number} column - Column, if known
+ * @returns {string} Location
+ */
+function formatLocation(file, line, column) {
+  return [file, line, column].filter(part => part !== undefined && part !== null && part !== '').join(':');
+}
+
+/**
+ * Find the manifest that declares the dependencies of a file
+ * @param {string} file - Generated file
+ * @param {Object} code - Generated code files
+ * @param {string} manifest - Manifest name (package.json)
+ * @returns {string} Manifest path, the root one if no directory has one
+ */
+function nearestManifest(file, code, manifest) {
+  for (let dir = path.posix.dirname(file || ''); ; dir = path.posix.dirname(dir)) {
+    const candidate = dir === '.' ? manifest : `${dir}/${manifest}`;
+    if (code[candidate] !== undefined || dir === '.') {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Name the npm package of a module specifier
+ * @param {string} specifier - Module specifier (lodash/fp, @scope/pkg/x)
+ * @returns {string} Package name
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Tell whether a Python module is one of the generated files
+ * @param {string} module - Top level module name
+ * @param {Object} code - Generated code files
+ * @returns {boolean} True if a module or package of that name was generated
+ */
+function isLocalPythonModule(module, code) {
+  return Object.keys(code).some(file => file === `${module}.py` || file.endsWith(`/${module}.py`)
+    || file === `${module}/__init__.py` || file.endsWith(`/${module}/__init__.py`));
+}
+
+/**
+ * Find the package a missing dependency issue is about, and the manifest that
+ * should declare it
+ * @param {string} text - Validation message or error output
+ * @param {string} file - Generated file the issue points to
+ * @param {Object} code - Generated code files
+ * @returns {Object|null} Dependency as {name, manifest}, or null
+ */
+function findMissingDependency(text, file, code) {
+  let match;
+  if ((match = text.match(/^Package (\S+) is imported but not declared in (\S+)/m))) {
+    return { name: match[1], manifest: match[2] };
+  }
+  if ((match = text.match(/^Module (\S+) is imported but (?:it is|its distribution (\S+) is) not declared in requirements\.txt/m))) {
+    return { name: match[2] || match[1], manifest: nearestManifest(file, code, 'requirements.txt') };
+  }
+  if ((match = text.match(/^Crate (\S+) is used but not listed in Cargo\.toml/m))) {
+    return { name: match[1], manifest: 'Cargo.toml' };
+  }
+  if ((match = text.match(/Cannot find (?:module|package) '([^'./][^']*)'/))) {
+    return { name: packageName(match[1]), manifest: nearestManifest(file, code, 'package.json') };
+  }
+  if ((match = text.match(/No module named '([^']+)'/))) {
+    const top = match[1].split('.')[0];
+    if (!isLocalPythonModule(top, code)) {
+      return { name: PYTHON_DISTRIBUTIONS[top] || top, manifest: nearestManifest(file, code, 'requirements.txt') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe how to declare a missing dependency
+ * @param {Object} dependency - Dependency as {name, manifest}
+ * @returns {string} Suggested fix
+ */
+function dependencyFix({ name, manifest }) {
+  if (manifest.endsWith('package.json')) {
+    return `Add ${name} to the dependencies of ${manifest}`;
+  }
+  return manifest === 'Cargo.toml' ? `Add ${name} to [dependencies] in Cargo.toml` : `Add ${name} to ${manifest}`;
+}
+
+/**
+ * Suggest how to fix a validation issue from its message
+ * @param {string} type - Issue type
+ * @param {string} message - Validation message
+ * @param {string} location - Issue location
+ * @param {Object|null} dependency - Missing dependency the issue is about
+ * @returns {string} Suggested fix, empty if unknown
+ */
+function suggestValidationFix(type, message, location, dependency) {
+  let match;
+  if (dependency) {
+    return dependencyFix(dependency);
+  }
+  if ((match = message.match(/^Cannot resolve import (.+)$/))) {
+    return `Create the imported module or fix the import path ${match[1]}`;
+  }
+  if ((match = message.match(/^The main file (\S+) of (\S+) was not generated/))) {
+    return `Generate ${match[1]} or point the main field of ${match[2]} at an existing file`;
+  }
+  if (type === 'syntax_error' && location) {
+    return `Fix the syntax at ${location}`;
+  }
+  return '';
+}
+
+/**
+ * Classify a validation issue from its message
+ * @param {string} message - Validation message
+ * @returns {string} Issue type
+ */
+function classifyValidation(message) {
+  if (/^(Syntax error|Invalid (JSON|YAML)):/.test(message)) {
+    return 'syntax_error';
+  }
+  if (/is imported but|^Cannot resolve import|is used but not listed in Cargo\.toml|has no package\.json/.test(message)) {
+    return 'missing_dependency';
+  }
+  return 'validation_error';
+}
+
+/**
+ * Classify a lint issue from its rule and message
+ * @param {Object} item - Lint issue ({rule, message})
+ * @returns {string} Issue type
+ */
+function classifyLint(item) {
+  if (item.rule === 'syntax' || item.rule === 'E999' || /^(Parsing error|SyntaxError)/.test(item.message)) {
+    return 'syntax_error';
+  }
+  if (UNDEFINED_NAME_RULES.includes(item.rule)) {
+    return 'runtime_error';
+  }
+  return 'lint_error';
+}
+
+/**
+ * Classify a test failure from its error output
+ * @param {string} error - Error output of the test
+ * @returns {string} Issue type
+ */
+function classifyFailure(error) {
+  if (/Cannot find module|ERR_MODULE_NOT_FOUND|ModuleNotFoundError|No module named|ImportError|Dependencies could not be installed/.test(error)) {
+    return 'missing_dependency';
+  }
+  if (/SyntaxError|IndentationError|TabError/.test(error)) {
+    return 'syntax_error';
+  }
+  if (/AssertionError|\bexpect\(|^E\s+assert\b|^assert\b/m.test(error)) {
+    return 'assertion_failure';
+  }
+  return 'runtime_error';
+}
+
+/**
+ * Keep the lines of an error that say what went wrong: the message above the
+ * stack trace, the cause the node test runner wraps, the exception a Python
+ * traceback ends with and the explanation pytest marks with E
+ * @param {string} error - Error output of a test
+ * @returns {Array<string>} Message lines
+ */
+function errorLines(error) {
+  const lines = error.split('\n').filter(line => line.trim());
+  const explained = lines.filter(line => /^E\s/.test(line)).map(line => line.replace(/^E\s+/, ''));
+  if (explained.length > 0) {
+    return [lines[0], ...explained.filter(line => line !== lines[0])].slice(0, MAX_ERROR_LINES);
+  }
+
+  const frame = lines.findIndex(isFrameLine);
+  const kept = (frame === -1 ? lines : lines.slice(0, frame)).filter(line => line !== 'Traceback (most recent call last):');
+  const cause = lines.findIndex(line => /^\s*cause: \w+/.test(line));
+  if (cause !== -1) {
+    const end = lines.findIndex((line, index) => index > cause && isFrameLine(line));
+    const message = lines.slice(cause, end === -1 ? undefined : end).map(line => line.trim());
+    message[0] = message[0].replace(/^cause: (\w+)(?: \[\w+\])?/, '$1');
+    return message.slice(0, MAX_ERROR_LINES);
+  }
+  const exception = frame === -1 ? null : lines.slice(frame).reverse().find(line => /^\w+(Error|Exception)\b.*?:/.test(line));
+  if (exception && !kept.includes(exception)) {
+    kept.push(exception);
+  }
+  return kept.slice(0, MAX_ERROR_LINES);
+}
+
+/**
+ * Suggest how to fix a failing test from its error output
+ * @param {string} type - Issue type
+ * @param {string} error - Error output of the test
+ * @param {string} file - Generated file the error points to
+ * @param {Object|null} dependency - Missing dependency the failure is about
+ * @returns {string} Suggested fix, empty if unknown
+ */
+function suggestFailureFix(type, error, file, dependency) {
+  let match;
+  if (type === 'missing_dependency') {
+    if (dependency) {
+      return dependencyFix(dependency);
+    }
+    if ((match = error.match(/Cannot find (?:module|package) '([^']+)'/))) {
+      return `Create ${match[1]} or fix the path it is imported with`;
+    }
+    if ((match = error.match(/No module named '([^']+)'/))) {
+      return `Fix the import of ${match[1]}: the module is generated but not importable from where the tests run`;
+    }
+    if (/Dependencies could not be installed/.test(error)) {
+      return 'Declare only packages and versions that exist, so the dependencies can be installed';
+    }
+    return '';
+  }
+
+  if (type === 'assertion_failure') {
+    // Jest writes Expected and Received, node:assert errors show expected and actual
+    const expected = error.match(/^\s*Expected(?: value)?: (.+)$/m) || error.match(/^\s*expected: (.+?),?$/m);
+    const received = error.match(/^\s*Received(?: value)?: (.+)$/m) || error.match(/^\s*actual: (.+?),?$/m);
+    if (expected && received) {
+      return `The test expected ${expected[1].trim()} but received ${received[1].trim()}; fix the code under test, or the test if its expectation is wrong`;
+    }
+    if ((match = error.match(/^E\s+(?:AssertionError: )?(assert .+)$/m))) {
+      return `Make the code satisfy \`${match[1].trim()}\`, or fix the test if its expectation is wrong`;
+    }
+    return '';
+  }
+
+  if (type === 'syntax_error') {
+    return file ? `Fix the syntax of ${file}` : '';
+  }
+
+  if ((match = error.match(/(?:ReferenceError(?: \[\w+\])?: |NameError: name ')(\w+)'? is not defined/))) {
+    return `Define or import ${match[1]}${file ? ` in ${file}` : ''}`;
+  }
+  if ((match = error.match(/Cannot read propert(?:y|ies) of (?:undefined|null) \(reading '([^']+)'\)/))) {
+    return `Make sure the value is set before reading ${match[1]}${file ? ` in ${file}` : ''}`;
+  }
+  if ((match = error.match(/TypeError: (\S+) is not a function/))) {
+    return `Check that ${match[1]} is a function and is exported and imported under that name`;
+  }
+  if ((match = error.match(/AttributeError: '(\w+)' object has no attribute '(\w+)'/))) {
+    return `${match[1]} objects have no attribute ${match[2]}: use an existing attribute or add it`;
+  }
+  return '';
+}
+
+/**
+ * Show the lines of code around a line, marking the line itself
+ * @param {string} content - File content
+ * @param {number} line - Line of the issue, starting at 1
+ * @returns {string|undefined} Excerpt, or undefined if the line is not in the file
+ */
+function codeExcerpt(content, line) {
+  const lines = String(content).split('\n');
+  if (!line || line > lines.length) {
+    return undefined;
+  }
+
+  const first = Math.max(1, line - EXCERPT_CONTEXT);
+  const last = Math.min(lines.length, line + EXCERPT_CONTEXT);
+  const width = String(last).length;
+  const excerpt = [];
+  for (let number = first; number <= last; number++) {
+    excerpt.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${lines[number - 1]}`.trimEnd());
+  }
+  return excerpt.join('\n');
+}
+
+/**
+ * Analyze the results of checking generated code. Validation issues that
+ * summarize the lint or test results are left out; the lint and test results
+ * themselves are analyzed instead. Test failures are located from their stack
+ * traces, and failures with the same cause and location are reported once.
+ * @param {Object} results - Check results
+ * @param {Object} results.code - Generated code files, to locate and show the issues in
+ * @param {Object} results.validation - Validation results with their issues
+ * @param {Object} results.lint_results - Lint results, if the code was linted
+ * @param {Object} results.test_results - Test results, if the tests ran
+ * @returns {Object} Error analysis as {issues, summary}
+ */
+function analyzeIssues({ code = {}, validation, lint_results: lintResults, test_results: testResults } = {}) {
+  const groups = new Map();
+
+  /**
+   * Add an issue, or count it again if the same issue was already found
+   * @param {Object} item - Issue
+   * @param {string} key - What makes the issue the same as another
+   * @param {string} test - Name of the failing test, for test failures
+   */
+  const add = (item, key, test) => {
+    const group = groups.get(key);
+    if (group) {
+      group.occurrences += 1;
+      if (test) {
+        group.tests.push(test);
+      }
+      return;
+    }
+    groups.set(key, { ...item, occurrences: 1, ...(test ? { tests: [test] } : {}) });
+  };
+
+  for (const item of validation?.issues || []) {
+    if (item.type === 'error' && !item.source) {
+      const type = classifyValidation(item.message);
+      const location = formatLocation(item.file, item.line, item.column);
+      const dependency = type === 'missing_dependency' ? findMissingDependency(item.message, item.file, code) : null;
+      add(
+        analysisIssue(type, location, item.message, suggestValidationFix(type, item.message, location, dependency), 'validation', dependency),
+        `validation|${location}|${item.message}`
+      );
+    }
+  }
+
+  for (const item of lintResults?.issues || []) {
+    if (item.type === 'error') {
+      const type = classifyLint(item);
+      const file = (item.location || '').replace(/(?::\d+)+$/, '');
+      const name = UNDEFINED_NAME_RULES.includes(item.rule) && (item.message.match(/'(\w+)' is not defined|undefined name '(\w+)'/i) || []);
+      const fix = name && (name[1] || name[2]) ? `Define or import ${name[1] || name[2]} in ${file}` : '';
+      const description = item.rule && item.rule !== 'syntax' ? `${item.message} (${item.rule})` : item.message;
+      add(analysisIssue(type, item.location, description, fix, 'lint'), `lint|${item.location}|${description}`);
+    }
+  }
+
+  for (const test of testResults?.tests || []) {
+    if (test.status !== 'FAILED') {
+      continue;
+    }
+
+    const error = test.error || '';
+    const type = classifyFailure(error);
+    const located = locateError(error, code);
+    // Jest names the file a module could not be resolved from
+    const from = !located && error.match(/Cannot find module '[^']+' from '([^']+)'/);
+    const file = located ? located.file : from ? from[1] : test.file || '';
+    const location = located ? formatLocation(located.file, located.line, located.column) : file;
+    const dependency = type === 'missing_dependency' ? findMissingDependency(error, file, code) : null;
+    const lines = errorLines(error);
+    const description = lines.join('\n') || 'Test failed';
+    add(
+      analysisIssue(type, location, description, suggestFailureFix(type, error, file, dependency), 'tests', dependency),
+      `tests|${type}|${location}|${lines[0] || ''}`,
+      test.name
+    );
+  }
+
+  const issues = Array.from(groups.values()).map(item => {
+    const result = { ...item };
+    if (item.tests) {
+      const listed = item.tests.slice(0, MAX_LISTED_TESTS).join(', ');
+      const more = item.tests.length > MAX_LISTED_TESTS ? ` and ${item.tests.length - MAX_LISTED_TESTS} more` : '';
+      result.description = item.tests.length === 1
+        ? `${item.tests[0]}: ${item.description}`
+        : `${item.description}\nFailed in ${item.tests.length} tests: ${listed}${more}`;
+    }
+
+    const [file, line] = (item.location || '').split(':');
+    const excerpt = code[file] !== undefined ? codeExcerpt(code[file], Number(line)) : undefined;
+    if (excerpt) {
+      result.excerpt = excerpt;
+    }
+    return result;
+  });
+
+  return { issues, summary: summarizeIssues(issues) };
+}
+
+/**
+ * Summarize issues by type: "3 issues: 2 syntax errors, 1 missing dependency"
+ * @param {Array<Object>} issues - Issues of an error analysis
+ * @returns {string} Summary
+ */
+function summarizeIssues(issues) {
+  if (issues.length === 0) {
+    return 'No issues found';
+  }
+
+  const counts = {};
+  for (const { type } of issues) {
+    counts[type] = (counts[type] || 0) + 1;
+  }
+
+  const parts = Object.entries(counts).map(([type, count]) => {
+    const label = TYPE_LABELS[type] || type.replace(/_/g, ' ');
+    return `${count} ${count === 1 ? label : label.replace(/y$/, 'ie').concat('s')}`;
+  });
+  return `${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}: ${parts.join(', ')}`;
+}
+
+/**
+ * List the generated files an error analysis points to
+ * @param {Object} errorAnalysis - Error analysis
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<string>} File names, without duplicates
+ */
+function affectedFiles(errorAnalysis, codeFiles) {
+  const files = errorAnalysis.issues.map(item => (item.location || '').replace(/(?::\d+)+$/, ''));
+  return Array.from(new Set(files)).filter(file => codeFiles[file] !== undefined);
+}
+
+/**
+ * Read generated code from a directory, or take it as already read
+ * @param {string|Object} source - Directory of the code, or code files by path
+ * @returns {Object} Code files by relative path, empty if the directory does not exist
+ */
+function readCode(source) {
+  if (!source || typeof source === 'object') {
+    return source || {};
+  }
+  if (!fs.existsSync(source) || !fs.statSync(source).isDirectory()) {
+    return {};
+  }
+
+  const files = {};
+  const read = (dir, prefix) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
+        read(path.join(dir, entry.name), file);
+      } else if (entry.isFile()) {
+        files[file] = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+      }
+    }
+  };
+  read(source, '');
+  return files;
+}
+
+module.exports = {
+  analyzeIssues,
+  affectedFiles,
+  summarizeIssues,
+  readCode
+};
@@ -0,0 +1,18 @@
+/**
+ * Analysis
+ * 
+ * Error analysis of generated code, pointing the refinement at what to fix
+ */
+
+const { analyzeIssues, affectedFiles, summarizeIssues, readCode } = require('./error-analyzer');
+const { findTraceLocations, mapTracePath, locateError } = require('./stack-traces');
+
+module.exports = {
+  analyzeIssues,
+  affectedFiles,
+  summarizeIssues,
+  readCode,
+  findTraceLocations,
+  mapTracePath,
+  locateError
+};
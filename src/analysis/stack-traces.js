@@ -0,0 +1,112 @@
+/**
+ * Stack Traces
+ * 
+ * Finds the file:line locations in Jest/Node stack traces and Python
+ * tracebacks and maps them to the files of a generated tree
+ */
+
+// Locations written by the runtimes and test runners, each with the group of
+// its path, line and column
+const TRACE_PATTERNS = [
+  // Node frames: "at fn (/tmp/ws/src/app.js:12:5)" or "at /tmp/ws/src/app.js:12:5"
+  { pattern: /^\s*at (?:.*?\()?((?:file:\/\/)?[^\s()]+?):(\d+):(\d+)\)?\s*$/gm, language: 'js' },
+  // Babel syntax errors reported by Jest: "SyntaxError: /tmp/ws/src/app.js: Unexpected token (3:5)"
+  { pattern: /SyntaxError: ([^\s:]+\.[cm]?[jt]sx?): .*?\((\d+):(\d+)\)/g, language: 'js' },
+  // Node syntax errors: the file and line alone, above the code and its caret
+  { pattern: /^((?:\/|[A-Za-z]:[\\/])[^\s:]+\.[cm]?[jt]sx?):(\d+)$/gm, language: 'js' },
+  // Python tracebacks: 'File "/tmp/ws/app/main.py", line 12, in create'
+  { pattern: /File "([^"]+\.py)", line (\d+)/g, language: 'python' },
+  // pytest short locations: "tests/test_app.py:12: AssertionError"
+  { pattern: /^([^\s:][^\s:]*\.py):(\d+):/gm, language: 'python' }
+];
+
+// Frames of code that was not generated
+const EXTERNAL_PATH = /(^|\/)(node_modules|site-packages|dist-packages)\/|^node:|^internal\//;
+
+/**
+ * Find the locations a stack trace or traceback goes through, in the order
+ * they are written
+ * @param {string} text - Error output
+ * @returns {Array<Object>} Locations as {path, line, column, language}
+ */
+function findTraceLocations(text) {
+  const locations = [];
+  for (const { pattern, language } of TRACE_PATTERNS) {
+    for (const match of String(text || '').matchAll(pattern)) {
+      // Paired with its offset: each pattern runs over the whole text in turn
+      locations.push([match.index, {
+        path: match[1].replace(/^file:\/\//, '').replace(/\\/g, '/'),
+        line: Number(match[2]),
+        column: match[3] ? Number(match[3]) : undefined,
+        language
+      }]);
+    }
+  }
+  return locations
+    .sort(([a], [b]) => a - b)
+    .map(([, location]) => location);
+}
+
+/**
+ * Map a path of a stack trace to a generated file. Absolute paths point into
+ * the workspace the code ran in, so the longest generated file they end with
+ * is taken; relative paths may be relative to a project in a subdirectory.
+ * @param {string} tracePath - Path written in the trace
+ * @param {Object} codeFiles - Generated code files
+ * @returns {string|null} Generated file, or null if the path is outside the tree
+ */
+function mapTracePath(tracePath, codeFiles) {
+  const normalized = tracePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (EXTERNAL_PATH.test(normalized)) {
+    return null;
+  }
+  if (codeFiles[normalized] !== undefined) {
+    return normalized;
+  }
+
+  const files = Object.keys(codeFiles);
+  const containing = files
+    .filter(file => normalized.endsWith(`/${file}`))
+    .sort((a, b) => b.length - a.length);
+  if (containing.length > 0) {
+    return containing[0];
+  }
+
+  const nested = files.filter(file => file.endsWith(`/${normalized}`));
+  return nested.length === 1 ? nested[0] : null;
+}
+
+/**
+ * Find where an error happened in the generated tree: the innermost frame of
+ * generated code, which Node writes first and Python writes last
+ * @param {string} text - Error output
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Object|null} Location as {file, line, column}, or null
+ */
+function locateError(text, codeFiles) {
+  const locations = findTraceLocations(text)
+    .map(location => ({ ...location, file: mapTracePath(location.path, codeFiles) }))
+    .filter(location => location.file);
+  if (locations.length === 0) {
+    return null;
+  }
+
+  const { file, line, column } = locations[0].language === 'python' ? locations[locations.length - 1] : locations[0];
+  return { file, line, column };
+}
+
+/**
+ * Tell whether a line of error output is a stack frame
+ * @param {string} line - Line of error output
+ * @returns {boolean} True for frames
+ */
+function isFrameLine(line) {
+  return /^\s*at .+(:\d+:\d+\)?|\(native\)|<anonymous>\)?)\s*\{?$/.test(line) || /^\s*File ".+", line \d+/.test(line);
+}
+
+module.exports = {
+  findTraceLocations,
+  mapTracePath,
+  locateError,
+  isFrameLine
+};
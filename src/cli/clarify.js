@@ -0,0 +1,53 @@
+/**
+ * Prompt clarification
+ * 
+ * The clarification phase of `generate` shared by both CLIs: asks follow-up
+ * questions about the decisions a prompt leaves open, or records what is
+ * assumed instead
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { findClarifications, buildQuestions, createSpec } = require('../planning');
+
+/**
+ * Clarify a prompt before generating code from it. Nobody is asked when
+ * interactive is off or the input is not a terminal.
+ * @param {string} prompt - The user's prompt
+ * @param {Object} options - Clarification options
+ * @param {boolean} options.interactive - Ask the follow-up questions
+ * @param {string} options.language - Language chosen on the command line
+ * @param {string} options.framework - Framework chosen on the command line
+ * @param {Array<string>} options.languages - Languages to offer
+ * @returns {Promise<Object>} Enriched spec, see createSpec
+ */
+async function clarifyPrompt(prompt, options = {}) {
+  const decisions = findClarifications(prompt, options);
+  const interactive = Boolean(options.interactive && process.stdin.isTTY) && decisions.length > 0;
+
+  let answers = {};
+  if (interactive) {
+    console.log(chalk.blue('A few questions before generating:'));
+    answers = await inquirer.prompt(buildQuestions(decisions, options));
+  }
+
+  return createSpec(prompt, { ...options, decisions, answers, interactive });
+}
+
+/**
+ * Print the assumptions of a spec
+ * @param {Object} spec - Enriched spec
+ */
+function printAssumptions(spec) {
+  if (!spec || spec.assumptions.length === 0) {
+    return;
+  }
+
+  console.log(chalk.blue('Assumptions:'));
+  spec.assumptions.forEach(assumption => console.log(`  - ${assumption}`));
+}
+
+module.exports = {
+  clarifyPrompt,
+  printAssumptions
+};
@@ -0,0 +1,191 @@
+/**
+ * Daemon commands
+ * 
+ * `daemon run|start|stop|status` subcommands shared by both CLIs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const { Daemon, DaemonClient } = require('../daemon');
+const { logger, spinner, timeUtils, processUtils, fileUtils } = require('../utils');
+
+/**
+ * Register the daemon subcommands on a CLI program
+ * @param {Command} program - Commander program
+ * @param {Object} options - CLI specific settings
+ * @param {string} options.cliPath - Script the background daemon is started with
+ * @param {string} options.basePath - Base directory of the project state
+ * @param {Object} options.daemonConfig - daemon section of the configuration (workers, port, host)
+ * @param {Function} options.createOrchestrators - Returns the orchestrators by task kind
+ * @param {Function} options.getGlobalArgs - Returns global CLI arguments to pass to the background daemon
+ */
+function registerDaemonCommands(program, options) {
+  const { cliPath, basePath, daemonConfig = {}, createOrchestrators, getGlobalArgs = () => [] } = options;
+  const cliName = program.name();
+
+  const daemonCommand = program
+    .command('daemon')
+    .description('Run tasks in a background process that outlives the terminal');
+
+  daemonCommand
+    .command('run')
+    .description('Run the daemon in the foreground')
+    .option('-w, --workers <count>', 'Number of tasks executed at once', String(daemonConfig.workers || 2))
+    .option('-p, --port <port>', 'Listen on a localhost port instead of a socket', daemonConfig.port ? String(daemonConfig.port) : undefined)
+    .action(async (commandOptions) => {
+      const daemon = new Daemon(createOrchestrators(), {
+        basePath,
+        workers: parseInt(commandOptions.workers, 10),
+        port: commandOptions.port ? parseInt(commandOptions.port, 10) : null,
+        host: daemonConfig.host
+      });
+
+      try {
+        await daemon.start();
+      } catch (error) {
+        logger.error('Daemon start error', error);
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      }
+
+      const shutdown = () => daemon.stop();
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+
+      await daemon.stopped;
+      process.exit(0);
+    });
+
+  daemonCommand
+    .command('start')
+    .description('Start the daemon in the background')
+    .option('-w, --workers <count>', 'Number of tasks executed at once', String(daemonConfig.workers || 2))
+    .option('-p, --port <port>', 'Listen on a localhost port instead of a socket', daemonConfig.port ? String(daemonConfig.port) : undefined)
+    .action(async (commandOptions) => {
+      const existing = await DaemonClient.connect(basePath);
+      if (existing) {
+        console.log(chalk.yellow(`Daemon already running (PID ${existing.state.pid}) on ${existing.address}`));
+        return;
+      }
+
+      const spin = spinner.start('Starting daemon...');
+
+      try {
+        const logPath = path.join(basePath, 'logs', 'daemon.log');
+        fileUtils.ensureDir(path.dirname(logPath));
+        const log = fs.openSync(logPath, 'a');
+
+        const args = [cliPath, ...getGlobalArgs(), 'daemon', 'run', '--workers', commandOptions.workers];
+        if (commandOptions.port) {
+          args.push('--port', commandOptions.port);
+        }
+
+        const child = spawn(process.execPath, args, {
+          detached: true,
+          stdio: ['ignore', log, log],
+          windowsHide: true
+        });
+        child.unref();
+        fs.closeSync(log);
+
+        // Wait until the daemon answers
+        let client = null;
+        const deadline = Date.now() + 10000;
+        while (!client && Date.now() < deadline && processUtils.isAlive(child.pid)) {
+          await timeUtils.sleep(200);
+          client = await DaemonClient.connect(basePath);
+        }
+
+        if (!client) {
+          throw new Error(`Daemon did not start, see ${logPath}`);
+        }
+
+        spin.succeed(`Daemon started (PID ${client.state.pid}) on ${client.address}`);
+      } catch (error) {
+        spin.fail('Failed to start daemon');
+        logger.error('Daemon start error', error);
+        console.error(chalk.red('Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+
+  daemonCommand
+    .command('stop')
+    .description('Stop the daemon once running tasks finish; queued tasks stay queued')
+    .option('-f, --force', 'Cancel running tasks instead of waiting for them')
+    .option('-t, --timeout <seconds>', 'How long to wait for the daemon to exit', '300')
+    .action(async (commandOptions) => {
+      const client = await DaemonClient.connect(basePath);
+      if (!client) {
+        console.log('No daemon running.');
+        return;
+      }
+
+      const spin = spinner.start(`Stopping daemon (PID ${client.state.pid})...`);
+
+      try {
+        await client.stop(Boolean(commandOptions.force));
+
+        // Wait until the daemon exits
+        const deadline = Date.now() + parseInt(commandOptions.timeout, 10) * 1000;
+        while (processUtils.isAlive(client.state.pid) && Date.now() < deadline) {
+          await timeUtils.sleep(200);
+        }
+
+        if (processUtils.isAlive(client.state.pid)) {
+          throw new Error(`Daemon (PID ${client.state.pid}) is still running after ${commandOptions.timeout}s, see ${path.join(basePath, 'logs', 'daemon.log')}`);
+        }
+
+        spin.succeed('Daemon stopped');
+      } catch (error) {
+        spin.fail('Failed to stop daemon');
+        logger.error('Daemon stop error', error);
+        console.error(chalk.red('Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+
+  daemonCommand
+    .command('status')
+    .description('Show whether the daemon is running and what it is working on')
+    .action(async () => {
+      const client = await DaemonClient.connect(basePath);
+      if (!client) {
+        console.log(`No daemon running. Start one with ${chalk.cyan(`${cliName} daemon start`)}`);
+        return;
+      }
+
+      try {
+        const status = await client.getStatus();
+        console.log(chalk.blue('PID:'), status.pid);
+        console.log(chalk.blue('Address:'), client.address);
+        console.log(chalk.blue('Started:'), new Date(status.started_at).toLocaleString());
+        console.log(chalk.blue('Workers:'), status.workers);
+        console.log(chalk.blue('Task kinds:'), status.kinds.join(', '));
+        console.log(chalk.blue('Running:'), status.running.length > 0 ? status.running.join(', ') : 'none');
+        console.log(chalk.blue('Queued:'), status.queued.length > 0 ? status.queued.join(', ') : 'none');
+      } catch (error) {
+        logger.error('Daemon status error', error);
+        console.error(chalk.red('Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+/**
+ * Connect to the daemon, failing with a hint on how to start it
+ * @param {string} basePath - Base directory of the project state
+ * @param {string} cliName - Name of the CLI, used in the hint
+ * @returns {Promise<DaemonClient>} Connected client
+ */
+async function requireDaemon(basePath, cliName) {
+  const client = await DaemonClient.connect(basePath);
+  if (!client) {
+    throw new Error(`No daemon running. Start one with \`${cliName} daemon start\``);
+  }
+  return client;
+}
+
+module.exports = { registerDaemonCommands, requireDaemon };
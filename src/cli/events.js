@@ -0,0 +1,140 @@
+/**
+ * Task event output
+ * 
+ * Formatting of task events for spinners, and the `watch` command shared by both CLIs
+ */
+
+const chalk = require('chalk');
+const { EventLog } = require('../core/events');
+const { logger } = require('../utils');
+
+// Task statuses after which no more events are logged
+const FINAL_STATUSES = ['COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED', 'CANCELLED', 'INTERRUPTED'];
+
+/**
+ * Describe an event in a short line of text
+ * @param {Object} event - Task event
+ * @returns {string} Description
+ */
+function describeEvent(event) {
+  const error = event.error ? `: ${event.error}` : '';
+  const iteration = event.iteration > 1 ? ` (iteration ${event.iteration})` : '';
+
+  switch (event.type) {
+  case 'task.started':
+    return event.resumed ? 'Task resumed' : 'Task started';
+
+  case 'step.started':
+    return `Running step ${event.step}${iteration}`;
+
+  case 'step.progress':
+    return `${event.step}${iteration}: ${event.message || event.state}`;
+
+  case 'step.completed':
+    return `Step ${event.step}${iteration} ${event.status.toLowerCase()}${error}`;
+
+  case 'artifact.written':
+    return `Wrote ${event.path}`;
+
+  case 'task.finished':
+    return `Task ${event.status.toLowerCase().replace(/_/g, ' ')}${error}`;
+
+  default:
+    return event.type;
+  }
+}
+
+/**
+ * Format an event as a timestamped, colored log line
+ * @param {Object} event - Task event
+ * @returns {string} Log line
+ */
+function formatEvent(event) {
+  const failed = ['FAILED', 'COMPLETED_WITH_ERRORS', 'CANCELLED'].includes(event.status);
+  let color = chalk.blue;
+  if (failed) {
+    color = chalk.red;
+  } else if (event.type === 'task.finished') {
+    color = chalk.green;
+  } else if (event.type === 'step.progress') {
+    color = chalk.gray;
+  }
+
+  const time = new Date(event.timestamp).toLocaleTimeString();
+  return `${chalk.gray(time)} ${color(event.type.padEnd(16))} ${describeEvent(event)}`;
+}
+
+/**
+ * Register the `watch` command on a CLI program
+ * @param {Command} program - Commander program
+ * @param {Object} options - CLI specific settings
+ * @param {string} options.basePath - Base directory of the project state
+ * @param {Function} options.getTaskService - Returns the service that owns the tasks
+ */
+function registerWatchCommand(program, options) {
+  const { basePath, getTaskService } = options;
+
+  program
+    .command('watch')
+    .description('Follow the progress events of a task as they happen')
+    .argument('<task-id>', 'Task ID to watch')
+    .action(async (taskId) => {
+      try {
+        const service = await getTaskService();
+        const eventLog = new EventLog(basePath);
+        // Read before the status: a task still active then cannot have finished
+        // in any of the runs logged so far
+        const logged = eventLog.read(taskId);
+        let status = await service.getTaskStatus(taskId);
+        let lastSeq = 0;
+
+        const print = event => {
+          lastSeq = event.seq || lastSeq;
+          console.log(formatEvent(event));
+        };
+
+        if (!FINAL_STATUSES.includes(status.status)) {
+          const controller = new AbortController();
+          const onInterrupt = () => controller.abort();
+          process.once('SIGINT', onInterrupt);
+
+          // A task whose process died never logs task.finished
+          const monitor = setInterval(async () => {
+            try {
+              status = await service.getTaskStatus(taskId);
+              if (FINAL_STATUSES.includes(status.status)) {
+                controller.abort();
+              }
+            } catch (error) {
+              logger.warn(`Failed to check task ${taskId}: ${error.message}`);
+            }
+          }, 2000);
+
+          const finishedAfter = logged.filter(event => event.type === 'task.finished').reduce((seq, event) => Math.max(seq, event.seq || 0), 0);
+          const finished = await eventLog.follow(taskId, print, { signal: controller.signal, finishedAfter });
+          clearInterval(monitor);
+          process.off('SIGINT', onInterrupt);
+
+          if (finished || !FINAL_STATUSES.includes(status.status)) {
+            return;
+          }
+        }
+
+        // Print what was logged before the task ended
+        eventLog.read(taskId)
+          .filter(event => !event.seq || event.seq > lastSeq)
+          .forEach(print);
+
+        if (lastSeq === 0 || status.status === 'INTERRUPTED') {
+          const detail = status.message || status.error;
+          console.log(chalk.yellow(`Task ${status.status.toLowerCase()}${detail ? `: ${detail}` : ''}`));
+        }
+      } catch (error) {
+        logger.error('Watch error', error);
+        console.error(chalk.red('Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { describeEvent, formatEvent, registerWatchCommand };
@@ -8,15 +8,126 @@ const chalk = require('chalk');
 const inquirer = require('inquirer');
 const { v4: uuidv4 } = require('uuid');
 const { OrchestratorClient } = require('../core/orchestrator');
-const { spinner, logger } = require('../utils');
+const { MinimalOrchestratorClient } = require('../core/minimal-orchestrator');
+const { DaemonClient } = require('../daemon');
+const { registerDaemonCommands, requireDaemon } = require('./daemon-commands');
+const { describeEvent, registerWatchCommand } = require('./events');
+const { clarifyPrompt, printAssumptions } = require('./clarify');
+const { spinner, logger, formatUtils, configUtils } = require('../utils');
 
-// Initialize orchestrator client
-const orchestrator = new OrchestratorClient(config.get('agents'));
+const orchestratorConfig = config.has('orchestrator') ? config.get('orchestrator') : {};
+const daemonConfig = config.has('daemon') ? config.get('daemon') : {};
+
+let orchestrator = null;
+
+/**
+ * Get the orchestrator client, creating it on first use so that global
+ * options such as --transport are already parsed
+ * @returns {OrchestratorClient} Orchestrator client
+ */
+function getOrchestrator() {
+  if (!orchestrator) {
+    orchestrator = new OrchestratorClient(config.get('agents'), {
+      workflows: config.has('workflows') ? config.get('workflows') : {},
+      transport: program.opts().transport || orchestratorConfig.transport,
+      maxConcurrency: orchestratorConfig.max_concurrency,
+      retryPolicy: config.has('retry_policy') ? config.get('retry_policy') : undefined,
+      transportOptions: {
+        pollIntervalMs: orchestratorConfig.poll_interval_ms,
+        fallback: orchestratorConfig.fallback_transport,
+        testRunner: config.has('test_runner') ? config.get('test_runner') : undefined,
+        linter: config.has('linter') ? config.get('linter') : undefined,
+        codeGenerator: config.has('code_generator') ? config.get('code_generator') : undefined
+      }
+    });
+  }
+
+  return orchestrator;
+}
+
+/**
+ * Get the service that owns the tasks: the running daemon if there is one,
+ * otherwise a local orchestrator
+ * @returns {Promise<Object>} Object with the orchestrator task methods
+ */
+async function getTaskService() {
+  const client = await DaemonClient.connect();
+  return client ? client.forKind('workflow') : getOrchestrator();
+}
+
+/**
+ * Write the artifacts of a task to a directory
+ * @param {Object} artifacts - Files by path
+ * @param {string} output - Directory the artifacts are written to
+ */
+function saveArtifacts(artifacts, output) {
+  const root = path.resolve(output);
+  for (const [name, content] of Object.entries(artifacts)) {
+    const artifactPath = path.resolve(root, name);
+    if (!artifactPath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write artifact ${name} outside ${output}`);
+    }
+    fs.mkdirSync(path.dirname(artifactPath), { recursive: true });
+    fs.writeFileSync(artifactPath, content);
+  }
+}
+
+/**
+ * Follow a running task until it finishes, then save its artifacts
+ * @param {string} taskId - ID of the task
+ * @param {Object} spin - Spinner showing the progress
+ * @param {string} output - Directory the artifacts are written to
+ */
+async function followTask(taskId, spin, output) {
+  // Cancel the workflow cleanly on Ctrl-C instead of leaving it RUNNING
+  process.once('SIGINT', async () => {
+    spin.text = 'Cancelling...';
+    try {
+      await getOrchestrator().cancelTask(taskId);
+      await getOrchestrator().waitForTask(taskId);
+    } catch (error) {
+      logger.warn(`Failed to cancel task ${taskId}: ${error.message}`);
+    }
+    spin.fail(`Task cancelled (ID: ${taskId})`);
+    process.exit(130);
+  });
+
+  // Show the task events as they happen
+  const onEvent = event => {
+    if (event.task_id === taskId) {
+      spin.text = describeEvent(event);
+    }
+  };
+
+  getOrchestrator().on('event', onEvent);
+  try {
+    await getOrchestrator().waitForTask(taskId);
+  } finally {
+    getOrchestrator().off('event', onEvent);
+  }
+
+  const status = await getOrchestrator().getTaskStatus(taskId);
+
+  if (status.status === 'COMPLETED') {
+    spin.succeed(`Task completed successfully`);
+    
+    // Save the refined code if the workflow refined it
+    saveArtifacts(await getOrchestrator().getTaskArtifacts(taskId), output);
+    
+    console.log(chalk.green(`\nCode generated successfully in ${output}`));
+  } else {
+    spin.fail(`Task ${status.status.toLowerCase()}`);
+    if (status.error) {
+      console.error(chalk.red('Error:'), status.error);
+    }
+  }
+}
 
 program
   .name('happiness')
   .description('Happiness Agent - Fully Automated Development System')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('-t, --transport <name>', 'Agent transport to use (a2a, mock, local)');
 
 // Initialize a new project
 program
@@ -86,6 +197,9 @@ program
   .description('Generate code from a prompt')
   .argument('<prompt>', 'The prompt to generate code from')
   .option('-o, --output <dir>', 'Output directory', './generated')
+  .option('-w, --workflow <name>', 'Workflow to run', 'full_cycle')
+  .option('-d, --detach', 'Queue the task on the daemon and return right away')
+  .option('--no-interactive', 'Record assumptions instead of asking about what the prompt leaves open')
   .action(async (prompt, options) => {
     // Check if in a Happiness project
     if (!fs.existsSync('.happiness')) {
@@ -93,58 +207,63 @@ program
       process.exit(1);
     }
 
-    const spin = spinner.start('Processing prompt...');
-
+    let spin = null;
     try {
+      // Ask about the decisions the prompt leaves open before anything runs
+      const spec = await clarifyPrompt(prompt, { interactive: options.interactive });
+      printAssumptions(spec);
+
+      spin = spinner.start('Processing prompt...');
+
+      if (options.detach) {
+        const client = await requireDaemon('.happiness', 'happiness');
+        const { task_id: taskId, position } = await client.submitWorkflow(options.workflow, {
+          user_prompt: spec.enriched_prompt,
+          spec
+        });
+
+        spin.succeed(position === null ? `Task started (ID: ${taskId})` : `Task queued at position ${position + 1} (ID: ${taskId})`);
+        console.log(`\nFollow progress with ${chalk.cyan(`happiness watch ${taskId}`)}`);
+        return;
+      }
+
       // Start the full workflow
-      const taskId = await orchestrator.startWorkflow('full_cycle', {
-        user_prompt: prompt
+      const taskId = await getOrchestrator().startWorkflow(options.workflow, {
+        user_prompt: spec.enriched_prompt,
+        spec
       });
 
       spin.text = `Task started (ID: ${taskId})`;
-
-      // Poll for status
-      let isDone = false;
-      let status = null;
-
-      while (!isDone) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        status = await orchestrator.getTaskStatus(taskId);
-        spin.text = `Status: ${status.status} (${status.progress || '0'}%)`;
-        
-        if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(status.status)) {
-          isDone = true;
-        }
-      }
-
-      if (status.status === 'COMPLETED') {
-        spin.succeed(`Task completed successfully`);
-        
-        // Get artifacts
-        const artifacts = await orchestrator.getTaskArtifacts(taskId);
-        
-        // Ensure output directory exists
-        if (!fs.existsSync(options.output)) {
-          fs.mkdirSync(options.output, { recursive: true });
-        }
-        
-        // Save artifacts
-        for (const [name, content] of Object.entries(artifacts)) {
-          const artifactPath = path.join(options.output, name);
-          fs.writeFileSync(artifactPath, content);
-        }
-        
-        console.log(chalk.green(`\nCode generated successfully in ${options.output}`));
-      } else {
-        spin.fail(`Task ${status.status.toLowerCase()}`);
-        if (status.error) {
-          console.error(chalk.red('Error:'), status.error);
-        }
-      }
+      await followTask(taskId, spin, options.output);
     } catch (error) {
-      spin.fail('Failed to generate code');
+      // The questions are asked before the spinner starts
+      if (spin) {
+        spin.fail('Failed to generate code');
+      }
       logger.error('Generation error', error);
       console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+// Resume an interrupted workflow
+program
+  .command('resume')
+  .description('Resume an interrupted or failed workflow from its first unfinished step')
+  .argument('<task-id>', 'Task ID to resume')
+  .option('-o, --output <dir>', 'Output directory', './generated')
+  .action(async (taskId, options) => {
+    const spin = spinner.start('Resuming task...');
+
+    try {
+      await getOrchestrator().resumeWorkflow(taskId);
+
+      spin.text = `Task resumed (ID: ${taskId})`;
+      await followTask(taskId, spin, options.output);
+    } catch (error) {
+      spin.fail('Failed to resume task');
+      logger.error('Resume error', error);
+      console.error(chalk.red('Error:'), error.message);
     }
   });
 
@@ -155,9 +274,12 @@ program
   .argument('<task-id>', 'Task ID to check')
   .action(async (taskId) => {
     try {
-      const status = await orchestrator.getTaskStatus(taskId);
+      const status = await (await getTaskService()).getTaskStatus(taskId);
       
       console.log(chalk.blue('Status:'), status.status);
+      if (status.queue_position !== undefined) {
+        console.log(chalk.blue('Queue position:'), status.queue_position + 1);
+      }
       if (status.progress) {
         console.log(chalk.blue('Progress:'), `${status.progress}%`);
       }
@@ -167,6 +289,23 @@ program
       if (status.error) {
         console.log(chalk.red('Error:'), status.error);
       }
+      if (status.spec) {
+        printAssumptions(status.spec);
+      }
+      if (status.artifacts) {
+        console.log(chalk.blue('Artifacts:'));
+        Object.entries(status.artifacts).forEach(([name, dir]) => console.log(`  - ${name}: ${dir}`));
+      }
+      if (status.steps && status.steps.length > 0) {
+        console.log(chalk.blue('Steps:'));
+        status.steps.forEach(step => {
+          const duration = step.started_at && step.completed_at
+            ? ` (${formatUtils.formatTime(new Date(step.completed_at) - new Date(step.started_at))})`
+            : '';
+          const retry = step.retry ? chalk.yellow(` retry ${step.retry.attempt}/${step.retry.max}`) : '';
+          console.log(`  - ${step.name}: ${step.status}${retry}${duration}${step.error ? chalk.red(` ${step.error}`) : ''}`);
+        });
+      }
     } catch (error) {
       logger.error('Status check error', error);
       console.error(chalk.red('Error:'), error.message);
@@ -179,23 +318,15 @@ program
   .description('Get artifacts from a completed task')
   .argument('<task-id>', 'Task ID to get artifacts from')
   .option('-o, --output <dir>', 'Output directory', './artifacts')
+  .option('--original', 'Get the code as generated, before it was refined')
   .action(async (taskId, options) => {
     const spin = spinner.start('Retrieving artifacts...');
 
     try {
-      // Get artifacts
-      const artifacts = await orchestrator.getTaskArtifacts(taskId);
-      
-      // Ensure output directory exists
-      if (!fs.existsSync(options.output)) {
-        fs.mkdirSync(options.output, { recursive: true });
-      }
-      
-      // Save artifacts
-      for (const [name, content] of Object.entries(artifacts)) {
-        const artifactPath = path.join(options.output, name);
-        fs.writeFileSync(artifactPath, content);
-      }
+      // The refined code, unless the original is asked for
+      const artifacts = await (await getTaskService()).getTaskArtifacts(taskId, { original: Boolean(options.original) });
+      fs.mkdirSync(options.output, { recursive: true });
+      saveArtifacts(artifacts, options.output);
       
       spin.succeed('Artifacts retrieved successfully');
       console.log(chalk.green(`\nArtifacts saved to ${options.output}`));
@@ -206,13 +337,31 @@ program
     }
   });
 
+// Cancel a running task
+program
+  .command('cancel')
+  .description('Cancel a running task')
+  .argument('<task-id>', 'Task ID to cancel')
+  .action(async (taskId) => {
+    try {
+      const service = await getTaskService();
+      await service.cancelTask(taskId);
+      await service.waitForTask(taskId);
+      console.log(chalk.yellow(`Task ${taskId} cancelled`));
+    } catch (error) {
+      logger.error('Cancel error', error);
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
 // List active tasks
 program
   .command('list')
-  .description('List all active tasks')
+  .description('List active and interrupted tasks')
   .action(async () => {
     try {
-      const tasks = await orchestrator.listTasks();
+      const tasks = await (await getTaskService()).listTasks();
       
       if (tasks.length === 0) {
         console.log('No active tasks found.');
@@ -226,15 +375,109 @@ program
           chalk.green(`ID: ${task.id}`),
           chalk.blue(`Status: ${task.status}`),
           chalk.yellow(`Type: ${task.type}`),
-          chalk.cyan(`Started: ${new Date(task.started_at).toLocaleString()}`)
+          task.started_at
+            ? chalk.cyan(`Started: ${new Date(task.started_at).toLocaleString()}`)
+            : chalk.cyan(`Queued: ${new Date(task.queued_at).toLocaleString()}`)
         );
       });
+
+      if (tasks.some(task => task.status === 'INTERRUPTED')) {
+        console.log(`\nResume an interrupted task with ${chalk.cyan('happiness resume <task-id>')}`);
+      }
     } catch (error) {
       logger.error('List tasks error', error);
       console.error(chalk.red('Error:'), error.message);
     }
   });
 
+// List available workflows
+program
+  .command('workflows')
+  .description('List the workflows defined in config and .happiness/workflows')
+  .action(() => {
+    const { workflows, workflowErrors } = getOrchestrator();
+
+    Object.values(workflows).forEach(workflow => {
+      console.log(chalk.green(workflow.name), chalk.white(workflow.description));
+      console.log(chalk.blue('  Source:'), workflow.source);
+      workflow.steps.forEach(step => {
+        const deps = step.depends_on.length > 0 ? ` (after ${step.depends_on.join(', ')})` : '';
+        console.log(`  - ${step.name}: ${step.agent}:${step.action}${deps}`);
+      });
+    });
+
+    Object.entries(workflowErrors).forEach(([name, problems]) => {
+      console.log(chalk.red(`${name} (invalid)`));
+      problems.forEach(problem => console.log(chalk.red(`  - ${problem}`)));
+    });
+
+    if (Object.keys(workflowErrors).length > 0) {
+      process.exitCode = 1;
+    }
+  });
+
+// Agent management commands
+const agentsCommand = program
+  .command('agents')
+  .description('Manage the configured agents');
+
+agentsCommand
+  .command('discover')
+  .description('Fetch and cache the agent card of every configured agent')
+  .option('-a, --agent <name>', 'Only discover a single agent')
+  .action(async (options) => {
+    const spin = spinner.start('Discovering agents...');
+
+    try {
+      const registry = getOrchestrator().registry;
+      const { agents, errors } = await registry.discover(options.agent ? [options.agent] : undefined);
+
+      if (errors.length > 0) {
+        spin.warn(`Discovered ${agents.length} agent(s), ${errors.length} failed`);
+      } else {
+        spin.succeed(`Discovered ${agents.length} agent(s)`);
+      }
+
+      agents.forEach(entry => {
+        console.log(chalk.green(`\n${entry.agent}`), chalk.white(entry.name ? `(${entry.name})` : ''));
+        console.log(chalk.blue('  Skills:'), entry.skills.join(', ') || 'none');
+        console.log(chalk.blue('  Input modes:'), entry.input_modes.join(', ') || 'unspecified');
+        console.log(chalk.blue('  Output modes:'), entry.output_modes.join(', ') || 'unspecified');
+        console.log(chalk.blue('  Auth:'), entry.auth_schemes.join(', ') || 'unspecified');
+      });
+
+      errors.forEach(error => {
+        console.error(chalk.red(`\n${error.agent}:`), error.message);
+      });
+
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      spin.fail('Failed to discover agents');
+      logger.error('Agent discovery error', error);
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Follow the events of a task
+registerWatchCommand(program, {
+  basePath: '.happiness',
+  getTaskService
+});
+
+// Background daemon
+registerDaemonCommands(program, {
+  cliPath: __filename,
+  basePath: '.happiness',
+  daemonConfig,
+  createOrchestrators: () => ({
+    workflow: getOrchestrator(),
+    generation: new MinimalOrchestratorClient(configUtils.loadConfig('mvp'))
+  }),
+  getGlobalArgs: () => (program.opts().transport ? ['--transport', program.opts().transport] : [])
+});
+
 // Handle unrecognized commands
 program.on('command:*', () => {
   console.error(chalk.red(`Invalid command: ${program.args.join(' ')}`));
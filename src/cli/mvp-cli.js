@@ -4,20 +4,234 @@
  * Minimal CLI implementation for Happiness Agent MVP
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const { v4: uuidv4 } = require('uuid');
 const { MinimalOrchestratorClient } = require('../core/minimal-orchestrator');
+const { DaemonClient } = require('../daemon');
+const { registerDaemonCommands, requireDaemon } = require('./daemon-commands');
+const { describeEvent, registerWatchCommand } = require('./events');
+const { clarifyPrompt, printAssumptions } = require('./clarify');
+const { TemplateLibrary, loadPack } = require('../templates');
+const { SUPPORTED_LANGUAGES, FRAMEWORKS, findFramework } = require('../generators');
 const { logger, spinner, fileUtils, configUtils } = require('../utils');
 
 // Load the MVP configuration
 const config = configUtils.loadConfig('mvp');
 
-// Initialize minimal orchestrator client with the configuration
-const orchestrator = new MinimalOrchestratorClient(config);
+const basePath = config.storage?.base_path || '.happiness';
+
+// Minimal orchestrator client, created only by the commands that run tasks here
+let orchestrator = null;
+
+/**
+ * Get the minimal orchestrator client, creating it on first use
+ * @returns {MinimalOrchestratorClient} Orchestrator client
+ */
+function getOrchestrator() {
+  if (!orchestrator) {
+    orchestrator = new MinimalOrchestratorClient(config);
+  }
+  return orchestrator;
+}
+
+/**
+ * Collect repeated --var key=value options into an object
+ * @param {string} value - Option value
+ * @param {Object} variables - Values collected so far
+ * @returns {Object} Values including this one
+ */
+function collectVariable(value, variables) {
+  const index = value.indexOf('=');
+  if (index <= 0) {
+    throw new InvalidArgumentError('expected name=value');
+  }
+  return { ...variables, [value.slice(0, index)]: value.slice(index + 1) };
+}
+
+/**
+ * Summarize the entities found in a prompt: "book (title, price), author (name)"
+ * @param {Object} analysis - Prompt analysis of a task
+ * @returns {string} Summary
+ */
+function describeEntities(analysis) {
+  return analysis.entities
+    .map(entity => `${entity.name} (${entity.fields.map(field => field.name).join(', ')})`)
+    .join(', ');
+}
+
+/**
+ * Summarize the results of the linters: "1 error, 2 warnings (eslint, ruff)"
+ * @param {Object} lintResults - Lint results of a task
+ * @returns {string} Summary
+ */
+function describeLint(lintResults) {
+  if (lintResults.error) {
+    return `not run (${lintResults.error})`;
+  }
+
+  const count = (type, word) => {
+    const total = lintResults.issues.filter(issue => issue.type === type).length;
+    return `${total} ${word}${total === 1 ? '' : 's'}`;
+  };
+  const tools = lintResults.tools.length > 0 ? ` (${lintResults.tools.join(', ')})` : '';
+  return `${count('error', 'error')}, ${count('warning', 'warning')}${tools}`;
+}
+
+// Why the refinement loop of a task stopped
+const REFINEMENT_STOPS = {
+  passed: 'the checks pass',
+  max_iterations: 'the iteration budget is spent',
+  time_budget: 'the time budget is spent',
+  no_issues: 'the failures point to no issue to fix',
+  unchanged: 'the code generator made no changes'
+};
+
+/**
+ * Summarize the refinement of a task: "failed after 3 iterations, ..."
+ * @param {Object} refinement - Refinement results of a task
+ * @returns {string} Summary
+ */
+function describeRefinement(refinement) {
+  const count = `${refinement.iterations} ${refinement.iterations === 1 ? 'iteration' : 'iterations'}`;
+  return `${refinement.passed ? 'passed' : 'failed'} after ${count}, stopped as ${REFINEMENT_STOPS[refinement.stopped] || refinement.stopped}`;
+}
+
+/**
+ * Format an iteration of the refinement loop as a line:
+ * "2. failed, 3 files changed: 1 issue: 1 test failure"
+ * @param {Object} iteration - Iteration from the task status
+ * @returns {string} Colored line
+ */
+function formatIteration(iteration) {
+  const result = iteration.passed ? chalk.green('passed') : chalk.red('failed');
+  const changed = iteration.iteration > 1 ? `, ${iteration.changed_files.length} files changed` : '';
+  const analysis = iteration.error_analysis ? `: ${iteration.error_analysis.summary}` : '';
+  return `  ${iteration.iteration}. ${result}${changed}${analysis}`;
+}
+
+/**
+ * Summarize the validation of a task: "failed (2 errors, 1 warning)"
+ * @param {Object} validation - Validation results of a task
+ * @returns {string} Summary
+ */
+function describeValidation(validation) {
+  const count = (type, word) => {
+    const total = validation.issues.filter(issue => issue.type === type).length;
+    return `${total} ${word}${total === 1 ? '' : 's'}`;
+  };
+  return `${validation.passed ? 'passed' : 'failed'} (${count('error', 'error')}, ${count('warning', 'warning')})`;
+}
+
+/**
+ * Format a validation issue as a line: "error src/app.js:3:7 Syntax error: ..."
+ * @param {Object} issue - Validation issue; the location is left out of
+ * issues about the whole project
+ * @returns {string} Colored line
+ */
+function formatValidationIssue(issue) {
+  const color = issue.type === 'error' ? chalk.red : chalk.yellow;
+  const location = [issue.file, issue.line, issue.column].filter(part => part !== undefined).join(':');
+  return `  ${color(issue.type.padEnd(7))} ${location ? location + ' ' : ''}${issue.message}`;
+}
+
+/**
+ * Format a lint issue as a line: "error src/app.js:3:7 no-undef 'x' is not defined"
+ * @param {Object} issue - Lint issue
+ * @returns {string} Colored line
+ */
+function formatLintIssue(issue) {
+  const color = issue.type === 'error' ? chalk.red : chalk.yellow;
+  return `  ${color(issue.type.padEnd(7))} ${issue.location} ${chalk.gray(issue.rule)} ${issue.message}`;
+}
+
+/**
+ * Summarize the results of the generated tests: "12 passed, 1 failed"
+ * @param {Object} testResults - Test results of a task
+ * @returns {string} Summary
+ */
+function describeTests(testResults) {
+  if (testResults.error || testResults.reason) {
+    return `not run (${testResults.error || testResults.reason})`;
+  }
+
+  const counts = [`${testResults.passed} passed`, `${testResults.failures} failed`];
+  if (testResults.skipped) {
+    counts.push(`${testResults.skipped} skipped`);
+  }
+  return counts.join(', ');
+}
+
+/**
+ * Work out how to run a generated project from its manifest files
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Array<string>>} Steps as [description, command]
+ */
+function getNextSteps(codeFiles) {
+  if (codeFiles['Cargo.toml']) {
+    return [
+      ['Build and run the application', 'cargo run'],
+      ['Build an optimized binary', 'cargo build --release']
+    ];
+  }
+
+  if (codeFiles['go.mod']) {
+    return [
+      ['Download dependencies', 'go mod tidy'],
+      ['Run the application', 'go run .']
+    ];
+  }
+
+  if (codeFiles['package.json']) {
+    let scripts = {};
+    try {
+      scripts = JSON.parse(codeFiles['package.json']).scripts || {};
+    } catch (error) {
+      // Reported by validation; fall back to the usual commands
+    }
+
+    // Projects with a build step are run through their development server
+    const run = scripts.dev && (scripts.build || !scripts.start) ? 'npm run dev' : 'npm start';
+    return [
+      ['Install dependencies', 'npm install'],
+      ['Run the application', run]
+    ];
+  }
+
+  if (codeFiles['requirements.txt']) {
+    const steps = [
+      ['Create a virtual environment', 'python -m venv venv'],
+      ['Activate the environment', process.platform === 'win32' ? 'venv\\Scripts\\activate' : 'source venv/bin/activate'],
+      ['Install dependencies', 'pip install -r requirements.txt']
+    ];
+
+    if (codeFiles['manage.py']) {
+      steps.push(['Create the database', 'python manage.py migrate']);
+      steps.push(['Run the application', 'python manage.py runserver']);
+    } else if (/^fastapi\b/im.test(codeFiles['requirements.txt']) && codeFiles['app/main.py']) {
+      steps.push(['Run the application', 'uvicorn app.main:app --reload']);
+    } else {
+      const entry = ['app.py', 'main.py', 'analysis.py'].find(file => codeFiles[file]) || 'main.py';
+      steps.push(['Run the application', `python ${entry}`]);
+    }
+    return steps;
+  }
+
+  return [];
+}
+
+/**
+ * Get the service that owns the tasks: the running daemon if there is one,
+ * otherwise the local orchestrator
+ * @returns {Promise<Object>} Object with the orchestrator task methods
+ */
+async function getTaskService() {
+  const client = await DaemonClient.connect(basePath);
+  return client ? client.forKind('generation') : getOrchestrator();
+}
 
 program
   .name('happiness-mvp')
@@ -58,7 +272,7 @@ program
         created_at: new Date().toISOString(),
         id: uuidv4(),
         version: config.project.version || '0.1.0',
-        supported_languages: config.code_generator?.supported_languages || ['javascript', 'python']
+        supported_languages: config.code_generator?.supported_languages || SUPPORTED_LANGUAGES
       };
 
       // Save project config
@@ -80,8 +294,15 @@ program
   .command('generate')
   .description('Generate code from a prompt')
   .argument('<prompt>', 'The prompt to generate code from')
-  .option('-l, --language <language>', 'Programming language (javascript, python)')
+  .option('-l, --language <language>', 'Programming language (javascript, typescript, python, go, rust)')
   .option('-o, --output <dir>', 'Output directory')
+  .option('-f, --framework <name>', `Framework to scaffold (${Object.keys(FRAMEWORKS).join(', ')}); detected from the prompt by default`)
+  .option('-t, --template <name>', 'Template pack to use instead of the best match for the prompt')
+  .option('--var <name=value>', 'Set a template pack variable (repeatable)', collectVariable, {})
+  .option('--no-tests', 'Do not run the generated tests in the sandbox')
+  .option('--max-iterations <n>', 'Generate and refine at most n times while the checks fail (1 turns refinement off)')
+  .option('-d, --detach', 'Queue the generation on the daemon and return right away')
+  .option('--no-interactive', 'Record assumptions instead of asking about what the prompt leaves open')
   .action(async (prompt, options) => {
     // Check if in a Happiness project
     const projectConfig = configUtils.getProjectConfig();
@@ -97,62 +318,154 @@ program
       process.exit(1);
     }
 
-    const spin = spinner.start('Processing prompt...');
+    // Validate framework option if provided
+    if (options.framework && !findFramework(options.framework)) {
+      console.error(chalk.red(`Error: Unknown framework: ${options.framework}.`));
+      console.log(`Supported frameworks: ${Object.keys(FRAMEWORKS).join(', ')}`);
+      process.exit(1);
+    }
 
+    // Validate the iteration budget if provided
+    if (options.maxIterations !== undefined && !/^[1-9]\d*$/.test(options.maxIterations)) {
+      console.error(chalk.red(`Error: --max-iterations must be a positive integer, not ${options.maxIterations}.`));
+      process.exit(1);
+    }
+
+    let spin = null;
     try {
+      // Ask about the decisions the prompt leaves open before anything runs
+      const spec = await clarifyPrompt(prompt, {
+        interactive: options.interactive,
+        language: options.language,
+        framework: options.framework,
+        languages: config.code_generator.supported_languages
+      });
+      printAssumptions(spec);
+      const generationOptions = {
+        language: options.language || spec.answers.language,
+        framework: options.framework || (spec.answers.framework !== 'none' ? spec.answers.framework : undefined),
+        template: options.template,
+        variables: options.var,
+        run_tests: options.tests,
+        max_iterations: options.maxIterations,
+        spec
+      };
+
+      spin = spinner.start('Processing prompt...');
+
       // Set default output directory from config if not specified
       if (!options.output) {
         options.output = config.storage.generations_path;
       }
 
+      if (options.detach) {
+        const client = await requireDaemon(basePath, 'happiness-mvp');
+        const { task_id: taskId, position } = await client.submitGeneration(spec.enriched_prompt, {
+          ...generationOptions,
+          output: options.output
+        });
+
+        spin.succeed(position === null ? `Generation started (Task ID: ${taskId})` : `Generation queued at position ${position + 1} (Task ID: ${taskId})`);
+        console.log(`\nFollow progress with ${chalk.cyan(`happiness-mvp watch ${taskId}`)}`);
+        return;
+      }
+
+      // Show the task events as they happen
+      let taskId = null;
+      const onEvent = event => {
+        if (event.task_id === taskId) {
+          spin.text = describeEvent(event);
+        }
+      };
+      getOrchestrator().on('event', onEvent);
+
       // Generate code using the minimal orchestrator
-      const taskId = await orchestrator.generateCode(prompt, {
-        language: options.language,
+      taskId = await getOrchestrator().generateCode(spec.enriched_prompt, {
+        ...generationOptions,
         output: options.output
       });
 
       spin.text = `Generating code (Task ID: ${taskId})`;
 
-      // Poll for status
-      let isDone = false;
-      let status = null;
-
-      while (!isDone) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        status = await orchestrator.getTaskStatus(taskId);
-        
-        spin.text = `Status: ${status.status}`;
-        
-        if (['COMPLETED', 'FAILED'].includes(status.status)) {
-          isDone = true;
+      // Cancel the task cleanly on Ctrl-C instead of leaving it RUNNING
+      process.once('SIGINT', async () => {
+        spin.text = 'Cancelling...';
+        try {
+          await getOrchestrator().cancelTask(taskId);
+          await getOrchestrator().waitForTask(taskId);
+        } catch (error) {
+          logger.warn(`Failed to cancel task ${taskId}: ${error.message}`);
         }
-      }
+        spin.fail(`Task cancelled (ID: ${taskId})`);
+        process.exit(130);
+      });
 
-      if (status.status === 'COMPLETED') {
-        spin.succeed(`Code generation completed successfully`);
+      await getOrchestrator().waitForTask(taskId);
+      getOrchestrator().off('event', onEvent);
+      const status = await getOrchestrator().getTaskStatus(taskId);
+
+      if (['COMPLETED', 'COMPLETED_WITH_ERRORS'].includes(status.status)) {
+        const passed = status.status === 'COMPLETED';
+        if (passed) {
+          spin.succeed(`Code generation completed successfully`);
+        } else {
+          spin.fail(status.error);
+          process.exitCode = 1;
+        }
         
         // Get generated code
-        const codeFiles = await orchestrator.getTaskArtifacts(taskId);
+        const codeFiles = await getOrchestrator().getTaskArtifacts(taskId);
         
-        console.log(chalk.green(`\nCode generated successfully in ${status.outputPath}`));
+        console.log(passed
+          ? chalk.green(`\nCode generated successfully in ${status.outputPath}`)
+          : chalk.yellow(`\nCode that fails validation saved in ${status.outputPath}`));
+        if (status.analysis) {
+          console.log(`\nEntities: ${describeEntities(status.analysis)}`);
+        }
         console.log('\nFiles generated:');
         Object.keys(codeFiles).forEach(file => {
           console.log(`  - ${file}`);
         });
 
+        if (status.validation) {
+          console.log(`\nValidation: ${describeValidation(status.validation)}`);
+          status.validation.issues
+            .filter(issue => issue.type === 'error' && issue.file)
+            .forEach(issue => console.log(formatValidationIssue(issue)));
+        }
+
+        if (status.lint_results) {
+          console.log(`\nLint: ${describeLint(status.lint_results)}`);
+          status.lint_results.issues
+            .filter(issue => issue.type === 'error')
+            .forEach(issue => console.log(formatLintIssue(issue)));
+        }
+
+        if (status.test_results) {
+          const color = status.test_results.failures > 0 ? chalk.red : chalk.green;
+          console.log(color(`\nTests: ${describeTests(status.test_results)}`));
+          status.test_results.tests
+            .filter(test => test.status === 'FAILED')
+            .forEach(test => console.log(chalk.red(`  - ${test.name}`)));
+        }
+
+        if (status.refinement && (status.refinement.iterations > 1 || !status.refinement.passed)) {
+          console.log(`\nRefinement: ${describeRefinement(status.refinement)}`);
+          status.iterations.forEach(iteration => console.log(formatIteration(iteration)));
+          if (status.iterationsPath) {
+            console.log(`  Files and diagnostics of each iteration: ${status.iterationsPath}`);
+          }
+        }
+
         // Print helpful next steps
         console.log('\nNext steps:');
         console.log(`  1. Navigate to the generated code: ${chalk.cyan(`cd ${status.outputPath}`)}`);
         
-        if (Object.keys(codeFiles).includes('package.json')) {
-          console.log(`  2. Install dependencies: ${chalk.cyan('npm install')}`);
-          console.log(`  3. Run the application: ${chalk.cyan('npm start')}`);
-        } else if (Object.keys(codeFiles).includes('requirements.txt')) {
-          console.log(`  2. Create a virtual environment: ${chalk.cyan('python -m venv venv')}`);
-          console.log(`  3. Activate the environment: ${chalk.cyan(process.platform === 'win32' ? 'venv\\Scripts\\activate' : 'source venv/bin/activate')}`);
-          console.log(`  4. Install dependencies: ${chalk.cyan('pip install -r requirements.txt')}`);
-          console.log(`  5. Run the application: ${chalk.cyan('python app.py')} or ${chalk.cyan('python main.py')}`);
-        }
+        getNextSteps(codeFiles).forEach(([description, command], index) => {
+          console.log(`  ${index + 2}. ${description}: ${chalk.cyan(command)}`);
+        });
+      } else if (status.status === 'CANCELLED') {
+        spin.fail('Code generation cancelled');
       } else {
         spin.fail(`Code generation failed`);
         if (status.error) {
@@ -160,9 +473,13 @@ program
         }
       }
     } catch (error) {
-      spin.fail('Failed to generate code');
+      // The questions are asked before the spinner starts
+      if (spin) {
+        spin.fail('Failed to generate code');
+      }
       logger.error('Generation error', error);
       console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
     }
   });
 
@@ -179,7 +496,7 @@ program
         process.exit(1);
       }
 
-      const tasks = await orchestrator.listTasks();
+      const tasks = await (await getTaskService()).listTasks();
       
       if (tasks.length === 0) {
         console.log('No code generations found.');
@@ -220,7 +537,7 @@ program
         process.exit(1);
       }
 
-      const status = await orchestrator.getTaskStatus(taskId);
+      const status = await (await getTaskService()).getTaskStatus(taskId);
       
       const statusColor = 
         status.status === 'COMPLETED' ? chalk.green : 
@@ -229,15 +546,50 @@ program
       console.log(chalk.cyan('Task ID:'), status.id);
       console.log(statusColor('Status:'), status.status);
       console.log(chalk.white('Prompt:'), status.prompt);
+      printAssumptions(status.spec);
+      
+      if (status.queue_position !== undefined) {
+        console.log(chalk.yellow('Queue position:'), status.queue_position + 1);
+      }
+      
+      if (status.analysis) {
+        console.log(chalk.blue('Entities:'), describeEntities(status.analysis));
+      }
       
       if (status.outputPath) {
         console.log(chalk.blue('Output Path:'), status.outputPath);
       }
       
+      if (status.validation) {
+        console.log(chalk.blue('Validation:'), describeValidation(status.validation));
+        status.validation.issues.forEach(issue => console.log(formatValidationIssue(issue)));
+      }
+      
+      if (status.lint_results) {
+        console.log(chalk.blue('Lint:'), describeLint(status.lint_results));
+        status.lint_results.issues.forEach(issue => console.log(formatLintIssue(issue)));
+      }
+      
+      if (status.test_results) {
+        console.log(chalk.blue('Tests:'), describeTests(status.test_results));
+      }
+      
+      if (status.refinement) {
+        console.log(chalk.blue('Refinement:'), describeRefinement(status.refinement));
+        status.iterations.forEach(iteration => console.log(formatIteration(iteration)));
+        if (status.iterationsPath) {
+          console.log(chalk.blue('Iterations Path:'), status.iterationsPath);
+        }
+      }
+      
       if (status.error) {
         console.log(chalk.red('Error:'), status.error);
       }
       
+      if (status.retry) {
+        console.log(chalk.yellow('Retry:'), `${status.retry.attempt}/${status.retry.max}`);
+      }
+      
       console.log(chalk.blue('Started:'), new Date(status.started_at).toLocaleString());
       
       if (status.completed_at) {
@@ -249,6 +601,127 @@ program
     }
   });
 
+// Cancel a running generation
+program
+  .command('cancel')
+  .description('Cancel a running code generation')
+  .argument('<task-id>', 'Task ID to cancel')
+  .action(async (taskId) => {
+    try {
+      // Check if in a Happiness project
+      const projectConfig = configUtils.getProjectConfig();
+      if (!projectConfig) {
+        console.error(chalk.red('Error: Not in a Happiness project. Run `happiness-mvp init` first.'));
+        process.exit(1);
+      }
+
+      const service = await getTaskService();
+      await service.cancelTask(taskId);
+      await service.waitForTask(taskId);
+      console.log(chalk.yellow(`Task ${taskId} cancelled`));
+    } catch (error) {
+      logger.error('Cancel error', error);
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+// Manage template packs
+const templatesCommand = program
+  .command('templates')
+  .description('Manage the template packs used by the template code generator');
+
+templatesCommand
+  .command('list')
+  .description('List the available template packs')
+  .action(() => {
+    try {
+      const library = TemplateLibrary.fromConfig(config.code_generator, basePath);
+      const { errors } = library.load();
+      const packs = library.list();
+
+      if (packs.length === 0) {
+        console.log('No template packs found.');
+      }
+
+      packs.forEach(pack => {
+        console.log(
+          chalk.cyan(pack.name),
+          chalk.white(`(${[pack.language, pack.framework, pack.source, pack.default && 'default'].filter(Boolean).join(', ')})`),
+          pack.description
+        );
+        if (pack.keywords.length > 0) {
+          console.log(chalk.gray(`  Keywords: ${pack.keywords.join(', ')}`));
+        }
+        const variables = Object.keys(pack.variables);
+        if (variables.length > 0) {
+          console.log(chalk.gray(`  Variables: ${variables.join(', ')}`));
+        }
+      });
+
+      Object.entries(errors).forEach(([dir, packErrors]) => {
+        console.log(chalk.yellow(`Invalid pack ${dir}:`));
+        packErrors.forEach(packError => console.log(chalk.yellow(`  - ${packError}`)));
+      });
+    } catch (error) {
+      logger.error('Template list error', error);
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+templatesCommand
+  .command('add')
+  .description('Install a template pack into this project')
+  .argument('<path>', 'Directory containing the pack\'s template.json')
+  .option('-f, --force', 'Replace an installed pack with the same name')
+  .action((packPath, options) => {
+    try {
+      const library = TemplateLibrary.fromConfig(config.code_generator, basePath);
+      const { pack: candidate } = loadPack(packPath);
+      const existing = candidate ? library.get(candidate.name) : null;
+      const pack = library.add(packPath, { force: options.force });
+
+      console.log(chalk.green(`Template pack ${pack.name} installed in ${pack.dir}`));
+      if (existing && existing.source !== 'project') {
+        console.log(chalk.yellow(`It replaces the ${existing.source} pack of the same name`));
+      }
+    } catch (error) {
+      logger.error('Template add error', error);
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+templatesCommand
+  .command('remove')
+  .description('Remove a template pack installed in this project')
+  .argument('<name>', 'Name of the pack')
+  .action((name) => {
+    try {
+      TemplateLibrary.fromConfig(config.code_generator, basePath).remove(name);
+      console.log(chalk.yellow(`Template pack ${name} removed`));
+    } catch (error) {
+      logger.error('Template remove error', error);
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+// Follow the events of a task
+registerWatchCommand(program, {
+  basePath,
+  getTaskService
+});
+
+// Background daemon
+registerDaemonCommands(program, {
+  cliPath: __filename,
+  basePath,
+  daemonConfig: config.daemon,
+  createOrchestrators: () => ({ generation: getOrchestrator() })
+});
+
 // Parse command line arguments
 program.parse(process.argv);
 
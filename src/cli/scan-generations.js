@@ -4,13 +4,14 @@
  * Utility script to scan and register existing code generations
  * 
  * This is useful when you have existing generations that weren't tracked
- * in the tasks.json file
+ * in the task store
  */
 
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { logger, configUtils, fileUtils } = require('../utils');
+const { TaskStore } = require('../core/task-store');
 
 // Load the MVP configuration
 const config = configUtils.loadConfig('mvp');
@@ -18,7 +19,7 @@ const config = configUtils.loadConfig('mvp');
 // Path to generations
 const basePath = config.storage?.base_path || '.happiness';
 const generationsPath = config.storage?.generations_path || '.happiness/generated';
-const tasksPath = path.join(basePath, 'tasks.json');
+const store = new TaskStore(basePath);
 
 // Function to scan and register generations
 async function scanAndRegisterGenerations() {
@@ -29,13 +30,11 @@ async function scanAndRegisterGenerations() {
   
   // Load existing tasks if any
   let tasks = [];
-  if (fs.existsSync(tasksPath)) {
-    try {
-      tasks = JSON.parse(fs.readFileSync(tasksPath, 'utf-8'));
-      console.log(`Loaded ${tasks.length} existing tasks.`);
-    } catch (error) {
-      console.error('Failed to load existing tasks', error);
-    }
+  try {
+    tasks = store.list();
+    console.log(`Loaded ${tasks.length} existing tasks.`);
+  } catch (error) {
+    console.error('Failed to load existing tasks', error);
   }
   
   // Check if generations directory exists
@@ -94,6 +93,7 @@ async function scanAndRegisterGenerations() {
       // Create a new task record
       const task = {
         id: uuidv4(),
+        kind: 'generation',
         prompt: prompt,
         options: { language },
         status: 'COMPLETED',
@@ -105,7 +105,8 @@ async function scanAndRegisterGenerations() {
         }
       };
       
-      // Add to tasks array
+      // Save to the task store
+      store.save(task);
       tasks.push(task);
       newTasks++;
       
@@ -115,14 +116,8 @@ async function scanAndRegisterGenerations() {
     }
   }
   
-  // Save updated tasks
-  try {
-    fs.writeFileSync(tasksPath, JSON.stringify(tasks, null, 2));
-    console.log(`Successfully registered ${newTasks} new generations.`);
-    console.log(`Total tasks: ${tasks.length}`);
-  } catch (error) {
-    console.error('Failed to save tasks', error);
-  }
+  console.log(`Successfully registered ${newTasks} new generations.`);
+  console.log(`Total tasks: ${tasks.length}`);
 }
 
 // Run the function
@@ -0,0 +1,158 @@
+/**
+ * Task Events
+ * 
+ * Typed progress events emitted by the orchestrators, and the append-only
+ * per-task log they are persisted to so other processes can follow a task
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger, fileUtils, timeUtils, abortUtils } = require('../utils');
+
+// Events emitted by the orchestrators, in the order they usually occur
+const EVENT_TYPES = [
+  'task.started',
+  'step.started',
+  'step.progress',
+  'step.completed',
+  'artifact.written',
+  'task.finished'
+];
+
+class EventLog {
+  /**
+   * Create an event log
+   * @param {string} basePath - Base directory of the project state (usually .happiness)
+   */
+  constructor(basePath = '.happiness') {
+    this.eventsDir = path.join(basePath, 'events');
+    this.sequences = new Map();
+  }
+
+  /**
+   * Get the path of a task's log file
+   * @param {string} taskId - ID of the task
+   * @returns {string} File path
+   */
+  getLogPath(taskId) {
+    if (!/^[\w-]+$/.test(taskId)) {
+      throw new Error(`Invalid task ID: ${taskId}`);
+    }
+    return path.join(this.eventsDir, `${taskId}.jsonl`);
+  }
+
+  /**
+   * Append an event to its task's log, numbering it after the events already
+   * logged (a resumed task continues its numbering)
+   * @param {Object} event - Event with type and task_id
+   * @returns {Object} Logged event including its seq number
+   */
+  append(event) {
+    if (!this.sequences.has(event.task_id)) {
+      this.sequences.set(event.task_id, this.read(event.task_id).length);
+    }
+
+    const seq = this.sequences.get(event.task_id) + 1;
+    this.sequences.set(event.task_id, seq);
+
+    const logged = { seq, ...event };
+    fileUtils.ensureDir(this.eventsDir);
+    fs.appendFileSync(this.getLogPath(event.task_id), `${JSON.stringify(logged)}\n`);
+    return logged;
+  }
+
+  /**
+   * Read the logged events of a task
+   * @param {string} taskId - ID of the task
+   * @returns {Array<Object>} Events, oldest first
+   */
+  read(taskId) {
+    const logPath = this.getLogPath(taskId);
+    if (!fs.existsSync(logPath)) {
+      return [];
+    }
+
+    return parseLines(fs.readFileSync(logPath, 'utf8'));
+  }
+
+  /**
+   * Follow a task's log, calling onEvent for every event already logged and
+   * every event appended later, until the task finishes. The log of a resumed
+   * task also holds the task.finished of the runs before, so only a
+   * task.finished that no task.started follows ends the run.
+   * @param {string} taskId - ID of the task
+   * @param {Function} onEvent - Called with each event
+   * @param {Object} options - Follow options
+   * @param {AbortSignal} options.signal - Stops following when aborted
+   * @param {number} options.pollIntervalMs - How often the log is checked for new events
+   * @param {number} options.finishedAfter - Ignore task.finished events up to this seq, known to belong to an earlier run
+   * @returns {Promise<Object|null>} The task.finished event, or null if aborted
+   */
+  async follow(taskId, onEvent, options = {}) {
+    const { signal, pollIntervalMs = 250, finishedAfter = 0 } = options;
+    const logPath = this.getLogPath(taskId);
+    let offset = 0;
+    let pending = '';
+
+    for (;;) {
+      if (fs.existsSync(logPath)) {
+        const size = fs.statSync(logPath).size;
+        if (size > offset) {
+          const buffer = Buffer.alloc(size - offset);
+          const fd = fs.openSync(logPath, 'r');
+          try {
+            fs.readSync(fd, buffer, 0, buffer.length, offset);
+          } finally {
+            fs.closeSync(fd);
+          }
+          offset = size;
+
+          // Keep a partially written last line for the next read
+          const text = pending + buffer.toString('utf8');
+          const end = text.lastIndexOf('\n') + 1;
+          pending = text.slice(end);
+
+          const events = parseLines(text.slice(0, end));
+          const lastStarted = events.map(event => event.type).lastIndexOf('task.started');
+          for (const [index, event] of events.entries()) {
+            onEvent(event);
+            if (event.type === 'task.finished' && index > lastStarted && (event.seq === undefined || event.seq > finishedAfter)) {
+              return event;
+            }
+          }
+        }
+      }
+
+      try {
+        await timeUtils.sleep(pollIntervalMs, signal);
+      } catch (error) {
+        if (abortUtils.isAbortError(error)) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Parse JSON lines, skipping lines that are not valid JSON
+ * @param {string} text - Log content
+ * @returns {Array<Object>} Parsed events
+ */
+function parseLines(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping malformed event line: ${line.slice(0, 80)}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = { EventLog, EVENT_TYPES };
@@ -4,13 +4,35 @@
  * Simplified orchestrator that focuses on core code generation workflow
  */
 
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const { logger, configUtils, fileUtils } = require('../utils');
+const { logger, configUtils, fileUtils, abortUtils, timeUtils } = require('../utils');
 const { Orchestrator, Task } = require('../interfaces/core');
+const { createCodeGenerator, refineCodeFiles } = require('../generators');
+const { withRetry } = require('../utils/retry');
+const { TaskStore } = require('./task-store');
+const { EventLog } = require('./events');
+const { TestRunner, summarize } = require('../testing');
+const { CodeLinter } = require('../linting');
+const { analyzeIssues } = require('../analysis');
 const path = require('path');
 const fs = require('fs');
 
+// Statuses of a task that is still executing
+const ACTIVE_STATUSES = [
+  'PENDING', 'RUNNING', 'ANALYZING_PROMPT', 'GENERATING_CODE', 'VALIDATING', 'LINTING', 'TESTING',
+  'ANALYZING_ERRORS', 'REFINING_CODE', 'SAVING_ARTIFACTS'
+];
+
+/**
+ * Copy an object without some of its keys
+ * @param {Object} object - Object to copy
+ * @param {Array<string>} keys - Keys left out
+ * @returns {Object} Copy
+ */
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
 class MinimalOrchestratorClient extends Orchestrator {
   /**
    * Initialize the minimal orchestrator client
@@ -21,59 +43,124 @@ class MinimalOrchestratorClient extends Orchestrator {
     // Load the MVP configuration
     this.config = customConfig || configUtils.loadConfig('mvp');
     this.tasks = new Map();
-    this.codeGeneratorUrl = this.config.code_generator?.api_url || 'http://localhost:3000/api';
-    this.apiKey = process.env[this.config.code_generator?.api_key_env] || 'demo-key';
-    this.supportedLanguages = this.config.code_generator?.supported_languages || ['javascript', 'python'];
+    this.controllers = new Map();
+    this.executions = new Map();
+    // How often an executing task checks the store for a cancel from another process
+    this.cancelPollIntervalMs = 1000;
+    this.store = new TaskStore(this.config.storage?.base_path || '.happiness');
+    this.codeGenerator = createCodeGenerator(this.config.code_generator, { basePath: this.store.basePath });
+    this.supportedLanguages = this.codeGenerator.supportedLanguages;
+    this.eventLog = new EventLog(this.store.basePath);
+    this.testRunner = new TestRunner(this.config.test_runner);
+    this.linter = new CodeLinter(this.config.linter);
     
     // Load tasks from disk if available
-    this.loadTasksFromDisk();
+    this.loadTasks();
   }
 
   /**
-   * Load tasks from disk
+   * Load tasks from the task store. Tasks executing in this process are kept
+   * as they are; everything else is refreshed from disk.
    */
-  loadTasksFromDisk() {
+  loadTasks() {
     try {
-      const basePath = this.config.storage?.base_path || '.happiness';
-      const tasksPath = path.join(basePath, 'tasks.json');
-      
-      if (fs.existsSync(tasksPath)) {
-        const tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf-8'));
-        
-        // Convert array back to Map
-        if (Array.isArray(tasksData)) {
-          tasksData.forEach(task => {
-            this.tasks.set(task.id, task);
-          });
-        }
-        
-        logger.info(`Loaded ${this.tasks.size} tasks from disk.`);
-      }
+      // Tasks whose process died mid-generation would otherwise stay active forever
+      this.store.recoverOrphans(ACTIVE_STATUSES, task => task.kind === 'generation' && !this.controllers.has(task.id));
+
+      this.store.list()
+        .filter(task => task.kind === 'generation' && !this.controllers.has(task.id))
+        .forEach(task => this.tasks.set(task.id, task));
     } catch (error) {
       logger.error('Failed to load tasks from disk', error);
     }
   }
 
   /**
-   * Save tasks to disk
+   * Get a task, refreshing it from the task store unless it is executing in
+   * this process
+   * @param {string} taskId - ID of the task
+   * @returns {Object|undefined} Task
+   */
+  getTask(taskId) {
+    if (!this.controllers.has(taskId)) {
+      const stored = this.store.get(taskId);
+      if (stored && stored.kind === 'generation') {
+        this.tasks.set(taskId, stored);
+      }
+    }
+    return this.tasks.get(taskId);
+  }
+
+  /**
+   * Save a task to the task store. If another process cancelled the task
+   * while it executes here, the execution is aborted.
+   * @param {Object} task - Task to save
    */
-  saveTasksToDisk() {
+  saveTask(task) {
     try {
-      const basePath = this.config.storage?.base_path || '.happiness';
-      const tasksPath = path.join(basePath, 'tasks.json');
-      
-      fileUtils.ensureDir(basePath);
-      
-      // Convert Map to array for serialization
-      const tasksArray = Array.from(this.tasks.values());
-      
-      fs.writeFileSync(tasksPath, JSON.stringify(tasksArray, null, 2));
-      logger.info(`Saved ${tasksArray.length} tasks to disk.`);
+      this.store.update(task.id, stored => {
+        this.abortIfCancelled(task, stored);
+        return task;
+      });
     } catch (error) {
-      logger.error('Failed to save tasks to disk', error);
+      logger.error(`Failed to save task ${task.id}`, error);
+    }
+  }
+
+  /**
+   * Abort the execution of a task that another process marked CANCELLED
+   * @param {Object} task - Task executing in this process
+   * @param {Object|null} stored - Task as stored
+   */
+  abortIfCancelled(task, stored) {
+    const controller = this.controllers.get(task.id);
+    if (controller && stored && stored.status === 'CANCELLED' && task.status !== 'CANCELLED') {
+      task.status = 'CANCELLED';
+      task.completed_at = stored.completed_at;
+      controller.abort();
     }
   }
 
+  /**
+   * Check the task store for a cancel from another process while a task
+   * executes here, so a long generation, lint or test run is aborted without
+   * waiting for the next checkpoint
+   * @param {Object} task - Task executing in this process
+   * @returns {Object} Timer to clear once the execution has settled
+   */
+  watchCancellation(task) {
+    const timer = setInterval(() => {
+      try {
+        this.abortIfCancelled(task, this.store.get(task.id));
+      } catch (error) {
+        logger.warn(`Failed to check task ${task.id} for a cancel: ${error.message}`);
+      }
+    }, this.cancelPollIntervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Emit a task event and append it to the task's event log
+   * @param {string} taskId - ID of the task
+   * @param {string} type - Event type (see EVENT_TYPES in ./events)
+   * @param {Object} data - Event specific fields
+   * @returns {Object} Emitted event
+   */
+  emitEvent(taskId, type, data = {}) {
+    let event = { type, task_id: taskId, timestamp: new Date().toISOString(), ...data };
+
+    try {
+      event = this.eventLog.append(event);
+    } catch (error) {
+      logger.error(`Failed to log ${type} event for task ${taskId}`, error);
+    }
+
+    this.emit(type, event);
+    this.emit('event', event);
+    return event;
+  }
+
   /**
    * Generate code from a prompt
    * @param {string} prompt - The user's prompt
@@ -81,32 +168,167 @@ class MinimalOrchestratorClient extends Orchestrator {
    * @returns {string} Task ID for tracking the generation
    */
   async generateCode(prompt, options = {}) {
+    const taskId = await this.queueGeneration(prompt, options);
+    this.startQueuedGeneration(taskId);
+    return taskId;
+  }
+
+  /**
+   * Create a code generation task in the QUEUED state without executing it
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Additional options; spec is the enriched spec of the clarification phase, stored on the task
+   * @returns {string} Task ID for tracking the generation
+   */
+  async queueGeneration(prompt, options = {}) {
     const taskId = uuidv4();
+    const { spec, ...generationOptions } = options;
     
     // Initialize the task using our Task interface
-    const task = new Task(taskId, prompt, options);
+    const task = new Task(taskId, prompt, generationOptions);
+    // The spec of the clarification phase; the prompt is its enriched prompt
+    task.spec = spec || null;
+    task.status = 'QUEUED';
+    task.queued_at = task.started_at;
     this.tasks.set(taskId, task);
     
-    // Save tasks to disk immediately after creating a new one
-    this.saveTasksToDisk();
+    // Save the task immediately so other processes can see it
+    this.saveTask(task);
+
+    return taskId;
+  }
+
+  /**
+   * Start executing a queued code generation task in the background
+   * @param {string} taskId - ID of a task created by queueGeneration
+   */
+  startQueuedGeneration(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (task.status !== 'QUEUED') {
+      throw new Error(`Task ${taskId} is not queued (status: ${task.status})`);
+    }
+
+    const { prompt, options } = task;
+    task.status = 'PENDING';
+    task.started_at = new Date().toISOString();
+    task.owner = TaskStore.currentOwner();
 
     // Start the code generation asynchronously
-    this.executeCodeGeneration(taskId, prompt, options).catch(error => {
-      logger.error(`Code generation error for task ${taskId}`, error);
-      
-      const task = this.tasks.get(taskId);
-      if (task) {
-        task.status = 'FAILED';
-        task.error = error.message;
-        task.completed_at = new Date().toISOString();
-        this.tasks.set(taskId, task);
+    const controller = new AbortController();
+    this.controllers.set(taskId, controller);
+    const cancellation = this.watchCancellation(task);
+
+    const execution = this.executeCodeGeneration(taskId, prompt, options, controller.signal)
+      .catch(error => {
+        if (abortUtils.isAbortError(error)) {
+          return;
+        }
+
+        logger.error(`Code generation error for task ${taskId}`, error);
         
-        // Save tasks to disk after update
-        this.saveTasksToDisk();
+        const task = this.tasks.get(taskId);
+        if (task) {
+          task.status = 'FAILED';
+          task.error = error.message;
+          task.completed_at = new Date().toISOString();
+          this.tasks.set(taskId, task);
+          
+          this.saveTask(task);
+        }
+      })
+      .finally(() => {
+        clearInterval(cancellation);
+        this.controllers.delete(taskId);
+        this.executions.delete(taskId);
+
+        // Tell other processes waiting for the task that it stopped here
+        const task = this.tasks.get(taskId);
+        if (task) {
+          task.owner = null;
+          this.saveTask(task);
+        }
+      });
+    this.executions.set(taskId, execution);
+  }
+
+  /**
+   * Wait until the execution of a task has settled. A task executing in
+   * another process has settled once that process let go of it.
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<void>} Resolves once the task is no longer executing
+   */
+  async waitForTask(taskId) {
+    const execution = this.executions.get(taskId);
+    if (execution) {
+      await execution;
+      return;
+    }
+
+    for (;;) {
+      const stored = this.store.get(taskId);
+      if (!stored || ![...ACTIVE_STATUSES, 'CANCELLED'].includes(stored.status) || !this.store.isOwnerAlive(stored.owner)) {
+        return;
       }
-    });
+      await timeUtils.sleep(this.cancelPollIntervalMs);
+    }
+  }
 
-    return taskId;
+  /**
+   * Cancel a running task. A task running in this process is aborted right
+   * away; a task running in another process is marked CANCELLED on disk and
+   * that process aborts it when it next checks the store.
+   * @param {string} taskId - ID of the task to cancel
+   * @returns {boolean} Success status
+   */
+  async cancelTask(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (![...ACTIVE_STATUSES, 'QUEUED'].includes(task.status)) {
+      throw new Error(`Task ${taskId} cannot be cancelled (status: ${task.status})`);
+    }
+
+    const queued = task.status === 'QUEUED';
+    task.status = 'CANCELLED';
+    task.completed_at = new Date().toISOString();
+    this.tasks.set(taskId, task);
+    this.saveTask(task);
+
+    // A running generation reports its own end once it has stopped
+    if (queued) {
+      this.emitEvent(taskId, 'task.finished', { status: task.status });
+    }
+
+    const controller = this.controllers.get(taskId);
+    if (controller) {
+      controller.abort();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop at a checkpoint if the task was cancelled, either in this process
+   * or by another process through the task store
+   * @param {string} taskId - ID of the task
+   * @param {AbortSignal} signal - Signal of the running task
+   */
+  checkCancelled(taskId, signal) {
+    abortUtils.throwIfAborted(signal);
+
+    const stored = this.store.get(taskId);
+    if (stored && stored.status === 'CANCELLED') {
+      const controller = this.controllers.get(taskId);
+      if (controller) {
+        controller.abort();
+      }
+      throw abortUtils.createAbortError(`Task ${taskId} was cancelled`);
+    }
   }
 
   /**
@@ -114,8 +336,9 @@ class MinimalOrchestratorClient extends Orchestrator {
    * @param {string} taskId - ID of the task
    * @param {string} prompt - The user's prompt
    * @param {Object} options - Additional options
+   * @param {AbortSignal} signal - Signal that cancels the generation
    */
-  async executeCodeGeneration(taskId, prompt, options) {
+  async executeCodeGeneration(taskId, prompt, options, signal) {
     const task = this.tasks.get(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
@@ -124,681 +347,420 @@ class MinimalOrchestratorClient extends Orchestrator {
     // Update task status
     task.status = 'RUNNING';
     this.tasks.set(taskId, task);
-    this.saveTasksToDisk();
+    this.saveTask(task);
+    this.emitEvent(taskId, 'task.started', { prompt, language: options.language || null });
+
+    // Stage being executed, reported as a step in events along with the
+    // iteration of the refinement loop it belongs to
+    let stage = null;
+    let iteration = null;
+    const startStage = name => {
+      stage = name;
+      this.emitEvent(taskId, 'step.started', { step: name, ...(iteration && { iteration }) });
+    };
+    const reportProgress = (message, data = {}) => {
+      this.emitEvent(taskId, 'step.progress', { step: stage, message, ...(iteration && { iteration }), ...data });
+    };
+    const completeStage = () => {
+      this.emitEvent(taskId, 'step.completed', { step: stage, status: 'COMPLETED', ...(iteration && { iteration }) });
+      stage = null;
+    };
+    const stages = { start: startStage, progress: reportProgress, complete: completeStage };
 
     try {
       // In a real implementation, this would call the code generator API
       // For MVP, we'll use a simpler approach with direct implementation or mock
       
-      // Step 1: Generate code
+      // Step 1: Find the entities the generated code is built around
+      this.checkCancelled(taskId, signal);
+      task.status = 'ANALYZING_PROMPT';
+      this.tasks.set(taskId, task);
+      this.saveTask(task);
+      startStage('analyze_prompt');
+
+      task.analysis = await this.codeGenerator.analyzePrompt(prompt, { ...options, signal });
+      this.saveTask(task);
+      reportProgress(`Entities: ${task.analysis.entities.map(entity => entity.name).join(', ')}`);
+      completeStage();
+
+      // Step 2: Generate code
+      this.checkCancelled(taskId, signal);
       task.status = 'GENERATING_CODE';
       this.tasks.set(taskId, task);
-      this.saveTasksToDisk();
+      this.saveTask(task);
+      startStage('generate_code');
       
-      const generatedCode = await this.callCodeGenerator(prompt, options);
+      task.attempts = [];
+      const generatedCode = await withRetry(
+        () => this.callCodeGenerator(prompt, { ...options, analysis: task.analysis }, signal),
+        this.config.retry_policy,
+        {
+          signal,
+          onAttempt: ({ attempt, maxRetries }) => {
+            task.retry = attempt > 1 ? { attempt: attempt - 1, max: maxRetries } : null;
+            task.attempts.push({ attempt, started_at: new Date().toISOString() });
+            this.saveTask(task);
+            if (task.retry) {
+              reportProgress(`Retry ${task.retry.attempt}/${task.retry.max}`, { retry: task.retry });
+            }
+          },
+          onFailure: ({ attempt, error, retryable, delay }) => {
+            Object.assign(task.attempts[attempt - 1], {
+              completed_at: new Date().toISOString(),
+              error: error.message,
+              retryable,
+              retry_in_ms: retryable ? delay : null
+            });
+            this.saveTask(task);
+          }
+        }
+      );
+      completeStage();
       
-      // Step 2: Simple validation/testing if enabled in config
-      if (this.config.validation?.enable_basic_testing) {
-        task.status = 'VALIDATING';
-        this.tasks.set(taskId, task);
-        this.saveTasksToDisk();
-        
-        const validationResult = this.validateCode(generatedCode);
-        task.results = {
-          code: generatedCode,
-          validation: validationResult
-        };
-      } else {
-        task.results = {
-          code: generatedCode,
-          validation: { passed: true, issues: [] }
+      // Steps 3 to 5: validate, lint and test the code, then analyze the
+      // failures and refine the code until the checks pass or the iteration
+      // or time budget is spent
+      const budget = this.getRefinementBudget(options);
+      const refinementStarted = Date.now();
+      const trees = [];
+      let code = generatedCode;
+      let changedFiles = Object.keys(code);
+      let stopped = null;
+      task.results = { iterations: [] };
+
+      for (iteration = 1; !stopped; iteration++) {
+        const record = {
+          iteration,
+          started_at: new Date().toISOString(),
+          changed_files: changedFiles,
+          files: Object.fromEntries(changedFiles.map(file => [file, code[file]]))
         };
+        Object.assign(record, await this.evaluateCode(task, code, options, stages, signal));
+        trees.push(code);
+        task.results.iterations.push(record);
+        Object.assign(task.results, {
+          code,
+          validation: record.validation,
+          lint_results: record.lint_results,
+          test_results: record.test_results
+        });
+        this.saveTask(task);
+
+        if (record.validation.passed) {
+          stopped = 'passed';
+        } else if (iteration >= budget.max_iterations) {
+          stopped = 'max_iterations';
+        } else if (Date.now() - refinementStarted >= budget.time_budget_ms) {
+          stopped = 'time_budget';
+        } else {
+          this.checkCancelled(taskId, signal);
+          task.status = 'ANALYZING_ERRORS';
+          this.tasks.set(taskId, task);
+          this.saveTask(task);
+          startStage('analyze_errors');
+
+          record.error_analysis = analyzeIssues({ ...record, code });
+          reportProgress(record.error_analysis.summary);
+          completeStage();
+
+          if (record.error_analysis.issues.length === 0) {
+            stopped = 'no_issues';
+          } else {
+            this.checkCancelled(taskId, signal);
+            task.status = 'REFINING_CODE';
+            this.tasks.set(taskId, task);
+            this.saveTask(task);
+            startStage('refine_code');
+
+            const refined = await this.refineCode(code, record.error_analysis, {
+              ...options,
+              prompt,
+              analysis: task.analysis,
+              signal
+            });
+            changedFiles = Object.keys(refined).filter(file => refined[file] !== code[file]);
+            reportProgress(changedFiles.length > 0 ? `Changed ${changedFiles.join(', ')}` : 'No changes');
+            completeStage();
+
+            if (changedFiles.length === 0) {
+              stopped = 'unchanged';
+            }
+            code = refined;
+          }
+        }
+
+        record.completed_at = new Date().toISOString();
+        this.saveTask(task);
       }
+      iteration = null;
+      task.results.refinement = { iterations: task.results.iterations.length, passed: task.results.validation.passed, stopped };
+      // Code that still fails its checks is kept, but not passed off as a normal generation
+      const failedChecks = !task.results.validation.passed;
       
-      // Step 3: Save artifacts if specified in config
+      // Step 6: Save artifacts if specified in config
       if (this.config.storage?.generations_path) {
+        this.checkCancelled(taskId, signal);
         task.status = 'SAVING_ARTIFACTS';
         this.tasks.set(taskId, task);
-        this.saveTasksToDisk();
+        this.saveTask(task);
+        startStage('save_artifacts');
         
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const outputDir = path.join(
           options.output || this.config.storage.generations_path,
-          `gen-${timestamp}`
+          `gen-${timestamp}${failedChecks ? '-with-errors' : ''}`
         );
         
+        // The file names are checked before anything is written
+        const files = Object.entries(task.results.code)
+          .map(([filename, content]) => [fileUtils.resolveInside(outputDir, filename), content]);
+        const iterationTrees = trees.length > 1 ? trees.map((tree, index) => {
+          const iterationDir = path.join(`${outputDir}-iterations`, `iteration-${index + 1}`);
+          const iterationFiles = Object.entries(tree)
+            .map(([filename, content]) => [fileUtils.resolveInside(path.join(iterationDir, 'files'), filename), content]);
+          return { iterationDir, iterationFiles };
+        }) : [];
+        
         fileUtils.ensureDir(outputDir);
         
         // Save code files
-        for (const [filename, content] of Object.entries(generatedCode)) {
-          const filePath = path.join(outputDir, filename);
+        for (const [filePath, content] of files) {
           fileUtils.ensureDir(path.dirname(filePath));
           fs.writeFileSync(filePath, content);
+          this.emitEvent(taskId, 'artifact.written', { step: stage, path: filePath });
+        }
+        
+        // Keep the files and diagnostics of each iteration of a refined task
+        // next to the final code, to show how it converged
+        if (iterationTrees.length > 0) {
+          iterationTrees.forEach(({ iterationDir, iterationFiles }, index) => {
+            const diagnostics = omit(task.results.iterations[index], ['files']);
+            for (const [filePath, content] of iterationFiles) {
+              fileUtils.ensureDir(path.dirname(filePath));
+              fs.writeFileSync(filePath, content);
+            }
+            fs.writeFileSync(path.join(iterationDir, 'diagnostics.json'), JSON.stringify(diagnostics, null, 2));
+            this.emitEvent(taskId, 'artifact.written', { step: stage, path: iterationDir });
+          });
+          task.iterationsPath = `${outputDir}-iterations`;
         }
         
         task.outputPath = outputDir;
+        completeStage();
       }
       
-      task.status = 'COMPLETED';
+      task.status = failedChecks ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+      if (failedChecks) {
+        const { iterations } = task.results.refinement;
+        task.error = `The generated code still fails validation after ${iterations} ${iterations === 1 ? 'iteration' : 'iterations'}`;
+      }
       task.completed_at = new Date().toISOString();
       this.tasks.set(taskId, task);
-      this.saveTasksToDisk();
+      this.saveTask(task);
+      this.emitEvent(taskId, 'task.finished', {
+        status: task.status,
+        ...(failedChecks && { error: task.error }),
+        output_path: task.outputPath || null
+      });
       
     } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        logger.info(`Task ${taskId} was cancelled`);
+        
+        task.status = 'CANCELLED';
+        task.completed_at = task.completed_at || new Date().toISOString();
+        this.tasks.set(taskId, task);
+        this.saveTask(task);
+        if (stage) {
+          this.emitEvent(taskId, 'step.completed', { step: stage, status: 'CANCELLED' });
+        }
+        this.emitEvent(taskId, 'task.finished', { status: task.status });
+        throw error;
+      }
+      
       logger.error(`Task execution error for task ${taskId}`, error);
       
       task.status = 'FAILED';
       task.error = error.message;
       task.completed_at = new Date().toISOString();
       this.tasks.set(taskId, task);
-      this.saveTasksToDisk();
+      this.saveTask(task);
+      if (stage) {
+        this.emitEvent(taskId, 'step.completed', { step: stage, status: 'FAILED', error: task.error });
+      }
+      this.emitEvent(taskId, 'task.finished', { status: task.status, error: task.error });
       throw error;
     }
   }
 
   /**
-   * Call the code generator service
-   * @param {string} prompt - The user's prompt
-   * @param {Object} options - Additional options
-   * @returns {Object} Generated code
+   * Validate, lint and test generated code as enabled in the configuration.
+   * Lint errors and failed tests fail the validation with an issue naming
+   * where they come from.
+   * @param {Object} task - Task being executed
+   * @param {Object} code - Generated code files
+   * @param {Object} options - Generation options (run_tests)
+   * @param {Object} stages - Stage reporting of the task (start, progress, complete)
+   * @param {AbortSignal} signal - Signal that cancels the checks
+   * @returns {Promise<Object>} Results as {validation, lint_results, test_results}
    */
-  async callCodeGenerator(prompt, options) {
-    // For MVP, we can use a mock implementation
-    // In production, this would call an actual API
-    
-    // Mock delay to simulate API call
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Determine language based on options or detect from prompt
-    const language = options.language || this.detectLanguage(prompt);
-    
-    // Generate code based on language
-    switch (language) {
-      case 'javascript':
-        return this.generateJavaScriptCode(prompt);
-      case 'python':
-        return this.generatePythonCode(prompt);
-      default:
-        // Check if specified language is supported
-        if (options.language && !this.supportedLanguages.includes(options.language)) {
-          throw new Error(`Unsupported language: ${options.language}. Supported languages are: ${this.supportedLanguages.join(', ')}`);
-        }
-        return this.generateJavaScriptCode(prompt); // Default to JavaScript
+  async evaluateCode(task, code, options, stages, signal) {
+    const results = { validation: { passed: true, issues: [] } };
+
+    // Step 3: Simple validation/testing if enabled in config
+    if (this.config.validation?.enable_basic_testing) {
+      this.checkCancelled(task.id, signal);
+      task.status = 'VALIDATING';
+      this.tasks.set(task.id, task);
+      this.saveTask(task);
+      stages.start('validate');
+
+      results.validation = this.validateCode(code);
+      stages.complete();
     }
-  }
 
-  /**
-   * Simple language detection from prompt
-   * @param {string} prompt - The user's prompt
-   * @returns {string} Detected language
-   */
-  detectLanguage(prompt) {
-    const lowerPrompt = prompt.toLowerCase();
-    
-    if (lowerPrompt.includes('python') || lowerPrompt.includes('django') || lowerPrompt.includes('flask')) {
-      return 'python';
+    // Step 4: Lint the generated code if enabled in config
+    if (this.config.validation?.enable_linting) {
+      this.checkCancelled(task.id, signal);
+      task.status = 'LINTING';
+      this.tasks.set(task.id, task);
+      this.saveTask(task);
+      stages.start('lint_code');
+
+      const lintResults = await this.lintCode(code, { signal });
+      results.lint_results = lintResults;
+      const errors = lintResults.issues.filter(issue => issue.type === 'error').length;
+      if (errors > 0) {
+        results.validation.passed = false;
+        results.validation.issues.push({
+          type: 'error',
+          message: `${errors} lint ${errors === 1 ? 'error' : 'errors'} in the generated code`,
+          source: 'lint'
+        });
+      }
+      stages.progress(lintResults.error || `${lintResults.issues.length} issues found by ${lintResults.tools.join(', ') || 'no linter'}`);
+      stages.complete();
     }
-    
-    if (lowerPrompt.includes('java') && !lowerPrompt.includes('javascript')) {
-      return 'java';
+
+    // Step 5: Run the generated tests in the sandbox if enabled in config
+    if (this.config.validation?.run_tests && options.run_tests !== false) {
+      this.checkCancelled(task.id, signal);
+      task.status = 'TESTING';
+      this.tasks.set(task.id, task);
+      this.saveTask(task);
+      stages.start('run_tests');
+
+      const testResults = await this.runTests(code, {
+        signal,
+        onProgress: ({ message }) => stages.progress(message)
+      });
+      results.test_results = testResults;
+      if (testResults.failures > 0) {
+        results.validation.passed = false;
+        results.validation.issues.push({
+          type: 'error',
+          message: `${testResults.failures} of ${testResults.total} generated tests failed`,
+          source: 'tests'
+        });
+      }
+      stages.progress(testResults.error || testResults.reason || `Tests: ${testResults.passed} passed, ${testResults.failures} failed`);
+      stages.complete();
     }
-    
-    // Default to JavaScript
-    return 'javascript';
+
+    return results;
   }
 
   /**
-   * Generate JavaScript code from prompt
-   * @param {string} prompt - The user's prompt
-   * @returns {Object} Generated code files
+   * Get the budget of the refinement loop: refinement.max_iterations counts
+   * the first generation, so 1 turns refinement off
+   * @param {Object} options - Generation options (max_iterations)
+   * @returns {Object} Budget as {max_iterations, time_budget_ms}
    */
-  generateJavaScriptCode(prompt) {
-    // Very basic implementation for MVP
-    // In production, this would use a more sophisticated approach
-    
-    const isNodeBackend = prompt.toLowerCase().includes('api') || 
-                          prompt.toLowerCase().includes('server') ||
-                          prompt.toLowerCase().includes('backend');
-    
-    const isReactFrontend = prompt.toLowerCase().includes('react') ||
-                             prompt.toLowerCase().includes('frontend') ||
-                             prompt.toLowerCase().includes('ui');
-    
-    const files = {};
-    
-    if (isNodeBackend) {
-      files['server.js'] = `
-const express = require('express');
-const app = express();
-const port = process.env.PORT || 3000;
-
-app.use(express.json());
-
-// Simple in-memory data store
-const items = [];
-
-// GET all items
-app.get('/api/items', (req, res) => {
-  res.json(items);
-});
-
-// GET item by id
-app.get('/api/items/:id', (req, res) => {
-  const item = items.find(i => i.id === parseInt(req.params.id));
-  if (!item) return res.status(404).json({ error: 'Item not found' });
-  res.json(item);
-});
-
-// POST new item
-app.post('/api/items', (req, res) => {
-  const item = {
-    id: items.length + 1,
-    name: req.body.name,
-    created: new Date()
-  };
-  items.push(item);
-  res.status(201).json(item);
-});
-
-// DELETE item
-app.delete('/api/items/:id', (req, res) => {
-  const index = items.findIndex(i => i.id === parseInt(req.params.id));
-  if (index === -1) return res.status(404).json({ error: 'Item not found' });
-  items.splice(index, 1);
-  res.status(204).send();
-});
-
-app.listen(port, () => {
-  console.log(\`Server running on port \${port}\`);
-});
-      `;
-      
-      files['package.json'] = `{
-  "name": "api-server",
-  "version": "1.0.0",
-  "description": "API Server generated by Happiness Agent",
-  "main": "server.js",
-  "scripts": {
-    "start": "node server.js",
-    "dev": "nodemon server.js",
-    "test": "jest"
-  },
-  "dependencies": {
-    "express": "^4.17.1"
-  },
-  "devDependencies": {
-    "jest": "^27.0.6",
-    "nodemon": "^2.0.12"
+  getRefinementBudget(options = {}) {
+    const refinement = this.config.refinement || {};
+    const maxIterations = Number(options.max_iterations ?? refinement.max_iterations ?? 1);
+    return {
+      max_iterations: Number.isInteger(maxIterations) && maxIterations > 0 ? maxIterations : 1,
+      time_budget_ms: refinement.time_budget_ms || Infinity
+    };
   }
-}`;
-    }
-    
-    if (isReactFrontend) {
-      files['App.js'] = `
-import React, { useState, useEffect } from 'react';
-import './App.css';
-
-function App() {
-  const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [newItemName, setNewItemName] = useState('');
-
-  useEffect(() => {
-    fetchItems();
-  }, []);
-
-  const fetchItems = async () => {
-    try {
-      setLoading(true);
-      const response = await fetch('/api/items');
-      const data = await response.json();
-      setItems(data);
-      setLoading(false);
-    } catch (error) {
-      console.error('Error fetching items:', error);
-      setLoading(false);
-    }
-  };
 
-  const addItem = async (e) => {
-    e.preventDefault();
-    if (!newItemName.trim()) return;
-    
-    try {
-      const response = await fetch('/api/items', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ name: newItemName }),
-      });
-      
-      const newItem = await response.json();
-      setItems([...items, newItem]);
-      setNewItemName('');
-    } catch (error) {
-      console.error('Error adding item:', error);
-    }
-  };
-
-  const deleteItem = async (id) => {
-    try {
-      await fetch(\`/api/items/\${id}\`, {
-        method: 'DELETE',
-      });
-      
-      setItems(items.filter(item => item.id !== id));
-    } catch (error) {
-      console.error('Error deleting item:', error);
-    }
-  };
-
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>Item Manager</h1>
-      </header>
-      <main>
-        <form onSubmit={addItem}>
-          <input
-            type="text"
-            value={newItemName}
-            onChange={(e) => setNewItemName(e.target.value)}
-            placeholder="Enter item name"
-            required
-          />
-          <button type="submit">Add Item</button>
-        </form>
-        
-        {loading ? (
-          <p>Loading...</p>
-        ) : (
-          <ul>
-            {items.length === 0 ? (
-              <p>No items found.</p>
-            ) : (
-              items.map(item => (
-                <li key={item.id}>
-                  {item.name}
-                  <button onClick={() => deleteItem(item.id)}>Delete</button>
-                </li>
-              ))
-            )}
-          </ul>
-        )}
-      </main>
-    </div>
-  );
-}
-
-export default App;
-      `;
-      
-      files['App.css'] = `
-.App {
-  text-align: center;
-  max-width: 800px;
-  margin: 0 auto;
-  padding: 20px;
-}
-
-.App-header {
-  background-color: #282c34;
-  padding: 20px;
-  color: white;
-  margin-bottom: 20px;
-}
-
-form {
-  margin-bottom: 20px;
-  display: flex;
-  justify-content: center;
-}
-
-input {
-  padding: 10px;
-  font-size: 16px;
-  border: 1px solid #ddd;
-  border-radius: 4px;
-  margin-right: 10px;
-  flex-grow: 1;
-  max-width: 300px;
-}
-
-button {
-  padding: 10px 15px;
-  background-color: #61dafb;
-  color: black;
-  border: none;
-  border-radius: 4px;
-  cursor: pointer;
-  font-size: 16px;
-}
-
-button:hover {
-  background-color: #21a1cb;
-}
-
-ul {
-  list-style-type: none;
-  padding: 0;
-}
-
-li {
-  display: flex;
-  justify-content: space-between;
-  align-items: center;
-  padding: 10px;
-  margin-bottom: 10px;
-  background-color: #f5f5f5;
-  border-radius: 4px;
-}
-      `;
-    }
-    
-    // Add a README.md regardless of project type
-    files['README.md'] = `# Project Generated by Happiness Agent
-
-This project was automatically generated based on your prompt:
-
-> ${prompt}
-
-## Getting Started
-
-1. Install dependencies:
-   \`\`\`
-   npm install
-   \`\`\`
-
-2. Run the project:
-   \`\`\`
-   npm start
-   \`\`\`
-
-## Project Structure
-
-${Object.keys(files).map(file => `- ${file}`).join('\n')}
-
-## Next Steps
-
-1. Review the generated code
-2. Add additional features as needed
-3. Write tests for your application
-4. Deploy your application
-    `;
-    
+  /**
+   * Fix the issues of an error analysis, declaring missing packages directly
+   * and asking the code generator to fix the rest
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} errorAnalysis - Error analysis with the issues to fix
+   * @param {Object} options - Refinement options (prompt, language, signal)
+   * @returns {Promise<Object>} Refined code files
+   */
+  async refineCode(codeFiles, errorAnalysis, options) {
+    const { files } = await refineCodeFiles(codeFiles, errorAnalysis, { ...options, generator: this.codeGenerator });
     return files;
   }
 
   /**
-   * Generate Python code from prompt
+   * Call the configured code generation provider
    * @param {string} prompt - The user's prompt
-   * @returns {Object} Generated code files
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} signal - Signal that cancels the call
+   * @returns {Object} Generated code
    */
-  generatePythonCode(prompt) {
-    // Basic Python code generation for MVP
-    
-    const isFlask = prompt.toLowerCase().includes('flask') || 
-                    prompt.toLowerCase().includes('web') ||
-                    prompt.toLowerCase().includes('api');
-    
-    const isDataScience = prompt.toLowerCase().includes('data') ||
-                           prompt.toLowerCase().includes('analysis') ||
-                           prompt.toLowerCase().includes('machine learning');
-    
-    const files = {};
-    
-    if (isFlask) {
-      files['app.py'] = `
-from flask import Flask, request, jsonify
-import json
-from datetime import datetime
-
-app = Flask(__name__)
-
-# Simple in-memory data store
-items = []
-
-@app.route('/api/items', methods=['GET'])
-def get_items():
-    return jsonify(items)
-
-@app.route('/api/items/<int:item_id>', methods=['GET'])
-def get_item(item_id):
-    item = next((i for i in items if i['id'] == item_id), None)
-    if item is None:
-        return jsonify({'error': 'Item not found'}), 404
-    return jsonify(item)
-
-@app.route('/api/items', methods=['POST'])
-def create_item():
-    data = request.get_json()
-    item = {
-        'id': len(items) + 1,
-        'name': data.get('name'),
-        'created': datetime.now().isoformat()
-    }
-    items.append(item)
-    return jsonify(item), 201
-
-@app.route('/api/items/<int:item_id>', methods=['DELETE'])
-def delete_item(item_id):
-    global items
-    initial_length = len(items)
-    items = [i for i in items if i['id'] != item_id]
-    
-    if len(items) == initial_length:
-        return jsonify({'error': 'Item not found'}), 404
-    
-    return '', 204
-
-if __name__ == '__main__':
-    app.run(debug=True)
-      `;
-      
-      files['requirements.txt'] = `
-Flask==2.0.1
-pytest==6.2.5
-      `;
-    }
-    
-    if (isDataScience) {
-      files['analysis.py'] = `
-import pandas as pd
-import matplotlib.pyplot as plt
-import numpy as np
-from sklearn.model_selection import train_test_split
-from sklearn.linear_model import LinearRegression
-from sklearn.metrics import mean_squared_error, r2_score
-
-# Load data (sample code)
-def load_data(file_path):
-    print(f"Loading data from {file_path}")
-    # In a real application, you would load your data here
-    # For demo purposes, we'll create a synthetic dataset
-    np.random.seed(42)
-    n_samples = 100
-    x = np.linspace(0, 10, n_samples)
-    y = 2 * x + 1 + np.random.normal(0, 1, n_samples)
-    
-    df = pd.DataFrame({
-        'feature': x,
-        'target': y
-    })
-    return df
-
-# Perform basic data analysis
-def analyze_data(df):
-    print("Performing data analysis")
-    print("\\nData Sample:")
-    print(df.head())
-    
-    print("\\nBasic Statistics:")
-    print(df.describe())
-    
-    print("\\nChecking for missing values:")
-    print(df.isnull().sum())
-    
-    # Basic visualization
-    plt.figure(figsize=(10, 6))
-    plt.scatter(df['feature'], df['target'])
-    plt.title('Feature vs Target')
-    plt.xlabel('Feature')
-    plt.ylabel('Target')
-    plt.savefig('feature_target_scatter.png')
-    print("Scatter plot saved as 'feature_target_scatter.png'")
-    
-    return df
-
-# Train a simple model
-def train_model(df):
-    print("Training model")
-    X = df[['feature']]
-    y = df['target']
-    
-    # Split the data
-    X_train, X_test, y_train, y_test = train_test_split(
-        X, y, test_size=0.2, random_state=42
-    )
-    
-    # Train a linear regression model
-    model = LinearRegression()
-    model.fit(X_train, y_train)
-    
-    # Make predictions
-    y_pred = model.predict(X_test)
-    
-    # Evaluate the model
-    mse = mean_squared_error(y_test, y_pred)
-    r2 = r2_score(y_test, y_pred)
-    
-    print(f"Model Results:")
-    print(f"  Coefficient: {model.coef_[0]:.4f}")
-    print(f"  Intercept: {model.intercept_:.4f}")
-    print(f"  Mean Squared Error: {mse:.4f}")
-    print(f"  R² Score: {r2:.4f}")
-    
-    return model
-
-# Main function
-def main():
-    print("Starting data analysis")
-    df = load_data('data.csv')
-    df = analyze_data(df)
-    model = train_model(df)
-    print("Analysis complete")
-
-if __name__ == '__main__':
-    main()
-      `;
-      
-      files['requirements.txt'] = `
-pandas==1.3.3
-matplotlib==3.4.3
-numpy==1.21.2
-scikit-learn==1.0
-      `;
-    }
-    
-    // Add a README.md regardless of project type
-    files['README.md'] = `# Python Project Generated by Happiness Agent
-
-This project was automatically generated based on your prompt:
-
-> ${prompt}
-
-## Getting Started
-
-1. Create a virtual environment:
-   \`\`\`
-   python -m venv venv
-   source venv/bin/activate  # On Windows: venv\\Scripts\\activate
-   \`\`\`
-
-2. Install dependencies:
-   \`\`\`
-   pip install -r requirements.txt
-   \`\`\`
-
-3. Run the project:
-   \`\`\`
-   python ${isFlask ? 'app.py' : 'analysis.py'}
-   \`\`\`
-
-## Project Structure
-
-${Object.keys(files).map(file => `- ${file}`).join('\n')}
-
-## Next Steps
+  async callCodeGenerator(prompt, options, signal) {
+    return this.codeGenerator.generateCode(prompt, { ...options, signal });
+  }
 
-1. Review the generated code
-2. Add additional features as needed
-3. Write tests for your application
-4. Deploy your application
-    `;
-    
-    return files;
+  /**
+   * Detect the programming language of a prompt
+   * @param {string} prompt - The user's prompt
+   * @returns {string} Detected language
+   */
+  detectLanguage(prompt) {
+    return this.codeGenerator.detectLanguage(prompt);
   }
 
   /**
-   * Simple code validation
+   * Validate generated code
    * @param {Object} codeFiles - Generated code files
    * @returns {Object} Validation results
    */
   validateCode(codeFiles) {
-    // For MVP, this is a very basic validation
-    // In production, this would be more sophisticated
-    
-    const results = {
-      passed: true,
-      issues: []
-    };
-    
-    // Check if at least one file was generated
-    if (Object.keys(codeFiles).length === 0) {
-      results.passed = false;
-      results.issues.push({
-        type: 'error',
-        message: 'No code files were generated'
-      });
-    }
-    
-    // Check if README exists
-    if (!codeFiles['README.md']) {
-      results.issues.push({
-        type: 'warning',
-        message: 'README.md file is missing'
-      });
+    return this.codeGenerator.validateCode(codeFiles, { python: this.config.validation?.python || undefined });
+  }
+
+  /**
+   * Lint generated code
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} options - Lint options (signal)
+   * @returns {Promise<Object>} Lint results; a lint that could not run reports its error
+   */
+  async lintCode(codeFiles, options = {}) {
+    try {
+      return await this.linter.lint(codeFiles, options);
+    } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        throw error;
+      }
+      logger.warn(`Failed to lint the generated code: ${error.message}`);
+      return { issues: [], tools: [], error: error.message };
     }
-    
-    // Basic package.json validation for JavaScript projects
-    if (codeFiles['package.json']) {
-      try {
-        const packageJson = JSON.parse(codeFiles['package.json']);
-        
-        if (!packageJson.name) {
-          results.issues.push({
-            type: 'warning',
-            message: 'package.json is missing a name field'
-          });
-        }
-        
-        if (!packageJson.main) {
-          results.issues.push({
-            type: 'warning',
-            message: 'package.json is missing a main field'
-          });
-        }
-      } catch (error) {
-        results.passed = false;
-        results.issues.push({
-          type: 'error',
-          message: 'Invalid package.json: ' + error.message
-        });
+  }
+
+  /**
+   * Run the tests of generated code in a sandboxed workspace
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} options - Run options (signal, onProgress)
+   * @returns {Promise<Object>} Test results; a run that could not start reports its error
+   */
+  async runTests(codeFiles, options = {}) {
+    try {
+      return await this.testRunner.run(codeFiles, options);
+    } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        throw error;
       }
+      logger.warn(`Failed to run the generated tests: ${error.message}`);
+      return { ...summarize([]), suites: [], error: error.message };
     }
-    
-    return results;
   }
 
   /**
@@ -807,7 +769,7 @@ ${Object.keys(files).map(file => `- ${file}`).join('\n')}
    * @returns {Object} Task status
    */
   async getTaskStatus(taskId) {
-    const task = this.tasks.get(taskId);
+    const task = this.getTask(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
@@ -816,28 +778,47 @@ ${Object.keys(files).map(file => `- ${file}`).join('\n')}
       id: task.id,
       status: task.status,
       prompt: task.prompt,
+      spec: task.spec,
       error: task.error,
       started_at: task.started_at,
       completed_at: task.completed_at,
-      outputPath: task.outputPath
+      outputPath: task.outputPath,
+      retry: task.retry,
+      attempts: task.attempts,
+      analysis: task.analysis,
+      validation: task.results?.validation,
+      refinement: task.results?.refinement,
+      iterations: task.results?.iterations?.map(iteration => ({
+        ...omit(iteration, ['files', 'validation', 'lint_results', 'test_results']),
+        passed: iteration.validation.passed
+      })),
+      iterationsPath: task.iterationsPath,
+      lint_results: task.results?.lint_results,
+      test_results: task.results?.test_results
     };
   }
 
   /**
    * Get task artifacts (generated code)
    * @param {string} taskId - ID of the task
+   * @param {Object} options - Artifact options
+   * @param {boolean} options.original - Get the code of the first iteration, before refinement
    * @returns {Object} Task artifacts
    */
-  async getTaskArtifacts(taskId) {
-    const task = this.tasks.get(taskId);
+  async getTaskArtifacts(taskId, options = {}) {
+    const task = this.getTask(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
     
-    if (task.status !== 'COMPLETED') {
+    if (!['COMPLETED', 'COMPLETED_WITH_ERRORS'].includes(task.status)) {
       throw new Error(`Task ${taskId} is not completed (status: ${task.status})`);
     }
     
+    // The first iteration records every generated file
+    if (options.original && task.results.iterations?.length > 0) {
+      return task.results.iterations[0].files;
+    }
     return task.results.code;
   }
 
@@ -846,6 +827,7 @@ ${Object.keys(files).map(file => `- ${file}`).join('\n')}
    * @returns {Array} List of tasks
    */
   async listTasks() {
+    this.loadTasks();
     return Array.from(this.tasks.values()).map(task => ({
       id: task.id,
       status: task.status,
@@ -4,129 +4,216 @@
  * Manages communication with the agent network and orchestrates workflows
  */
 
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-const { logger } = require('../utils');
+const { logger, configUtils, fileUtils, abortUtils, timeUtils } = require('../utils');
+const { createTransport } = require('../agents/transports');
+const { AgentRegistry } = require('../agents/registry');
+const { loadWorkflows, resolveTemplate, evaluateCondition } = require('./workflows');
+const { runGraph } = require('./scheduler');
+const { withRetry } = require('../utils/retry');
+const { TaskStore } = require('./task-store');
+const { EventLog } = require('./events');
+const { readCode } = require('../analysis');
+const { validateOutput } = require('../planning');
 
-class OrchestratorClient {
+// Statuses of a task that is still executing
+const ACTIVE_STATUSES = ['PENDING', 'RUNNING'];
+
+// Statuses of a step that does not need to run again when a task is resumed
+const FINISHED_STEP_STATUSES = ['COMPLETED', 'SKIPPED'];
+
+/**
+ * Tell whether a step output is a tree of files, as file contents by path
+ * @param {*} value - Step output
+ * @returns {boolean} True for a non-empty object of strings
+ */
+function isFileTree(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length > 0 && Object.values(value).every(content => typeof content === 'string');
+}
+
+/**
+ * Emits the typed task events listed in EVENT_TYPES (./events), each also
+ * re-emitted as 'event', and appends them to the task's event log
+ */
+class OrchestratorClient extends EventEmitter {
   /**
    * Initialize the orchestrator client
    * @param {Object} agentConfig - Configuration for agent connections
+   * @param {Object} options - Additional options
+   * @param {string|Object} options.transport - Transport name (a2a, mock, local) or transport instance
+   * @param {Object} options.transportOptions - Options passed to the transport
+   * @param {AgentRegistry|null} options.registry - Registry used to check agent capabilities (null disables the check)
+   * @param {Object} options.workflows - Workflow definitions (defaults to the workflows in config/default.json)
+   * @param {string} options.workflowsDir - Directory of additional *.json workflow definitions
+   * @param {number} options.maxConcurrency - Maximum number of workflow steps running at once
+   * @param {Object} options.retryPolicy - Retry policy for agent calls (see retry_policy in config/default.json)
+   * @param {TaskStore|null} options.store - Store used to persist tasks across processes (null keeps tasks in memory only)
+   * @param {EventLog|null} options.eventLog - Log task events are persisted to (defaults to the store's base directory)
+   * @param {number} options.cancelPollIntervalMs - How often an executing task checks the store for a cancel from another process
    */
-  constructor(agentConfig) {
+  constructor(agentConfig, options = {}) {
+    super();
     this.agents = agentConfig;
+    this.transport = typeof options.transport === 'object'
+      ? options.transport
+      : createTransport(options.transport || 'a2a', agentConfig, options.transportOptions);
+    this.registry = options.registry !== undefined
+      ? options.registry
+      : new AgentRegistry(agentConfig, { transport: this.transport });
+    this.store = options.store !== undefined ? options.store : new TaskStore('.happiness');
+    this.eventLog = options.eventLog !== undefined
+      ? options.eventLog
+      : (this.store ? new EventLog(this.store.basePath) : null);
     this.tasks = new Map();
+    this.controllers = new Map();
+    this.executions = new Map();
+    this.maxConcurrency = options.maxConcurrency || 4;
+    this.cancelPollIntervalMs = options.cancelPollIntervalMs || 1000;
+    this.retryPolicy = options.retryPolicy || configUtils.loadConfig('default').retry_policy;
+    this.workflowDefinitions = options.workflows || configUtils.loadConfig('default').workflows;
+    this.workflowsDir = options.workflowsDir || path.join('.happiness', 'workflows');
     this.workflows = {};
+    this.workflowErrors = {};
     this.loadWorkflows();
+    this.loadTasks();
   }
 
   /**
-   * Load workflow definitions
+   * Load workflow tasks from the task store. Tasks executing in this process
+   * are kept as they are; everything else is refreshed from disk.
    */
-  loadWorkflows() {
+  loadTasks() {
+    if (!this.store) {
+      return;
+    }
+
     try {
-      // In a real implementation, this would load from config or API
-      this.workflows = {
-        full_cycle: {
-          steps: [
-            {
-              name: 'analyze_requirements',
-              agent: 'consultant',
-              action: 'analyze_prompt',
-              inputs: params => ({
-                user_prompt: params.user_prompt
-              }),
-              outputMapping: result => ({
-                scope_definition: result.scope_definition
-              })
-            },
-            {
-              name: 'decompose_tasks',
-              agent: 'pm',
-              action: 'create_task_plan',
-              inputs: (params, prevResults) => ({
-                scope_definition: prevResults.analyze_requirements.scope_definition
-              }),
-              outputMapping: result => ({
-                task_plan: result.task_plan
-              })
-            },
-            {
-              name: 'generate_code',
-              agent: 'code_generator',
-              action: 'generate_module',
-              inputs: (params, prevResults) => ({
-                task_plan: prevResults.decompose_tasks.task_plan
-              }),
-              outputMapping: result => ({
-                generated_code: result.generated_code
-              })
-            },
-            {
-              name: 'run_tests',
-              agent: 'test_runner',
-              action: 'test_module',
-              inputs: (params, prevResults) => ({
-                code_path: prevResults.generate_code.generated_code
-              }),
-              outputMapping: result => ({
-                test_results: result.test_results
-              })
-            },
-            {
-              name: 'lint_code',
-              agent: 'linter',
-              action: 'lint_code',
-              inputs: (params, prevResults) => ({
-                code_path: prevResults.generate_code.generated_code
-              }),
-              outputMapping: result => ({
-                lint_results: result.lint_results
-              })
-            },
-            {
-              name: 'analyze_errors',
-              agent: 'error_analyzer',
-              action: 'analyze_issues',
-              inputs: (params, prevResults) => ({
-                test_results: prevResults.run_tests.test_results,
-                lint_results: prevResults.lint_code.lint_results
-              }),
-              outputMapping: result => ({
-                error_analysis: result.error_analysis
-              }),
-              condition: (prevResults) => {
-                // Check if there are any errors to analyze
-                const testResults = prevResults.run_tests.test_results;
-                const lintResults = prevResults.lint_code.lint_results;
-                return testResults.failures > 0 || lintResults.issues.length > 0;
-              }
-            },
-            {
-              name: 'refine_code',
-              agent: 'code_generator',
-              action: 'refine_code',
-              inputs: (params, prevResults) => ({
-                code_path: prevResults.generate_code.generated_code,
-                error_analysis: prevResults.analyze_errors.error_analysis
-              }),
-              outputMapping: result => ({
-                refined_code: result.refined_code
-              }),
-              condition: (prevResults) => {
-                // Only run if we analyzed errors
-                return prevResults.analyze_errors && prevResults.analyze_errors.error_analysis;
-              }
-            }
-          ]
-        }
-      };
+      // Tasks whose process died mid-workflow would otherwise stay RUNNING forever
+      this.store.recoverOrphans(ACTIVE_STATUSES, task => task.kind === 'workflow' && !this.controllers.has(task.id));
+
+      this.store.list()
+        .filter(task => task.kind === 'workflow' && !this.controllers.has(task.id))
+        .forEach(task => this.tasks.set(task.id, task));
     } catch (error) {
-      logger.error('Failed to load workflows', error);
-      throw new Error('Failed to load workflow definitions');
+      logger.error('Failed to load tasks from disk', error);
     }
   }
 
+  /**
+   * Get a task, refreshing it from the task store unless it is executing in
+   * this process
+   * @param {string} taskId - ID of the task
+   * @returns {Object|undefined} Task
+   */
+  getTask(taskId) {
+    if (this.store && !this.controllers.has(taskId)) {
+      const stored = this.store.get(taskId);
+      if (stored && stored.kind === 'workflow') {
+        this.tasks.set(taskId, stored);
+      }
+    }
+    return this.tasks.get(taskId);
+  }
+
+  /**
+   * Record a task change and persist it. If another process cancelled the
+   * task while it executes here, the execution is aborted.
+   * @param {Object} task - Task to save
+   */
+  saveTask(task) {
+    this.tasks.set(task.id, task);
+
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      this.store.update(task.id, stored => {
+        this.abortIfCancelled(task, stored);
+        return task;
+      });
+    } catch (error) {
+      logger.error(`Failed to save task ${task.id}`, error);
+    }
+  }
+
+  /**
+   * Abort the execution of a task that another process marked CANCELLED
+   * @param {Object} task - Task executing in this process
+   * @param {Object|null} stored - Task as stored
+   */
+  abortIfCancelled(task, stored) {
+    const controller = this.controllers.get(task.id);
+    if (controller && stored && stored.status === 'CANCELLED' && task.status !== 'CANCELLED') {
+      task.status = 'CANCELLED';
+      task.completed_at = stored.completed_at;
+      controller.abort();
+    }
+  }
+
+  /**
+   * Check the task store for a cancel from another process while a task
+   * executes here, so a long step is aborted without waiting for its next save
+   * @param {Object} task - Task executing in this process
+   * @returns {Object|null} Timer to clear once the execution has settled
+   */
+  watchCancellation(task) {
+    if (!this.store) {
+      return null;
+    }
+
+    const timer = setInterval(() => {
+      try {
+        this.abortIfCancelled(task, this.store.get(task.id));
+      } catch (error) {
+        logger.warn(`Failed to check task ${task.id} for a cancel: ${error.message}`);
+      }
+    }, this.cancelPollIntervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Emit a task event and append it to the task's event log
+   * @param {string} taskId - ID of the task
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @param {Object} data - Event specific fields
+   * @returns {Object} Emitted event
+   */
+  emitEvent(taskId, type, data = {}) {
+    let event = { type, task_id: taskId, timestamp: new Date().toISOString(), ...data };
+
+    if (this.eventLog) {
+      try {
+        event = this.eventLog.append(event);
+      } catch (error) {
+        logger.error(`Failed to log ${type} event for task ${taskId}`, error);
+      }
+    }
+
+    this.emit(type, event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Load workflow definitions from configuration and the workflows directory
+   */
+  loadWorkflows() {
+    const { workflows, errors } = loadWorkflows({
+      definitions: this.workflowDefinitions,
+      dir: this.workflowsDir,
+      agents: this.agents
+    });
+
+    this.workflows = workflows;
+    this.workflowErrors = errors;
+  }
+
   /**
    * Start a workflow execution
    * @param {string} workflowName - Name of the workflow to execute
@@ -134,50 +221,220 @@ class OrchestratorClient {
    * @returns {string} Task ID for the workflow execution
    */
   async startWorkflow(workflowName, params) {
+    const taskId = await this.queueWorkflow(workflowName, params);
+    this.startQueuedWorkflow(taskId);
+    return taskId;
+  }
+
+  /**
+   * Validate a workflow and create its task in the QUEUED state without
+   * executing it
+   * @param {string} workflowName - Name of the workflow to execute
+   * @param {Object} params - Input parameters for the workflow
+   * @returns {string} Task ID for the workflow execution
+   */
+  async queueWorkflow(workflowName, params) {
+    if (this.workflowErrors[workflowName]) {
+      throw new Error(`Workflow "${workflowName}" is invalid:\n  - ${this.workflowErrors[workflowName].join('\n  - ')}`);
+    }
+
     if (!this.workflows[workflowName]) {
       throw new Error(`Workflow "${workflowName}" not found`);
     }
 
     const workflow = this.workflows[workflowName];
+
+    // Fail up front if an agent is missing or lacks an action the workflow needs
+    if (this.registry) {
+      await this.registry.assertWorkflowSupported(workflowName, workflow);
+    }
+
     const taskId = uuidv4();
     
     // Initialize the task state
-    this.tasks.set(taskId, {
+    const task = {
       id: taskId,
+      kind: 'workflow',
       type: workflowName,
-      status: 'PENDING',
+      status: 'QUEUED',
       params,
       steps: workflow.steps.map(step => ({
         name: step.name,
         status: 'PENDING',
-        result: null
+        result: null,
+        started_at: null,
+        completed_at: null,
+        attempts: [],
+        retry: null
       })),
       results: {},
-      started_at: new Date().toISOString()
-    });
+      queued_at: new Date().toISOString(),
+      started_at: null
+    };
+
+    this.saveTask(task);
+
+    return taskId;
+  }
+
+  /**
+   * Start executing a queued workflow task in the background
+   * @param {string} taskId - ID of a task created by queueWorkflow
+   */
+  startQueuedWorkflow(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (task.status !== 'QUEUED') {
+      throw new Error(`Task ${taskId} is not queued (status: ${task.status})`);
+    }
+
+    const workflow = this.workflows[task.type];
+    if (!workflow) {
+      throw new Error(`Workflow "${task.type}" not found`);
+    }
+
+    task.status = 'PENDING';
+    task.started_at = new Date().toISOString();
+    this.launchWorkflow(task, workflow);
+  }
+
+  /**
+   * Resume an interrupted, failed or cancelled workflow. Steps that already
+   * completed or were skipped keep their persisted results; everything else
+   * runs again with the original params.
+   * @param {string} taskId - ID of the task to resume
+   * @returns {string} Task ID
+   */
+  async resumeWorkflow(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (this.controllers.has(taskId) || ACTIVE_STATUSES.includes(task.status)) {
+      throw new Error(`Task ${taskId} is still running (status: ${task.status})`);
+    }
 
-    // Start the workflow execution asynchronously
-    this.executeWorkflow(taskId, workflow, params).catch(error => {
-      logger.error(`Workflow execution error for task ${taskId}`, error);
-      
-      const task = this.tasks.get(taskId);
-      if (task) {
-        task.status = 'FAILED';
-        task.error = error.message;
-        this.tasks.set(taskId, task);
+    if (task.status === 'COMPLETED') {
+      throw new Error(`Task ${taskId} has already completed`);
+    }
+
+    if (this.workflowErrors[task.type]) {
+      throw new Error(`Workflow "${task.type}" is invalid:\n  - ${this.workflowErrors[task.type].join('\n  - ')}`);
+    }
+
+    const workflow = this.workflows[task.type];
+    if (!workflow) {
+      throw new Error(`Workflow "${task.type}" not found`);
+    }
+
+    if (this.registry) {
+      await this.registry.assertWorkflowSupported(task.type, workflow);
+    }
+
+    // Match steps by name, the workflow definition may have changed since
+    const previousSteps = new Map(task.steps.map(taskStep => [taskStep.name, taskStep]));
+    task.steps = workflow.steps.map(step => {
+      const previous = previousSteps.get(step.name);
+      if (previous && FINISHED_STEP_STATUSES.includes(previous.status)) {
+        return previous;
       }
+
+      return {
+        name: step.name,
+        status: 'PENDING',
+        result: null,
+        started_at: null,
+        completed_at: null,
+        attempts: previous ? previous.attempts : [],
+        retry: null
+      };
     });
 
+    task.status = 'PENDING';
+    task.error = null;
+    task.completed_at = null;
+    task.resumed_at = new Date().toISOString();
+
+    logger.info(`Resuming task ${taskId} from step ${task.steps.find(s => s.status === 'PENDING')?.name}`);
+    this.launchWorkflow(task, workflow);
+
     return taskId;
   }
 
+  /**
+   * Start executing a task in the background
+   * @param {Object} task - Task state
+   * @param {Object} workflow - Workflow definition
+   */
+  launchWorkflow(task, workflow) {
+    const taskId = task.id;
+    const controller = new AbortController();
+    this.controllers.set(taskId, controller);
+    task.owner = TaskStore.currentOwner();
+    this.saveTask(task);
+    const cancellation = this.watchCancellation(task);
+
+    const execution = this.executeWorkflow(taskId, workflow, task.params, controller.signal)
+      .catch(error => {
+        logger.error(`Workflow execution error for task ${taskId}`, error);
+        
+        const task = this.tasks.get(taskId);
+        if (task && task.status !== 'CANCELLED') {
+          task.status = 'FAILED';
+          task.error = error.message;
+          this.saveTask(task);
+          this.emitEvent(taskId, 'task.finished', { status: task.status, error: task.error });
+        }
+      })
+      .finally(() => {
+        clearInterval(cancellation);
+        this.controllers.delete(taskId);
+        this.executions.delete(taskId);
+
+        // Tell other processes waiting for the task that it stopped here
+        const task = this.tasks.get(taskId);
+        if (task) {
+          task.owner = null;
+          this.saveTask(task);
+        }
+      });
+    this.executions.set(taskId, execution);
+  }
+
+  /**
+   * Wait until the execution of a task has settled. A task executing in
+   * another process has settled once that process let go of it.
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<void>} Resolves once the task is no longer executing
+   */
+  async waitForTask(taskId) {
+    const execution = this.executions.get(taskId);
+    if (execution) {
+      await execution;
+      return;
+    }
+
+    while (this.store) {
+      const stored = this.store.get(taskId);
+      if (!stored || ![...ACTIVE_STATUSES, 'CANCELLED'].includes(stored.status) || !this.store.isOwnerAlive(stored.owner)) {
+        return;
+      }
+      await timeUtils.sleep(this.cancelPollIntervalMs);
+    }
+  }
+
   /**
    * Execute a workflow
    * @param {string} taskId - ID of the task
    * @param {Object} workflow - Workflow definition
    * @param {Object} params - Input parameters
+   * @param {AbortSignal} signal - Signal that cancels the workflow
    */
-  async executeWorkflow(taskId, workflow, params) {
+  async executeWorkflow(taskId, workflow, params, signal) {
     const task = this.tasks.get(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
@@ -185,162 +442,230 @@ class OrchestratorClient {
 
     // Update task status
     task.status = 'RUNNING';
-    this.tasks.set(taskId, task);
+    this.saveTask(task);
+    this.emitEvent(taskId, 'task.started', {
+      workflow: task.type,
+      resumed: Boolean(task.resumed_at),
+      steps: task.steps.map(taskStep => taskStep.name)
+    });
 
-    // Execute each step in the workflow
-    const stepResults = {};
-    
-    for (let i = 0; i < workflow.steps.length; i++) {
-      const step = workflow.steps[i];
-      const taskStep = task.steps[i];
-      
-      // Check if this step should be executed based on condition
-      if (step.condition && !step.condition(stepResults)) {
-        taskStep.status = 'SKIPPED';
+    // Values available to {{placeholder}} templates: workflow params,
+    // every output produced so far and the outputs of each step by name
+    const context = { ...params };
+    const taskSteps = new Map(task.steps.map(taskStep => [taskStep.name, taskStep]));
+
+    // Steps finished by an earlier run are not executed again
+    const done = workflow.steps
+      .filter(step => FINISHED_STEP_STATUSES.includes(taskSteps.get(step.name).status))
+      .map(step => {
+        const result = taskSteps.get(step.name).result;
+        if (result) {
+          Object.assign(context, result, { [step.name]: result });
+        }
+        return step.name;
+      });
+
+    const { failed } = await runGraph(workflow.steps, {
+      concurrency: this.maxConcurrency,
+      done,
+      runStep: step => this.executeWorkflowStep(task, step, taskSteps.get(step.name), context, signal),
+      onBlocked: (step, failedStep) => {
+        const taskStep = taskSteps.get(step.name);
+        if (signal && signal.aborted) {
+          taskStep.status = 'CANCELLED';
+        } else {
+          taskStep.status = 'FAILED';
+          taskStep.error = `Dependency ${failedStep} failed`;
+        }
+        taskStep.completed_at = new Date().toISOString();
+        this.emitEvent(taskId, 'step.completed', { step: step.name, status: taskStep.status, error: taskStep.error });
+      }
+    });
+
+    if (signal && signal.aborted) {
+      // Steps that never started are cancelled along with the task
+      task.steps
+        .filter(taskStep => ['PENDING', 'RUNNING'].includes(taskStep.status))
+        .forEach(taskStep => {
+          taskStep.status = 'CANCELLED';
+          taskStep.completed_at = new Date().toISOString();
+        });
+      task.status = 'CANCELLED';
+      task.completed_at = task.completed_at || new Date().toISOString();
+      this.saveTask(task);
+      this.emitEvent(taskId, 'task.finished', { status: task.status });
+      return;
+    }
+
+    if (failed.length > 0) {
+      const failedStep = taskSteps.get(failed[0]);
+      task.status = 'FAILED';
+      task.error = `Failed to execute step ${failedStep.name}: ${failedStep.error}`;
+    } else {
+      // All steps completed successfully
+      task.status = 'COMPLETED';
+    }
+
+    task.completed_at = new Date().toISOString();
+    this.saveTask(task);
+    this.emitEvent(taskId, 'task.finished', { status: task.status, error: task.error });
+  }
+
+  /**
+   * Execute one workflow step and record its result on the task
+   * @param {Object} task - Task state
+   * @param {Object} step - Workflow step definition
+   * @param {Object} taskStep - Step record of the task
+   * @param {Object} context - Values available to templates, updated with the step outputs
+   * @param {AbortSignal} signal - Signal that cancels the step
+   */
+  async executeWorkflowStep(task, step, taskStep, context, signal) {
+    if (signal && signal.aborted) {
+      taskStep.status = 'CANCELLED';
+      throw abortUtils.createAbortError();
+    }
+
+    taskStep.started_at = new Date().toISOString();
+
+    // Check if this step should be executed based on condition
+    if (!evaluateCondition(step.when, context)) {
+      taskStep.status = 'SKIPPED';
+      taskStep.completed_at = taskStep.started_at;
+      this.emitEvent(task.id, 'step.completed', { step: step.name, status: taskStep.status });
+      return;
+    }
+
+    // Update step status
+    taskStep.status = 'RUNNING';
+    this.saveTask(task);
+    this.emitEvent(task.id, 'step.started', { step: step.name, agent: step.agent, action: step.action });
+
+    // Progress reported by the agent while it works
+    const onProgress = progress => this.emitEvent(task.id, 'step.progress', { step: step.name, ...progress });
+
+    try {
+      // Prepare inputs for this step
+      const inputs = resolveTemplate(step.inputs, context);
+
+      // Execute the step, retrying transient agent failures
+      const result = await withRetry(
+        () => this.executeStep(step.agent, step.action, inputs, { signal, onProgress }),
+        this.retryPolicy,
+        {
+          signal,
+          onAttempt: ({ attempt, maxRetries }) => {
+            taskStep.retry = attempt > 1 ? { attempt: attempt - 1, max: maxRetries } : null;
+            taskStep.attempts.push({ attempt, started_at: new Date().toISOString() });
+            this.saveTask(task);
+            if (taskStep.retry) {
+              onProgress({ message: `Retry ${taskStep.retry.attempt}/${taskStep.retry.max}`, retry: taskStep.retry });
+            }
+          },
+          onFailure: ({ attempt, error, retryable, delay }) => {
+            Object.assign(taskStep.attempts[attempt - 1], {
+              completed_at: new Date().toISOString(),
+              error: error.message,
+              retryable,
+              retry_in_ms: retryable ? delay : null
+            });
+            this.saveTask(task);
+          }
+        }
+      );
+
+      // Keep only the declared outputs
+      const mappedResult = step.outputs
+        ? Object.fromEntries(Object.keys(step.outputs).map(key => [key, result[key]]))
+        : result;
+
+      // Planning documents must match their schemas before later steps use them
+      for (const [name, value] of Object.entries(mappedResult)) {
+        const errors = validateOutput(name, value, context);
+        if (errors && errors.length > 0) {
+          throw new Error(`Step "${step.name}" returned an invalid ${name}:\n  - ${errors.join('\n  - ')}`);
+        }
+      }
+
+      // Store the result
+      Object.assign(context, mappedResult, { [step.name]: mappedResult });
+      this.writeArtifacts(task, step, mappedResult);
+      taskStep.result = mappedResult;
+      taskStep.status = 'COMPLETED';
+      taskStep.completed_at = new Date().toISOString();
+
+      // Update task state
+      task.results = { ...task.results, ...mappedResult };
+      this.saveTask(task);
+      this.emitEvent(task.id, 'step.completed', { step: step.name, status: taskStep.status });
+    } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        taskStep.status = 'CANCELLED';
+        taskStep.completed_at = new Date().toISOString();
+        this.emitEvent(task.id, 'step.completed', { step: step.name, status: taskStep.status });
+        throw error;
+      }
+
+      logger.error(`Step execution error for task ${task.id}, step ${step.name}`, error);
+
+      taskStep.status = 'FAILED';
+      taskStep.error = error.message;
+      taskStep.completed_at = new Date().toISOString();
+      this.saveTask(task);
+      this.emitEvent(task.id, 'step.completed', { step: step.name, status: taskStep.status, error: taskStep.error });
+      throw error;
+    }
+  }
+
+  /**
+   * Write the outputs a step returned to the task's artifact directory: file
+   * trees for outputs the workflow declares as directories (generated/,
+   * refined/), and documents for outputs declared as JSON files (scope.json)
+   * @param {Object} task - Task state
+   * @param {Object} step - Workflow step definition
+   * @param {Object} result - Declared outputs of the step
+   */
+  writeArtifacts(task, step, result) {
+    if (!this.store || !step.outputs) {
+      return;
+    }
+
+    const artifactsDir = path.join(this.store.basePath, 'artifacts', task.id);
+    for (const [name, target] of Object.entries(step.outputs)) {
+      if (typeof target === 'string' && target.endsWith('.json') && result[name] !== undefined) {
+        const filePath = fileUtils.resolveInside(artifactsDir, target);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, `${JSON.stringify(result[name], null, 2)}\n`);
+        task.artifacts = { ...task.artifacts, [name]: filePath };
+        this.emitEvent(task.id, 'artifact.written', { step: step.name, path: filePath });
         continue;
       }
-      
-      // Update step status
-      taskStep.status = 'RUNNING';
-      this.tasks.set(taskId, task);
-      
-      try {
-        // Prepare inputs for this step
-        const inputs = typeof step.inputs === 'function'
-          ? step.inputs(params, stepResults)
-          : step.inputs;
-        
-        // Execute the step
-        const result = await this.executeStep(step.agent, step.action, inputs);
-        
-        // Process the result
-        const mappedResult = step.outputMapping ? step.outputMapping(result) : result;
-        
-        // Store the result
-        stepResults[step.name] = mappedResult;
-        taskStep.result = mappedResult;
-        taskStep.status = 'COMPLETED';
-        
-        // Update task state
-        task.results = { ...task.results, ...mappedResult };
-        this.tasks.set(taskId, task);
-        
-      } catch (error) {
-        logger.error(`Step execution error for task ${taskId}, step ${step.name}`, error);
-        
-        taskStep.status = 'FAILED';
-        taskStep.error = error.message;
-        task.status = 'FAILED';
-        task.error = `Failed to execute step ${step.name}: ${error.message}`;
-        
-        this.tasks.set(taskId, task);
-        return;
+      if (typeof target !== 'string' || !target.endsWith('/') || !isFileTree(result[name])) {
+        continue;
       }
+
+      // The target is checked before anything is removed, the file names before anything is written
+      const dir = fileUtils.resolveInside(artifactsDir, target);
+      const files = Object.entries(result[name]).map(([file, content]) => [fileUtils.resolveInside(dir, file), content]);
+      fs.rmSync(dir, { recursive: true, force: true });
+      for (const [filePath, content] of files) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+      }
+      task.artifacts = { ...task.artifacts, [name]: dir };
+      this.emitEvent(task.id, 'artifact.written', { step: step.name, path: dir });
     }
-    
-    // All steps completed successfully
-    task.status = 'COMPLETED';
-    task.completed_at = new Date().toISOString();
-    this.tasks.set(taskId, task);
   }
 
   /**
-   * Execute a single step using an agent
+   * Execute a single step using an agent through the configured transport
    * @param {string} agentName - Name of the agent to use
    * @param {string} action - Action to execute
    * @param {Object} inputs - Input parameters
+   * @param {Object} options - Execution options (signal, onProgress)
    * @returns {Object} Result from the agent
    */
-  async executeStep(agentName, action, inputs) {
-    // In a real implementation, this would call the agent's API
-    // For now, we'll simulate the agent's response
-    
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // For demo purposes, generate mock responses
-    // In a real implementation, this would call the actual agent APIs
-    switch (`${agentName}:${action}`) {
-      case 'consultant:analyze_prompt':
-        return {
-          scope_definition: {
-            name: 'Sample Module',
-            features: ['Feature 1', 'Feature 2'],
-            requirements: ['Req 1', 'Req 2']
-          }
-        };
-        
-      case 'pm:create_task_plan':
-        return {
-          task_plan: {
-            tasks: [
-              { id: 1, name: 'Task 1', description: 'Implement feature 1' },
-              { id: 2, name: 'Task 2', description: 'Implement feature 2' }
-            ],
-            dependencies: [[1, 2]]
-          }
-        };
-        
-      case 'code_generator:generate_module':
-        return {
-          generated_code: 'generated/sample_module'
-        };
-        
-      case 'test_runner:test_module':
-        return {
-          test_results: {
-            total: 5,
-            passed: 4,
-            failures: 1,
-            tests: [
-              { name: 'Test 1', status: 'PASSED' },
-              { name: 'Test 2', status: 'PASSED' },
-              { name: 'Test 3', status: 'FAILED', error: 'Expected 3, got 4' },
-              { name: 'Test 4', status: 'PASSED' },
-              { name: 'Test 5', status: 'PASSED' }
-            ]
-          }
-        };
-        
-      case 'linter:lint_code':
-        return {
-          lint_results: {
-            issues: [
-              { type: 'warning', location: 'file.js:10', message: 'Unused variable' },
-              { type: 'error', location: 'file.js:15', message: 'Missing semicolon' }
-            ]
-          }
-        };
-        
-      case 'error_analyzer:analyze_issues':
-        return {
-          error_analysis: {
-            issues: [
-              {
-                type: 'test_failure',
-                location: 'module.js:25',
-                description: 'Incorrect calculation',
-                suggested_fix: 'Change + to *'
-              },
-              {
-                type: 'lint_error',
-                location: 'module.js:15',
-                description: 'Missing semicolon',
-                suggested_fix: 'Add semicolon'
-              }
-            ],
-            summary: 'Minor issues found'
-          }
-        };
-        
-      case 'code_generator:refine_code':
-        return {
-          refined_code: 'refined/sample_module'
-        };
-        
-      default:
-        throw new Error(`Unknown agent action: ${agentName}:${action}`);
-    }
+  async executeStep(agentName, action, inputs, options = {}) {
+    return this.transport.execute(agentName, action, inputs, options);
   }
 
   /**
@@ -349,7 +674,7 @@ class OrchestratorClient {
    * @returns {Object} Task status information
    */
   async getTaskStatus(taskId) {
-    const task = this.tasks.get(taskId);
+    const task = this.getTask(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
@@ -369,7 +694,18 @@ class OrchestratorClient {
       error: task.error,
       started_at: task.started_at,
       completed_at: task.completed_at,
-      message: this.getStatusMessage(task)
+      message: this.getStatusMessage(task),
+      spec: task.params && task.params.spec,
+      artifacts: task.artifacts,
+      steps: task.steps.map(step => ({
+        name: step.name,
+        status: step.status,
+        error: step.error,
+        retry: step.retry,
+        attempts: step.attempts.length,
+        started_at: step.started_at,
+        completed_at: step.completed_at
+      }))
     };
   }
 
@@ -380,14 +716,23 @@ class OrchestratorClient {
    */
   getStatusMessage(task) {
     switch (task.status) {
+      case 'QUEUED':
+        return 'Task is queued and waiting for a worker';
+        
       case 'PENDING':
-        return 'Task is queued and waiting to start';
+        return 'Task is waiting to start';
         
-      case 'RUNNING':
-        const currentStep = task.steps.find(s => s.status === 'RUNNING');
-        return currentStep 
-          ? `Executing step: ${currentStep.name}` 
+      case 'RUNNING': {
+        const runningSteps = task.steps
+          .filter(s => s.status === 'RUNNING')
+          .map(s => (s.retry ? `${s.name} (retry ${s.retry.attempt}/${s.retry.max})` : s.name));
+        if (runningSteps.length > 1) {
+          return `Executing steps: ${runningSteps.join(', ')}`;
+        }
+        return runningSteps.length === 1
+          ? `Executing step: ${runningSteps[0]}`
           : 'Task is running';
+      }
         
       case 'COMPLETED':
         return 'Task completed successfully';
@@ -398,18 +743,26 @@ class OrchestratorClient {
       case 'CANCELLED':
         return 'Task was cancelled';
         
+      case 'INTERRUPTED':
+        return `Task was interrupted, run \`happiness resume ${task.id}\` to continue`;
+        
       default:
         return 'Unknown status';
     }
   }
 
   /**
-   * Get artifacts produced by a task
+   * Get the code produced by a task: the refined code if the workflow refined
+   * it, otherwise the generated code. Agents that keep the code themselves
+   * return its path instead of its files; the code is then read from that
+   * path if it exists, and the task results are returned if it does not.
    * @param {string} taskId - ID of the task
-   * @returns {Object} Task artifacts
+   * @param {Object} options - Artifact options
+   * @param {boolean} options.original - Get the generated code even if it was refined
+   * @returns {Object} Files by path
    */
-  async getTaskArtifacts(taskId) {
-    const task = this.tasks.get(taskId);
+  async getTaskArtifacts(taskId, options = {}) {
+    const task = this.getTask(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
@@ -418,49 +771,69 @@ class OrchestratorClient {
       throw new Error(`Task ${taskId} is not completed (status: ${task.status})`);
     }
     
-    // In a real implementation, this would retrieve actual artifacts
-    // For now, we'll return mock artifacts
-    
-    return {
-      'results.json': JSON.stringify(task.results, null, 2),
-      'example.js': 'console.log("Hello from the generated code!");',
-      'README.md': `# Generated Module\n\nThis module was generated by Happiness Agent.`
-    };
+    const results = task.results || {};
+    const code = !options.original && results.refined_code !== undefined ? results.refined_code : results.generated_code;
+    const files = isFileTree(code) ? code : readCode(typeof code === 'string' ? code : null);
+    if (Object.keys(files).length > 0) {
+      return { ...files };
+    }
+
+    return { 'results.json': JSON.stringify(results, null, 2) };
   }
 
   /**
-   * List all active tasks
+   * List queued and active tasks, and interrupted tasks that can be resumed
    * @returns {Array} List of tasks
    */
   async listTasks() {
+    this.loadTasks();
     return Array.from(this.tasks.values())
-      .filter(task => ['PENDING', 'RUNNING'].includes(task.status))
+      .filter(task => ['QUEUED', ...ACTIVE_STATUSES, 'INTERRUPTED'].includes(task.status))
       .map(task => ({
         id: task.id,
         type: task.type,
         status: task.status,
+        queued_at: task.queued_at,
         started_at: task.started_at
       }));
   }
 
   /**
-   * Cancel a running task
+   * Cancel a running task. In-flight agent calls are aborted, remote agents
+   * receive tasks/cancel and the remaining steps are marked CANCELLED.
    * @param {string} taskId - ID of the task to cancel
    * @returns {boolean} Success status
    */
   async cancelTask(taskId) {
-    const task = this.tasks.get(taskId);
+    const task = this.getTask(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
     
-    if (task.status !== 'RUNNING' && task.status !== 'PENDING') {
+    if (![...ACTIVE_STATUSES, 'QUEUED'].includes(task.status)) {
       throw new Error(`Task ${taskId} cannot be cancelled (status: ${task.status})`);
     }
     
+    const queued = task.status === 'QUEUED';
+    if (queued) {
+      task.steps.forEach(taskStep => {
+        taskStep.status = 'CANCELLED';
+      });
+    }
+    
     task.status = 'CANCELLED';
     task.completed_at = new Date().toISOString();
-    this.tasks.set(taskId, task);
+    this.saveTask(task);
+
+    // A running execution reports its own end once it has stopped
+    if (queued) {
+      this.emitEvent(taskId, 'task.finished', { status: task.status });
+    }
+
+    const controller = this.controllers.get(taskId);
+    if (controller) {
+      controller.abort();
+    }
     
     return true;
   }
@@ -0,0 +1,96 @@
+/**
+ * Step Scheduler
+ * 
+ * Runs workflow steps as a dependency graph: every step whose dependencies
+ * are satisfied is started, up to a concurrency limit
+ */
+
+/**
+ * Run steps in dependency order
+ * @param {Array<Object>} steps - Steps with `name` and `depends_on`
+ * @param {Object} options - Scheduling options
+ * @param {Function} options.runStep - Called with a step, returns a promise; a rejection marks the step failed
+ * @param {number} options.concurrency - Maximum number of steps running at once
+ * @param {Function} options.onBlocked - Called with (step, failedDependency) for steps that cannot run
+ * @param {Array<string>} options.done - Names of steps that are already finished
+ * @returns {Promise<Object>} Names of failed and blocked steps
+ */
+function runGraph(steps, options) {
+  const {
+    runStep,
+    concurrency = Infinity,
+    onBlocked = () => {},
+    done = []
+  } = options;
+
+  const limit = concurrency > 0 ? concurrency : Infinity;
+  const state = new Map(steps.map(step => [step.name, done.includes(step.name) ? 'done' : 'pending']));
+  const failed = [];
+  const blocked = [];
+  let running = 0;
+
+  // Follow failed and blocked dependencies back to the step that failed
+  const findFailedRoot = (stepName) => {
+    const step = steps.find(s => s.name === stepName);
+    if (state.get(stepName) === 'failed' || !step) {
+      return stepName;
+    }
+    const dep = step.depends_on.find(d => ['failed', 'blocked'].includes(state.get(d)));
+    return dep ? findFailedRoot(dep) : stepName;
+  };
+
+  return new Promise(resolve => {
+    const pump = () => {
+      // Steps downstream of a failure can never run
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const step of steps) {
+          const badDep = step.depends_on.find(dep => ['failed', 'blocked'].includes(state.get(dep)));
+          if (state.get(step.name) === 'pending' && badDep) {
+            state.set(step.name, 'blocked');
+            blocked.push(step.name);
+            onBlocked(step, findFailedRoot(badDep));
+            changed = true;
+          }
+        }
+      }
+
+      for (const step of steps) {
+        if (running >= limit) {
+          break;
+        }
+
+        const ready = state.get(step.name) === 'pending' &&
+          step.depends_on.every(dep => state.get(dep) === 'done' || !state.has(dep));
+        if (!ready) {
+          continue;
+        }
+
+        state.set(step.name, 'running');
+        running++;
+
+        Promise.resolve()
+          .then(() => runStep(step))
+          .then(() => {
+            state.set(step.name, 'done');
+          }, () => {
+            state.set(step.name, 'failed');
+            failed.push(step.name);
+          })
+          .finally(() => {
+            running--;
+            pump();
+          });
+      }
+
+      if (running === 0) {
+        resolve({ failed, blocked });
+      }
+    };
+
+    pump();
+  });
+}
+
+module.exports = { runGraph };
@@ -0,0 +1,339 @@
+/**
+ * Task Store
+ * 
+ * Persists task records as one JSON file per task under <base>/tasks, so
+ * separate CLI invocations can see each other's tasks. Writes are atomic and
+ * serialized across processes with a lock file; records carry a schema
+ * version and older records are migrated when read.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger, fileUtils, processUtils } = require('../utils');
+
+const SCHEMA_VERSION = 1;
+
+// Upgrades a record from the keyed version to the next one
+const MIGRATIONS = {
+  // Unversioned records from the legacy tasks.json array
+  0: (task) => ({
+    ...task,
+    kind: task.kind || (Array.isArray(task.steps) ? 'workflow' : 'generation'),
+    error: task.error || null,
+    completed_at: task.completed_at || null,
+    attempts: task.attempts || [],
+    retry: task.retry || null,
+    ...(Array.isArray(task.steps) && {
+      steps: task.steps.map(step => ({
+        started_at: null,
+        completed_at: null,
+        retry: null,
+        ...step,
+        attempts: step.attempts || []
+      }))
+    })
+  })
+};
+
+/**
+ * Block the current thread without spinning the CPU. The store is
+ * synchronous, so waiting for the lock has to be too; it is only held for
+ * the length of one file write.
+ * @param {number} ms - Time to wait in milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Bring a task record up to the current schema version
+ * @param {Object} record - Task record as stored on disk
+ * @returns {Object} Migrated task record
+ */
+function migrateTask(record) {
+  let task = record;
+  let version = task.schema_version || 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Task ${task.id} has schema version ${version}, newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    task = MIGRATIONS[version](task);
+    version++;
+  }
+
+  return { ...task, schema_version: SCHEMA_VERSION };
+}
+
+class TaskStore {
+  /**
+   * Create a task store
+   * @param {string} basePath - Base directory of the project state (usually .happiness)
+   * @param {Object} options - Store options
+   * @param {number} options.lockTimeoutMs - How long to wait for the lock before giving up
+   * @param {number} options.staleLockMs - Age after which a lock left by a crashed process is broken
+   */
+  constructor(basePath = '.happiness', options = {}) {
+    this.basePath = basePath;
+    this.tasksDir = path.join(basePath, 'tasks');
+    this.lockPath = path.join(this.tasksDir, '.lock');
+    this.legacyPath = path.join(basePath, 'tasks.json');
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.lockDepth = 0;
+    this.migrated = false;
+  }
+
+  /**
+   * Get the path of a task file
+   * @param {string} taskId - ID of the task
+   * @returns {string} File path
+   */
+  getTaskPath(taskId) {
+    if (!/^[\w-]+$/.test(taskId)) {
+      throw new Error(`Invalid task ID: ${taskId}`);
+    }
+    return path.join(this.tasksDir, `${taskId}.json`);
+  }
+
+  /**
+   * Run a function while holding the store lock. The lock is re-entrant
+   * within a process.
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of the function
+   */
+  withLock(fn) {
+    if (this.lockDepth > 0) {
+      this.lockDepth++;
+      try {
+        return fn();
+      } finally {
+        this.lockDepth--;
+      }
+    }
+
+    fileUtils.ensureDir(this.tasksDir);
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // Break locks left behind by a process that died while holding them
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) {
+          logger.warn(`Removing stale task store lock ${this.lockPath}`);
+          fs.rmSync(this.lockPath, { force: true });
+          continue;
+        }
+      } catch (error) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for task store lock ${this.lockPath}`);
+      }
+      sleepSync(10);
+    }
+
+    this.lockDepth = 1;
+    try {
+      return fn();
+    } finally {
+      this.lockDepth = 0;
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Move records from the legacy tasks.json array into per-task files
+   */
+  migrateLegacy() {
+    if (this.migrated) {
+      return;
+    }
+    this.migrated = true;
+
+    if (!fs.existsSync(this.legacyPath)) {
+      return;
+    }
+
+    this.withLock(() => {
+      if (!fs.existsSync(this.legacyPath)) {
+        return;
+      }
+
+      const records = fileUtils.readJSON(this.legacyPath);
+      let count = 0;
+      if (Array.isArray(records)) {
+        records.forEach(record => {
+          if (record && record.id && !fs.existsSync(this.getTaskPath(record.id))) {
+            fileUtils.writeJSONAtomic(this.getTaskPath(record.id), migrateTask(record));
+            count++;
+          }
+        });
+      }
+
+      fs.renameSync(this.legacyPath, `${this.legacyPath}.migrated`);
+      logger.info(`Migrated ${count} tasks from ${this.legacyPath} to ${this.tasksDir}`);
+    });
+  }
+
+  /**
+   * Read a task file
+   * @param {string} filePath - Path of the task file
+   * @returns {Object|null} Migrated task record, or null if missing or unreadable
+   */
+  readTaskFile(filePath) {
+    try {
+      const record = fileUtils.readJSON(filePath);
+      return record ? migrateTask(record) : null;
+    } catch (error) {
+      logger.warn(`Skipping unreadable task file ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a task
+   * @param {string} taskId - ID of the task
+   * @returns {Object|null} Task record or null if not found
+   */
+  get(taskId) {
+    this.migrateLegacy();
+    return this.readTaskFile(this.getTaskPath(taskId));
+  }
+
+  /**
+   * List all tasks, oldest first
+   * @returns {Array<Object>} Task records
+   */
+  list() {
+    this.migrateLegacy();
+
+    if (!fs.existsSync(this.tasksDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.tasksDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.readTaskFile(path.join(this.tasksDir, file)))
+      .filter(Boolean)
+      .sort((a, b) => String(a.queued_at || a.started_at).localeCompare(String(b.queued_at || b.started_at)));
+  }
+
+  /**
+   * Save a task, replacing the stored record
+   * @param {Object} task - Task to save (must have an id)
+   * @returns {Object} Stored record
+   */
+  save(task) {
+    this.migrateLegacy();
+
+    return this.withLock(() => {
+      const record = {
+        ...JSON.parse(JSON.stringify(task)),
+        schema_version: SCHEMA_VERSION,
+        updated_at: new Date().toISOString()
+      };
+      fileUtils.writeJSONAtomic(this.getTaskPath(task.id), record);
+      return record;
+    });
+  }
+
+  /**
+   * Read, modify and write a task while holding the lock
+   * @param {string} taskId - ID of the task
+   * @param {Function} fn - Receives the stored record (or null) and returns the record to save
+   * @returns {Object} Stored record
+   */
+  update(taskId, fn) {
+    this.migrateLegacy();
+
+    return this.withLock(() => this.save(fn(this.get(taskId))));
+  }
+
+  /**
+   * Describe the current process as the owner of a task it executes
+   * @returns {Object} Owner with pid and hostname
+   */
+  static currentOwner() {
+    return { pid: process.pid, hostname: os.hostname() };
+  }
+
+  /**
+   * Check whether the process that owns a task is still alive. Owners on
+   * other hosts cannot be checked and are assumed alive.
+   * @param {Object} owner - Owner recorded on the task
+   * @returns {boolean} Whether the owner may still be executing the task
+   */
+  isOwnerAlive(owner) {
+    if (!owner || !owner.pid) {
+      return false;
+    }
+
+    if (owner.hostname && owner.hostname !== os.hostname()) {
+      return true;
+    }
+
+    return processUtils.isAlive(owner.pid);
+  }
+
+  /**
+   * Mark tasks left active by a process that no longer exists as INTERRUPTED
+   * @param {Array<string>} activeStatuses - Statuses of a task that is still executing
+   * @param {Function} filter - Only tasks matching this predicate are checked
+   * @returns {Array<string>} IDs of the tasks that were marked INTERRUPTED
+   */
+  recoverOrphans(activeStatuses, filter = () => true) {
+    const isOrphan = task => filter(task) &&
+      activeStatuses.includes(task.status) &&
+      !this.isOwnerAlive(task.owner);
+
+    return this.list()
+      .filter(isOrphan)
+      .filter(task => this.withLock(() => {
+        // Check again under the lock, the task may have moved on meanwhile
+        const stored = this.get(task.id);
+        if (!stored || !isOrphan(stored)) {
+          return false;
+        }
+
+        const now = new Date().toISOString();
+        logger.warn(`Task ${stored.id} was left ${stored.status} by a process that exited, marking it INTERRUPTED`);
+        stored.status = 'INTERRUPTED';
+        stored.interrupted_at = now;
+        if (Array.isArray(stored.steps)) {
+          stored.steps
+            .filter(step => step.status === 'RUNNING')
+            .forEach(step => {
+              step.status = 'INTERRUPTED';
+              step.completed_at = now;
+            });
+        }
+        this.save(stored);
+        return true;
+      }))
+      .map(task => task.id);
+  }
+
+  /**
+   * Delete a task
+   * @param {string} taskId - ID of the task
+   */
+  remove(taskId) {
+    this.withLock(() => {
+      fs.rmSync(this.getTaskPath(taskId), { force: true });
+    });
+  }
+}
+
+module.exports = { TaskStore, migrateTask, SCHEMA_VERSION };
@@ -0,0 +1,380 @@
+/**
+ * Workflow definitions
+ * 
+ * Loads declarative workflows from configuration and .happiness/workflows/*.json,
+ * resolves {{placeholder}} templates and validates workflow structure
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { logger, fileUtils } = require('../utils');
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// Parameters every workflow receives when no params are declared
+const DEFAULT_PARAMS = ['user_prompt'];
+
+/**
+ * Look up a dotted path (e.g. test_results.failures) in a context object
+ * @param {Object} context - Values available to templates
+ * @param {string} reference - Dotted path
+ * @returns {any} Resolved value or undefined
+ */
+function lookup(context, reference) {
+  return reference.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return value[key];
+  }, context);
+}
+
+/**
+ * Resolve {{placeholder}} references in a template value.
+ * A string that is a single placeholder resolves to the raw referenced value,
+ * placeholders embedded in longer strings are interpolated as text.
+ * @param {any} template - Template value (string, array or object)
+ * @param {Object} context - Values available to templates
+ * @returns {any} Resolved value
+ */
+function resolveTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      return lookup(context, whole[1]);
+    }
+
+    return template.replace(PLACEHOLDER, (match, reference) => {
+      const value = lookup(context, reference);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => resolveTemplate(item, context));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, resolveTemplate(value, context)])
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Collect the placeholder references used in a template value
+ * @param {any} template - Template value
+ * @returns {Array<string>} References (e.g. ['user_prompt', 'test_results.failures'])
+ */
+function getReferences(template) {
+  if (typeof template === 'string') {
+    return Array.from(template.matchAll(PLACEHOLDER), match => match[1]);
+  }
+
+  if (Array.isArray(template)) {
+    return template.flatMap(getReferences);
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.values(template).flatMap(getReferences);
+  }
+
+  return [];
+}
+
+/**
+ * Evaluate a step condition. A condition is a template (or a list of
+ * templates, any of which may hold) whose resolved value must be truthy.
+ * Empty arrays count as false.
+ * @param {string|Array<string>} condition - Step condition
+ * @param {Object} context - Values available to templates
+ * @returns {boolean} Whether the step should run
+ */
+function evaluateCondition(condition, context) {
+  if (condition === undefined || condition === null) {
+    return true;
+  }
+
+  const conditions = Array.isArray(condition) ? condition : [condition];
+  return conditions.some(item => {
+    const value = resolveTemplate(item, context);
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+}
+
+/**
+ * Normalize a workflow definition. Steps may be declared under `tasks` (as in
+ * config/default.json) or `steps`. A step without `depends_on` depends on the
+ * step declared before it.
+ * @param {string} name - Workflow name
+ * @param {Object} definition - Raw workflow definition
+ * @returns {Object} Normalized workflow
+ */
+function normalizeWorkflow(name, definition) {
+  const rawSteps = definition.steps || definition.tasks || [];
+
+  const steps = rawSteps.map((step, index) => ({
+    name: step.name,
+    agent: step.agent,
+    action: step.action,
+    inputs: step.inputs || {},
+    outputs: step.outputs || null,
+    depends_on: step.depends_on || (index > 0 ? [rawSteps[index - 1].name] : []),
+    when: step.when
+  }));
+
+  return {
+    name,
+    description: definition.description || '',
+    params: definition.params || DEFAULT_PARAMS,
+    source: definition.source || 'config',
+    steps
+  };
+}
+
+/**
+ * Order steps so that every step comes after its dependencies, keeping the
+ * declared order otherwise. Steps caught in a cycle are left out.
+ * @param {Array<Object>} steps - Normalized steps
+ * @returns {Array<Object>} Sorted steps
+ */
+function sortSteps(steps) {
+  const sorted = [];
+  const done = new Set();
+  const remaining = [...steps];
+
+  let progressed = true;
+  while (remaining.length > 0 && progressed) {
+    progressed = false;
+    for (let i = 0; i < remaining.length; i++) {
+      const step = remaining[i];
+      if (step.depends_on.every(dep => done.has(dep) || !steps.some(s => s.name === dep))) {
+        sorted.push(step);
+        done.add(step.name);
+        remaining.splice(i, 1);
+        progressed = true;
+        break;
+      }
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Find dependency cycles between steps
+ * @param {Array<Object>} steps - Normalized steps
+ * @returns {Array<Array<string>>} Cycles as lists of step names
+ */
+function findCycles(steps) {
+  const byName = new Map(steps.map(step => [step.name, step]));
+  const cycles = [];
+  const state = new Map();
+
+  const visit = (name, trail) => {
+    state.set(name, 'visiting');
+    for (const dep of byName.get(name).depends_on) {
+      if (!byName.has(dep)) {
+        continue;
+      }
+      if (state.get(dep) === 'visiting') {
+        cycles.push([...trail.slice(trail.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep, [...trail, dep]);
+      }
+    }
+    state.set(name, 'done');
+  };
+
+  for (const step of steps) {
+    if (!state.has(step.name)) {
+      visit(step.name, [step.name]);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Collect every step a step depends on, directly or transitively
+ * @param {string} stepName - Name of the step
+ * @param {Map<string, Object>} byName - Steps by name
+ * @returns {Set<string>} Names of upstream steps
+ */
+function getUpstream(stepName, byName) {
+  const upstream = new Set();
+  const pending = [...(byName.get(stepName).depends_on || [])];
+
+  while (pending.length > 0) {
+    const dep = pending.pop();
+    if (upstream.has(dep) || !byName.has(dep)) {
+      continue;
+    }
+    upstream.add(dep);
+    pending.push(...byName.get(dep).depends_on);
+  }
+
+  return upstream;
+}
+
+/**
+ * Validate a normalized workflow
+ * @param {Object} workflow - Normalized workflow
+ * @param {Object} agentConfig - Configured agents
+ * @returns {Array<string>} Problems found (empty when the workflow is valid)
+ */
+function validateWorkflow(workflow, agentConfig = {}) {
+  const problems = [];
+  const byName = new Map();
+
+  if (workflow.steps.length === 0) {
+    problems.push('Workflow has no steps');
+  }
+
+  workflow.steps.forEach((step, index) => {
+    const label = step.name ? `Step "${step.name}"` : `Step #${index + 1}`;
+
+    ['name', 'agent', 'action'].forEach(field => {
+      if (typeof step[field] !== 'string' || step[field].length === 0) {
+        problems.push(`${label} is missing "${field}"`);
+      }
+    });
+
+    if (step.name && byName.has(step.name)) {
+      problems.push(`${label} is declared more than once`);
+    }
+    byName.set(step.name, step);
+
+    if (step.agent && !agentConfig[step.agent]) {
+      problems.push(`${label} uses unknown agent "${step.agent}"`);
+    }
+
+    if (!Array.isArray(step.depends_on)) {
+      problems.push(`${label} has a depends_on that is not a list`);
+      step.depends_on = [];
+    }
+  });
+
+  // Output names live in one namespace, so they must be unique
+  const producers = new Map();
+  workflow.steps.forEach(step => {
+    Object.keys(step.outputs || {}).forEach(output => {
+      if (producers.has(output)) {
+        problems.push(`Output "${output}" is produced by both "${producers.get(output)}" and "${step.name}"`);
+      }
+      producers.set(output, step.name);
+    });
+  });
+
+  workflow.steps.forEach(step => {
+    step.depends_on.forEach(dep => {
+      if (!byName.has(dep)) {
+        problems.push(`Step "${step.name}" depends on unknown step "${dep}"`);
+      }
+    });
+  });
+
+  findCycles(workflow.steps).forEach(cycle => {
+    problems.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+  });
+
+  workflow.steps.forEach(step => {
+    if (!step.name || !byName.has(step.name)) {
+      return;
+    }
+
+    const upstream = getUpstream(step.name, byName);
+    const references = [...getReferences(step.inputs), ...getReferences(step.when)];
+
+    references.forEach(reference => {
+      const root = reference.split('.')[0];
+      const producer = producers.get(root) || (byName.has(root) ? root : null);
+
+      if (workflow.params.includes(root)) {
+        return;
+      }
+
+      if (!producer) {
+        problems.push(`Step "${step.name}" references "{{${reference}}}", which no step produces`);
+      } else if (producer === step.name || !upstream.has(producer)) {
+        problems.push(`Step "${step.name}" references "{{${reference}}}" from "${producer}", which it does not depend on`);
+      }
+    });
+  });
+
+  return [...new Set(problems)];
+}
+
+/**
+ * Load workflow definitions from configuration and a workflows directory.
+ * Files in the directory override configuration entries with the same name.
+ * @param {Object} options - Load options
+ * @param {Object} options.definitions - Workflow definitions from configuration
+ * @param {string} options.dir - Directory of *.json workflow files
+ * @param {Object} options.agents - Configured agents, used for validation
+ * @returns {Object} Valid workflows by name and problems of invalid ones
+ */
+function loadWorkflows({ definitions = {}, dir = null, agents = {} } = {}) {
+  const raw = {};
+
+  Object.entries(definitions || {}).forEach(([name, definition]) => {
+    raw[name] = { ...definition, source: 'config' };
+  });
+
+  if (dir && fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(dir, file);
+        try {
+          const definition = fileUtils.readJSON(filePath);
+          const name = definition.name || path.basename(file, '.json');
+          if (raw[name]) {
+            logger.info(`Workflow "${name}" from ${filePath} overrides the configured definition`);
+          }
+          raw[name] = { ...definition, source: filePath };
+        } catch (error) {
+          logger.error(`Failed to read workflow file ${filePath}`, error);
+          raw[path.basename(file, '.json')] = { steps: [], source: filePath, error: error.message };
+        }
+      });
+  }
+
+  const workflows = {};
+  const errors = {};
+
+  Object.entries(raw).forEach(([name, definition]) => {
+    const workflow = normalizeWorkflow(name, definition);
+    const problems = definition.error
+      ? [`Invalid JSON: ${definition.error}`]
+      : validateWorkflow(workflow, agents);
+
+    if (problems.length > 0) {
+      logger.warn(`Workflow "${name}" (${workflow.source}) is invalid: ${problems.join('; ')}`);
+      errors[name] = problems;
+      return;
+    }
+
+    workflow.steps = sortSteps(workflow.steps);
+    workflows[name] = workflow;
+  });
+
+  return { workflows, errors };
+}
+
+module.exports = {
+  loadWorkflows,
+  normalizeWorkflow,
+  validateWorkflow,
+  resolveTemplate,
+  evaluateCondition,
+  getReferences,
+  lookup
+};
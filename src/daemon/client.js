@@ -0,0 +1,160 @@
+/**
+ * Daemon Client
+ * 
+ * Talks to a project's running daemon. The orchestrator view returned by
+ * forKind() has the same task methods as the orchestrators, so CLI commands
+ * work the same with or without a daemon.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { fileUtils, processUtils } = require('../utils');
+const { getStatePath } = require('./server');
+
+/**
+ * Error raised when the daemon answers with a JSON-RPC error
+ */
+class DaemonError extends Error {
+  /**
+   * Create a new daemon error
+   * @param {string} message - Error message
+   * @param {number} code - JSON-RPC error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'DaemonError';
+    this.code = code;
+  }
+}
+
+class DaemonClient {
+  /**
+   * Create a client for a daemon
+   * @param {Object} state - Contents of daemon.json written by the daemon
+   * @param {Object} options - Client options (timeoutMs)
+   */
+  constructor(state, options = {}) {
+    this.state = state;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Connect to the daemon of a project if one is running
+   * @param {string} basePath - Base directory of the project state
+   * @returns {Promise<DaemonClient|null>} Client, or null if no daemon answers
+   */
+  static async connect(basePath = '.happiness') {
+    let state;
+    try {
+      state = fileUtils.readJSON(getStatePath(basePath));
+    } catch (error) {
+      return null;
+    }
+
+    if (!state || !processUtils.isAlive(state.pid)) {
+      return null;
+    }
+
+    const client = new DaemonClient(state, { timeoutMs: 2000 });
+    try {
+      await client.getStatus();
+    } catch (error) {
+      return null;
+    }
+
+    client.timeoutMs = 30000;
+    return client;
+  }
+
+  /**
+   * Describe where the daemon listens
+   * @returns {string} Socket path or host:port
+   */
+  get address() {
+    return this.state.socket_path || `${this.state.host}:${this.state.port}`;
+  }
+
+  /**
+   * Call a daemon method
+   * @param {string} method - Method name
+   * @param {Object} params - Method parameters
+   * @returns {Promise<any>} Method result
+   */
+  async call(method, params = {}) {
+    const url = this.state.socket_path ? 'http://localhost/' : `http://${this.state.host}:${this.state.port}/`;
+    const response = await axios.post(url, {
+      jsonrpc: '2.0',
+      id: uuidv4(),
+      method,
+      params
+    }, {
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.state.token}` },
+      timeout: this.timeoutMs,
+      // Rejected calls carry a JSON-RPC error too
+      validateStatus: () => true,
+      ...(this.state.socket_path && { socketPath: this.state.socket_path })
+    });
+
+    const body = response.data || {};
+    if (body.error) {
+      throw new DaemonError(body.error.message, body.error.code);
+    }
+
+    return body.result;
+  }
+
+  /**
+   * Get the daemon status
+   * @returns {Promise<Object>} Daemon status
+   */
+  async getStatus() {
+    return this.call('daemon/status');
+  }
+
+  /**
+   * Ask the daemon to stop
+   * @param {boolean} force - Cancel running tasks instead of waiting for them
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  async stop(force = false) {
+    return this.call('daemon/stop', { force });
+  }
+
+  /**
+   * Queue a workflow
+   * @param {string} workflow - Name of the workflow
+   * @param {Object} params - Workflow parameters
+   * @returns {Promise<Object>} Task ID and position in the queue
+   */
+  async submitWorkflow(workflow, params) {
+    return this.call('tasks/submit', { kind: 'workflow', workflow, params });
+  }
+
+  /**
+   * Queue a code generation
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Task ID and position in the queue
+   */
+  async submitGeneration(prompt, options) {
+    return this.call('tasks/submit', { kind: 'generation', prompt, options });
+  }
+
+  /**
+   * Get an orchestrator-like view of the daemon's tasks of one kind
+   * @param {string} kind - Task kind (workflow, generation)
+   * @returns {Object} Object with getTaskStatus, listTasks, cancelTask, waitForTask and getTaskArtifacts
+   */
+  forKind(kind) {
+    return {
+      getTaskStatus: taskId => this.call('tasks/status', { kind, task_id: taskId }),
+      listTasks: () => this.call('tasks/list', { kind }),
+      cancelTask: taskId => this.call('tasks/cancel', { kind, task_id: taskId }),
+      // The daemon cancel only returns once the task has stopped
+      waitForTask: async () => {},
+      getTaskArtifacts: (taskId, options = {}) => this.call('tasks/artifacts', { kind, task_id: taskId, original: Boolean(options.original) })
+    };
+  }
+}
+
+module.exports = { DaemonClient, DaemonError };
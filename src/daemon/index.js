@@ -0,0 +1,19 @@
+/**
+ * Daemon
+ * 
+ * Background process that executes queued tasks, and the client used by the CLIs
+ */
+
+const { Daemon, RpcError, getStatePath, getDefaultSocketPath } = require('./server');
+const { DaemonClient, DaemonError } = require('./client');
+const { JobQueue } = require('./job-queue');
+
+module.exports = {
+  Daemon,
+  DaemonClient,
+  DaemonError,
+  JobQueue,
+  RpcError,
+  getStatePath,
+  getDefaultSocketPath
+};
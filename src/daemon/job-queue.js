@@ -0,0 +1,98 @@
+/**
+ * Job Queue
+ * 
+ * Persistent FIFO queue of jobs waiting for a daemon worker. The queue is
+ * written to disk after every change so queued jobs survive a daemon restart.
+ */
+
+const { logger, fileUtils } = require('../utils');
+
+class JobQueue {
+  /**
+   * Create a job queue
+   * @param {string} filePath - File the queue is persisted to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.jobs = [];
+  }
+
+  /**
+   * Load queued jobs from disk
+   * @returns {number} Number of jobs loaded
+   */
+  load() {
+    try {
+      const data = fileUtils.readJSON(this.filePath);
+      this.jobs = data && Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+      logger.error(`Failed to load job queue ${this.filePath}`, error);
+      this.jobs = [];
+    }
+
+    return this.jobs.length;
+  }
+
+  /**
+   * Persist the queue
+   */
+  save() {
+    fileUtils.writeJSONAtomic(this.filePath, { jobs: this.jobs });
+  }
+
+  /**
+   * Add a job to the back of the queue
+   * @param {Object} job - Job with a task_id and kind
+   */
+  push(job) {
+    this.jobs.push({ ...job, enqueued_at: new Date().toISOString() });
+    this.save();
+  }
+
+  /**
+   * Take the job at the front of the queue
+   * @returns {Object|null} Job or null if the queue is empty
+   */
+  shift() {
+    const job = this.jobs.shift() || null;
+    if (job) {
+      this.save();
+    }
+    return job;
+  }
+
+  /**
+   * Remove a job that has not started yet
+   * @param {string} taskId - ID of the job's task
+   * @returns {boolean} Whether a job was removed
+   */
+  remove(taskId) {
+    const index = this.jobs.findIndex(job => job.task_id === taskId);
+    if (index === -1) {
+      return false;
+    }
+
+    this.jobs.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get the position of a job in the queue
+   * @param {string} taskId - ID of the job's task
+   * @returns {number} Zero-based position, or -1 if not queued
+   */
+  position(taskId) {
+    return this.jobs.findIndex(job => job.task_id === taskId);
+  }
+
+  /**
+   * Number of queued jobs
+   * @returns {number} Queue length
+   */
+  get size() {
+    return this.jobs.length;
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,384 @@
+/**
+ * Daemon Server
+ * 
+ * Long-running local process that owns the job queue and executes queued
+ * tasks with a fixed number of workers. CLIs talk to it with JSON-RPC 2.0
+ * over a Unix socket (a named pipe on Windows) or a localhost port.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { logger, fileUtils, processUtils } = require('../utils');
+const { JobQueue } = require('./job-queue');
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const TASK_ERROR = -32000;
+const UNAUTHORIZED = -32001;
+
+/**
+ * Get the path of the file describing the running daemon
+ * @param {string} basePath - Base directory of the project state
+ * @returns {string} File path
+ */
+function getStatePath(basePath) {
+  return path.join(basePath, 'daemon.json');
+}
+
+/**
+ * Get the default socket of a project's daemon
+ * @param {string} basePath - Base directory of the project state
+ * @returns {string} Unix socket path, or a named pipe on Windows
+ */
+function getDefaultSocketPath(basePath) {
+  if (process.platform === 'win32') {
+    const hash = crypto.createHash('sha1').update(path.resolve(basePath)).digest('hex').slice(0, 12);
+    return `\\\\.\\pipe\\happiness-${hash}`;
+  }
+  return path.resolve(basePath, 'daemon.sock');
+}
+
+/**
+ * Error returned to the client as a JSON-RPC error
+ */
+class RpcError extends Error {
+  /**
+   * Create a new RPC error
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+class Daemon {
+  /**
+   * Create the daemon
+   * @param {Object} orchestrators - Orchestrators by task kind ({ workflow, generation })
+   * @param {Object} options - Daemon options
+   * @param {string} options.basePath - Base directory of the project state
+   * @param {number} options.workers - Number of tasks executed at once
+   * @param {string} options.socketPath - Socket to listen on (defaults to <basePath>/daemon.sock)
+   * @param {number} options.port - Listen on this localhost port instead of a socket
+   * @param {string} options.host - Host the port is bound to
+   */
+  constructor(orchestrators, options = {}) {
+    this.orchestrators = orchestrators;
+    this.basePath = options.basePath || '.happiness';
+    this.workers = options.workers || 2;
+    this.port = options.port || null;
+    this.host = options.host || '127.0.0.1';
+    this.socketPath = this.port ? null : (options.socketPath || getDefaultSocketPath(this.basePath));
+    this.statePath = getStatePath(this.basePath);
+    this.queue = new JobQueue(path.join(this.basePath, 'queue.json'));
+    this.running = new Map();
+    this.server = null;
+    this.stopping = false;
+    this.startedAt = null;
+    this.token = null;
+    this.stopped = new Promise(resolve => {
+      this.resolveStopped = resolve;
+    });
+  }
+
+  /**
+   * Start listening and working through the queue
+   */
+  async start() {
+    const existing = fileUtils.readJSON(this.statePath);
+    if (existing && existing.pid !== process.pid && processUtils.isAlive(existing.pid)) {
+      throw new Error(`A daemon is already running for this project (PID ${existing.pid})`);
+    }
+
+    // A socket left behind by a daemon that crashed blocks listen()
+    if (this.socketPath && process.platform !== 'win32') {
+      fs.rmSync(this.socketPath, { force: true });
+    }
+
+    const queued = this.queue.load();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      if (this.socketPath) {
+        this.server.listen(this.socketPath, resolve);
+      } else {
+        this.server.listen(this.port, this.host, resolve);
+      }
+    });
+
+    this.startedAt = new Date().toISOString();
+    this.token = crypto.randomBytes(32).toString('hex');
+    // Only the user running the daemon may read the token
+    fileUtils.writeJSONAtomic(this.statePath, {
+      pid: process.pid,
+      token: this.token,
+      socket_path: this.socketPath,
+      port: this.port,
+      host: this.host,
+      workers: this.workers,
+      kinds: Object.keys(this.orchestrators),
+      started_at: this.startedAt
+    }, { mode: 0o600 });
+
+    logger.info(`Daemon listening on ${this.socketPath || `${this.host}:${this.port}`} with ${this.workers} worker(s), ${queued} queued job(s)`);
+    this.pump();
+  }
+
+  /**
+   * Stop the daemon. Running tasks are allowed to finish unless force is set,
+   * in which case they are cancelled. Queued jobs stay queued for the next start.
+   * @param {Object} options - Stop options
+   * @param {boolean} options.force - Cancel running tasks instead of waiting for them
+   */
+  async stop(options = {}) {
+    if (this.stopping) {
+      return;
+    }
+    this.stopping = true;
+
+    logger.info(`Daemon stopping, ${this.running.size} task(s) running`);
+
+    if (options.force) {
+      await Promise.all(Array.from(this.running.entries()).map(([taskId, job]) =>
+        this.orchestrators[job.kind].cancelTask(taskId).catch(error => {
+          logger.warn(`Failed to cancel task ${taskId}: ${error.message}`);
+        })
+      ));
+    }
+
+    await Promise.all(Array.from(this.running.values()).map(job => job.done));
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+
+    const state = fileUtils.readJSON(this.statePath);
+    if (state && state.pid === process.pid) {
+      fs.rmSync(this.statePath, { force: true });
+    }
+
+    logger.info('Daemon stopped');
+    this.resolveStopped();
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   */
+  pump() {
+    while (!this.stopping && this.running.size < this.workers && this.queue.size > 0) {
+      const job = this.queue.shift();
+      const orchestrator = this.orchestrators[job.kind];
+
+      try {
+        if (!orchestrator) {
+          throw new Error(`This daemon does not run ${job.kind} tasks`);
+        }
+
+        if (job.kind === 'workflow') {
+          orchestrator.startQueuedWorkflow(job.task_id);
+        } else {
+          orchestrator.startQueuedGeneration(job.task_id);
+        }
+      } catch (error) {
+        // Typically a task cancelled while the daemon was not running
+        logger.warn(`Skipping queued task ${job.task_id}: ${error.message}`);
+        continue;
+      }
+
+      logger.info(`Started ${job.kind} task ${job.task_id}`);
+      const done = orchestrator.waitForTask(job.task_id)
+        .finally(() => {
+          this.running.delete(job.task_id);
+          logger.info(`Finished ${job.kind} task ${job.task_id}`);
+          this.pump();
+        });
+      this.running.set(job.task_id, { ...job, done });
+    }
+  }
+
+  /**
+   * Get the orchestrator for a kind of task
+   * @param {string} kind - Task kind (workflow, generation)
+   * @returns {Object} Orchestrator
+   */
+  getOrchestrator(kind) {
+    const orchestrator = this.orchestrators[kind];
+    if (!orchestrator) {
+      throw new RpcError(INVALID_PARAMS, `This daemon does not run ${kind} tasks`);
+    }
+    return orchestrator;
+  }
+
+  /**
+   * Queue a task for a worker
+   * @param {Object} params - Task kind and its inputs (workflow and params, or prompt and options)
+   * @returns {Promise<Object>} Task ID and position in the queue (null once started)
+   */
+  async submit(params) {
+    if (this.stopping) {
+      throw new RpcError(TASK_ERROR, 'Daemon is stopping');
+    }
+
+    const orchestrator = this.getOrchestrator(params.kind);
+    const taskId = params.kind === 'workflow'
+      ? await orchestrator.queueWorkflow(params.workflow, params.params || {})
+      : await orchestrator.queueGeneration(params.prompt, params.options || {});
+
+    this.queue.push({ task_id: taskId, kind: params.kind });
+    this.pump();
+
+    const position = this.queue.position(taskId);
+    return { task_id: taskId, position: position === -1 ? null : position };
+  }
+
+  /**
+   * Cancel a queued or running task
+   * @param {string} kind - Task kind
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<boolean>} Success status
+   */
+  async cancel(kind, taskId) {
+    this.queue.remove(taskId);
+    const result = await this.getOrchestrator(kind).cancelTask(taskId);
+    await this.getOrchestrator(kind).waitForTask(taskId);
+    return result;
+  }
+
+  /**
+   * Describe the daemon
+   * @returns {Object} Daemon status
+   */
+  getStatus() {
+    return {
+      pid: process.pid,
+      started_at: this.startedAt,
+      workers: this.workers,
+      kinds: Object.keys(this.orchestrators),
+      running: Array.from(this.running.keys()),
+      queued: this.queue.jobs.map(job => job.task_id)
+    };
+  }
+
+  /**
+   * Execute a JSON-RPC method
+   * @param {string} method - Method name
+   * @param {Object} params - Method parameters
+   * @returns {Promise<any>} Method result
+   */
+  async dispatch(method, params = {}) {
+    switch (method) {
+    case 'daemon/status':
+      return this.getStatus();
+
+    case 'daemon/stop':
+      // Answer first, the connection is gone once the server closes
+      setImmediate(() => this.stop({ force: params.force }));
+      return { stopping: true };
+
+    case 'tasks/submit':
+      return this.submit(params);
+
+    case 'tasks/status': {
+      const status = await this.getOrchestrator(params.kind).getTaskStatus(params.task_id);
+      const position = this.queue.position(params.task_id);
+      return position === -1 ? status : { ...status, queue_position: position };
+    }
+
+    case 'tasks/list':
+      return this.getOrchestrator(params.kind).listTasks();
+
+    case 'tasks/cancel':
+      return this.cancel(params.kind, params.task_id);
+
+    case 'tasks/artifacts':
+      return this.getOrchestrator(params.kind).getTaskArtifacts(params.task_id, { original: Boolean(params.original) });
+
+    default:
+      throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Check that a request comes from a client of this daemon. Web pages can
+   * reach a localhost port too, but cannot send JSON without a CORS preflight
+   * the daemon never answers, nor know the token in daemon.json.
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} HTTP status and JSON-RPC error to reject the request with, null to accept it
+   */
+  checkRequest(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      return { status: 415, error: { code: INVALID_REQUEST, message: 'Content-Type must be application/json' } };
+    }
+
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (!this.token || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { status: 401, error: { code: UNAUTHORIZED, message: 'Unauthorized' } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle an HTTP request carrying a JSON-RPC call
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const rejection = this.checkRequest(req);
+    if (rejection) {
+      req.resume();
+      res.writeHead(rejection.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: rejection.error }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      let request = null;
+      let response;
+
+      try {
+        try {
+          request = JSON.parse(body);
+        } catch (error) {
+          throw new RpcError(PARSE_ERROR, 'Parse error');
+        }
+
+        if (req.method !== 'POST' || !request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+          throw new RpcError(INVALID_REQUEST, 'Invalid request');
+        }
+
+        const result = await this.dispatch(request.method, request.params);
+        response = { jsonrpc: '2.0', id: request.id, result: result === undefined ? null : result };
+      } catch (error) {
+        if (!(error instanceof RpcError)) {
+          logger.warn(`Daemon call ${request && request.method} failed: ${error.message}`);
+        }
+        response = {
+          jsonrpc: '2.0',
+          id: request ? request.id : null,
+          error: { code: error instanceof RpcError ? error.code : TASK_ERROR, message: error.message }
+        };
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  }
+}
+
+module.exports = { Daemon, RpcError, getStatePath, getDefaultSocketPath };
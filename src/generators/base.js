@@ -0,0 +1,170 @@
+/**
+ * Base Code Generator
+ * 
+ * Language handling and validation shared by all code generation providers
+ */
+
+const { CodeGenerator } = require('../interfaces/core');
+const { abortUtils } = require('../utils');
+const { validateProject } = require('./validators');
+const { analyzePrompt } = require('./prompt-analysis');
+const { FRAMEWORKS, detectFramework, findFramework } = require('./frameworks');
+
+// Languages generated when the configuration does not list them
+const SUPPORTED_LANGUAGES = ['javascript', 'typescript', 'python', 'go', 'rust'];
+
+// Prompt patterns naming a language, checked in order
+const LANGUAGE_PATTERNS = [
+  ['typescript', /\b(?:typescript|tsx?|deno)\b/],
+  ['javascript', /\b(?:javascript|node(?:\.?js)?|js|jsx)\b/],
+  ['python', /\b(?:python|django|flask|fastapi|pandas)\b/],
+  // "go" is also a verb, so it only counts next to what is built with it
+  ['go', /\b(?:golang|go (?:(?:rest|http|grpc|json|web|crud|cli|command-line)[ -])*(?:module|service|microservice|server|backend|api|cli|tool|program|binary|app|application|library|project)s?|(?:in|with|using) go)\b/],
+  ['rust', /\b(?:rust|cargo|axum|tokio)\b/],
+  ['java', /\b(?:java|spring boot|maven|gradle)\b/]
+];
+
+/**
+ * Find the language a prompt names
+ * @param {string} prompt - The user's prompt
+ * @returns {string|null} Language, null if the prompt names none
+ */
+function findLanguage(prompt) {
+  const lowerPrompt = prompt.toLowerCase();
+  const match = LANGUAGE_PATTERNS.find(([, pattern]) => pattern.test(lowerPrompt));
+  return match ? match[0] : null;
+}
+
+class BaseCodeGenerator extends CodeGenerator {
+  /**
+   * Initialize the code generator
+   * @param {Object} config - code_generator section of the MVP configuration
+   */
+  constructor(config = {}) {
+    super();
+    this.config = config;
+    this.supportedLanguages = config.supported_languages || SUPPORTED_LANGUAGES;
+  }
+
+  /**
+   * Get the language to generate: the requested one, the one of the requested
+   * framework, or the one detected from the prompt (JavaScript if the prompt
+   * names none)
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Generation options (language, framework)
+   * @returns {string} Language
+   */
+  resolveLanguage(prompt, options = {}) {
+    const framework = options.framework ? FRAMEWORKS[findFramework(options.framework)] : null;
+    const language = options.language || (framework ? framework.language : this.detectLanguage(prompt));
+    if (!this.supportedLanguages.includes(language)) {
+      const source = options.language ? 'Unsupported language' : 'The prompt asks for an unsupported language';
+      throw new Error(`${source}: ${language}. Supported languages are: ${this.supportedLanguages.join(', ')}`);
+    }
+    return language;
+  }
+
+  /**
+   * Get the framework to scaffold: the requested one, or the one named in the
+   * prompt if it is written in the language to generate
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Generation options (language, framework)
+   * @returns {string|null} Framework id, null for no particular framework
+   */
+  resolveFramework(prompt, options = {}) {
+    if (!options.framework) {
+      return detectFramework(prompt, options.language || this.detectLanguage(prompt));
+    }
+
+    const id = findFramework(options.framework);
+    if (!id) {
+      throw new Error(`Unknown framework: ${options.framework}. Supported frameworks are: ${Object.keys(FRAMEWORKS).join(', ')}`);
+    }
+
+    const { name, language } = FRAMEWORKS[id];
+    if (options.language && options.language !== language) {
+      throw new Error(`${name} projects are written in ${language}, not ${options.language}`);
+    }
+
+    return id;
+  }
+
+  /**
+   * Find the entities, fields and relations of the application a prompt
+   * describes, so the generated routes, models and forms use its domain
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Analysis options (signal)
+   * @returns {Promise<Object>} Analysis as {source, entities}
+   */
+  async analyzePrompt(prompt, options = {}) {
+    abortUtils.throwIfAborted(options.signal);
+    return analyzePrompt(prompt);
+  }
+
+  /**
+   * Simple language detection from prompt
+   * @param {string} prompt - The user's prompt
+   * @returns {string} Detected language
+   */
+  detectLanguage(prompt) {
+    // Default to JavaScript
+    return findLanguage(prompt) || 'javascript';
+  }
+
+  /**
+   * Fix the issues an error analysis found in generated code. Generators
+   * without a model cannot rewrite code, so the files come back unchanged.
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} errorAnalysis - Error analysis with the issues to fix
+   * @param {Object} options - Refinement options (prompt, language, signal)
+   * @returns {Promise<Object>} Refined code files
+   */
+  async refineCode(codeFiles, errorAnalysis, options = {}) {
+    abortUtils.throwIfAborted(options.signal);
+    return { ...codeFiles };
+  }
+
+  /**
+   * Validate generated code: manifests, syntax, imports and data files of
+   * each language. Issues about a file name it, with the line and column
+   * when known.
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} options - Validation options (python interpreter)
+   * @returns {Object} Validation results
+   */
+  validateCode(codeFiles, options = {}) {
+    const results = {
+      passed: true,
+      issues: []
+    };
+    
+    // Check if at least one file was generated
+    if (Object.keys(codeFiles).length === 0) {
+      results.passed = false;
+      results.issues.push({
+        type: 'error',
+        message: 'No code files were generated'
+      });
+    }
+    
+    // Check if README exists
+    if (!codeFiles['README.md']) {
+      results.issues.push({
+        type: 'warning',
+        message: 'README.md file is missing'
+      });
+    }
+    
+    // Manifest and source checks of each language
+    for (const item of validateProject(codeFiles, options)) {
+      results.issues.push(item);
+      if (item.type === 'error') {
+        results.passed = false;
+      }
+    }
+    
+    return results;
+  }
+}
+
+module.exports = { BaseCodeGenerator, SUPPORTED_LANGUAGES, findLanguage };
@@ -0,0 +1,183 @@
+/**
+ * Diffs
+ * 
+ * Unified diffs between the generated and the refined version of a file
+ */
+
+// Lines of unchanged context around each change
+const CONTEXT_LINES = 3;
+
+// Largest number of line comparisons made to find the shortest diff; bigger
+// changes are shown as a replacement of the whole changed region
+const MAX_COMPARISONS = 4000000;
+
+// Appended to a last line that has no newline, so that adding or removing the
+// newline changes the line
+const NO_NEWLINE = '\u0000';
+
+/**
+ * Split file content into lines, without the empty line after the last newline
+ * @param {string} content - File content
+ * @returns {Array<string>} Lines, the last one marked if it has no newline
+ */
+function splitLines(content) {
+  if (!content) {
+    return [];
+  }
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Compare two lists of lines
+ * @param {Array<string>} before - Original lines
+ * @param {Array<string>} after - Changed lines
+ * @returns {Array<Object>} Operations as {op: ' ', '-' or '+', line}
+ */
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+
+  const removed = before.slice(start, before.length - end);
+  const added = after.slice(start, after.length - end);
+  const middle = [];
+
+  if (removed.length * added.length > MAX_COMPARISONS) {
+    middle.push(...removed.map(line => ({ op: '-', line })), ...added.map(line => ({ op: '+', line })));
+  } else {
+    // Longest common subsequence of the changed region, from the end
+    const lengths = Array.from({ length: removed.length + 1 }, () => new Uint32Array(added.length + 1));
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lengths[i][j] = removed[i] === added[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      if (i < removed.length && j < added.length && removed[i] === added[j]) {
+        middle.push({ op: ' ', line: removed[i] });
+        i++;
+        j++;
+      } else if (i < removed.length && (j === added.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push({ op: '-', line: removed[i++] });
+      } else {
+        middle.push({ op: '+', line: added[j++] });
+      }
+    }
+  }
+
+  return [
+    ...before.slice(0, start).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...before.slice(before.length - end).map(line => ({ op: ' ', line }))
+  ];
+}
+
+/**
+ * Write the line range of one side of a hunk
+ * @param {number} start - Lines before the hunk
+ * @param {number} count - Lines of the hunk on that side
+ * @returns {string} Range as start,count, the count left out when it is 1
+ */
+function hunkRange(start, count) {
+  if (count === 0) {
+    return `${start},0`;
+  }
+  return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Write the unified diff of a file
+ * @param {string} file - File path, relative to the tree
+ * @param {string|undefined} before - Original content, undefined for an added file
+ * @param {string|undefined} after - Changed content, undefined for a removed file
+ * @returns {string} Unified diff, empty if the content did not change
+ */
+function unifiedDiff(file, before, after) {
+  if (before === after) {
+    return '';
+  }
+
+  const operations = diffLines(splitLines(before), splitLines(after));
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.op !== ' ') {
+      const contextStart = Math.max(0, index - CONTEXT_LINES);
+      if (!hunk || contextStart > hunk.end) {
+        // The lines before index are all context, so the hunk start is known
+        const skipped = index - contextStart;
+        hunk = { start: contextStart, end: index, oldStart: oldLine - skipped, newStart: newLine - skipped };
+        hunks.push(hunk);
+      }
+      hunk.end = Math.min(operations.length, index + CONTEXT_LINES + 1);
+    }
+    if (operation.op !== '+') {
+      oldLine++;
+    }
+    if (operation.op !== '-') {
+      newLine++;
+    }
+  });
+
+  const lines = [
+    `--- ${before === undefined ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === undefined ? '/dev/null' : `b/${file}`}`
+  ];
+  for (const { start, end, oldStart, newStart } of hunks) {
+    const body = operations.slice(start, end);
+    const oldCount = body.filter(operation => operation.op !== '+').length;
+    const newCount = body.filter(operation => operation.op !== '-').length;
+    lines.push(`@@ -${hunkRange(oldStart, oldCount)} +${hunkRange(newStart, newCount)} @@`);
+    for (const { op, line } of body) {
+      if (line.endsWith(NO_NEWLINE)) {
+        lines.push(`${op}${line.slice(0, -1)}`, '\\ No newline at end of file');
+      } else {
+        lines.push(`${op}${line}`);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Diff every file of two trees
+ * @param {Object} original - Original files by path
+ * @param {Object} changed - Changed files by path
+ * @returns {Object} Unified diffs by path, for the added, removed and changed files only
+ */
+function diffTrees(original, changed) {
+  const files = Array.from(new Set([...Object.keys(original), ...Object.keys(changed)]));
+  const diffs = {};
+  for (const file of files) {
+    const diff = unifiedDiff(file, original[file], changed[file]);
+    if (diff) {
+      diffs[file] = diff;
+    }
+  }
+  return diffs;
+}
+
+module.exports = {
+  unifiedDiff,
+  diffTrees
+};
@@ -0,0 +1,355 @@
+/**
+ * Entities
+ * 
+ * Naming and typing of the domain entities found in a prompt. Turns the
+ * language neutral analysis ({entities: [{name, fields, relations}]}) into the
+ * context templates render from: every naming form of each entity and the
+ * type of each field in the generated languages.
+ */
+
+// Plurals that do not follow the rules, by singular
+const IRREGULAR = {
+  person: 'people',
+  child: 'children',
+  man: 'men',
+  woman: 'women',
+  mouse: 'mice',
+  goose: 'geese',
+  foot: 'feet',
+  tooth: 'teeth',
+  criterion: 'criteria',
+  analysis: 'analyses',
+  status: 'statuses',
+  bus: 'buses',
+  campus: 'campuses',
+  virus: 'viruses',
+  movie: 'movies',
+  cookie: 'cookies',
+  calorie: 'calories',
+  pie: 'pies',
+  knife: 'knives',
+  wife: 'wives',
+  life: 'lives',
+  leaf: 'leaves',
+  wolf: 'wolves',
+  shelf: 'shelves',
+  half: 'halves',
+  quiz: 'quizzes'
+};
+
+const IRREGULAR_SINGULAR = Object.fromEntries(Object.entries(IRREGULAR).map(([singular, plural]) => [plural, singular]));
+
+// Words with the same singular and plural
+const UNCOUNTABLE = ['series', 'species', 'news', 'equipment', 'information', 'feedback', 'software', 'staff', 'sheep', 'fish', 'data', 'media'];
+
+// Field types, how they appear in each generated language and a valid
+// sample value ({label} is replaced by the field label)
+const FIELD_TYPES = {
+  string: { ts: 'string', py: 'str', go: 'string', rust: 'String', json: 'string', input: 'text', django: 'CharField(max_length=200)', sample: 'Sample {label}' },
+  text: { ts: 'string', py: 'str', go: 'string', rust: 'String', json: 'string', input: 'textarea', django: 'TextField()', sample: 'Some {label}' },
+  email: { ts: 'string', py: 'str', go: 'string', rust: 'String', json: 'string', input: 'email', django: 'EmailField()', sample: 'someone@example.com' },
+  url: { ts: 'string', py: 'str', go: 'string', rust: 'String', json: 'string', input: 'url', django: 'URLField()', sample: 'https://example.com' },
+  date: { ts: 'string', py: 'datetime.date', go: 'string', rust: 'String', json: 'string', input: 'date', django: 'DateField()', sample: '2024-01-31' },
+  integer: { ts: 'number', py: 'int', go: 'int', rust: 'i64', json: 'integer', input: 'number', django: 'IntegerField()', sample: 3 },
+  number: { ts: 'number', py: 'float', go: 'float64', rust: 'f64', json: 'number', input: 'number', django: 'FloatField()', sample: 9.5 },
+  boolean: { ts: 'boolean', py: 'bool', go: 'bool', rust: 'bool', json: 'boolean', input: 'checkbox', django: 'BooleanField()', sample: true }
+};
+
+// Field names implying a type, checked in order
+const TYPE_HINTS = [
+  ['boolean', /^(?:is|has|can|should|in)_|_flag$|^(?:completed?|done|active|enabled|published|available|paid|archived|verified|featured|finished|read|visible)$/],
+  ['date', /_(?:at|on|date)$|^(?:date|due|deadline|birthday|birthdate|dob|start|end|released?|published_date)$/],
+  ['integer', /(?:^|_)(?:count|quantity|qty|age|year|stock|rank|position|pages|page_count|votes|likes|views|duration|minutes|seconds|number_of_\w+)$/],
+  ['number', /(?:^|_)(?:price|cost|amount|total|balance|salary|rating|score|weight|height|width|length|latitude|longitude|lat|lng|percent(?:age)?|rate|budget|fee|distance)$/],
+  ['email', /(?:^|_)email$/],
+  ['url', /(?:^|_)(?:url|website|link|homepage|image)$/],
+  ['text', /(?:^|_)(?:description|bio|notes?|content|body|summary|comment|message|details|text|about|instructions|address)$/]
+];
+
+/**
+ * Split a name in any case (title case, snake_case, camelCase, kebab-case)
+ * into lower case words
+ * @param {string} name - Name
+ * @returns {Array<string>} Words
+ */
+function toWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Plural of a lower case word
+ * @param {string} word - Singular word
+ * @returns {string} Plural
+ */
+function pluralize(word) {
+  if (UNCOUNTABLE.includes(word)) {
+    return word;
+  }
+  if (IRREGULAR[word]) {
+    return IRREGULAR[word];
+  }
+  if (IRREGULAR_SINGULAR[word]) {
+    return word;
+  }
+  if (/(?:s|x|z|ch|sh)$/.test(word)) {
+    return `${word}es`;
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    return `${word.slice(0, -1)}ies`;
+  }
+  return `${word}s`;
+}
+
+/**
+ * Singular of a lower case word
+ * @param {string} word - Plural (or already singular) word
+ * @returns {string} Singular
+ */
+function singularize(word) {
+  if (UNCOUNTABLE.includes(word)) {
+    return word;
+  }
+  if (IRREGULAR_SINGULAR[word]) {
+    return IRREGULAR_SINGULAR[word];
+  }
+  if (IRREGULAR[word] || /(?:us|is|ss)$/.test(word)) {
+    return word;
+  }
+  if (/[^aeiou]ies$/.test(word)) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(?:ss|x|z|ch|sh)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (/[^s]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Check whether a lower case word is a plural noun
+ * @param {string} word - Word
+ * @returns {boolean} Whether the word is plural
+ */
+function isPlural(word) {
+  return Boolean(IRREGULAR_SINGULAR[word]) || singularize(word) !== word;
+}
+
+/**
+ * Every naming form of a name made of words
+ * @param {Array<string>} words - Lower case words
+ * @returns {Object} Forms as {snake, camel, pascal, kebab, label}
+ */
+function nameForms(words) {
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+  const label = words.join(' ');
+
+  return {
+    snake: words.join('_'),
+    camel: words[0] + words.slice(1).map(capitalize).join(''),
+    pascal: words.map(capitalize).join(''),
+    kebab: words.join('-'),
+    label: capitalize(label)
+  };
+}
+
+/**
+ * Guess the type of a field from its name
+ * @param {string} name - Field name in snake_case
+ * @returns {string} Field type
+ */
+function inferFieldType(name) {
+  const hint = TYPE_HINTS.find(([, pattern]) => pattern.test(name));
+  return hint ? hint[0] : 'string';
+}
+
+/**
+ * Build the template context of one field
+ * @param {Object} field - Field as {name, type, required, reference}
+ * @returns {Object} Field context
+ */
+function fieldContext(field) {
+  const type = FIELD_TYPES[field.type] ? field.type : 'string';
+  const forms = nameForms(toWords(field.name));
+  const types = FIELD_TYPES[type];
+  const sample = field.reference
+    ? 1
+    : (typeof types.sample === 'string' ? types.sample.replace('{label}', forms.label.toLowerCase()) : types.sample);
+  // Optional values may be null, except booleans which default to false
+  const nullable = !field.required && type !== 'boolean';
+  // Record ids are unsigned in Rust
+  const rustType = field.reference ? 'u64' : types.rust;
+  const djangoOptions = type === 'boolean' ? ['default=False'] : (nullable ? ['blank=True', 'null=True'] : []);
+
+  return {
+    name: forms.snake,
+    camel: forms.camel,
+    pascal: forms.pascal,
+    label: forms.label,
+    type,
+    required: Boolean(field.required),
+    optional: !field.required,
+    [`is_${type}`]: true,
+    is_textual: types.json === 'string',
+    is_numeric: types.json === 'number' || types.json === 'integer',
+    is_reference: Boolean(field.reference),
+    reference: field.reference || null,
+    ts_type: types.ts,
+    py_type: types.py,
+    go_type: types.go,
+    // Go spells initialisms in capitals (AuthorID)
+    go_name: forms.pascal.replace(/(?:Id|Url)(?=[A-Z]|$)/g, initialism => initialism.toUpperCase()),
+    go_pointer: nullable,
+    go_field_type: nullable ? `*${types.go}` : types.go,
+    rust_type: rustType,
+    rust_field_type: nullable ? `Option<${rustType}>` : rustType,
+    json_type: types.json,
+    input_type: types.input,
+    // Django names a foreign key after the record (author), its column author_id
+    django_name: field.reference ? forms.snake.replace(/_id$/, '') : forms.snake,
+    django_field: types.django.replace(/\((.*)\)$/, (match, args) => `(${[args, ...djangoOptions].filter(Boolean).join(', ')})`),
+    sample: typeof sample === 'string' ? `'${sample}'` : String(sample),
+    sample_py: typeof sample === 'string' ? `'${sample}'` : (sample === true ? 'True' : String(sample)),
+    sample_json: JSON.stringify(sample),
+    // The sample as typed into a form input
+    sample_input: String(sample)
+  };
+}
+
+/**
+ * Build the template context of the entities of an analysis: naming forms
+ * (`name`, `plural`, `camel`, `camel_plural`, `pascal`, `pascal_plural`,
+ * `kebab`, `kebab_plural`, `label`, `label_plural` and the lower case
+ * `words`, `words_plural`), its indefinite `article`, typed `fields` and the
+ * names of the `required_fields`, the field types it `uses` ({date: true}),
+ * the field naming a record (`display_field`, flagged `is_display`), the
+ * `parents` an entity references and the `children` referencing it, with
+ * `is_related` set when it has either.
+ * @param {Object} analysis - Prompt analysis with normalized entities
+ * @returns {Array<Object>} Entity contexts
+ */
+function buildEntityContext(analysis) {
+  const entities = analysis.entities.map(entity => {
+    const words = toWords(entity.name);
+    const singular = nameForms(words);
+    const plural = nameForms([...words.slice(0, -1), pluralize(words[words.length - 1])]);
+    const fields = entity.fields.map(fieldContext);
+    // The first short textual field names a record in lists and select boxes
+    const display = fields.find(field => field.is_textual && !field.is_text) || fields.find(field => field.is_textual);
+    if (display) {
+      display.is_display = true;
+    }
+    // gofmt aligns the names and types of struct fields in columns
+    const goNameWidth = Math.max(0, ...fields.map(field => field.go_name.length));
+    const goTypeWidth = Math.max(0, ...fields.map(field => field.go_field_type.length));
+    for (const field of fields) {
+      field.go_column = `${field.go_name.padEnd(goNameWidth)} ${field.go_field_type.padEnd(goTypeWidth)}`;
+    }
+
+    return {
+      name: singular.snake,
+      plural: plural.snake,
+      camel: singular.camel,
+      camel_plural: plural.camel,
+      pascal: singular.pascal,
+      pascal_plural: plural.pascal,
+      kebab: singular.kebab,
+      kebab_plural: plural.kebab,
+      label: singular.label,
+      label_plural: plural.label,
+      words: singular.label.toLowerCase(),
+      words_plural: plural.label.toLowerCase(),
+      article: /^(?:[aeio]|u(?!s|ni|ti|ri)|hou|hon)/.test(singular.snake) ? 'an' : 'a',
+      fields,
+      required_fields: fields.filter(field => field.required).map(field => field.name),
+      uses: Object.fromEntries(fields.map(field => [field.type, true])),
+      display_field: display ? display.name : 'id',
+      relations: entity.relations || []
+    };
+  });
+
+  const goStoreWidth = Math.max(0, ...entities.map(entity => entity.camel_plural.length));
+  for (const entity of entities) {
+    entity.go_store_column = entity.camel_plural.padEnd(goStoreWidth);
+  }
+
+  const byName = Object.fromEntries(entities.map(entity => [entity.name, entity]));
+
+  for (const entity of entities) {
+    for (const field of entity.fields) {
+      if (field.reference) {
+        field.reference = byName[field.reference] ? summarize(byName[field.reference]) : null;
+        field.is_reference = Boolean(field.reference);
+        // A book's author_id is entered as its "Author", a writer_id as its "Writer"
+        if (field.reference) {
+          field.label = field.name === `${field.reference.name}_id` ? field.reference.label : field.label.replace(/ id$/, '');
+        }
+      }
+    }
+
+    entity.parents = entity.fields.filter(field => field.is_reference).map(field => ({
+      ...field.reference,
+      field: field.name,
+      field_camel: field.camel
+    }));
+  }
+
+  for (const entity of entities) {
+    entity.children = entities
+      .filter(other => other.parents.some(parent => parent.name === entity.name))
+      .map(other => ({ ...summarize(other), field: other.parents.find(parent => parent.name === entity.name).field }));
+    entity.has_parents = entity.parents.length > 0;
+    entity.has_children = entity.children.length > 0;
+    entity.is_related = entity.has_parents || entity.has_children;
+  }
+
+  return entities;
+}
+
+/**
+ * Build the template data of an analysis: the `entities`, the `primary`
+ * (first) entity, their labels joined for titles (`entity_labels`, "Books and
+ * Authors"), the field types any entity `uses` and whether any entity
+ * references another (`has_relations`)
+ * @param {Object} analysis - Prompt analysis with normalized entities
+ * @returns {Object} Template data
+ */
+function buildTemplateData(analysis) {
+  const entities = buildEntityContext(analysis);
+  const labels = entities.map(entity => entity.label_plural);
+
+  return {
+    entities,
+    primary: entities[0],
+    entity_labels: labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0],
+    uses: Object.assign({}, ...entities.map(entity => entity.uses)),
+    has_relations: entities.some(entity => entity.has_parents)
+  };
+}
+
+/**
+ * Naming forms of an entity, without its fields, for references
+ * @param {Object} entity - Entity context
+ * @returns {Object} Naming forms
+ */
+function summarize(entity) {
+  const details = ['fields', 'relations', 'parents', 'children', 'uses'];
+  return Object.fromEntries(Object.entries(entity).filter(([key]) => !details.includes(key)));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  toWords,
+  pluralize,
+  singularize,
+  isPlural,
+  nameForms,
+  inferFieldType,
+  buildEntityContext,
+  buildTemplateData
+};
@@ -0,0 +1,71 @@
+/**
+ * Frameworks
+ * 
+ * Frameworks the generators know how to scaffold, with the language they are
+ * written in and the prompt pattern that names them
+ */
+
+const FRAMEWORKS = {
+  express: {
+    name: 'Express',
+    language: 'javascript',
+    pattern: /\bexpress(?:\.?js)?\b/
+  },
+  fastify: {
+    name: 'Fastify',
+    language: 'javascript',
+    pattern: /\bfastify\b/
+  },
+  nextjs: {
+    name: 'Next.js',
+    language: 'javascript',
+    pattern: /\bnext(?:\.js|js)\b/
+  },
+  vue: {
+    name: 'Vue',
+    language: 'javascript',
+    pattern: /\bvue(?:\.?js)?\b/
+  },
+  fastapi: {
+    name: 'FastAPI',
+    language: 'python',
+    pattern: /\bfastapi\b/
+  },
+  django: {
+    name: 'Django',
+    language: 'python',
+    pattern: /\bdjango\b/
+  }
+};
+
+/**
+ * Find the framework named in a prompt
+ * @param {string} prompt - The user's prompt
+ * @param {string} language - Only consider frameworks of this language
+ * @returns {string|null} Framework id
+ */
+function detectFramework(prompt, language = null) {
+  const lowerPrompt = prompt.toLowerCase();
+  const match = Object.entries(FRAMEWORKS).find(([, framework]) =>
+    (!language || framework.language === language) && framework.pattern.test(lowerPrompt)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Look up a framework by id or display name ("Next.js", "nextjs", "next")
+ * @param {string} name - Framework id or name
+ * @returns {string|null} Framework id
+ */
+function findFramework(name) {
+  const normalized = String(name).toLowerCase().replace(/[^a-z]/g, '');
+  const match = Object.entries(FRAMEWORKS).find(([id, framework]) =>
+    id === normalized ||
+    framework.name.toLowerCase().replace(/[^a-z]/g, '') === normalized ||
+    `${id}js` === normalized ||
+    id === `${normalized}js`
+  );
+  return match ? match[0] : null;
+}
+
+module.exports = { FRAMEWORKS, detectFramework, findFramework };
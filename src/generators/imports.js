@@ -0,0 +1,322 @@
+/**
+ * Project Imports
+ * 
+ * List the imports of the source files of a generated project and find the
+ * project files they point to. Only imports of the project's own files are
+ * resolved; packages installed from a registry are left out.
+ */
+
+const path = require('path');
+
+// Extensions tried, in order, for a JavaScript import written without one
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue'];
+
+// Module specifiers of import, export ... from, dynamic import and require
+const SCRIPT_IMPORT_PATTERN = /(?:\bfrom\s+|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]([^'"\n]+)['"]/g;
+
+// Python import statements; parenthesized name lists may span lines
+const PYTHON_IMPORT_PATTERN = /^[ \t]*(?:from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n#]+)|import[ \t]+([^\n#]+))/gm;
+
+// Dotted module paths written as strings, as Django settings and urls do
+const PYTHON_MODULE_STRING_PATTERN = /["']([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+)["']/g;
+
+/**
+ * Collect what the resolvers need to know about the project: the workspace
+ * packages by name and the path aliases of jsconfig.json or tsconfig.json
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Object} Project as {files, packages, aliases}
+ */
+function describeProject(codeFiles) {
+  const packages = {};
+  const aliases = [];
+
+  for (const [file, content] of Object.entries(codeFiles)) {
+    const name = path.posix.basename(file);
+    const dir = path.posix.dirname(file);
+
+    if (name === 'package.json') {
+      const manifest = parseJson(content);
+      if (manifest && manifest.name) {
+        packages[manifest.name] = { dir, main: manifest.main };
+      }
+    } else if (name === 'jsconfig.json' || name === 'tsconfig.json') {
+      const compilerOptions = (parseJson(content) || {}).compilerOptions || {};
+      const baseUrl = path.posix.join(dir, compilerOptions.baseUrl || '.');
+      for (const [pattern, targets] of Object.entries(compilerOptions.paths || {})) {
+        if (pattern.endsWith('/*') && Array.isArray(targets) && typeof targets[0] === 'string') {
+          aliases.push({ prefix: pattern.slice(0, -1), target: path.posix.join(baseUrl, targets[0].replace(/\*$/, '')) });
+        }
+      }
+    }
+  }
+
+  return { files: codeFiles, packages, aliases };
+}
+
+/**
+ * Parse a JSON file that may contain comments, as tsconfig.json may.
+ * Comments and trailing commas are blanked out rather than removed so that
+ * error positions still point into the original file.
+ * @param {string} content - File content
+ * @returns {Object} Parsed content
+ */
+function parseJsonWithComments(content) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  return JSON.parse(content
+    .replace(/\/\*[\s\S]*?\*\//g, blank)
+    .replace(/^\s*\/\/.*$/gm, blank)
+    .replace(/,(\s*[}\]])/g, ' $1'));
+}
+
+/**
+ * Parse a JSON file, ignoring one that is invalid
+ * @param {string} content - File content
+ * @returns {Object|null} Parsed content, null if it is not JSON
+ */
+function parseJson(content) {
+  try {
+    return parseJsonWithComments(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the module specifiers a JavaScript file imports
+ * @param {string} content - Source
+ * @returns {Array<Object>} Imports as {specifier, index}, index being the
+ * offset of the specifier in the source
+ */
+function listScriptImports(content) {
+  return Array.from(content.matchAll(SCRIPT_IMPORT_PATTERN), match => ({
+    specifier: match[1],
+    index: match.index + match[0].length - match[1].length - 1
+  }));
+}
+
+/**
+ * List the import statements of a Python file; `import a, b` yields one
+ * import per module
+ * @param {string} content - Source
+ * @returns {Array<Object>} Imports as {dots, module, names, index}, index
+ * being the offset of the statement in the source
+ */
+function listPythonImports(content) {
+  const imports = [];
+
+  for (const match of content.matchAll(PYTHON_IMPORT_PATTERN)) {
+    const index = match.index + match[0].search(/\S/);
+    if (match[4] !== undefined) {
+      for (const name of match[4].split(',')) {
+        const module = name.trim().split(/\s+/)[0];
+        if (module) {
+          imports.push({ dots: '', module, names: [], index });
+        }
+      }
+      continue;
+    }
+
+    const names = match[3].replace(/[()]/g, '').split(',')
+      .map(name => name.trim().split(/\s+/)[0])
+      .filter(name => /^\w+$/.test(name));
+    imports.push({ dots: match[1], module: match[2], names, index });
+  }
+
+  return imports;
+}
+
+/**
+ * Find the project file a JavaScript module path points to, trying the
+ * extensions and index files Node and bundlers try
+ * @param {Object} project - Project from describeProject
+ * @param {string} base - Project relative path without or with an extension
+ * @returns {string|null} File name
+ */
+function resolveScriptPath(project, base) {
+  const stem = base.replace(/\.[cm]?js$/, '');
+  const candidates = [base]
+    .concat(SCRIPT_EXTENSIONS.map(extension => stem + extension))
+    .concat(SCRIPT_EXTENSIONS.map(extension => path.posix.join(base, 'index' + extension)));
+
+  return candidates.find(candidate => project.files[candidate] !== undefined) || null;
+}
+
+/**
+ * Resolve a JavaScript module specifier: relative paths, path aliases and
+ * workspace packages
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - Importing file
+ * @param {string} specifier - Module specifier
+ * @returns {string|null} File name, null for a package or a missing file
+ */
+function resolveScriptImport(project, file, specifier) {
+  if (specifier.startsWith('.')) {
+    return resolveScriptPath(project, path.posix.join(path.posix.dirname(file), specifier));
+  }
+
+  const alias = project.aliases.find(({ prefix }) => specifier.startsWith(prefix));
+  if (alias) {
+    return resolveScriptPath(project, path.posix.join(alias.target, specifier.slice(alias.prefix.length)));
+  }
+
+  const name = Object.keys(project.packages).find(pkg => specifier === pkg || specifier.startsWith(pkg + '/'));
+  if (name) {
+    const { dir, main } = project.packages[name];
+    const subpath = specifier.slice(name.length + 1) || main || 'index';
+    return resolveScriptPath(project, path.posix.join(dir, subpath));
+  }
+
+  return null;
+}
+
+/**
+ * Find the project file of a dotted Python module name
+ * @param {Object} project - Project from describeProject
+ * @param {string} dir - Directory the module name is relative to
+ * @param {string} name - Module name such as app.routers
+ * @returns {string|null} File name
+ */
+function resolvePythonModule(project, dir, name) {
+  const base = path.posix.join(dir, ...name.split('.').filter(Boolean));
+  return [base + '.py', path.posix.join(base, '__init__.py')]
+    .find(candidate => project.files[candidate] !== undefined) || null;
+}
+
+/**
+ * Get the package directory a relative Python import starts from: the
+ * directory of the file for one dot, its parent for two and so on
+ * @param {string} file - Importing file
+ * @param {string} dots - Leading dots of the import
+ * @returns {string} Directory
+ */
+function pythonPackageDir(file, dots) {
+  let dir = path.posix.dirname(file);
+  for (let level = 1; level < dots.length; level++) {
+    dir = path.posix.dirname(dir);
+  }
+  return dir;
+}
+
+/**
+ * List the Python modules a statement imports: the module itself and the
+ * submodules among the imported names
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - Importing file
+ * @param {string} dots - Leading dots of a relative import
+ * @param {string} module - Module name after the dots
+ * @param {Array<string>} names - Names imported from the module
+ * @returns {Array<string>} File names
+ */
+function resolvePythonImport(project, file, dots, module, names) {
+  // Absolute imports are found from the project root, or from the directory
+  // of the file as pytest puts test directories on sys.path
+  const dirs = dots ? [pythonPackageDir(file, dots)] : ['.', path.posix.dirname(file)];
+
+  const resolved = [];
+  for (const dir of dirs) {
+    const target = module ? resolvePythonModule(project, dir, module) : null;
+    if (target) {
+      resolved.push(target);
+    }
+    for (const name of names) {
+      const submodule = resolvePythonModule(project, dir, module ? `${module}.${name}` : name);
+      if (submodule) {
+        resolved.push(submodule);
+      }
+    }
+    if (resolved.length > 0) {
+      break;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * List the project files a Python file imports, including modules named in
+ * strings such as ROOT_URLCONF = "config.urls"
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - Python file
+ * @returns {Array<string>} File names
+ */
+function findPythonImports(project, file) {
+  const content = project.files[file];
+  const imports = [];
+
+  for (const { dots, module, names } of listPythonImports(content)) {
+    imports.push(...resolvePythonImport(project, file, dots, module, names));
+  }
+
+  for (const match of content.matchAll(PYTHON_MODULE_STRING_PATTERN)) {
+    const target = resolvePythonModule(project, '.', match[1]);
+    if (target) {
+      imports.push(target);
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * List the project files a Rust file declares as modules with `mod name;`
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - Rust file
+ * @returns {Array<string>} File names
+ */
+function findRustImports(project, file) {
+  // Modules of main.rs, lib.rs and mod.rs live next to them, those of any
+  // other file in a directory named after it
+  const dir = /(?:^|\/)(?:main|lib|mod)\.rs$/.test(file)
+    ? path.posix.dirname(file)
+    : file.replace(/\.rs$/, '');
+  const imports = [];
+
+  for (const match of project.files[file].matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/gm)) {
+    const target = [path.posix.join(dir, `${match[1]}.rs`), path.posix.join(dir, match[1], 'mod.rs')]
+      .find(candidate => project.files[candidate] !== undefined);
+    if (target) {
+      imports.push(target);
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * List the project files a file imports
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - File name
+ * @returns {Array<string>} File names, without duplicates
+ */
+function findImports(project, file) {
+  const extension = path.posix.extname(file);
+  let imports = [];
+
+  if (SCRIPT_EXTENSIONS.includes(extension)) {
+    for (const { specifier } of listScriptImports(project.files[file])) {
+      const target = resolveScriptImport(project, file, specifier);
+      if (target) {
+        imports.push(target);
+      }
+    }
+  } else if (extension === '.py') {
+    imports = findPythonImports(project, file);
+  } else if (extension === '.rs') {
+    imports = findRustImports(project, file);
+  }
+
+  return Array.from(new Set(imports)).filter(target => target !== file);
+}
+
+module.exports = {
+  describeProject,
+  findImports,
+  listScriptImports,
+  listPythonImports,
+  parseJsonWithComments,
+  pythonPackageDir,
+  resolveScriptImport,
+  resolvePythonImport,
+  resolvePythonModule,
+  SCRIPT_EXTENSIONS
+};
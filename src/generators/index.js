@@ -0,0 +1,65 @@
+/**
+ * Code generators
+ * 
+ * Providers that turn a prompt into generated files, selected with
+ * code_generator.provider in the MVP configuration
+ */
+
+const { BaseCodeGenerator, SUPPORTED_LANGUAGES, findLanguage } = require('./base');
+const { TemplateCodeGenerator } = require('./template');
+const { LLMCodeGenerator } = require('./llm');
+const { OpenAICodeGenerator } = require('./openai');
+const { OllamaCodeGenerator } = require('./ollama');
+const { parseCodeResponse, ResponseParseError } = require('./response-parser');
+const { validateProject } = require('./validators');
+const { FRAMEWORKS, detectFramework, findFramework } = require('./frameworks');
+const { analyzePrompt, normalizeAnalysis } = require('./prompt-analysis');
+const { buildTemplateData } = require('./entities');
+const { applyFixers, refineCodeFiles } = require('./refinement');
+const { unifiedDiff, diffTrees } = require('./diff');
+
+const PROVIDERS = {
+  template: TemplateCodeGenerator,
+  openai: OpenAICodeGenerator,
+  ollama: OllamaCodeGenerator
+};
+
+/**
+ * Create the code generator configured for the MVP
+ * @param {Object} config - code_generator section of the MVP configuration
+ * @param {Object} options - Additional options (basePath)
+ * @returns {BaseCodeGenerator} Code generator
+ */
+function createCodeGenerator(config = {}, options = {}) {
+  const provider = config.provider || 'template';
+  const Generator = PROVIDERS[provider];
+  if (!Generator) {
+    throw new Error(`Unknown code generator provider "${provider}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Generator({ ...config, provider }, options);
+}
+
+module.exports = {
+  createCodeGenerator,
+  BaseCodeGenerator,
+  TemplateCodeGenerator,
+  LLMCodeGenerator,
+  OpenAICodeGenerator,
+  OllamaCodeGenerator,
+  parseCodeResponse,
+  validateProject,
+  ResponseParseError,
+  SUPPORTED_LANGUAGES,
+  findLanguage,
+  FRAMEWORKS,
+  detectFramework,
+  findFramework,
+  analyzePrompt,
+  normalizeAnalysis,
+  buildTemplateData,
+  applyFixers,
+  refineCodeFiles,
+  unifiedDiff,
+  diffTrees
+};
@@ -0,0 +1,192 @@
+/**
+ * LLM Code Generator
+ * 
+ * Base class for providers that ask a language model to write the code
+ */
+
+const { logger, abortUtils } = require('../utils');
+const { BaseCodeGenerator } = require('./base');
+const { parseCodeResponse, parseJsonResponse } = require('./response-parser');
+const { FRAMEWORKS } = require('./frameworks');
+const { normalizeAnalysis, describeAnalysis, ANALYSIS_PROMPT } = require('./prompt-analysis');
+const { affectedFiles } = require('../analysis');
+
+// Instructions sent with every prompt so the answer can be parsed into files
+const SYSTEM_PROMPT = [
+  'You are a senior software engineer who writes complete, runnable projects.',
+  'Answer with every file of the project and nothing else.',
+  'Put each file in its own fenced code block and write its relative path on the line before the block, for example:',
+  '',
+  '**src/index.js**',
+  '```javascript',
+  '// code',
+  '```',
+  '',
+  'Write a test file for every source file, using the usual test runner of the language, and add it to the dependencies.',
+  'Include a README.md explaining how to install and run the project and its tests.'
+].join('\n');
+
+// Instructions sent when asking the model to fix the issues found in a project
+const REFINE_PROMPT = [
+  'You are a senior software engineer who fixes projects that fail their checks.',
+  'Answer with every file you change or add, complete, and nothing else. Leave out the files that need no change.',
+  'Put each file in its own fenced code block and write its relative path on the line before the block, for example:',
+  '',
+  '**src/index.js**',
+  '```javascript',
+  '// code',
+  '```',
+  '',
+  'Fix the causes of the issues rather than weakening or removing the tests.'
+].join('\n');
+
+class LLMCodeGenerator extends BaseCodeGenerator {
+  /**
+   * Initialize the code generator
+   * @param {Object} config - code_generator section of the MVP configuration
+   *   (api_url, api_key_env, model, temperature, timeout_ms, analysis)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.apiUrl = (config.api_url || this.defaultApiUrl).replace(/\/+$/, '');
+    this.apiKey = config.api_key_env ? process.env[config.api_key_env] : undefined;
+    this.model = config.model;
+    this.temperature = config.temperature !== undefined ? config.temperature : 0.2;
+    this.timeoutMs = config.timeout_ms || 60000;
+  }
+
+  /**
+   * API URL used when none is configured
+   * @returns {string} URL
+   */
+  get defaultApiUrl() {
+    return 'http://localhost:3000/api';
+  }
+
+  /**
+   * Build the chat messages for a prompt
+   * @param {string} prompt - The user's prompt
+   * @param {string} language - Language to write the project in
+   * @param {string} framework - Framework to build the project with, if any
+   * @param {Object} analysis - Entities of the prompt the project must be built around, if known
+   * @returns {Array<Object>} Chat messages
+   */
+  buildMessages(prompt, language, framework = null, analysis = null) {
+    const using = framework ? ` using ${FRAMEWORKS[framework].name}` : '';
+    const model = analysis
+      ? `\n\nName routes, models, validation, forms and documentation after these entities and fields:\n${describeAnalysis(analysis)}`
+      : '';
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `Write the project in ${language}${using}.${model}\n\n${prompt}` }
+    ];
+  }
+
+  /**
+   * Find the entities of a prompt. With code_generator.analysis set to
+   * "model" the model is asked, falling back to the heuristics when its
+   * answer is unusable.
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Analysis options (signal)
+   * @returns {Promise<Object>} Analysis as {source, entities}
+   */
+  async analyzePrompt(prompt, options = {}) {
+    if (this.config.analysis !== 'model' || !this.model) {
+      return super.analyzePrompt(prompt, options);
+    }
+
+    try {
+      const text = await this.complete([
+        { role: 'system', content: ANALYSIS_PROMPT },
+        { role: 'user', content: prompt }
+      ], { signal: options.signal });
+      return normalizeAnalysis(parseJsonResponse(text), 'model');
+    } catch (error) {
+      if (abortUtils.isAbortError(error)) {
+        throw error;
+      }
+      logger.warn(`Model prompt analysis failed, using heuristics: ${error.message}`);
+      return super.analyzePrompt(prompt, options);
+    }
+  }
+
+  /**
+   * Generate code from a prompt
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Generation options (language, framework, analysis, signal)
+   * @returns {Promise<Object>} Generated code files
+   */
+  async generateCode(prompt, options = {}) {
+    const framework = this.resolveFramework(prompt, options);
+    const language = this.resolveLanguage(prompt, { ...options, framework });
+
+    if (!this.model) {
+      throw new Error(`No model configured for the ${this.config.provider} code generator (code_generator.model)`);
+    }
+
+    const messages = this.buildMessages(prompt, language, framework, options.analysis);
+    const text = await this.complete(messages, { signal: options.signal });
+    return parseCodeResponse(text, { language });
+  }
+
+  /**
+   * Build the chat messages asking to fix the issues of a project. The files
+   * the issues point to are sent whole; the others are only listed.
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} errorAnalysis - Error analysis with the issues to fix
+   * @param {string} prompt - The user's prompt the project was written for
+   * @returns {Array<Object>} Chat messages
+   */
+  buildRefineMessages(codeFiles, errorAnalysis, prompt = '') {
+    const issues = errorAnalysis.issues.map(item => {
+      const fix = item.suggested_fix ? ` Suggested fix: ${item.suggested_fix}` : '';
+      return `- [${item.type}] ${item.location || 'project'}: ${item.description}${fix}`;
+    });
+    const files = affectedFiles(errorAnalysis, codeFiles)
+      .map(file => `**${file}**\n\`\`\`\n${codeFiles[file]}\n\`\`\``);
+
+    return [
+      { role: 'system', content: REFINE_PROMPT },
+      {
+        role: 'user',
+        content: [
+          `The project was written for this request:\n\n${prompt}`,
+          `These issues were found:\n${issues.join('\n')}`,
+          `Files of the project:\n${Object.keys(codeFiles).map(file => `- ${file}`).join('\n')}`,
+          ...(files.length > 0 ? [`Files with issues:\n\n${files.join('\n\n')}`] : [])
+        ].join('\n\n')
+      }
+    ];
+  }
+
+  /**
+   * Ask the model to fix the issues of generated code. The files it answers
+   * with replace or add to the generated ones.
+   * @param {Object} codeFiles - Generated code files
+   * @param {Object} errorAnalysis - Error analysis with the issues to fix
+   * @param {Object} options - Refinement options (prompt, language, signal)
+   * @returns {Promise<Object>} Refined code files
+   */
+  async refineCode(codeFiles, errorAnalysis, options = {}) {
+    if (!this.model) {
+      throw new Error(`No model configured for the ${this.config.provider} code generator (code_generator.model)`);
+    }
+
+    const messages = this.buildRefineMessages(codeFiles, errorAnalysis, options.prompt);
+    const text = await this.complete(messages, { signal: options.signal });
+    const language = options.language || this.detectLanguage(options.prompt || '');
+    return { ...codeFiles, ...parseCodeResponse(text, { language }) };
+  }
+
+  /**
+   * Send chat messages to the model and return its answer
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Request options (signal)
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(messages, options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = { LLMCodeGenerator, SYSTEM_PROMPT, REFINE_PROMPT };
@@ -0,0 +1,49 @@
+/**
+ * Ollama Code Generator
+ * 
+ * Provider for a local Ollama-style HTTP server
+ */
+
+const axios = require('axios');
+const { LLMCodeGenerator } = require('./llm');
+
+class OllamaCodeGenerator extends LLMCodeGenerator {
+  /**
+   * API URL used when none is configured
+   * @returns {string} URL
+   */
+  get defaultApiUrl() {
+    return 'http://localhost:11434';
+  }
+
+  /**
+   * Send chat messages to POST {api_url}/api/chat without streaming
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Request options (signal)
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(messages, options = {}) {
+    const response = await axios.post(`${this.apiUrl}/api/chat`, {
+      model: this.model,
+      messages,
+      stream: false,
+      options: { temperature: this.temperature }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      timeout: this.timeoutMs,
+      signal: options.signal
+    });
+
+    const content = response.data && response.data.message ? response.data.message.content : null;
+    if (!content) {
+      throw new Error(`Model ${this.model} returned no content`);
+    }
+
+    return content;
+  }
+}
+
+module.exports = { OllamaCodeGenerator };
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Code Generator
+ * 
+ * Provider for OpenAI-compatible chat completion endpoints
+ */
+
+const axios = require('axios');
+const { LLMCodeGenerator } = require('./llm');
+
+class OpenAICodeGenerator extends LLMCodeGenerator {
+  /**
+   * API URL used when none is configured
+   * @returns {string} URL
+   */
+  get defaultApiUrl() {
+    return 'https://api.openai.com/v1';
+  }
+
+  /**
+   * Send chat messages to POST {api_url}/chat/completions
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Request options (signal)
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(messages, options = {}) {
+    const response = await axios.post(`${this.apiUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: this.temperature
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      timeout: this.timeoutMs,
+      signal: options.signal
+    });
+
+    const choice = response.data && Array.isArray(response.data.choices) ? response.data.choices[0] : null;
+    const content = choice && choice.message ? choice.message.content : null;
+    if (!content) {
+      throw new Error(`Model ${this.model} returned no content${choice && choice.finish_reason ? ` (finish reason: ${choice.finish_reason})` : ''}`);
+    }
+
+    return content;
+  }
+}
+
+module.exports = { OpenAICodeGenerator };
@@ -0,0 +1,501 @@
+/**
+ * Prompt Analysis
+ * 
+ * Finds the domain of a prompt: the entities the application manages, their
+ * fields and how they relate. The heuristic analysis reads phrases such as
+ * "an API with books and authors", "books have a title and a price" or
+ * "authors have many books"; a model answer can be normalized into the same
+ * shape: {source, entities: [{name, fields: [{name, type, required, reference}], relations}]}
+ */
+
+const { FIELD_TYPES, toWords, pluralize, singularize, isPlural, inferFieldType } = require('./entities');
+
+// Instructions asking a model for the analysis as JSON
+const ANALYSIS_PROMPT = [
+  'You extract the data model of the application a user describes.',
+  'Answer with JSON only, in this shape:',
+  '{"entities": [{"name": "book", "fields": [{"name": "title", "type": "string", "required": true}], "relations": [{"type": "belongs_to", "entity": "author"}]}]}',
+  `Field types are ${Object.keys(FIELD_TYPES).join(', ')}.`,
+  'Use singular snake_case names and leave out id fields; a belongs_to relation adds the <entity>_id field.'
+].join('\n');
+
+// Entity used when the prompt names none
+const DEFAULT_ENTITY = { name: 'item', fields: [{ name: 'name', type: 'string', required: true }], relations: [] };
+
+// Fields of well known entities the prompt gives no fields for
+const DEFAULT_FIELDS = {
+  todo: ['title', 'completed'],
+  task: ['title', 'completed'],
+  note: ['title', 'content'],
+  post: ['title', 'body'],
+  article: ['title', 'body'],
+  comment: ['body'],
+  book: ['title'],
+  user: ['name', 'email'],
+  customer: ['name', 'email'],
+  contact: ['name', 'email'],
+  product: ['name', 'price'],
+  expense: ['description', 'amount'],
+  event: ['title', 'date'],
+  message: ['body']
+};
+
+// Words that precede the entities of a prompt: "with books", "manage recipes"
+const ENTITY_CUES = /\b(?:with|for|of|manag(?:e|es|ing)|track(?:s|ing)?|stor(?:e|es|ing)|list(?:s|ing)?|crud|add(?:s|ing)?|creat(?:e|es|ing)|edit(?:s|ing)?|updat(?:e|es|ing)|delet(?:e|es|ing)|remov(?:e|es|ing)|view(?:s|ing)?|brows(?:e|es|ing)|search(?:es|ing)?|organiz(?:e|es|ing)|schedul(?:e|es|ing))\s+(.*)/;
+
+// Entities of well known kinds of application: "a Django blog"
+const DOMAIN_ENTITIES = { blog: 'post', bookstore: 'book', library: 'book', shop: 'product', store: 'product', forum: 'post', newsletter: 'subscriber', crm: 'contact' };
+
+// Nouns naming an application whose qualifier is its entity: "a todo list"
+const APP_NOUNS = /\b([a-z]+)\s+(?:list|tracker|manager|app|application|api|service|system|catalog|shop|board|planner|log|journal|registry|directory|inventory)\b/g;
+
+// Words that are never entities or fields
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'with', 'for', 'of', 'to', 'in', 'on', 'by', 'as', 'at', 'from', 'into', 'using', 'use', 'via',
+  'some', 'all', 'any', 'each', 'every', 'their', 'its', 'his', 'her', 'my', 'our', 'your', 'this', 'that', 'these', 'those',
+  'new', 'existing', 'multiple', 'many', 'several', 'simple', 'basic', 'small', 'full', 'stack', 'fullstack', 'following', 'other',
+  'api', 'apis', 'app', 'apps', 'application', 'applications', 'service', 'services', 'server', 'servers', 'backend', 'frontend',
+  'client', 'clients', 'ui', 'web', 'website', 'rest', 'restful', 'crud', 'http', 'json', 'graphql', 'database', 'db', 'sql',
+  'feature', 'features', 'endpoint', 'endpoints', 'route', 'routes', 'field', 'fields', 'property', 'properties', 'attribute',
+  'attributes', 'column', 'columns', 'operation', 'operations', 'requirement', 'requirements', 'test', 'tests', 'unit', 'docs',
+  'documentation', 'log', 'logs', 'error', 'errors', 'detail', 'details', 'setting', 'settings', 'option', 'options', 'page',
+  'pages', 'component', 'components', 'token', 'tokens', 'support', 'ability', 'abilities', 'things', 'stuff', 'way', 'ways',
+  'script', 'scripts', 'tool', 'tools', 'command', 'commands', 'form', 'forms', 'view', 'views', 'model', 'models',
+  'dependencies', 'packages', 'modules', 'files', 'file', 'variables', 'types', 'type', 'status', 'code',
+  'react', 'vue', 'next', 'nextjs', 'express', 'fastify', 'node', 'nodejs', 'django', 'flask', 'fastapi', 'python', 'javascript',
+  'typescript', 'go', 'golang', 'rust', 'axum', 'cli', 'hello', 'world'
+]);
+
+// Verbs a feature list starts items with: "add, update, delete todos"
+const VERBS = new Set([
+  'add', 'adds', 'update', 'updates', 'delete', 'deletes', 'create', 'creates', 'edit', 'edits', 'remove', 'removes', 'list',
+  'lists', 'view', 'views', 'manage', 'manages', 'track', 'tracks', 'store', 'stores', 'browse', 'search', 'show', 'shows',
+  'get', 'read', 'modify', 'save', 'organize', 'schedule', 'rate', 'review'
+]);
+
+// Words that never name a field
+const NON_FIELD_WORDS = new Set([
+  'many', 'field', 'fields', 'following', 'features', 'endpoints', 'belong', 'belongs', 'be', 'is', 'are', 'has', 'have', 'can',
+  'should', 'must', 'also', 'etc', 'authentication', 'authorization', 'auth', 'jwt', 'oauth', 'login', 'pagination', 'validation',
+  'logging', 'caching', 'docker', 'tests', 'testing', 'docs', 'swagger', 'openapi', 'cors', 'api', 'apis', 'app', 'backend',
+  'frontend', 'ui', 'rest', 'crud', 'react', 'vue', 'nextjs', 'express', 'fastify', 'django', 'flask', 'fastapi', 'typescript',
+  'golang', 'rust', 'axum'
+]);
+
+// Words marking a field as optional
+const OPTIONAL_WORDS = /\b(?:optional(?:ly)?|maybe|possibly|an optional)\b|\(optional\)/;
+
+// States a prompt can mark an entity as, stored in a boolean field
+const STATES = { complete: 'completed', completed: 'completed', done: 'done', finished: 'finished', read: 'read', paid: 'paid', archived: 'archived', published: 'published', favorite: 'favorite', favourite: 'favorite' };
+
+/**
+ * Analyze a prompt with heuristics
+ * @param {string} prompt - The user's prompt
+ * @returns {Object} Analysis as {source, entities}
+ */
+function analyzePrompt(prompt) {
+  const clauses = String(prompt)
+    .toLowerCase()
+    .replace(/\bto-?dos?\b/g, match => (match.endsWith('s') ? 'todos' : 'todo'))
+    .split(/[.;!?\n]+/)
+    .map(clause => clause.replace(/[^a-z0-9_,()&/:\s-]/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const entities = new Map();
+  const addEntity = word => {
+    const name = singularize(word);
+    if (!entities.has(name)) {
+      entities.set(name, { name, fields: [], relations: [] });
+    }
+    return entities.get(name);
+  };
+
+  for (const clause of clauses) {
+    findListedEntities(clause).forEach(addEntity);
+  }
+
+  for (const clause of clauses) {
+    for (const [child, parent] of findRelations(clause)) {
+      const parentEntity = addEntity(parent);
+      addRelation(addEntity(child), parentEntity.name);
+    }
+  }
+
+  if (entities.size === 0) {
+    for (const clause of clauses) {
+      for (const match of clause.matchAll(/\b[a-z]+\b/g)) {
+        if (DOMAIN_ENTITIES[match[0]]) {
+          addEntity(DOMAIN_ENTITIES[match[0]]);
+        }
+      }
+    }
+  }
+
+  if (entities.size === 0) {
+    for (const clause of clauses) {
+      for (const match of clause.matchAll(APP_NOUNS)) {
+        if (isNoun(match[1])) {
+          addEntity(match[1]);
+        }
+      }
+    }
+  }
+
+  for (const entity of entities.values()) {
+    for (const clause of clauses) {
+      findFields(clause, entity, entities).forEach(field => addField(entity, field));
+    }
+  }
+
+  return normalizeAnalysis({ entities: Array.from(entities.values()) }, 'heuristic');
+}
+
+/**
+ * Find entities named in lists following a cue: "with books, authors and reviews"
+ * @param {string} clause - Lower case clause of the prompt
+ * @returns {Array<string>} Plural nouns
+ */
+function findListedEntities(clause) {
+  const found = [];
+  let rest = clause;
+  let match;
+
+  while ((match = ENTITY_CUES.exec(rest)) !== null) {
+    rest = match[1];
+    // Field lists in parentheses and what follows a noun do not name entities:
+    // "recipes (title, servings)", "orders with JWT authentication"
+    for (const phrase of rest.replace(/\([^)]*\)/g, '').split(/,|&|\/|\band\b|\bor\b/)) {
+      const words = phrase.split(/\b(?:with|having|has|have|containing|including|that|which|where|using|in|for|to|from|by|on|via)\b/)[0]
+        .trim().split(' ').filter(word => word && !VERBS.has(word) && !isFiller(word));
+      if (words.length === 0) {
+        continue;
+      }
+      if (words.length > 2) {
+        break;
+      }
+
+      // Only plural nouns: "with authentication" is a feature, not an entity.
+      // The last word names the entity: "blog posts" are posts.
+      const noun = words[words.length - 1];
+      if (isPlural(noun) && isNoun(noun)) {
+        found.push(noun);
+      }
+      // The rest of "recipes having a title and servings" lists fields
+      if (/\b(?:with|having|has|have|containing|including)\b/.test(phrase)) {
+        return found;
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Find parent-child relations: "authors have many books", "books belong to an author"
+ * @param {string} clause - Lower case clause of the prompt
+ * @returns {Array<Array<string>>} Pairs of [child, parent] nouns
+ */
+function findRelations(clause) {
+  const pairs = [];
+
+  for (const match of clause.matchAll(/\b([a-z]+) (?:can )?(?:has|have|contains?|owns?) (?:many|multiple|several|one or more|a list of) ([a-z]+)/g)) {
+    if (isNoun(match[1]) && isNoun(match[2])) {
+      pairs.push([match[2], match[1]]);
+    }
+  }
+
+  // "Books have a title and belong to an author", "a shop with orders that
+  // belong to customers": the child is the last plural noun before the verb,
+  // else the subject starting the clause
+  const subject = /^(?:(?:each|every|a|an|the) )?([a-z]+)/.exec(clause);
+  for (const match of clause.matchAll(/\b([a-z]+) (?:belongs?|belonging) to (?:an? |one |the |exactly one )?([a-z]+)/g)) {
+    const before = clause.slice(0, match.index).replace(/\([^)]*\)/g, ' ').split(' ').reverse();
+    const child = isNoun(match[1])
+      ? match[1]
+      : before.find(word => isPlural(word) && isNoun(word) && !NON_FIELD_WORDS.has(word)) || (subject && subject[1]);
+    if (child && isNoun(child) && isNoun(match[2])) {
+      pairs.push([child, match[2]]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Find the fields a clause gives an entity: "books have a title and a price",
+ * "authors (name, bio)", "filter todos by status", "mark todos as complete"
+ * @param {string} clause - Lower case clause of the prompt
+ * @param {Object} entity - Entity
+ * @param {Map} entities - Every entity found, by name
+ * @returns {Array<Object>} Fields
+ */
+function findFields(clause, entity, entities) {
+  const fields = [];
+  const forms = nounForms(entity.name);
+  // Plural mentions of other entities end a field list; singular ones are references
+  const others = Array.from(entities.keys()).filter(name => name !== entity.name).map(name => nounForms(name)[1]);
+  const mention = `\\b(?:${forms.join('|')})\\b`;
+
+  const listPattern = new RegExp(`${mention}\\s*(?:\\(([^)]*)\\)|(?:with|having|that ha(?:s|ve)|which ha(?:s|ve)|ha(?:s|ve)|contain(?:s|ing)?|includ(?:e|es|ing)|store|stores|consist of|consisting of)\\s+(?!many\\b|multiple\\b|several\\b|one or more\\b|a list of\\b)(?:the )?(?:fields?|properties|attributes|columns)?\\s*:?\\s*(.*))`, 'g');
+  for (const match of clause.matchAll(listPattern)) {
+    fields.push(...parseFieldList(match[1] !== undefined ? match[1] : match[2], others, entities));
+  }
+
+  for (const match of clause.matchAll(new RegExp(`\\b(?:filter|sort|order|group|search|find)(?:ing|s)? ${mention} by ([a-z ]+?)(?=$|,| and | or |\\()`, 'g'))) {
+    const name = fieldName(match[1]);
+    if (name) {
+      fields.push({ name, required: false });
+    }
+  }
+
+  for (const match of clause.matchAll(new RegExp(`\\bmark(?:ing|s)? ${mention} as ([a-z]+)`, 'g'))) {
+    if (STATES[match[1]]) {
+      fields.push({ name: STATES[match[1]], type: 'boolean', required: false });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a list of fields: "a title, an isbn, price:number and an optional summary"
+ * @param {string} text - Text following the entity
+ * @param {Array<string>} others - Plural names of the other entities
+ * @param {Map} entities - Every entity found, by name
+ * @returns {Array<Object>} Fields
+ */
+function parseFieldList(text, others, entities) {
+  const fields = [];
+  // The list ends at the next entity mention or a new sentence part
+  const end = new RegExp(`\\b(?:${others.length ? others.join('|') + '|' : ''}that|which|where|so|with|using|in|to|for|from|while|when|who|can)\\b`);
+  const cut = end.exec(text);
+  const list = cut ? text.slice(0, cut.index) : text;
+
+  for (const piece of list.split(/,|&|\band\b|\bplus\b/)) {
+    const optional = OPTIONAL_WORDS.test(piece);
+    const explicit = /^\s*([a-z][a-z _]*?)\s*(?::|\()\s*([a-z]+)\s*\)?\s*$/.exec(piece.replace(OPTIONAL_WORDS, ''));
+    const name = fieldName(explicit ? explicit[1] : piece.replace(OPTIONAL_WORDS, '').replace(/\brequired\b/, ''));
+    if (!name) {
+      // A piece that is no field name ends the list: "books with titles sorted by date"
+      if (piece.trim().split(' ').length > 3) {
+        break;
+      }
+      continue;
+    }
+
+    const referenced = singularize(name);
+    if (entities.has(referenced) && !isPlural(name)) {
+      fields.push({ name: `${referenced}_id`, type: 'integer', required: !optional, reference: referenced });
+      continue;
+    }
+
+    const type = explicit && FIELD_TYPES[explicit[2]] ? explicit[2] : undefined;
+    fields.push({ name, type, required: !optional });
+  }
+
+  return fields;
+}
+
+/**
+ * Turn a phrase into a field name: "a due date" becomes due_date
+ * @param {string} phrase - Phrase naming a field
+ * @returns {string|null} Field name, null if the phrase is no field name
+ */
+function fieldName(phrase) {
+  // Names written in snake_case are kept whole: is_done is no verb
+  const words = phrase.trim().split(/\s+/).filter(word => word && !isFiller(word));
+  if (words.length === 0 || words.length > 3 || !words.every(word => /^[a-z][a-z0-9_]*$/.test(word))) {
+    return null;
+  }
+  if (words.some(word => VERBS.has(word) || NON_FIELD_WORDS.has(word))) {
+    return null;
+  }
+  return words.join('_');
+}
+
+/**
+ * Check whether a word only fills a phrase: articles, determiners and the like
+ * @param {string} word - Lower case word
+ * @returns {boolean} Whether the word is filler
+ */
+function isFiller(word) {
+  return ['a', 'an', 'the', 'some', 'all', 'their', 'its', 'his', 'her', 'my', 'our', 'your', 'each', 'every', 'own', 'new', 'existing', 'multiple', 'several', 'any', 'optional', 'required', 'of'].includes(word);
+}
+
+/**
+ * Check whether a word can name an entity
+ * @param {string} word - Lower case word
+ * @returns {boolean} Whether the word is a candidate noun
+ */
+function isNoun(word) {
+  return /^[a-z]{2,}$/.test(word) && !VERBS.has(word) && !STOP_WORDS.has(word) && !STOP_WORDS.has(singularize(word));
+}
+
+/**
+ * Singular and plural forms of an entity name, for regular expressions
+ * @param {string} name - Entity name
+ * @returns {Array<string>} Forms
+ */
+function nounForms(name) {
+  const words = toWords(name).join(' ');
+  return [words, words.replace(/[a-z]+$/, pluralize)];
+}
+
+/**
+ * Add a field to an entity unless it already has it
+ * @param {Object} entity - Entity
+ * @param {Object} field - Field
+ */
+function addField(entity, field) {
+  if (!entity.fields.some(existing => existing.name === field.name)) {
+    entity.fields.push(field);
+  }
+}
+
+/**
+ * Make an entity belong to another
+ * @param {Object} entity - Child entity
+ * @param {string} parent - Name of the parent entity
+ */
+function addRelation(entity, parent) {
+  if (parent !== entity.name && !entity.relations.some(relation => relation.entity === parent)) {
+    entity.relations.push({ type: 'belongs_to', entity: parent });
+  }
+}
+
+/**
+ * Normalize an analysis, from the heuristics or from a model: names become
+ * singular snake_case, unknown types are inferred from the field names,
+ * belongs_to relations get their reference field, entities without a naming
+ * field get one and a prompt without entities gets the default item entity
+ * @param {Object} analysis - Raw analysis as {entities}
+ * @param {string} source - 'heuristic' or 'model'
+ * @returns {Object} Analysis as {source, entities}
+ */
+function normalizeAnalysis(analysis, source = 'model') {
+  const raw = analysis && Array.isArray(analysis.entities) ? analysis.entities : [];
+  const entities = [];
+
+  for (const item of raw.slice(0, 8)) {
+    const words = toWords(item && item.name ? item.name : '');
+    if (words.length === 0) {
+      continue;
+    }
+    const name = [...words.slice(0, -1), singularize(words[words.length - 1])].join('_');
+    if (entities.some(entity => entity.name === name)) {
+      continue;
+    }
+
+    const fields = [];
+    for (const field of Array.isArray(item.fields) ? item.fields : []) {
+      const fieldWords = toWords(field && field.name ? field.name : '');
+      const reference = field && field.reference ? singularize(toWords(field.reference).join('_')) : null;
+      // References hold the id of a record: a writer becomes writer_id
+      const fieldName = reference && fieldWords[fieldWords.length - 1] !== 'id' ? [...fieldWords, 'id'].join('_') : fieldWords.join('_');
+      if (!fieldName || fieldName === 'id' || fields.some(existing => existing.name === fieldName)) {
+        continue;
+      }
+      const type = reference ? 'integer' : (FIELD_TYPES[field.type] ? field.type : inferFieldType(fieldName));
+      fields.push({
+        name: fieldName,
+        type,
+        // A missing boolean is false, so it is never required
+        required: type !== 'boolean' && (field.required === undefined || Boolean(field.required)),
+        ...(reference ? { reference } : {})
+      });
+    }
+
+    entities.push({
+      name,
+      fields: fields.slice(0, 15),
+      relations: (Array.isArray(item.relations) ? item.relations : [])
+        .filter(relation => relation && relation.entity && (relation.type || 'belongs_to') === 'belongs_to')
+        .map(relation => ({ type: 'belongs_to', entity: singularize(toWords(relation.entity).join('_')) }))
+    });
+  }
+
+  if (entities.length === 0) {
+    return { source, entities: [JSON.parse(JSON.stringify(DEFAULT_ENTITY))] };
+  }
+
+  const names = entities.map(entity => entity.name);
+  for (const entity of entities) {
+    entity.relations = entity.relations.filter(relation => names.includes(relation.entity) && relation.entity !== entity.name);
+
+    for (const relation of entity.relations) {
+      const field = `${relation.entity}_id`;
+      if (!entity.fields.some(existing => existing.name === field || existing.reference === relation.entity)) {
+        entity.fields.push({ name: field, type: 'integer', required: true, reference: relation.entity });
+      }
+    }
+
+    for (const field of entity.fields) {
+      if (field.reference && !names.includes(field.reference)) {
+        delete field.reference;
+      } else if (field.reference && !entity.relations.some(relation => relation.entity === field.reference)) {
+        entity.relations.push({ type: 'belongs_to', entity: field.reference });
+      }
+    }
+
+    // Every entity needs a required text field to name it
+    if (!entity.fields.some(field => field.required && ['string', 'text', 'email'].includes(field.type))) {
+      const defaults = (DEFAULT_FIELDS[entity.name] || ['name']).filter(name => !entity.fields.some(field => field.name === name));
+      const naming = defaults.filter(name => ['string', 'text', 'email'].includes(inferFieldType(name)));
+      const added = defaults.map(name => {
+        const type = inferFieldType(name);
+        return { name, type, required: name === (naming[0] || 'name') };
+      });
+      if (!added.some(field => field.required)) {
+        added.unshift({ name: 'name', type: 'string', required: true });
+      }
+      entity.fields = [...added, ...entity.fields];
+    }
+  }
+
+  return { source, entities: orderByReferences(entities) };
+}
+
+/**
+ * Order entities so that every entity follows the entities it references,
+ * keeping the given order otherwise; generated migrations and seed data
+ * create parents first. Entities in a reference cycle keep their place.
+ * @param {Array<Object>} entities - Normalized entities
+ * @returns {Array<Object>} Ordered entities
+ */
+function orderByReferences(entities) {
+  const ordered = [];
+  const visiting = new Set();
+  const byName = Object.fromEntries(entities.map(entity => [entity.name, entity]));
+
+  const visit = entity => {
+    if (ordered.includes(entity) || visiting.has(entity)) {
+      return;
+    }
+    visiting.add(entity);
+    for (const relation of entity.relations) {
+      visit(byName[relation.entity]);
+    }
+    visiting.delete(entity);
+    ordered.push(entity);
+  };
+
+  entities.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Describe an analysis in one line per entity, for people and models
+ * @param {Object} analysis - Normalized analysis
+ * @returns {string} Description
+ */
+function describeAnalysis(analysis) {
+  return analysis.entities.map(entity => {
+    const fields = entity.fields.map(field => {
+      const type = field.reference ? `reference to ${field.reference}` : field.type;
+      return `${field.name} (${type}${field.required ? '' : ', optional'})`;
+    });
+    return `${entity.name}: ${fields.join(', ')}`;
+  }).join('\n');
+}
+
+module.exports = { analyzePrompt, normalizeAnalysis, describeAnalysis, ANALYSIS_PROMPT, DEFAULT_ENTITY };
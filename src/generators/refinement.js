@@ -0,0 +1,129 @@
+/**
+ * Refinement
+ * 
+ * Applies an error analysis to generated code: issues with a known fix, such
+ * as a package missing from package.json or requirements.txt, are fixed
+ * directly, and the code generator is asked to fix the others
+ */
+
+const { summarizeIssues } = require('../analysis');
+const { diffTrees } = require('./diff');
+
+// Version range given to npm packages added to a package.json
+const NPM_VERSION = 'latest';
+
+// npm packages that are only needed to test or build a project
+const DEV_PACKAGE_PATTERN = /^(jest|vitest|mocha|chai|sinon|supertest|nodemon|ts-jest|typescript|eslint(-.+)?|@types\/.+|@testing-library\/.+)$/;
+
+// Test files, whose dependencies are development dependencies
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+
+// Sections of a package.json that declare packages
+const NPM_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Declare an npm package in a package.json, keeping its indentation
+ * @param {string} content - package.json content
+ * @param {string} name - Package name
+ * @param {boolean} dev - Add it to devDependencies instead of dependencies
+ * @returns {string|null} New content, or null if the package is already declared or the file is not valid JSON
+ */
+function declareNpmPackage(content, name, dev) {
+  let packageJson;
+  try {
+    packageJson = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (NPM_SECTIONS.some(section => packageJson[section] && packageJson[section][name] !== undefined)) {
+    return null;
+  }
+
+  const section = dev ? 'devDependencies' : 'dependencies';
+  const packages = { ...packageJson[section], [name]: NPM_VERSION };
+  packageJson[section] = Object.fromEntries(Object.keys(packages).sort().map(key => [key, packages[key]]));
+
+  const indent = (content.match(/^([ \t]+)"/m) || [null, '  '])[1];
+  return `${JSON.stringify(packageJson, null, indent)}${content.endsWith('\n') ? '\n' : ''}`;
+}
+
+/**
+ * Declare a Python distribution in a requirements file
+ * @param {string|undefined} content - requirements.txt content, undefined if there is none
+ * @param {string} name - Distribution name
+ * @returns {string|null} New content, or null if the distribution is already declared
+ */
+function declarePythonPackage(content = '', name) {
+  const normalize = value => value.toLowerCase().replace(/[-_.]+/g, '-');
+  const declared = content.split('\n')
+    .map(line => line.replace(/#.*/, '').trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/))
+    .some(match => match && normalize(match[0]) === normalize(name));
+  if (declared) {
+    return null;
+  }
+  return `${content}${content && !content.endsWith('\n') ? '\n' : ''}${name}\n`;
+}
+
+/**
+ * Fix the issues whose fix is known without the code generator: missing
+ * npm packages and Python distributions are declared in their manifest
+ * @param {Object} codeFiles - Generated code files
+ * @param {Object} errorAnalysis - Error analysis ({issues, summary})
+ * @returns {Object} Fixed files and the issues they fix, as {files, fixed}
+ */
+function applyFixers(codeFiles, errorAnalysis) {
+  const files = { ...codeFiles };
+  const fixed = [];
+
+  for (const item of errorAnalysis.issues || []) {
+    if (item.type !== 'missing_dependency' || !item.dependency) {
+      continue;
+    }
+
+    const { name, manifest } = item.dependency;
+    let updated = null;
+    if (manifest.endsWith('package.json') && files[manifest] !== undefined) {
+      const dev = DEV_PACKAGE_PATTERN.test(name) || TEST_FILE_PATTERN.test(item.location || '');
+      updated = declareNpmPackage(files[manifest], name, dev);
+    } else if (manifest.endsWith('.txt')) {
+      updated = declarePythonPackage(files[manifest], name);
+    }
+
+    if (updated !== null) {
+      files[manifest] = updated;
+      fixed.push(item);
+    }
+  }
+
+  return { files, fixed };
+}
+
+/**
+ * Refine generated code: fix what the fixers can, then ask the code generator
+ * to fix the remaining issues
+ * @param {Object} codeFiles - Generated code files
+ * @param {Object} errorAnalysis - Error analysis ({issues, summary})
+ * @param {Object} options - Refinement options
+ * @param {BaseCodeGenerator} options.generator - Code generator for the issues without a known fix
+ * @param {string} options.prompt - Prompt the code was generated from
+ * @param {AbortSignal} options.signal - Signal that cancels the refinement
+ * @returns {Promise<Object>} Refined files, the issues the fixers fixed and
+ *   the unified diff of each changed file, as {files, fixed, diffs}
+ */
+async function refineCodeFiles(codeFiles, errorAnalysis, options = {}) {
+  const { generator, ...refineOptions } = options;
+  const { files, fixed } = applyFixers(codeFiles, errorAnalysis);
+  const remaining = (errorAnalysis.issues || []).filter(item => !fixed.includes(item));
+
+  let refined = files;
+  if (generator && remaining.length > 0) {
+    refined = await generator.refineCode(files, { ...errorAnalysis, issues: remaining, summary: summarizeIssues(remaining) }, refineOptions);
+  }
+
+  return { files: refined, fixed, diffs: diffTrees(codeFiles, refined) };
+}
+
+module.exports = {
+  applyFixers,
+  refineCodeFiles
+};
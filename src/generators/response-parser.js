@@ -0,0 +1,302 @@
+/**
+ * Response Parser
+ * 
+ * Turns the text answer of a language model into the {filename: content} map
+ * used by the rest of the pipeline. Models answer either with a JSON file map
+ * or with fenced code blocks labelled with their file names.
+ */
+
+const path = require('path');
+
+// File extensions by fenced code block language
+const EXTENSIONS = {
+  javascript: 'js',
+  js: 'js',
+  jsx: 'jsx',
+  typescript: 'ts',
+  ts: 'ts',
+  tsx: 'tsx',
+  python: 'py',
+  py: 'py',
+  json: 'json',
+  html: 'html',
+  css: 'css',
+  bash: 'sh',
+  sh: 'sh',
+  shell: 'sh',
+  yaml: 'yml',
+  yml: 'yml',
+  markdown: 'md',
+  md: 'md',
+  go: 'go',
+  rust: 'rs',
+  java: 'java',
+  sql: 'sql',
+  toml: 'toml'
+};
+
+// Name of the main file for an unlabelled code block
+const DEFAULT_FILENAMES = {
+  js: 'index.js',
+  ts: 'index.ts',
+  py: 'main.py',
+  md: 'README.md',
+  html: 'index.html'
+};
+
+// Fenced code block: opening fence with info string, content, matching closing fence
+const FENCE_PATTERN = /^(`{3,}|~{3,})([^\n]*)\n([\s\S]*?)\n?^\1[ \t]*$/gm;
+
+/**
+ * Error raised when a model response does not contain usable files
+ */
+class ResponseParseError extends Error {
+  /**
+   * Create a new parse error
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ResponseParseError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Parse a model response into generated files
+ * @param {string} text - Model response
+ * @param {Object} options - Parse options
+ * @param {string} options.language - Language requested, used to name unlabelled code
+ * @returns {Object} Generated files as {filename: content}
+ */
+function parseCodeResponse(text, options = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ResponseParseError('Model response is empty');
+  }
+
+  // The whole answer may be a JSON file map, possibly fenced
+  const fileMap = parseFileMap(unwrapFence(text.trim()));
+  if (fileMap) {
+    return sanitizeFiles(fileMap);
+  }
+
+  const blocks = extractBlocks(text);
+  if (blocks.length === 0) {
+    throw new ResponseParseError('Model response contains no code blocks or JSON file map');
+  }
+
+  // A single unlabelled JSON block may hold the file map
+  const unnamed = blocks.filter(block => !block.filename);
+  if (unnamed.length === blocks.length && unnamed.length === 1) {
+    const blockMap = parseFileMap(unnamed[0].content);
+    if (blockMap) {
+      return sanitizeFiles(blockMap);
+    }
+  }
+
+  const files = {};
+  for (const block of blocks) {
+    const filename = block.filename || defaultFilename(block.language || options.language, files);
+    files[filename] = files[filename] ? `${files[filename]}\n${block.content}` : block.content;
+  }
+
+  return sanitizeFiles(files);
+}
+
+/**
+ * Parse a model response holding a JSON object, possibly fenced or
+ * surrounded by prose
+ * @param {string} text - Model response
+ * @returns {Object} Parsed object
+ */
+function parseJsonResponse(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ResponseParseError('Model response is empty');
+  }
+
+  const unwrapped = unwrapFence(text.trim());
+  const start = unwrapped.indexOf('{');
+  const end = unwrapped.lastIndexOf('}');
+  try {
+    return JSON.parse(start >= 0 && end > start ? unwrapped.slice(start, end + 1) : unwrapped);
+  } catch (error) {
+    throw new ResponseParseError('Model response is not a JSON object: ' + error.message);
+  }
+}
+
+/**
+ * Remove a fence wrapping the entire text
+ * @param {string} text - Trimmed text
+ * @returns {string} Content of the fence, or the text itself
+ */
+function unwrapFence(text) {
+  const match = /^(`{3,}|~{3,})[^\n]*\n([\s\S]*?)\n?\1$/.exec(text);
+  return match ? match[2] : text;
+}
+
+/**
+ * Interpret text as a JSON file map. Accepted shapes are
+ * `{"index.js": "..."}`, `{"files": {"index.js": "..."}}` and
+ * `{"files": [{"path": "index.js", "content": "..."}]}`.
+ * @param {string} text - Candidate JSON
+ * @returns {Object|null} File map, or null if the text is not one
+ */
+function parseFileMap(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  let files = data.files !== undefined ? data.files : data;
+  if (Array.isArray(files)) {
+    files = Object.fromEntries(files
+      .filter(file => file && typeof file.content === 'string')
+      .map(file => [file.path || file.filename || file.name, file.content]));
+  }
+
+  const entries = Object.entries(files || {});
+  const isFileMap = entries.length > 0 && entries.every(([name, content]) =>
+    typeof content === 'string' && looksLikeFilename(name)
+  );
+
+  return isFileMap ? files : null;
+}
+
+/**
+ * Find the fenced code blocks of a response along with their file names
+ * @param {string} text - Model response
+ * @returns {Array<Object>} Blocks with language, filename and content
+ */
+function extractBlocks(text) {
+  const blocks = [];
+  let previousEnd = 0;
+  let match;
+
+  FENCE_PATTERN.lastIndex = 0;
+  while ((match = FENCE_PATTERN.exec(text)) !== null) {
+    const info = match[2].trim();
+    const content = match[3];
+    const language = info.split(/[\s:{]/)[0].toLowerCase();
+    const filename = filenameFromInfo(info)
+      || filenameFromLabel(text.slice(previousEnd, match.index))
+      || filenameFromComment(content);
+
+    blocks.push({ language, filename, content: `${content.replace(/\s+$/, '')}\n` });
+    previousEnd = match.index + match[0].length;
+  }
+
+  return blocks;
+}
+
+/**
+ * Read a file name from a fence info string, such as `js title="app.js"`,
+ * `python:src/main.py`, `js filename=app.js` or just `app.js`
+ * @param {string} info - Info string after the opening fence
+ * @returns {string|null} File name
+ */
+function filenameFromInfo(info) {
+  const attribute = /(?:title|file|filename|path)\s*=\s*["']?([^"'\s]+)/i.exec(info);
+  if (attribute) {
+    return attribute[1];
+  }
+
+  const colon = /^[\w+-]+:(\S+)$/.exec(info);
+  if (colon && looksLikeFilename(colon[1])) {
+    return colon[1];
+  }
+
+  return looksLikeFilename(info) && !/\s/.test(info) ? info : null;
+}
+
+/**
+ * Read a file name from the line right before a fence, such as
+ * `**src/app.js**`, `### app.js` or `File: app.js`
+ * @param {string} text - Text between the previous block and this one
+ * @returns {string|null} File name
+ */
+function filenameFromLabel(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const label = lines[lines.length - 1]
+    .replace(/^#+\s*/, '')
+    .replace(/^(?:\d+\.|[-*])\s+/, '')
+    .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+    .replace(/[*_`]/g, '')
+    .replace(/:$/, '')
+    .trim();
+
+  return looksLikeFilename(label) && !/\s/.test(label) ? label : null;
+}
+
+/**
+ * Read a file name from a leading comment such as `// filename: app.js` or
+ * `# file: main.py`
+ * @param {string} content - Code block content
+ * @returns {string|null} File name
+ */
+function filenameFromComment(content) {
+  const firstLine = content.split('\n')[0];
+  const match = /^\s*(?:\/\/|#|<!--|\/\*)\s*(?:file(?:name)?|path)\s*:\s*(\S+?)\s*(?:\*\/|-->)?\s*$/i.exec(firstLine);
+  return match && looksLikeFilename(match[1]) ? match[1] : null;
+}
+
+/**
+ * Check whether a string looks like a relative file path
+ * @param {string} name - Candidate name
+ * @returns {boolean} Whether it looks like a file path
+ */
+function looksLikeFilename(name) {
+  return typeof name === 'string'
+    && /^[\w@.\-/]+$/.test(name)
+    && (/\.[A-Za-z0-9]+$/.test(name) || /^(?:Dockerfile|Makefile|Procfile)$/.test(path.basename(name)));
+}
+
+/**
+ * Pick a name for an unlabelled code block
+ * @param {string} language - Block or requested language
+ * @param {Object} files - Files named so far
+ * @returns {string} File name
+ */
+function defaultFilename(language, files) {
+  const extension = EXTENSIONS[(language || '').toLowerCase()] || 'txt';
+  const preferred = DEFAULT_FILENAMES[extension];
+  if (preferred && !files[preferred]) {
+    return preferred;
+  }
+
+  let index = Object.keys(files).length + 1;
+  while (files[`file_${index}.${extension}`]) {
+    index++;
+  }
+  return `file_${index}.${extension}`;
+}
+
+/**
+ * Normalize file names and reject paths that would escape the output directory
+ * @param {Object} files - Generated files
+ * @returns {Object} Files with normalized names
+ */
+function sanitizeFiles(files) {
+  const sanitized = {};
+
+  for (const [name, content] of Object.entries(files)) {
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\.\//, '');
+    if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+      throw new ResponseParseError(`Model response contains an unsafe file path: ${name}`);
+    }
+    sanitized[normalized] = content;
+  }
+
+  return sanitized;
+}
+
+module.exports = { parseCodeResponse, parseJsonResponse, ResponseParseError };
@@ -0,0 +1,220 @@
+/**
+ * Syntax Checks
+ * 
+ * Parse generated files with the parsers of their language: espree for
+ * JavaScript, the TypeScript compiler for TypeScript, the interpreter for
+ * Python and JSON and YAML parsers for data files. Each check returns the
+ * syntax errors it found with their line and column, counted from 1.
+ */
+
+const { spawnSync } = require('child_process');
+const espree = require('espree');
+const YAML = require('yaml');
+
+// Parser options of espree; JSX is accepted in every JavaScript file
+const ESPREE_OPTIONS = { ecmaVersion: 'latest', ecmaFeatures: { jsx: true } };
+
+// Script blocks of a Vue single file component
+const VUE_SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+
+// Compiles the Python files given as JSON on stdin and prints the syntax
+// errors along with the names of the standard library modules
+const PYTHON_CHECK_SCRIPT = `
+import json, sys
+errors = []
+for name, source in json.load(sys.stdin).items():
+    try:
+        compile(source, name, 'exec')
+    except SyntaxError as error:
+        errors.append({'file': name, 'line': error.lineno or 1, 'column': error.offset or 1, 'message': error.msg})
+print(json.dumps({'errors': errors, 'stdlib': sorted(getattr(sys, 'stdlib_module_names', []))}))
+`;
+
+// Standard library module names by interpreter, as the last check reported
+const pythonStdlibs = new Map();
+
+/**
+ * Get the line and column of an offset in a text
+ * @param {string} content - Text
+ * @param {number} index - Offset
+ * @returns {Object} Position as {line, column}
+ */
+function positionAt(content, index) {
+  const lines = content.slice(0, index).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parse JavaScript as an ES module, then as a CommonJS script
+ * @param {string} file - File name
+ * @param {string} content - Source
+ * @returns {Object|null} Syntax error as {file, line, column, message}
+ */
+function checkJavaScript(file, content) {
+  const sourceTypes = file.endsWith('.cjs') ? ['commonjs'] : file.endsWith('.mjs') ? ['module'] : ['module', 'commonjs'];
+  let furthest = null;
+
+  for (const sourceType of sourceTypes) {
+    try {
+      espree.parse(content, { ...ESPREE_OPTIONS, sourceType });
+      return null;
+    } catch (error) {
+      // The parse that got further is the one the file was written for
+      if (!furthest || error.index > furthest.index) {
+        furthest = error;
+      }
+    }
+  }
+
+  return { file, line: furthest.lineNumber, column: furthest.column, message: furthest.message };
+}
+
+/**
+ * Parse TypeScript with the compiler, which is only loaded when a project
+ * contains TypeScript
+ * @param {string} file - File name
+ * @param {string} content - Source
+ * @returns {Object|null} First syntax error as {file, line, column, message}
+ */
+function checkTypeScript(file, content) {
+  const ts = require('typescript');
+  const { diagnostics } = ts.transpileModule(content, {
+    fileName: file,
+    reportDiagnostics: true,
+    compilerOptions: { jsx: ts.JsxEmit.Preserve }
+  });
+
+  const diagnostic = diagnostics.find(item => item.file && item.start !== undefined);
+  if (!diagnostic) {
+    return null;
+  }
+
+  const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+  return { file, line: line + 1, column: character + 1, message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n') };
+}
+
+/**
+ * Parse the script blocks of a Vue single file component
+ * @param {string} file - File name
+ * @param {string} content - Component source
+ * @returns {Object|null} Syntax error as {file, line, column, message}
+ */
+function checkVue(file, content) {
+  for (const match of content.matchAll(VUE_SCRIPT_PATTERN)) {
+    const typescript = /\blang=["']tsx?["']/.test(match[1]);
+    const error = typescript ? checkTypeScript(file + '.ts', match[2]) : checkJavaScript(file, match[2]);
+    if (error) {
+      // Positions are relative to the block, which starts after its tag
+      const start = positionAt(content, match.index + match[0].indexOf('>') + 1);
+      return {
+        file,
+        line: start.line + error.line - 1,
+        column: error.line === 1 ? start.column + error.column - 1 : error.column,
+        message: error.message
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a JavaScript, TypeScript or Vue file
+ * @param {string} file - File name
+ * @param {string} content - Source
+ * @returns {Object|null} Syntax error as {file, line, column, message}
+ */
+function checkScript(file, content) {
+  if (/\.[cm]?tsx?$/.test(file)) {
+    return checkTypeScript(file, content);
+  }
+  return file.endsWith('.vue') ? checkVue(file, content) : checkJavaScript(file, content);
+}
+
+/**
+ * Compile Python files with an interpreter, without running them
+ * @param {Object} files - Python sources by file name
+ * @param {Object} options - Options (python interpreter, timeout_ms)
+ * @returns {Object|null} Result as {errors, stdlib}, null if the interpreter
+ * could not be run
+ */
+function checkPython(files, options = {}) {
+  const result = spawnSync(options.python || 'python3', ['-c', PYTHON_CHECK_SCRIPT], {
+    input: JSON.stringify(files),
+    encoding: 'utf8',
+    timeout: options.timeout_ms || 30000,
+    maxBuffer: 16 * 1024 * 1024
+  });
+
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+  try {
+    const output = JSON.parse(result.stdout);
+    pythonStdlibs.set(options.python || 'python3', output.stdlib);
+    return output;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the modules of the Python standard library
+ * @param {Object} options - Options (python interpreter, timeout_ms)
+ * @returns {Array<string>|null} Module names, empty before Python 3.10; null
+ * if the interpreter could not be run
+ */
+function listPythonStdlib(options = {}) {
+  const python = options.python || 'python3';
+  if (!pythonStdlibs.has(python)) {
+    const result = checkPython({}, options);
+    if (!result) {
+      return null;
+    }
+  }
+  return pythonStdlibs.get(python);
+}
+
+/**
+ * Parse a JSON file
+ * @param {string} file - File name
+ * @param {string} content - File content
+ * @param {Function} parse - Parser, JSON.parse unless comments are allowed
+ * @returns {Object|null} Syntax error as {file, line, column, message}
+ */
+function checkJson(file, content, parse = JSON.parse) {
+  try {
+    parse(content);
+    return null;
+  } catch (error) {
+    // Node reports the offset of the error, as "at position 11"
+    const position = /at position (\d+)/.exec(error.message);
+    const { line, column } = position ? positionAt(content, Number(position[1])) : positionAt(content, content.length);
+    return { file, line, column, message: error.message.replace(/ in JSON at position \d+.*$/, '') };
+  }
+}
+
+/**
+ * Parse a YAML file, which may hold several documents
+ * @param {string} file - File name
+ * @param {string} content - File content
+ * @returns {Object|null} First syntax error as {file, line, column, message}
+ */
+function checkYaml(file, content) {
+  const error = YAML.parseAllDocuments(content).flatMap(document => document.errors || [])[0];
+  if (!error) {
+    return null;
+  }
+
+  const [start] = error.linePos || [{ line: 1, col: 1 }];
+  return { file, line: start.line, column: start.col, message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '') };
+}
+
+module.exports = {
+  checkScript,
+  checkPython,
+  checkJson,
+  checkYaml,
+  listPythonStdlib,
+  positionAt
+};
@@ -0,0 +1,56 @@
+/**
+ * Template Code Generator
+ * 
+ * Offline provider that renders the template pack matching the prompt. Packs
+ * ship in templates_path and can be added per project in .happiness/templates.
+ */
+
+const { abortUtils } = require('../utils');
+const { TemplateLibrary } = require('../templates');
+const { BaseCodeGenerator } = require('./base');
+const { buildTemplateData } = require('./entities');
+
+class TemplateCodeGenerator extends BaseCodeGenerator {
+  /**
+   * Initialize the code generator
+   * @param {Object} config - code_generator section of the MVP configuration
+   * @param {Object} options - Additional options
+   * @param {string} options.basePath - Base directory of the project state
+   * @param {TemplateLibrary} options.library - Library to use instead of the configured one
+   */
+  constructor(config = {}, options = {}) {
+    super(config);
+    this.library = options.library || TemplateLibrary.fromConfig(config, options.basePath);
+  }
+
+  /**
+   * Generate code from a prompt
+   * @param {string} prompt - The user's prompt
+   * @param {Object} options - Generation options (language, framework, template, variables, analysis, signal);
+   *   the prompt is analyzed when no analysis is given
+   * @returns {Promise<Object>} Generated code files
+   */
+  async generateCode(prompt, options = {}) {
+    abortUtils.throwIfAborted(options.signal);
+
+    let pack;
+    if (options.template) {
+      pack = this.library.get(options.template);
+      if (!pack) {
+        throw new Error(`Template pack "${options.template}" not found. List packs with \`happiness-mvp templates list\``);
+      }
+      if (options.language && options.language !== pack.language) {
+        throw new Error(`Template pack "${pack.name}" generates ${pack.language}, not ${options.language}`);
+      }
+    } else {
+      const framework = this.resolveFramework(prompt, options);
+      const language = this.resolveLanguage(prompt, { ...options, framework });
+      pack = this.library.select(prompt, language, framework);
+    }
+
+    const analysis = options.analysis || await this.analyzePrompt(prompt, options);
+    return this.library.render(pack, prompt, options.variables, buildTemplateData(analysis));
+  }
+}
+
+module.exports = { TemplateCodeGenerator };
@@ -0,0 +1,786 @@
+/**
+ * Project Validators
+ * 
+ * Language specific checks of generated projects. Each validator looks at the
+ * manifest and source files of its language and returns a list of issues;
+ * errors make the validation fail, warnings are only reported.
+ */
+
+const path = require('path');
+const { builtinModules } = require('module');
+const {
+  describeProject,
+  findImports,
+  listScriptImports,
+  listPythonImports,
+  parseJsonWithComments,
+  pythonPackageDir,
+  resolveScriptImport,
+  resolvePythonImport,
+  resolvePythonModule,
+  SCRIPT_EXTENSIONS
+} = require('./imports');
+const { checkScript, checkPython, checkJson, checkYaml, listPythonStdlib, positionAt } = require('./syntax');
+
+/**
+ * Build an issue
+ * @param {string} type - 'error' or 'warning'
+ * @param {string} message - Description
+ * @param {Object} location - File the issue is in, with the line and column
+ * when known
+ * @returns {Object} Issue
+ */
+function issue(type, message, location) {
+  return location ? { type, message, ...location } : { type, message };
+}
+
+/**
+ * List the generated files with one of the given extensions
+ * @param {Object} codeFiles - Generated code files
+ * @param {Array<string>} extensions - Extensions including the dot
+ * @returns {Array<string>} File names
+ */
+function filesWithExtension(codeFiles, extensions) {
+  return Object.keys(codeFiles).filter(file => extensions.includes(path.extname(file)));
+}
+
+/**
+ * Check every package.json: its fields, that its main file exists and that
+ * the workspaces of a monorepo exist
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validatePackageJson(codeFiles) {
+  const issues = [];
+  const manifests = Object.keys(codeFiles).filter(file => path.posix.basename(file) === 'package.json');
+
+  for (const file of manifests) {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(codeFiles[file]);
+    } catch (error) {
+      // Reported by validateDataFiles
+      continue;
+    }
+
+    if (!packageJson.name) {
+      issues.push(issue('warning', `${file} is missing a name field`, { file }));
+    }
+
+    // Private packages are applications, never required by another package
+    const dir = path.posix.dirname(file);
+    if (!packageJson.main && !packageJson.private) {
+      issues.push(issue('warning', `${file} is missing a main field`, { file }));
+    } else if (typeof packageJson.main === 'string' && !resolveMain(codeFiles, dir, packageJson.main)) {
+      issues.push(issue('error', `The main file ${packageJson.main} of ${file} was not generated`, { file }));
+    }
+
+    for (const workspace of Array.isArray(packageJson.workspaces) ? packageJson.workspaces : []) {
+      const workspaceManifest = path.posix.join(dir, workspace, 'package.json');
+      if (!workspace.includes('*') && !codeFiles[workspaceManifest]) {
+        issues.push(issue('error', `Workspace ${workspace} listed in ${file} has no package.json`, { file }));
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Find the file a main field points to, trying the extensions and index
+ * files Node tries. A main in the outDir of the package's tsconfig.json is
+ * compiled from a TypeScript source in its rootDir.
+ * @param {Object} codeFiles - Generated code files
+ * @param {string} dir - Directory of the package.json
+ * @param {string} main - Main field
+ * @returns {string|null} File name
+ */
+function resolveMain(codeFiles, dir, main) {
+  const target = path.posix.join(dir, main);
+  const candidates = [target, target + '.js', target + '.json', target + '.node', path.posix.join(target, 'index.js')];
+
+  let compilerOptions = {};
+  try {
+    compilerOptions = parseJsonWithComments(codeFiles[path.posix.join(dir, 'tsconfig.json')] || '{}').compilerOptions || {};
+  } catch (error) {
+    // Reported by validateDataFiles
+  }
+  const outDir = compilerOptions.outDir ? path.posix.join(dir, compilerOptions.outDir) + '/' : null;
+  if (outDir && target.startsWith(outDir)) {
+    const source = path.posix.join(dir, compilerOptions.rootDir || '.', target.slice(outDir.length)).replace(/\.[cm]?js$/, '');
+    candidates.push(source + '.ts', source + '.tsx');
+  }
+
+  return candidates.find(candidate => codeFiles[candidate] !== undefined) || null;
+}
+
+/**
+ * Check that TypeScript sources come with a usable tsconfig.json and compiler
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validateTypeScript(codeFiles) {
+  const sources = filesWithExtension(codeFiles, ['.ts', '.tsx']).filter(file => !file.endsWith('.d.ts'));
+  if (sources.length === 0) {
+    return [];
+  }
+
+  if (!codeFiles['tsconfig.json']) {
+    return [issue('warning', 'tsconfig.json is missing for the TypeScript sources')];
+  }
+
+  let tsconfig;
+  try {
+    tsconfig = parseJsonWithComments(codeFiles['tsconfig.json']);
+  } catch (error) {
+    // Reported by validateDataFiles
+    return [];
+  }
+
+  const issues = [];
+  const compilerOptions = tsconfig.compilerOptions || {};
+
+  if (sources.some(file => file.endsWith('.tsx')) && !compilerOptions.jsx) {
+    issues.push(issue('error', 'tsconfig.json must set compilerOptions.jsx to compile .tsx files', { file: 'tsconfig.json' }));
+  }
+
+  if (compilerOptions.strict !== true) {
+    issues.push(issue('warning', 'tsconfig.json does not enable strict type checking', { file: 'tsconfig.json' }));
+  }
+
+  try {
+    const packageJson = JSON.parse(codeFiles['package.json'] || '{}');
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    if (codeFiles['package.json'] && !dependencies.typescript) {
+      issues.push(issue('warning', 'package.json does not depend on typescript', { file: 'package.json' }));
+    }
+  } catch (error) {
+    // Reported by validatePackageJson
+  }
+
+  return issues;
+}
+
+/**
+ * Check that Go sources form a module with a main package
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validateGo(codeFiles) {
+  const sources = filesWithExtension(codeFiles, ['.go']);
+  if (sources.length === 0 && !codeFiles['go.mod']) {
+    return [];
+  }
+
+  const issues = [];
+  const goMod = codeFiles['go.mod'];
+
+  if (!goMod) {
+    issues.push(issue('error', 'go.mod is missing; the Go sources cannot be built as a module'));
+  } else {
+    if (!/^module\s+\S+/m.test(goMod)) {
+      issues.push(issue('error', 'go.mod is missing a module directive'));
+    }
+    if (!/^go\s+\d+\.\d+/m.test(goMod)) {
+      issues.push(issue('warning', 'go.mod is missing a go version directive'));
+    }
+  }
+
+  // Files of a directory must all declare the same package
+  const packagesByDir = {};
+  for (const file of sources) {
+    const match = /^\s*package\s+(\w+)/m.exec(codeFiles[file].replace(/\/\/.*$/gm, ''));
+    if (!match) {
+      issues.push(issue('error', `${file} is missing a package clause`));
+      continue;
+    }
+
+    const dir = path.posix.dirname(file);
+    packagesByDir[dir] = packagesByDir[dir] || new Set();
+    packagesByDir[dir].add(match[1].replace(/_test$/, ''));
+  }
+
+  for (const [dir, packages] of Object.entries(packagesByDir)) {
+    if (packages.size > 1) {
+      issues.push(issue('error', `${dir} mixes packages ${Array.from(packages).join(', ')}`));
+    }
+
+    const hasMain = sources.some(file =>
+      path.posix.dirname(file) === dir && /^func\s+main\s*\(\s*\)/m.test(codeFiles[file])
+    );
+    if (packages.has('main') && !hasMain) {
+      issues.push(issue('error', `Package main in ${dir} has no func main()`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check that Rust sources form a Cargo package declaring the crates they use
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validateRust(codeFiles) {
+  const sources = filesWithExtension(codeFiles, ['.rs']);
+  if (sources.length === 0 && !codeFiles['Cargo.toml']) {
+    return [];
+  }
+
+  const cargo = codeFiles['Cargo.toml'];
+  if (!cargo) {
+    return [issue('error', 'Cargo.toml is missing; the Rust sources cannot be built')];
+  }
+
+  const issues = [];
+  const sections = parseTomlSections(cargo);
+  const packageSection = sections.package;
+
+  if (!packageSection) {
+    issues.push(issue('error', 'Cargo.toml is missing a [package] section'));
+  } else {
+    if (!packageSection.name) {
+      issues.push(issue('error', 'Cargo.toml is missing a package name'));
+    }
+    if (!packageSection.edition) {
+      issues.push(issue('warning', 'Cargo.toml does not set an edition, so Rust 2015 is used'));
+    }
+  }
+
+  if (!codeFiles['src/main.rs'] && !codeFiles['src/lib.rs']) {
+    issues.push(issue('error', 'Rust package has neither src/main.rs nor src/lib.rs'));
+  }
+
+  // Crates used by the sources must be dependencies
+  const dependencies = new Set(Object.keys(sections.dependencies || {}).map(name => name.replace(/-/g, '_')));
+  const builtIn = ['std', 'core', 'alloc', 'crate', 'self', 'super'];
+  const used = new Set();
+  const modules = new Set();
+  for (const file of sources) {
+    for (const match of codeFiles[file].matchAll(/^\s*(?:pub\s+)?mod\s+(\w+)/gm)) {
+      modules.add(match[1]);
+    }
+
+    const pattern = /^\s*(?:pub\s+)?use\s+(\w+)::|#\[(\w+)::main\]|\b(\w+)::\w+!/gm;
+    let match;
+    while ((match = pattern.exec(codeFiles[file])) !== null) {
+      used.add(match[1] || match[2] || match[3]);
+    }
+  }
+
+  const packageName = ((packageSection && packageSection.name) || '').replace(/-/g, '_');
+  for (const crate of used) {
+    if (!builtIn.includes(crate) && crate !== packageName && !modules.has(crate) && !dependencies.has(crate)) {
+      issues.push(issue('error', `Crate ${crate} is used but not listed in Cargo.toml [dependencies]`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read the top level keys of each section of a TOML file. Values are kept as
+ * raw strings with quotes removed; this is enough to check a Cargo manifest.
+ * @param {string} content - TOML content
+ * @returns {Object} Keys by section name
+ */
+function parseTomlSections(content) {
+  const sections = {};
+  let current = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const header = /^\[([^\]]+)\]$/.exec(line);
+    if (header) {
+      current = header[1].trim();
+      sections[current] = sections[current] || {};
+      continue;
+    }
+
+    const entry = /^([\w-]+)\s*=\s*(.*)$/.exec(line);
+    if (entry && current) {
+      sections[current][entry[1]] = entry[2].replace(/^"(.*)"$/, '$1');
+    }
+  }
+
+  return sections;
+}
+
+// Extensions of the source files that need tests
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.py', '.go', '.rs'];
+
+// Tests of Jest, Vitest, pytest, go test and Cargo integration tests
+const TEST_FILE_PATTERN = /\.(?:test|spec)\.[cm]?[jt]sx?$|(?:^|\/)test_[^/]*\.py$|_test\.(?:py|go)$|(?:^|\/)tests\/[^/]*\.rs$/;
+
+// Directories holding tests and their helpers
+const TEST_DIR_PATTERN = /(?:^|\/)(?:tests?|__tests__|spec)\//;
+
+// Sources that start or configure the application instead of holding its
+// logic: entry points, settings, framework wiring and migrations
+const UNTESTED_SOURCE_PATTERNS = [
+  /(?:^|\/)(?:main|server|index|config)\.[cm]?[jt]sx?$/,
+  /\.config\.[cm]?[jt]s$/,
+  /\.d\.ts$/,
+  /(?:^|\/)app\/layout\.[jt]sx?$/,
+  /(?:^|\/)(?:__init__|manage|wsgi|asgi|settings|config|apps|admin|conftest|setup)\.py$/,
+  /(?:^|\/)migrations\//
+];
+
+/**
+ * Name of the file a test is named after: App for App.test.jsx, app for
+ * test_app.py, book for book_test.go
+ * @param {string} file - Test file
+ * @returns {string} Name without directory and extension
+ */
+function testSubject(file) {
+  return path.posix.basename(file, path.posix.extname(file))
+    .replace(/\.(?:test|spec)$/, '')
+    .replace(/^test_/, '')
+    .replace(/_test$/, '');
+}
+
+/**
+ * List the files tests import besides their own imports: pytest loads the
+ * conftest.py files above a test and Django its settings module, Cargo
+ * integration tests use the library crate
+ * @param {Object} codeFiles - Generated code files
+ * @param {string} test - Test file
+ * @returns {Array<string>} File names
+ */
+function findImplicitTestImports(codeFiles, test) {
+  const imports = [];
+
+  if (test.endsWith('.py')) {
+    for (let dir = path.posix.dirname(test); ; dir = path.posix.dirname(dir)) {
+      imports.push(path.posix.join(dir, 'conftest.py'));
+      if (dir === '.') {
+        break;
+      }
+    }
+
+    for (const content of Object.values(codeFiles)) {
+      const match = /DJANGO_SETTINGS_MODULE["']?\s*,\s*["']([\w.]+)["']/.exec(content);
+      if (match) {
+        imports.push(match[1].replace(/\./g, '/') + '.py');
+      }
+    }
+  } else if (test.endsWith('.rs') && TEST_FILE_PATTERN.test(test)) {
+    imports.push(path.posix.join(path.posix.dirname(path.posix.dirname(test)), 'src/lib.rs'));
+  }
+
+  return imports.filter(file => codeFiles[file] !== undefined);
+}
+
+/**
+ * Find the files the tests of a project exercise: the files named like a
+ * test, the files of a Go package with tests, and the files tests import
+ * directly or through other project files
+ * @param {Object} codeFiles - Generated code files
+ * @param {Array<string>} tests - Test files
+ * @returns {Set<string>} Tested files
+ */
+function findTestedFiles(codeFiles, tests) {
+  const project = describeProject(codeFiles);
+  const subjects = new Set(tests.map(testSubject));
+  const tested = new Set(Object.keys(codeFiles).filter(file =>
+    subjects.has(path.posix.basename(file, path.posix.extname(file)))
+  ));
+
+  for (const test of tests.filter(file => file.endsWith('_test.go'))) {
+    for (const file of filesWithExtension(codeFiles, ['.go'])) {
+      if (path.posix.dirname(file) === path.posix.dirname(test)) {
+        tested.add(file);
+      }
+    }
+  }
+
+  const visited = new Set();
+  const queue = tests.flatMap(test => [test, ...findImplicitTestImports(codeFiles, test)]);
+  while (queue.length > 0) {
+    const file = queue.pop();
+    if (visited.has(file)) {
+      continue;
+    }
+    visited.add(file);
+    tested.add(file);
+    queue.push(...findImports(project, file));
+  }
+
+  return tested;
+}
+
+/**
+ * Check that each source file has a test counterpart: a test named after it
+ * or tests that import it. Entry points and configuration are exercised
+ * through the modules they wire together and need none.
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validateTests(codeFiles) {
+  const files = filesWithExtension(codeFiles, SOURCE_EXTENSIONS);
+  const tests = files.filter(file =>
+    TEST_FILE_PATTERN.test(file) || (file.endsWith('.rs') && /#\[cfg\(test\)\]/.test(codeFiles[file]))
+  );
+  const sources = files.filter(file =>
+    !TEST_FILE_PATTERN.test(file)
+    && !TEST_DIR_PATTERN.test(file)
+    && !UNTESTED_SOURCE_PATTERNS.some(pattern => pattern.test(file))
+  );
+
+  if (sources.length === 0) {
+    return [];
+  }
+  if (tests.length === 0) {
+    return [issue('warning', 'No tests were generated for the source files')];
+  }
+
+  const tested = findTestedFiles(codeFiles, tests);
+  return sources
+    .filter(file => !tested.has(file))
+    .map(file => issue('warning', `${file} has no test counterpart`, { file }));
+}
+
+// Python modules whose distribution on PyPI has another name
+const PYTHON_DISTRIBUTIONS = {
+  attr: 'attrs',
+  bs4: 'beautifulsoup4',
+  cv2: 'opencv-python',
+  dateutil: 'python-dateutil',
+  dotenv: 'python-dotenv',
+  jwt: 'PyJWT',
+  PIL: 'Pillow',
+  rest_framework: 'djangorestframework',
+  sklearn: 'scikit-learn',
+  yaml: 'PyYAML'
+};
+
+// Files whose JSON may contain comments
+const JSON_WITH_COMMENTS_PATTERN = /(?:^|\/)(?:[jt]sconfig[^/]*|\.eslintrc)\.json$|\.jsonc$/;
+
+/**
+ * Parse every JavaScript, TypeScript and Vue file, and compile every Python
+ * file with the configured interpreter
+ * @param {Object} codeFiles - Generated code files
+ * @param {Object} options - Validation options (python interpreter)
+ * @returns {Array<Object>} Issues
+ */
+function validateSyntax(codeFiles, options = {}) {
+  const issues = [];
+
+  for (const file of filesWithExtension(codeFiles, SCRIPT_EXTENSIONS)) {
+    const error = checkScript(file, codeFiles[file]);
+    if (error) {
+      issues.push(syntaxIssue(error));
+    }
+  }
+
+  const pythonFiles = filesWithExtension(codeFiles, ['.py']);
+  if (pythonFiles.length > 0) {
+    const result = checkPython(Object.fromEntries(pythonFiles.map(file => [file, codeFiles[file]])), options);
+    if (result) {
+      issues.push(...result.errors.map(syntaxIssue));
+    } else {
+      issues.push(issue('warning', `The Python files were not syntax checked: ${options.python || 'python3'} could not be run`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Build the issue of a syntax error
+ * @param {Object} error - Error as {file, line, column, message}
+ * @returns {Object} Issue
+ */
+function syntaxIssue({ file, line, column, message }) {
+  return issue('error', `Syntax error: ${message}`, { file, line, column });
+}
+
+/**
+ * Check that the imports of JavaScript and Python files point to generated
+ * files or to packages declared in package.json or requirements.txt
+ * @param {Object} codeFiles - Generated code files
+ * @param {Object} options - Validation options (python interpreter)
+ * @returns {Array<Object>} Issues
+ */
+function validateImports(codeFiles, options = {}) {
+  const project = describeProject(codeFiles);
+  return validateScriptImports(project).concat(validatePythonImports(project, options));
+}
+
+/**
+ * Check the imports of the JavaScript, TypeScript and Vue files. A package
+ * counts as declared in the package.json next to the file or in any above it,
+ * where the packages of a monorepo are hoisted to.
+ * @param {Object} project - Project from describeProject
+ * @returns {Array<Object>} Issues
+ */
+function validateScriptImports(project) {
+  const issues = [];
+  const manifests = {};
+  for (const file of Object.keys(project.files).filter(name => path.posix.basename(name) === 'package.json')) {
+    try {
+      manifests[path.posix.dirname(file)] = JSON.parse(project.files[file]);
+    } catch (error) {
+      // Reported by validateDataFiles
+    }
+  }
+
+  for (const file of filesWithExtension(project.files, SCRIPT_EXTENSIONS)) {
+    const content = project.files[file];
+    for (const { specifier: rawSpecifier, index } of listScriptImports(content)) {
+      // Bundlers accept queries such as ./logo.svg?raw
+      const specifier = rawSpecifier.split('?')[0];
+      const location = { file, ...positionAt(content, index) };
+      const local = specifier.startsWith('.') || project.aliases.some(({ prefix }) => specifier.startsWith(prefix));
+      if (!local && isExternal(specifier)) {
+        continue;
+      }
+
+      const name = local ? null : packageName(specifier);
+      if (builtinModules.includes(name)) {
+        continue;
+      }
+      if (!name || project.packages[name]) {
+        if (!resolveScriptImport(project, file, specifier)) {
+          issues.push(issue('error', `Cannot resolve import '${specifier}'`, location));
+        }
+        continue;
+      }
+
+      const owners = manifestDirs(file).filter(dir => manifests[dir]);
+      if (!owners.some(dir => declaresPackage(manifests[dir], name))) {
+        const manifest = owners.length > 0 ? path.posix.join(owners[0], 'package.json') : 'package.json';
+        issues.push(issue('error', `Package ${name} is imported but not declared in ${manifest}`, location));
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Tell whether an import specifier is out of reach of the validation: a URL
+ * or scheme such as node:, an absolute path served by a bundler, or a bundler
+ * alias that no jsconfig.json or tsconfig.json declares
+ * @param {string} specifier - Module specifier
+ * @returns {boolean} True if the import is not checked
+ */
+function isExternal(specifier) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(specifier) || /^(?:\/|~|@\/|#)/.test(specifier);
+}
+
+/**
+ * Get the package a bare import specifier names, as lodash for lodash/merge
+ * @param {string} specifier - Module specifier
+ * @returns {string} Package name
+ */
+function packageName(specifier) {
+  const segments = specifier.split('/');
+  return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+/**
+ * List the directories whose package.json applies to a file, nearest first
+ * @param {string} file - File name
+ * @returns {Array<string>} Directories
+ */
+function manifestDirs(file) {
+  const dirs = [];
+  let dir = path.posix.dirname(file);
+  while (dir !== '.') {
+    dirs.push(dir);
+    dir = path.posix.dirname(dir);
+  }
+  return dirs.concat('.');
+}
+
+/**
+ * Tell whether a package.json declares a package or is the package itself
+ * @param {Object} manifest - Parsed package.json
+ * @param {string} name - Package name
+ * @returns {boolean} True if the package is declared
+ */
+function declaresPackage(manifest, name) {
+  return manifest.name === name
+    || ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+      .some(field => manifest[field] && manifest[field][name] !== undefined);
+}
+
+/**
+ * Check the imports of the Python files. Modules of the project must exist,
+ * other modules must be part of the standard library or declared in a
+ * requirements file or pyproject.toml.
+ * @param {Object} project - Project from describeProject
+ * @param {Object} options - Validation options (python interpreter)
+ * @returns {Array<Object>} Issues
+ */
+function validatePythonImports(project, options) {
+  const files = filesWithExtension(project.files, ['.py']);
+  if (files.length === 0) {
+    return [];
+  }
+
+  const issues = [];
+  const requirements = listPythonRequirements(project.files);
+  // Interpreters before Python 3.10 do not list their standard library, and
+  // without it third party modules cannot be told apart
+  const stdlib = listPythonStdlib(options) || [];
+
+  for (const file of files) {
+    const content = project.files[file];
+    for (const { dots, module, names, index } of listPythonImports(content)) {
+      const location = { file, ...positionAt(content, index) };
+      const top = module.split('.')[0];
+      const resolved = resolvePythonImport(project, file, dots, module, names);
+
+      if (dots) {
+        const packageInit = path.posix.join(pythonPackageDir(file, dots), '__init__.py');
+        if (resolved.length === 0 && (module || project.files[packageInit] === undefined)) {
+          issues.push(issue('error', `Cannot resolve import ${dots}${module}`, location));
+        }
+      } else if (isLocalPythonModule(project, file, top)) {
+        if (resolved.length === 0) {
+          issues.push(issue('error', `Cannot resolve import ${module}`, location));
+        }
+      } else if (stdlib.length > 0 && !stdlib.includes(top)) {
+        const distribution = PYTHON_DISTRIBUTIONS[top] || top;
+        if (!requirements.has(normalizeDistribution(distribution))) {
+          const declared = distribution === top ? 'it is' : `its distribution ${distribution} is`;
+          issues.push(issue('error', `Module ${top} is imported but ${declared} not declared in requirements.txt`, location));
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Tell whether a top level Python module is part of the project: a module,
+ * a package or a namespace package at the root or next to the file
+ * @param {Object} project - Project from describeProject
+ * @param {string} file - Importing file
+ * @param {string} name - Top level module name
+ * @returns {boolean} True if the project contains the module
+ */
+function isLocalPythonModule(project, file, name) {
+  return ['.', path.posix.dirname(file)].some(dir => {
+    const prefix = path.posix.join(dir, name) + '/';
+    return resolvePythonModule(project, dir, name) !== null
+      || Object.keys(project.files).some(candidate => candidate.startsWith(prefix) && candidate.endsWith('.py'));
+  });
+}
+
+/**
+ * Collect the distributions declared in requirements files and in the
+ * dependencies of pyproject.toml
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Set<string>} Normalized distribution names
+ */
+function listPythonRequirements(codeFiles) {
+  const names = [];
+
+  for (const [file, content] of Object.entries(codeFiles)) {
+    const name = path.posix.basename(file);
+    if (/^requirements.*\.txt$/.test(name)) {
+      for (const line of content.split('\n')) {
+        const requirement = /^\s*([A-Za-z0-9][\w.-]*)/.exec(line.replace(/#.*$/, ''));
+        if (requirement) {
+          names.push(requirement[1]);
+        }
+      }
+    } else if (name === 'pyproject.toml') {
+      for (const match of content.matchAll(/^\s*dependencies\s*=\s*\[([^\]]*)\]/gm)) {
+        names.push(...Array.from(match[1].matchAll(/["']\s*([A-Za-z0-9][\w.-]*)/g), item => item[1]));
+      }
+      for (const [section, keys] of Object.entries(parseTomlSections(content))) {
+        if (/^tool\.poetry\.(?:group\.[\w-]+\.)?(?:dev-)?dependencies$/.test(section)) {
+          names.push(...Object.keys(keys).filter(key => key !== 'python'));
+        }
+      }
+    }
+  }
+
+  return new Set(names.map(normalizeDistribution));
+}
+
+/**
+ * Normalize a distribution name the way pip compares them
+ * @param {string} name - Distribution name
+ * @returns {string} Normalized name
+ */
+function normalizeDistribution(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Check that the JSON and YAML files parse; tsconfig.json and jsconfig.json
+ * may contain comments
+ * @param {Object} codeFiles - Generated code files
+ * @returns {Array<Object>} Issues
+ */
+function validateDataFiles(codeFiles) {
+  const issues = [];
+
+  for (const [file, content] of Object.entries(codeFiles)) {
+    let error = null;
+    let format = 'JSON';
+    if (/\.jsonc?$/.test(file)) {
+      error = checkJson(file, content, JSON_WITH_COMMENTS_PATTERN.test(file) ? parseJsonWithComments : JSON.parse);
+    } else if (/\.ya?ml$/.test(file)) {
+      error = checkYaml(file, content);
+      format = 'YAML';
+    }
+
+    if (error) {
+      issues.push(issue('error', `Invalid ${format}: ${error.message}`, {
+        file,
+        line: error.line,
+        column: error.column
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Validators run on every generated project
+const VALIDATORS = [
+  validateDataFiles,
+  validatePackageJson,
+  validateSyntax,
+  validateImports,
+  validateTypeScript,
+  validateGo,
+  validateRust,
+  validateTests
+];
+
+/**
+ * Run the language validators on a generated project
+ * @param {Object} codeFiles - Generated code files
+ * @param {Object} options - Validation options (python interpreter)
+ * @returns {Array<Object>} Issues of all validators
+ */
+function validateProject(codeFiles, options = {}) {
+  return VALIDATORS.flatMap(validator => validator(codeFiles, options));
+}
+
+module.exports = {
+  validateProject,
+  validateDataFiles,
+  validatePackageJson,
+  validateSyntax,
+  validateImports,
+  validateTypeScript,
+  validateGo,
+  validateRust,
+  validateTests,
+  parseTomlSections,
+  PYTHON_DISTRIBUTIONS
+};
@@ -4,6 +4,8 @@
  * This file defines the essential interfaces for components in the MVP version
  */
 
+const EventEmitter = require('events');
+
 /**
  * Task interface represents a code generation task
  */
@@ -16,6 +18,7 @@ class Task {
    */
   constructor(id, prompt, options = {}) {
     this.id = id;
+    this.kind = 'generation';
     this.prompt = prompt;
     this.options = options;
     this.status = 'PENDING';
@@ -57,12 +60,24 @@ class CodeGenerator {
   validateCode(code) {
     throw new Error('Method not implemented');
   }
+  
+  /**
+   * Fix the issues an error analysis found in generated code
+   * @param {Object} code - Generated code files
+   * @param {Object} errorAnalysis - Error analysis with the issues to fix
+   * @param {Object} options - Additional options (prompt, language, etc.)
+   * @returns {Promise<Object>} Refined code files
+   */
+  async refineCode(code, errorAnalysis, options) {
+    throw new Error('Method not implemented');
+  }
 }
 
 /**
- * Orchestrator interface for managing the code generation workflow
+ * Orchestrator interface for managing the code generation workflow.
+ * Orchestrators emit the task events listed in src/core/events.js.
  */
-class Orchestrator {
+class Orchestrator extends EventEmitter {
   /**
    * Generate code from a prompt
    * @param {string} prompt - User prompt
@@ -85,9 +100,10 @@ class Orchestrator {
   /**
    * Get the artifacts (generated code) of a completed task
    * @param {string} taskId - Task ID
+   * @param {Object} options - Artifact options (original: the code before refinement)
    * @returns {Promise<Object>} Generated code files
    */
-  async getTaskArtifacts(taskId) {
+  async getTaskArtifacts(taskId, options) {
     throw new Error('Method not implemented');
   }
   
@@ -0,0 +1,13 @@
+/**
+ * Linting
+ * 
+ * Linter for generated code, reporting normalized issues
+ */
+
+const { CodeLinter, lintIssue, BUNDLED_ESLINT_CONFIG } = require('./linter');
+
+module.exports = {
+  CodeLinter,
+  lintIssue,
+  BUNDLED_ESLINT_CONFIG
+};
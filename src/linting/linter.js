@@ -0,0 +1,406 @@
+/**
+ * Code Linter
+ * 
+ * Lints generated code with ESLint and the Python linters found on this
+ * machine, falling back to syntax checks when they are missing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const { logger, fileUtils, abortUtils } = require('../utils');
+
+// Directories whose files are never linted
+const IGNORED_DIRS = ['node_modules', '.git', '.venv', 'venv', '__pycache__', 'target', 'dist', 'build', '.next'];
+
+// Extensions of the files linted with ESLint
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Extensions node --check can parse when ESLint is not installed
+const NODE_CHECK_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+// Config used for projects without an ESLint config of their own
+const BUNDLED_ESLINT_CONFIG = path.join(__dirname, 'eslintrc.json');
+
+// Parsers a config may name that are installed with this package
+const KNOWN_PARSERS = ['@typescript-eslint/parser'];
+
+// Python checks that find code which cannot run, as selected by flake8's own examples
+const PYTHON_ERROR_CODES = /^(E9|F63|F7|F82)/;
+
+// Compiles each Python file given as argument and prints the syntax errors as JSON
+const PY_COMPILE_SCRIPT = [
+  'import json, sys',
+  'issues = []',
+  'for name in sys.argv[1:]:',
+  '    try:',
+  '        with open(name, "rb") as source:',
+  '            compile(source.read(), name, "exec")',
+  '    except SyntaxError as error:',
+  '        issues.append({"file": name, "line": error.lineno or 1, "column": error.offset or 1, "message": error.msg})',
+  'print(json.dumps(issues))'
+].join('\n');
+
+// Python linters found for each interpreter, probed on first use
+const pythonLinters = new Map();
+
+/**
+ * Read the files of a directory
+ * @param {string} dir - Directory to read
+ * @param {string} prefix - Path of the directory relative to the root
+ * @returns {Object} File contents by relative path
+ */
+function readFiles(dir, prefix = '') {
+  const files = {};
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) {
+        Object.assign(files, readFiles(path.join(dir, entry.name), file));
+      }
+    } else if (entry.isFile()) {
+      files[file] = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+    }
+  }
+  return files;
+}
+
+/**
+ * Run a command and collect its output, whatever its exit code
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Options (cwd, timeout, signal)
+ * @returns {Promise<Object>} Exit code and output
+ */
+function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { ...options, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error && (error.name === 'AbortError' || typeof error.code !== 'number')) {
+        reject(error.name === 'AbortError' ? abortUtils.createAbortError() : error);
+        return;
+      }
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Build a normalized lint issue
+ * @param {string} type - Issue type (error, warning)
+ * @param {string} file - File path relative to the project
+ * @param {number} line - Line of the issue
+ * @param {number} column - Column of the issue
+ * @param {string} rule - Rule or check that reported the issue
+ * @param {string} message - Description of the issue
+ * @returns {Object} Issue ({type, location, rule, message})
+ */
+function lintIssue(type, file, line, column, rule, message) {
+  return { type, location: `${file}:${line || 1}:${column || 1}`, rule, message };
+}
+
+/**
+ * Find the Python linters installed for an interpreter. The interpreter runs
+ * in isolated mode (-I): the linters run in the generated project, whose
+ * modules would otherwise shadow the standard library and the linters.
+ * @param {string} python - Python interpreter
+ * @returns {Object} Commands of ruff and flake8 (null when missing), and whether python runs
+ */
+function findPythonLinters(python) {
+  if (!pythonLinters.has(python)) {
+    const works = (command, args) => spawnSync(command, args, { stdio: 'ignore', timeout: 10000 }).status === 0;
+    let ruff = null;
+    if (works('ruff', ['--version'])) {
+      ruff = ['ruff'];
+    } else if (works(python, ['-I', '-m', 'ruff', '--version'])) {
+      ruff = [python, '-I', '-m', 'ruff'];
+    }
+    pythonLinters.set(python, {
+      ruff,
+      flake8: works(python, ['-I', '-m', 'flake8', '--version']) ? [python, '-I', '-m', 'flake8'] : null,
+      python: works(python, ['--version'])
+    });
+  }
+  return pythonLinters.get(python);
+}
+
+/**
+ * Check that a linter ran: linters exit non-zero when they find issues, but
+ * then print them
+ * @param {string} tool - Name of the linter
+ * @param {Object} result - Result of the linter command
+ */
+function checkLinterRan(tool, result) {
+  if (result.code !== 0 && !result.stdout.trim()) {
+    const reason = result.stderr.trim().split('\n').pop() || `exit code ${result.code}`;
+    throw new Error(`${tool} failed: ${reason}`);
+  }
+}
+
+/**
+ * Check that a generated ESLint config only loads code installed with this
+ * package: ESLint would require any other parser, and plugins or shared
+ * configs given as paths, from the generated project
+ * @param {Object} config - ESLint config of the generated project
+ */
+function checkProjectConfig(config) {
+  const isPath = name => typeof name === 'string' && (/^[./\\]/.test(name) || path.isAbsolute(name));
+  for (const section of [config, ...(config.overrides || [])]) {
+    if (section.parser !== undefined && !KNOWN_PARSERS.includes(section.parser)) {
+      throw new Error(`parser ${section.parser} is not one of ${KNOWN_PARSERS.join(', ')}`);
+    }
+    const extended = [].concat(section.extends || []);
+    const local = [...extended, ...(section.plugins || [])].find(isPath);
+    if (local) {
+      throw new Error(`${extended.includes(local) ? 'extends' : 'plugins'} names the local path ${local}`);
+    }
+  }
+}
+
+/**
+ * Classify a Python check code as an error or a warning
+ * @param {string} code - Check code (F401, E999)
+ * @returns {string} Issue type
+ */
+function pythonIssueType(code) {
+  return PYTHON_ERROR_CODES.test(code) ? 'error' : 'warning';
+}
+
+class CodeLinter {
+  /**
+   * Initialize the linter
+   * @param {Object} config - linter configuration
+   * @param {string} config.eslint_config - ESLint config file used instead of the project's or the bundled one
+   * @param {string} config.python - Python interpreter whose linters are used
+   * @param {number} config.timeout_ms - Time limit of each linter run
+   */
+  constructor(config = {}) {
+    this.eslintConfig = config.eslint_config || null;
+    this.python = config.python || (process.platform === 'win32' ? 'python' : 'python3');
+    this.timeoutMs = config.timeout_ms || 60000;
+  }
+
+  /**
+   * Lint generated code
+   * @param {string|Object} source - Directory of the code, or code files by path
+   * @param {Object} options - Lint options
+   * @param {AbortSignal} options.signal - Signal that cancels the linters
+   * @returns {Promise<Object>} Lint results ({issues, tools})
+   */
+  async lint(source, options = {}) {
+    const { signal } = options;
+    if (typeof source === 'string' && !fs.existsSync(source)) {
+      throw new Error(`Code path ${source} does not exist`);
+    }
+
+    const files = typeof source === 'string' ? readFiles(source) : source;
+    const scripts = Object.keys(files).filter(file => SCRIPT_EXTENSIONS.includes(path.extname(file)));
+    const modules = Object.keys(files).filter(file => path.extname(file) === '.py');
+    const results = { issues: [], tools: [] };
+
+    // Python linters and node --check read the files from disk
+    let dir = typeof source === 'string' ? source : null;
+    try {
+      if (scripts.length > 0) {
+        abortUtils.throwIfAborted(signal);
+        const eslint = await this.lintScripts(files, scripts, source);
+        if (eslint) {
+          results.tools.push('eslint');
+          results.issues.push(...eslint);
+        } else {
+          dir = dir || this.writeFiles(files);
+          results.tools.push('node --check');
+          results.issues.push(...await this.checkScripts(dir, scripts, signal));
+        }
+      }
+
+      if (modules.length > 0) {
+        abortUtils.throwIfAborted(signal);
+        dir = dir || this.writeFiles(files);
+        const python = await this.lintPython(dir, modules, signal);
+        if (python) {
+          results.tools.push(python.tool);
+          results.issues.push(...python.issues);
+        }
+      }
+    } finally {
+      if (dir && dir !== source) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Write code files to a temporary directory
+   * @param {Object} files - Code files by path
+   * @returns {string} Directory
+   */
+  writeFiles(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'happiness-lint-'));
+    for (const [file, content] of Object.entries(files)) {
+      const target = path.resolve(dir, file);
+      if (!target.startsWith(dir + path.sep)) {
+        throw new Error(`Refusing to write ${file} outside the lint directory`);
+      }
+      fileUtils.ensureDir(path.dirname(target));
+      fs.writeFileSync(target, content);
+    }
+    return dir;
+  }
+
+  /**
+   * Load the ESLint config for a project: the configured file, the
+   * project's .eslintrc.json or the bundled config. The project's config may
+   * only use the known parsers, and plugins and shared configs by name.
+   * @param {Object} files - Code files by path
+   * @returns {Object} Config with the known parsers resolved
+   */
+  loadEslintConfig(files) {
+    let config;
+    if (this.eslintConfig) {
+      config = fileUtils.readJSON(path.resolve(this.eslintConfig));
+    } else if (files['.eslintrc.json']) {
+      config = JSON.parse(files['.eslintrc.json']);
+      checkProjectConfig(config);
+    } else {
+      config = fileUtils.readJSON(BUNDLED_ESLINT_CONFIG);
+    }
+
+    // Parsers are looked up from the project, where they are usually not installed yet
+    const resolveParser = section => {
+      if (KNOWN_PARSERS.includes(section.parser)) {
+        section.parser = require.resolve(section.parser);
+      }
+    };
+    resolveParser(config);
+    (config.overrides || []).forEach(resolveParser);
+    return config;
+  }
+
+  /**
+   * Lint JavaScript and TypeScript files with ESLint
+   * @param {Object} files - Code files by path
+   * @param {Array<string>} scripts - Paths of the files to lint
+   * @param {string|Object} source - Directory of the code, or code files by path
+   * @returns {Promise<Array<Object>|null>} Issues, or null if ESLint is not installed
+   */
+  async lintScripts(files, scripts, source) {
+    let ESLint;
+    try {
+      ({ ESLint } = require('eslint'));
+    } catch (error) {
+      logger.warn('ESLint is not installed; checking the syntax of the scripts only');
+      return null;
+    }
+
+    const cwd = typeof source === 'string' ? path.resolve(source) : process.cwd();
+    let config;
+    try {
+      config = this.loadEslintConfig(files);
+    } catch (error) {
+      logger.warn(`Invalid ESLint config, using the bundled one: ${error.message}`);
+      config = fileUtils.readJSON(BUNDLED_ESLINT_CONFIG);
+    }
+
+    const lintWith = async baseConfig => {
+      const eslint = new ESLint({ cwd, baseConfig, useEslintrc: false, ignore: false, resolvePluginsRelativeTo: __dirname });
+      const issues = [];
+      for (const file of scripts) {
+        const [result] = await eslint.lintText(files[file], { filePath: path.join(cwd, file) });
+        for (const message of result.messages) {
+          const type = message.severity === 2 ? 'error' : 'warning';
+          issues.push(lintIssue(type, file, message.line, message.column, message.ruleId || 'syntax', message.message));
+        }
+      }
+      return issues;
+    };
+
+    try {
+      return await lintWith(config);
+    } catch (error) {
+      // Project configs may extend plugins that are not installed
+      logger.warn(`ESLint could not use the project's config, using the bundled one: ${error.message}`);
+      return lintWith(fileUtils.readJSON(BUNDLED_ESLINT_CONFIG));
+    }
+  }
+
+  /**
+   * Check the syntax of JavaScript files with node --check
+   * @param {string} dir - Directory of the files
+   * @param {Array<string>} scripts - Paths of the files
+   * @param {AbortSignal} signal - Signal that cancels the checks
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async checkScripts(dir, scripts, signal) {
+    const issues = [];
+    for (const file of scripts.filter(script => NODE_CHECK_EXTENSIONS.includes(path.extname(script)))) {
+      const result = await run(process.execPath, ['--check', file], { cwd: dir, timeout: this.timeoutMs, signal });
+      if (result.code !== 0) {
+        const location = result.stderr.match(/:(\d+)\s*$/m);
+        const message = result.stderr.split('\n').find(line => /Error:/.test(line)) || 'Invalid syntax';
+        issues.push(lintIssue('error', file, location ? Number(location[1]) : 1, 1, 'syntax', message.trim()));
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Lint Python files with ruff or flake8, or check their syntax when
+   * neither is installed
+   * @param {string} dir - Directory of the files
+   * @param {Array<string>} modules - Paths of the files
+   * @param {AbortSignal} signal - Signal that cancels the linters
+   * @returns {Promise<Object|null>} Tool used and its issues, or null without a Python interpreter
+   */
+  async lintPython(dir, modules, signal) {
+    const linters = findPythonLinters(this.python);
+    const options = { cwd: dir, timeout: this.timeoutMs, signal };
+
+    if (linters.ruff) {
+      const [command, ...args] = linters.ruff;
+      const result = await run(command, [...args, 'check', '--no-cache', '--output-format=json', ...modules], options);
+      checkLinterRan('ruff', result);
+      const issues = JSON.parse(result.stdout || '[]').map(issue => {
+        const file = path.relative(dir, path.resolve(dir, issue.filename)).split(path.sep).join('/');
+        // Syntax errors have no code in older versions of ruff
+        const code = !issue.code || issue.code === 'invalid-syntax' ? 'syntax' : issue.code;
+        const type = code === 'syntax' ? 'error' : pythonIssueType(code);
+        return lintIssue(type, file, issue.location.row, issue.location.column, code, issue.message);
+      });
+      return { tool: 'ruff', issues };
+    }
+
+    if (linters.flake8) {
+      const [command, ...args] = linters.flake8;
+      // --isolated ignores the project's config, whose local-plugins would run generated code
+      const result = await run(command, [...args, '--isolated', '--format=default', ...modules], options);
+      checkLinterRan('flake8', result);
+      const issues = result.stdout.split('\n')
+        .map(line => line.match(/^(.+?):(\d+):(\d+): ([A-Z]+\d+) (.*)$/))
+        .filter(Boolean)
+        .map(([, file, line, column, code, message]) => (
+          lintIssue(pythonIssueType(code), file.replace(/^\.\//, ''), Number(line), Number(column), code, message)
+        ));
+      return { tool: 'flake8', issues };
+    }
+
+    if (!linters.python) {
+      logger.warn(`${this.python} is not installed; Python files were not linted`);
+      return null;
+    }
+
+    const result = await run(this.python, ['-I', '-c', PY_COMPILE_SCRIPT, ...modules], options);
+    checkLinterRan('py_compile', result);
+    const issues = JSON.parse(result.stdout)
+      .map(issue => lintIssue('error', issue.file, issue.line, issue.column, 'syntax', issue.message));
+    return { tool: 'py_compile', issues };
+  }
+}
+
+module.exports = {
+  CodeLinter,
+  lintIssue,
+  BUNDLED_ESLINT_CONFIG
+};
@@ -0,0 +1,151 @@
+/**
+ * Clarification
+ * 
+ * Turns the decisions a prompt leaves open into follow-up questions, and the
+ * answers into an enriched spec: the prompt with one sentence per answer,
+ * and the assumptions made for the questions left unanswered
+ */
+
+const { analyzePrompt, findLanguage, detectFramework, FRAMEWORKS, SUPPORTED_LANGUAGES } = require('../generators');
+const { findOpenDecisions } = require('./scope');
+
+// Display names of the languages
+const LANGUAGE_NAMES = { javascript: 'JavaScript', typescript: 'TypeScript', python: 'Python', go: 'Go', rust: 'Rust' };
+
+// Where the data can be stored, as offered to the user
+const PERSISTENCE_CHOICES = [
+  { name: 'In memory', value: 'memory' },
+  { name: 'SQLite', value: 'SQLite' },
+  { name: 'PostgreSQL', value: 'PostgreSQL' },
+  { name: 'MongoDB', value: 'MongoDB' }
+];
+
+/**
+ * Get the frameworks of a language, as choices
+ * @param {string} language - Language
+ * @returns {Array<Object>} Choices as {name, value}
+ */
+function frameworkChoices(language) {
+  return Object.entries(FRAMEWORKS)
+    .filter(([, framework]) => framework.language === language)
+    .map(([id, framework]) => ({ name: framework.name, value: id }));
+}
+
+/**
+ * Find the decisions a prompt leaves open, the entities found with the
+ * heuristic prompt analysis
+ * @param {string} prompt - The user's prompt
+ * @param {Object} options - Decisions already made (language, framework)
+ * @returns {Array<Object>} Open decisions as {id, question, assumption}
+ */
+function findClarifications(prompt, options = {}) {
+  return findOpenDecisions(prompt, { ...options, analysis: analyzePrompt(prompt) });
+}
+
+/**
+ * Build the follow-up questions of open decisions, in the shape inquirer
+ * prompts take, each named after its decision
+ * @param {Array<Object>} decisions - Open decisions, see findClarifications
+ * @param {Object} options - Question options
+ * @param {string} options.language - Language already chosen, for the framework question
+ * @param {Array<string>} options.languages - Languages to offer (default all supported)
+ * @returns {Array<Object>} Questions
+ */
+function buildQuestions(decisions, options = {}) {
+  const languageOf = answers => answers.language || options.language || 'javascript';
+  const questions = {
+    language: {
+      type: 'list',
+      choices: (options.languages || SUPPORTED_LANGUAGES).map(language => ({ name: LANGUAGE_NAMES[language] || language, value: language })),
+      default: 'javascript'
+    },
+    framework: {
+      type: 'list',
+      // The frameworks offered depend on the language answered just before
+      message: answers => `Which framework should it be built with (${frameworkChoices(languageOf(answers)).map(choice => choice.name).join(', ')}, or none)?`,
+      choices: answers => [...frameworkChoices(languageOf(answers)), { name: 'None', value: 'none' }],
+      // Only the languages with frameworks to scaffold get the question
+      when: answers => frameworkChoices(languageOf(answers)).length > 0
+    },
+    persistence: { type: 'list', choices: PERSISTENCE_CHOICES, default: 'memory' },
+    auth: { type: 'confirm', default: false },
+    entities: { type: 'input' }
+  };
+
+  return decisions.map(decision => ({
+    name: decision.id,
+    message: decision.question,
+    ...questions[decision.id]
+  }));
+}
+
+/**
+ * Write the sentence an answer adds to the prompt, in words the prompt
+ * analysis understands
+ * @param {string} id - Decision id
+ * @param {*} value - Answer
+ * @returns {string|null} Sentence, null if the answer adds nothing
+ */
+function describeAnswer(id, value) {
+  switch (id) {
+  case 'language':
+    return `Write it in ${LANGUAGE_NAMES[value] || value}.`;
+  case 'framework':
+    return value === 'none' ? null : `Build it with ${FRAMEWORKS[value] ? FRAMEWORKS[value].name : value}.`;
+  case 'persistence':
+    return value === 'memory' ? 'Keep the data in memory.' : `Store the data in ${value}.`;
+  case 'auth':
+    // Without words about accounts, which would ask for authentication
+    return value ? 'Users sign up and log in.' : 'Anyone can use every feature.';
+  case 'entities':
+    return `It manages ${value.replace(/[.\s]+$/, '')}.`;
+  default:
+    return null;
+  }
+}
+
+/**
+ * Fold the answers to the follow-up questions into an enriched spec. The
+ * decisions left unanswered, all of them when nobody was asked, are recorded
+ * as assumptions.
+ * @param {string} prompt - The user's prompt
+ * @param {Object} options - Spec options
+ * @param {Array<Object>} options.decisions - Open decisions, see findClarifications
+ * @param {Object} options.answers - Answers by decision id
+ * @param {string} options.language - Language already chosen
+ * @param {string} options.framework - Framework already chosen
+ * @param {boolean} options.interactive - Whether the user was asked
+ * @returns {Object} Spec as {prompt, enriched_prompt, language, framework, answers, assumptions, interactive}
+ */
+function createSpec(prompt, options = {}) {
+  const decisions = options.decisions || [];
+  const answers = {};
+  for (const decision of decisions) {
+    const value = (options.answers || {})[decision.id];
+    if (value !== undefined && value !== '') {
+      answers[decision.id] = value;
+    }
+  }
+
+  const sentences = Object.entries(answers).map(([id, value]) => describeAnswer(id, value)).filter(Boolean);
+  const language = answers.language || options.language || findLanguage(prompt);
+  const framework = answers.framework && answers.framework !== 'none'
+    ? answers.framework
+    : options.framework || (answers.framework ? null : detectFramework(prompt, language || 'javascript'));
+
+  return {
+    prompt,
+    enriched_prompt: sentences.length > 0 ? [prompt.trim().replace(/([^.!?])$/, '$1.'), ...sentences].join(' ') : prompt,
+    language: language || null,
+    framework: framework || null,
+    answers,
+    assumptions: decisions.filter(decision => answers[decision.id] === undefined).map(decision => decision.assumption),
+    interactive: Boolean(options.interactive)
+  };
+}
+
+module.exports = {
+  findClarifications,
+  buildQuestions,
+  createSpec
+};
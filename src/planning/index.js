@@ -0,0 +1,26 @@
+/**
+ * Planning
+ * 
+ * Clarifies vague prompts, turns a prompt into a scope definition
+ * (consultant) and the scope into a task plan (project manager), both
+ * validated against their JSON Schemas
+ */
+
+const { createScope, findOpenDecisions, findDatabase, needsAuthentication } = require('./scope');
+const { createTaskPlan } = require('./task-plan');
+const { findClarifications, buildQuestions, createSpec } = require('./clarification');
+const { validateScope, validateTaskPlan, validateOutput } = require('./schemas');
+
+module.exports = {
+  createScope,
+  findOpenDecisions,
+  findDatabase,
+  needsAuthentication,
+  createTaskPlan,
+  findClarifications,
+  buildQuestions,
+  createSpec,
+  validateScope,
+  validateTaskPlan,
+  validateOutput
+};
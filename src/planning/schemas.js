@@ -0,0 +1,108 @@
+/**
+ * Planning Schemas
+ * 
+ * Validates scope definitions and task plans against their JSON Schemas, so
+ * the steps after planning can rely on their structure whichever agent wrote
+ * them
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true });
+
+// Validators of the planning documents, keyed by the workflow output holding them
+const VALIDATORS = {
+  scope_definition: ajv.compile(require('./scope.schema.json')),
+  task_plan: ajv.compile(require('./task-plan.schema.json'))
+};
+
+/**
+ * Describe the errors of a schema validation
+ * @param {string} root - Name of the validated document
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<string>} One message per error, naming the invalid value: "scope.features[0] should be object"
+ */
+function describeErrors(root, errors) {
+  return (errors || []).map(error => `${root}${error.dataPath} ${error.message}`);
+}
+
+/**
+ * Find the task plan errors a schema cannot express: duplicate ids,
+ * dependencies on unknown or later tasks, and features the scope does not have
+ * @param {Object} plan - Task plan that matches its schema
+ * @param {Object} scope - Scope definition the plan was made from, if known
+ * @returns {Array<string>} Errors
+ */
+function checkTaskGraph(plan, scope) {
+  const errors = [];
+  const seen = new Set();
+  const ids = new Set(plan.tasks.map(task => task.id));
+  const features = scope ? new Set(scope.features.map(feature => feature.id)) : null;
+
+  for (const task of plan.tasks) {
+    if (seen.has(task.id)) {
+      errors.push(`Task ${task.id} is declared twice`);
+    }
+    for (const dependency of task.depends_on) {
+      if (!ids.has(dependency)) {
+        errors.push(`Task ${task.id} depends on unknown task ${dependency}`);
+      } else if (!seen.has(dependency)) {
+        // Tasks are listed in order, so a later dependency means a cycle or a wrong order
+        errors.push(`Task ${task.id} depends on ${dependency}, which is not listed before it`);
+      }
+    }
+    for (const feature of task.features || []) {
+      if (features && !features.has(feature)) {
+        errors.push(`Task ${task.id} implements unknown feature ${feature}`);
+      }
+    }
+    seen.add(task.id);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a scope definition
+ * @param {Object} scope - Scope definition
+ * @returns {Array<string>} Errors, empty if the scope is valid
+ */
+function validateScope(scope) {
+  return VALIDATORS.scope_definition(scope) ? [] : describeErrors('scope', VALIDATORS.scope_definition.errors);
+}
+
+/**
+ * Validate a task plan
+ * @param {Object} plan - Task plan
+ * @param {Object} scope - Scope definition the plan was made from, to check its feature ids
+ * @returns {Array<string>} Errors, empty if the plan is valid
+ */
+function validateTaskPlan(plan, scope = null) {
+  if (!VALIDATORS.task_plan(plan)) {
+    return describeErrors('plan', VALIDATORS.task_plan.errors);
+  }
+  return checkTaskGraph(plan, scope && validateScope(scope).length === 0 ? scope : null);
+}
+
+/**
+ * Validate a workflow output that holds a planning document
+ * @param {string} name - Output name (scope_definition, task_plan)
+ * @param {*} value - Output value
+ * @param {Object} context - Workflow context, holding the scope a task plan was made from
+ * @returns {Array<string>|null} Errors, or null if the output has no schema
+ */
+function validateOutput(name, value, context = {}) {
+  if (name === 'scope_definition') {
+    return validateScope(value);
+  }
+  if (name === 'task_plan') {
+    return validateTaskPlan(value, context.scope_definition);
+  }
+  return null;
+}
+
+module.exports = {
+  validateScope,
+  validateTaskPlan,
+  validateOutput
+};
@@ -0,0 +1,267 @@
+/**
+ * Scope
+ * 
+ * The consultant's scope definition of a prompt: the features to build, the
+ * data model, the non-functional requirements, and the decisions the prompt
+ * leaves open, recorded as assumptions and open questions
+ */
+
+const { findLanguage, detectFramework, FRAMEWORKS } = require('../generators');
+const { toWords, pluralize } = require('../generators/entities');
+
+// Databases a prompt can name, with their display name
+const DATABASES = [
+  ['PostgreSQL', /\b(?:postgres(?:ql)?|pg)\b/],
+  ['MySQL', /\b(?:mysql|mariadb)\b/],
+  ['SQLite', /\bsqlite\d?\b/],
+  ['MongoDB', /\bmongo(?:db|ose)?\b/],
+  ['Redis', /\bredis\b/],
+  ['a database', /\b(?:database|db|persist(?:ed|ent|ence)?|saved? to disk)\b/]
+];
+
+// Words asking for user accounts
+const AUTH_PATTERN = /\b(?:auth(?:entication|enticated|orization)?|log ?in|logins|sign ?(?:up|in)|jwt|oauth2?|passwords?|accounts?|sessions?)\b/;
+
+// Features a prompt can ask for besides managing its entities
+const FEATURE_PATTERNS = [
+  {
+    pattern: AUTH_PATTERN,
+    name: 'Authentication',
+    description: 'Users sign up and log in; changing data requires a logged-in user'
+  },
+  {
+    pattern: /\b(?:search(?:es|ing|able)?|filter(?:s|ing|ed)?|sort(?:s|ing|ed)?)\b/,
+    name: 'Search and filtering',
+    description: 'Lists can be searched, filtered and sorted by their fields'
+  },
+  {
+    pattern: /\b(?:paginat(?:e|ed|ion)|pages? of|per page|infinite scroll)\b/,
+    name: 'Pagination',
+    description: 'Lists are returned a page at a time'
+  },
+  {
+    pattern: /\b(?:upload(?:s|ing|ed)?|attachments?)\b/,
+    name: 'File uploads',
+    description: 'Files can be uploaded and attached to records'
+  }
+];
+
+// Qualities a prompt can ask for, found by the words of the sentence asking
+const QUALITY_PATTERNS = [
+  ['performance', /\b(?:fast|quick(?:ly)?|performan(?:t|ce)|scal(?:e|able|ability)|latency|concurren(?:t|cy)|throughput)\b/],
+  ['security', /\b(?:secure|security|encrypt(?:ed|ion)?|https|tls|rate limit(?:ed|ing)?)\b/],
+  ['accessibility', /\b(?:accessib(?:le|ility)|a11y|screen readers?|wcag)\b/],
+  ['reliability', /\b(?:reliab(?:le|ility)|robust|resilient|retr(?:y|ies)|fault.tolerant|uptime)\b/]
+];
+
+// Kinds of project a prompt can ask for, naming the project
+const PROJECT_KINDS = [
+  ['API', /\b(?:api|rest|graphql|backend|endpoints?)\b/],
+  ['CLI', /\b(?:cli|command[- ]line|terminal)\b/],
+  ['Service', /\b(?:service|server|daemon|worker)\b/]
+];
+
+/**
+ * Split a prompt into its sentences
+ * @param {string} prompt - The user's prompt
+ * @returns {Array<string>} Sentences, trimmed
+ */
+function sentences(prompt) {
+  return String(prompt).split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Find the database a prompt asks for
+ * @param {string} prompt - The user's prompt
+ * @returns {string|null} Database name, "a database" if the prompt names none in particular
+ */
+function findDatabase(prompt) {
+  const lowerPrompt = prompt.toLowerCase();
+  const match = DATABASES.find(([, pattern]) => pattern.test(lowerPrompt));
+  return match ? match[0] : null;
+}
+
+/**
+ * Check whether a prompt asks for user accounts
+ * @param {string} prompt - The user's prompt
+ * @returns {boolean} True if it asks for authentication
+ */
+function needsAuthentication(prompt) {
+  return AUTH_PATTERN.test(prompt.toLowerCase());
+}
+
+/**
+ * Check whether an analysis only holds the entity used when a prompt names none
+ * @param {Object} analysis - Prompt analysis as {entities}
+ * @param {string} prompt - The user's prompt
+ * @returns {boolean} True if the prompt names no entity
+ */
+function namesNoEntity(analysis, prompt) {
+  return analysis.entities.length === 1 && analysis.entities[0].name === 'item' && !/\bitems?\b/i.test(prompt);
+}
+
+/**
+ * Find the decisions a prompt leaves open: the language, the framework, where
+ * the data is stored, whether users log in and what data is managed
+ * @param {string} prompt - The user's prompt
+ * @param {Object} options - Decisions already made
+ * @param {Object} options.analysis - Prompt analysis as {entities}
+ * @param {string} options.language - Language to write the project in
+ * @param {string} options.framework - Framework to build the project with
+ * @param {Object} options.answers - Decisions the user answered, by id, which are not open
+ * @returns {Array<Object>} Open decisions as {id, question, assumption}
+ */
+function findOpenDecisions(prompt, options = {}) {
+  const answered = options.answers || {};
+  const decisions = [];
+  const language = options.language || findLanguage(prompt);
+
+  if (!language) {
+    decisions.push({
+      id: 'language',
+      question: 'Which language should the project be written in?',
+      assumption: 'The project is written in JavaScript'
+    });
+  }
+
+  const framework = options.framework || detectFramework(prompt, language || 'javascript');
+  const frameworks = Object.values(FRAMEWORKS).filter(item => item.language === (language || 'javascript'));
+  if (!framework && frameworks.length > 0) {
+    decisions.push({
+      id: 'framework',
+      question: `Which framework should it be built with (${frameworks.map(item => item.name).join(', ')}, or none)?`,
+      assumption: 'The code generator picks the framework'
+    });
+  }
+
+  if (!findDatabase(prompt)) {
+    decisions.push({
+      id: 'persistence',
+      question: 'Where should the data be stored (in memory, SQLite, PostgreSQL, MongoDB)?',
+      assumption: 'Data is kept in memory and lost when the project stops'
+    });
+  }
+
+  if (!needsAuthentication(prompt)) {
+    decisions.push({
+      id: 'auth',
+      question: 'Do users need accounts and to log in?',
+      assumption: 'There are no user accounts: anyone can use every feature'
+    });
+  }
+
+  if (options.analysis && namesNoEntity(options.analysis, prompt)) {
+    decisions.push({
+      id: 'entities',
+      question: 'What data does the project manage, and which fields does each kind of record have?',
+      assumption: 'The project manages items that have a name'
+    });
+  }
+
+  return decisions.filter(decision => answered[decision.id] === undefined);
+}
+
+/**
+ * Write the plural of an entity name in words: blog_post becomes "blog posts"
+ * @param {string} name - Entity name
+ * @returns {string} Plural words
+ */
+function pluralWords(name) {
+  const words = toWords(name);
+  return [...words.slice(0, -1), pluralize(words[words.length - 1])].join(' ');
+}
+
+/**
+ * Describe the fields of an entity, a reference by the entity it points to
+ * @param {Object} entity - Entity of the analysis
+ * @returns {string} Comma separated field names
+ */
+function describeFields(entity) {
+  return entity.fields.map(field => (field.reference ? `its ${field.reference}` : field.name)).join(', ');
+}
+
+/**
+ * Name a project after its main entity and kind: "Books API", "Todos App"
+ * @param {string} prompt - The user's prompt
+ * @param {Object} analysis - Prompt analysis as {entities}
+ * @returns {string} Project name
+ */
+function projectName(prompt, analysis) {
+  const lowerPrompt = prompt.toLowerCase();
+  const kind = (PROJECT_KINDS.find(([, pattern]) => pattern.test(lowerPrompt)) || ['App'])[0];
+  const noun = pluralWords(analysis.entities[analysis.entities.length - 1].name)
+    .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+  return `${noun} ${kind}`;
+}
+
+/**
+ * Write the scope definition of a prompt
+ * @param {string} prompt - The user's prompt
+ * @param {Object} options - Scope options
+ * @param {Object} options.analysis - Prompt analysis as {entities}, see analyzePrompt
+ * @param {string} options.language - Language to write the project in, detected from the prompt if not given
+ * @param {string} options.framework - Framework to build the project with, detected from the prompt if not given
+ * @param {Object} options.answers - Answers to the clarification questions, see createSpec
+ * @returns {Object} Scope definition, as described by scope.schema.json
+ */
+function createScope(prompt, options = {}) {
+  const { analysis, answers = {} } = options;
+  const lowerPrompt = prompt.toLowerCase();
+  const authentication = answers.auth !== undefined ? Boolean(answers.auth) : needsAuthentication(prompt);
+  const language = options.language || findLanguage(prompt) || 'javascript';
+  const framework = options.framework || detectFramework(prompt, language);
+
+  // The analysis orders entities parents first; the last one is what the
+  // project is mostly about, so the features list it first
+  const entities = [...analysis.entities].reverse();
+  const features = entities.map(entity => ({
+    name: `Manage ${pluralWords(entity.name)}`,
+    description: `Create, list, view, update and delete ${pluralWords(entity.name)}, with ${describeFields(entity)}`,
+    entity: entity.name
+  }));
+  FEATURE_PATTERNS
+    .filter(({ pattern }) => (pattern === AUTH_PATTERN ? authentication : pattern.test(lowerPrompt)))
+    .forEach(({ name, description }) => features.push({ name, description }));
+
+  const database = findDatabase(prompt);
+  const requirements = [
+    { category: 'testing', description: 'Automated tests cover every feature' },
+    { category: 'documentation', description: 'A README explains how to install, run and test the project' },
+    { category: 'reliability', description: 'Invalid input is rejected with an error naming the invalid field' }
+  ];
+  if (database) {
+    requirements.push({ category: 'persistence', description: `Data is stored in ${database}` });
+  }
+  if (authentication) {
+    requirements.push({ category: 'security', description: 'Passwords are stored hashed, never in plain text' });
+  }
+  for (const sentence of sentences(prompt)) {
+    for (const [category, pattern] of QUALITY_PATTERNS) {
+      if (pattern.test(sentence.toLowerCase())) {
+        requirements.push({ category, description: sentence });
+      }
+    }
+  }
+
+  const decisions = findOpenDecisions(prompt, { ...options, language: options.language || findLanguage(prompt), framework });
+
+  return {
+    name: projectName(prompt, analysis),
+    summary: prompt.trim(),
+    language,
+    framework,
+    features: features.map((feature, index) => ({ id: `F${index + 1}`, ...feature })),
+    entities: analysis.entities,
+    non_functional_requirements: requirements,
+    assumptions: decisions.map(decision => decision.assumption),
+    open_questions: decisions.map(decision => decision.question)
+  };
+}
+
+module.exports = {
+  createScope,
+  pluralWords,
+  findOpenDecisions,
+  findDatabase,
+  needsAuthentication
+};
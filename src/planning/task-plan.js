@@ -0,0 +1,162 @@
+/**
+ * Task Plan
+ * 
+ * The project manager's task plan of a scope definition: tasks with the
+ * files they write and the tasks they depend on, listed so that every task
+ * follows its dependencies
+ */
+
+const { FRAMEWORKS } = require('../generators');
+const { pluralWords } = require('./scope');
+
+// Files of a project by language: its manifests and entry point, and the
+// files of each entity, named after the entity (model) or its plural (routes, tests)
+const LAYOUTS = {
+  javascript: {
+    setup: ['package.json', 'src/app.js'],
+    model: name => `src/models/${name}.js`,
+    routes: plural => `src/routes/${plural}.js`,
+    auth: ['src/auth.js'],
+    test: plural => `tests/${plural}.test.js`
+  },
+  typescript: {
+    setup: ['package.json', 'tsconfig.json', 'src/app.ts'],
+    model: name => `src/models/${name}.ts`,
+    routes: plural => `src/routes/${plural}.ts`,
+    auth: ['src/auth.ts'],
+    test: plural => `tests/${plural}.test.ts`
+  },
+  python: {
+    setup: ['requirements.txt', 'app/__init__.py', 'app/main.py'],
+    model: name => `app/models/${name}.py`,
+    routes: plural => `app/routes/${plural}.py`,
+    auth: ['app/auth.py'],
+    test: plural => `tests/test_${plural}.py`
+  },
+  go: {
+    setup: ['go.mod', 'main.go'],
+    model: name => `internal/models/${name}.go`,
+    routes: plural => `internal/handlers/${plural}.go`,
+    auth: ['internal/auth/auth.go'],
+    test: plural => `internal/handlers/${plural}_test.go`
+  },
+  rust: {
+    setup: ['Cargo.toml', 'src/main.rs'],
+    model: name => `src/models/${name}.rs`,
+    routes: plural => `src/routes/${plural}.rs`,
+    auth: ['src/auth.rs'],
+    test: plural => `tests/${plural}.rs`
+  }
+};
+
+/**
+ * Get the plural of an entity name in snake_case, for file names
+ * @param {string} name - Entity name
+ * @returns {string} Plural name
+ */
+function pluralName(name) {
+  return pluralWords(name).replace(/ /g, '_');
+}
+
+/**
+ * Make the task plan of a scope definition: setting up the project, then a
+ * model and routes per entity, the other features, the tests of each entity
+ * and the documentation
+ * @param {Object} scope - Scope definition, as described by scope.schema.json
+ * @returns {Object} Task plan, as described by task-plan.schema.json
+ */
+function createTaskPlan(scope) {
+  const layout = LAYOUTS[scope.language];
+  if (!layout) {
+    throw new Error(`No project layout for ${scope.language}. Supported languages are: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+
+  const tasks = [];
+  const addTask = task => {
+    const added = { id: `T${tasks.length + 1}`, ...task };
+    tasks.push(added);
+    return added.id;
+  };
+
+  const framework = FRAMEWORKS[scope.framework];
+  const using = scope.framework ? ` with ${framework ? framework.name : scope.framework}` : '';
+  const setup = addTask({
+    title: 'Set up the project',
+    description: `Create the ${scope.language} project${using}: its manifest, dependencies and entry point`,
+    files: [...layout.setup],
+    depends_on: []
+  });
+
+  // Entities are ordered parents first, so the models they reference exist
+  const entities = scope.entities || [];
+  const features = scope.features.filter(feature => !feature.entity);
+  const entityFeature = name => scope.features.filter(feature => feature.entity === name).map(feature => feature.id);
+
+  const models = {};
+  for (const entity of entities) {
+    const fields = entity.fields.map(field => `${field.name} (${field.reference ? `reference to ${field.reference}` : field.type})`);
+    models[entity.name] = addTask({
+      title: `Model ${entity.name.replace(/_/g, ' ')}`,
+      description: `Define the ${entity.name} entity and its validation: ${fields.join(', ')}`,
+      files: [layout.model(entity.name)],
+      depends_on: [setup, ...(entity.relations || []).map(relation => models[relation.entity]).filter(Boolean)],
+      features: entityFeature(entity.name)
+    });
+  }
+
+  const auth = features.find(feature => feature.name === 'Authentication');
+  const authTask = auth && addTask({
+    title: 'Authentication',
+    description: auth.description,
+    files: [...layout.auth],
+    depends_on: [setup, ...(models.user ? [models.user] : [])],
+    features: [auth.id]
+  });
+
+  const routes = {};
+  for (const entity of entities) {
+    routes[entity.name] = addTask({
+      title: `Routes for ${pluralWords(entity.name)}`,
+      description: `Create, list, view, update and delete ${pluralWords(entity.name)}`,
+      files: [layout.routes(pluralName(entity.name))],
+      depends_on: [models[entity.name], ...(authTask ? [authTask] : [])],
+      features: entityFeature(entity.name)
+    });
+  }
+
+  // The other features change the routes of every entity
+  const featureTasks = features.filter(feature => feature !== auth).map(feature => addTask({
+    title: feature.name,
+    description: feature.description,
+    files: entities.length > 0 ? entities.map(entity => layout.routes(pluralName(entity.name))) : [layout.setup[layout.setup.length - 1]],
+    depends_on: entities.length > 0 ? entities.map(entity => routes[entity.name]) : [setup],
+    features: [feature.id]
+  }));
+
+  const tests = entities.map(entity => addTask({
+    title: `Test ${pluralWords(entity.name)}`,
+    description: `Test every route of ${pluralWords(entity.name)}, including invalid input`,
+    files: [layout.test(pluralName(entity.name))],
+    depends_on: [routes[entity.name], ...featureTasks],
+    features: entityFeature(entity.name)
+  }));
+
+  addTask({
+    title: 'Document the project',
+    description: 'Write the README: what the project does, how to install, run and test it',
+    files: ['README.md'],
+    depends_on: tests.length > 0 ? tests : [setup, ...featureTasks]
+  });
+
+  return {
+    name: scope.name,
+    language: scope.language,
+    framework: scope.framework || null,
+    tasks
+  };
+}
+
+module.exports = {
+  createTaskPlan,
+  LAYOUTS
+};
@@ -0,0 +1,190 @@
+/**
+ * Template engine
+ * 
+ * Renders template pack files. Supports {{variable}} interpolation with
+ * dotted paths, {{#if x}}...{{else}}...{{/if}}, {{#unless x}}...{{/unless}}
+ * and {{#each list}}...{{this}}...{{/each}} blocks; {{#each list as item}}
+ * names the element instead of merging it into the context. Write \{{ for a
+ * literal {{.
+ */
+
+const { lookup } = require('../core/workflows');
+
+// Tag names that open or continue a block
+const BLOCKS = ['if', 'unless', 'each'];
+
+// Any tag, or an escaped \{{ that may hold tags itself as in \{{ record.{{field}} }};
+// text such as JSX style={{ color: 'red' }} does not match
+const TAG = /(\\)\{\{|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\b\s*([\w.-]*)(?:\s+as\s+(\w+))?\s*\}\}/g;
+
+// A block tag alone on its line, whose line is removed from the output
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:#(?:if|unless|each)\s+[\w.-]+(?:\s+as\s+\w+)?|else|\/(?:if|unless|each))\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Error raised when a template cannot be parsed or rendered
+ */
+class TemplateError extends Error {
+  /**
+   * Create a new template error
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} context - Template variables
+ * @param {string} name - Template name used in error messages
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, context, name = 'template') {
+  return renderNodes(parseTemplate(template, name), context);
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} template - Template text
+ * @param {string} name - Template name used in error messages
+ * @returns {Array<Object>} Nodes
+ */
+function parseTemplate(template, name = 'template') {
+  const root = { children: [] };
+  const stack = [root];
+  const text = template.replace(STANDALONE_TAG, '$1');
+  let position = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = value => {
+    if (value) {
+      current().children.push({ type: 'text', value });
+    }
+  };
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(text)) !== null) {
+    const [tag, escaped, keyword, reference, alias] = match;
+    pushText(text.slice(position, match.index));
+    position = match.index + tag.length;
+
+    if (escaped) {
+      pushText('{{');
+      continue;
+    }
+
+    if (alias && keyword !== '#each') {
+      throw new TemplateError(`${name}: only {{#each}} can name its element with "as"`);
+    }
+
+    if (!keyword) {
+      if (reference) {
+        current().children.push({ type: 'variable', reference });
+      } else {
+        pushText(tag);
+      }
+      continue;
+    }
+
+    if (keyword.startsWith('#')) {
+      if (!reference) {
+        throw new TemplateError(`${name}: {{${keyword}}} needs a variable`);
+      }
+      const block = { type: keyword.slice(1), reference, alias, children: [], inverse: [] };
+      current().children.push(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      const block = current();
+      if (!BLOCKS.includes(block.type) || block.inElse) {
+        throw new TemplateError(`${name}: unexpected {{else}}`);
+      }
+      block.inElse = true;
+      block.mainChildren = block.children;
+      block.children = block.inverse;
+    } else {
+      const block = stack.pop();
+      if (block === root || block.type !== keyword.slice(1)) {
+        throw new TemplateError(`${name}: unexpected {{${keyword}}}`);
+      }
+      if (block.inElse) {
+        block.children = block.mainChildren;
+        delete block.mainChildren;
+        delete block.inElse;
+      }
+    }
+  }
+
+  pushText(text.slice(position));
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new TemplateError(`${name}: {{#${block.type} ${block.reference}}} is never closed`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Check whether a template value counts as true. Empty arrays count as false.
+ * @param {any} value - Value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Object} context - Template variables
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, context) {
+  return nodes.map(node => {
+    switch (node.type) {
+    case 'text':
+      return node.value;
+
+    case 'variable': {
+      const value = lookup(context, node.reference);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    case 'if':
+    case 'unless': {
+      const truthy = isTruthy(lookup(context, node.reference));
+      const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+      return renderNodes(branch, context);
+    }
+
+    case 'each': {
+      const items = lookup(context, node.reference);
+      if (!isTruthy(items)) {
+        return renderNodes(node.inverse, context);
+      }
+      const list = Array.isArray(items) ? items : [items];
+      return list.map((item, index) => renderNodes(node.children, {
+        ...context,
+        ...(node.alias
+          ? { [node.alias]: item }
+          : (item && typeof item === 'object' && !Array.isArray(item) ? item : {})),
+        this: item,
+        index,
+        first: index === 0,
+        last: index === list.length - 1
+      })).join('');
+    }
+
+    default:
+      return '';
+    }
+  }).join('');
+}
+
+module.exports = { renderTemplate, parseTemplate, isTruthy, TemplateError };
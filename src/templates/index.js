@@ -0,0 +1,18 @@
+/**
+ * Templates
+ * 
+ * Template packs used by the template code generator and the engine that renders them
+ */
+
+const { TemplateLibrary, loadPack, validateManifest, MANIFEST_FILE } = require('./packs');
+const { renderTemplate, parseTemplate, TemplateError } = require('./engine');
+
+module.exports = {
+  TemplateLibrary,
+  loadPack,
+  validateManifest,
+  renderTemplate,
+  parseTemplate,
+  TemplateError,
+  MANIFEST_FILE
+};
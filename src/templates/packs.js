@@ -0,0 +1,430 @@
+/**
+ * Template packs
+ * 
+ * Loads template packs from the configured templates_path and from the
+ * project's .happiness/templates, picks the pack matching a prompt and renders
+ * its file tree
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger, fileUtils } = require('../utils');
+const { evaluateCondition, lookup } = require('../core/workflows');
+const { renderTemplate } = require('./engine');
+
+// File describing a pack, at the root of the pack directory
+const MANIFEST_FILE = 'template.json';
+
+// Directory of a pack holding the template files
+const FILES_DIR = 'files';
+
+// Relative templates_path values are resolved against the installation
+const PACKAGE_ROOT = path.resolve(__dirname, '../..');
+
+class TemplateLibrary {
+  /**
+   * Create a template library
+   * @param {Object} options - Library options
+   * @param {Array<Object>} options.sources - Directories holding packs as {name, dir}, lowest precedence
+   *   first; packs are added to and removed from the last one
+   */
+  constructor(options = {}) {
+    this.sources = options.sources || [];
+  }
+
+  /**
+   * Create the library configured for the MVP
+   * @param {Object} config - code_generator section of the MVP configuration (templates_path)
+   * @param {string} basePath - Base directory of the project state
+   * @returns {TemplateLibrary} Library
+   */
+  static fromConfig(config = {}, basePath = '.happiness') {
+    return new TemplateLibrary({
+      sources: [
+        { name: 'built-in', dir: path.resolve(PACKAGE_ROOT, config.templates_path || './templates') },
+        { name: 'project', dir: path.join(basePath, 'templates') }
+      ]
+    });
+  }
+
+  /**
+   * Directory packs are installed into
+   * @returns {string} Directory path
+   */
+  get installDir() {
+    return this.sources[this.sources.length - 1].dir;
+  }
+
+  /**
+   * Load every pack. A pack in a later source replaces a pack of the same
+   * name in an earlier one.
+   * @returns {Object} Packs by name and invalid packs as {packs, errors}
+   */
+  load() {
+    const packs = new Map();
+    const errors = {};
+
+    this.sources.forEach((source, index) => {
+      if (!fs.existsSync(source.dir)) {
+        return;
+      }
+
+      for (const entry of fs.readdirSync(source.dir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) {
+          continue;
+        }
+
+        const dir = path.join(source.dir, entry.name);
+        const { pack, errors: packErrors } = loadPack(dir);
+        if (packErrors.length > 0) {
+          logger.warn(`Skipping invalid template pack ${dir}: ${packErrors.join('; ')}`);
+          errors[dir] = packErrors;
+          continue;
+        }
+
+        packs.set(pack.name, { ...pack, source: source.name, precedence: index });
+      }
+    });
+
+    return { packs, errors };
+  }
+
+  /**
+   * List the available packs
+   * @returns {Array<Object>} Packs sorted by name
+   */
+  list() {
+    return Array.from(this.load().packs.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a pack by name
+   * @param {string} name - Pack name
+   * @returns {Object|undefined} Pack
+   */
+  get(name) {
+    return this.load().packs.get(name);
+  }
+
+  /**
+   * Pick the pack for a prompt: the pack of the language, and of the framework
+   * if one is given, whose keywords match the prompt best. Packs with
+   * `requires` are only picked when the prompt matches a keyword of each of
+   * their groups. Ties go to default packs, then to project packs.
+   * @param {string} prompt - The user's prompt
+   * @param {string} language - Language to generate
+   * @param {string} framework - Framework to scaffold, null for any pack
+   * @returns {Object} Pack
+   */
+  select(prompt, language, framework = null) {
+    const candidates = this.list()
+      .filter(pack => pack.language === language && (!framework || pack.framework === framework))
+      .filter(pack => (pack.requires || []).every(group => group.some(keyword => matchesKeyword(prompt, keyword))))
+      .map(pack => ({ pack, score: pack.keywords.filter(keyword => matchesKeyword(prompt, keyword)).length }));
+
+    if (candidates.length === 0) {
+      const target = framework ? `the ${framework} framework` : language;
+      throw new Error(`No template pack for ${target}. Add one with \`happiness-mvp templates add <path>\``);
+    }
+
+    candidates.sort((a, b) =>
+      (b.score - a.score) ||
+      (Number(Boolean(b.pack.default)) - Number(Boolean(a.pack.default))) ||
+      (b.pack.precedence - a.pack.precedence)
+    );
+
+    return candidates[0].pack;
+  }
+
+  /**
+   * Render the file tree of a pack. A file with `each` is rendered once per
+   * element of that list, named by `as` in its path and template.
+   * @param {Object} pack - Pack returned by get or select
+   * @param {string} prompt - The user's prompt
+   * @param {Object} variables - Values overriding the pack variables
+   * @param {Object} data - Additional template context, such as the entities of the prompt
+   * @returns {Object} Generated files as {filename: content}
+   */
+  render(pack, prompt, variables = {}, data = {}) {
+    const context = {
+      ...data,
+      ...variables,
+      ...resolveVariables(pack, prompt, variables),
+      prompt,
+      language: pack.language,
+      framework: pack.framework || null,
+      template: pack.name
+    };
+
+    const included = pack.files
+      .filter(file =>
+        evaluateCondition(file.when, context) &&
+        (file.unless === undefined || !evaluateCondition(file.unless, context))
+      )
+      .flatMap(file => expandFile(file, context));
+
+    // Templates such as a README can list the generated files
+    const paths = included.map(({ file, context: fileContext }) =>
+      renderTemplate(file.path, fileContext, `${pack.name}: path ${file.path}`));
+
+    const files = {};
+    included.forEach(({ file, context: fileContext }, index) => {
+      const filePath = path.posix.normalize(paths[index]);
+      if (path.posix.isAbsolute(filePath) || filePath.split('/').includes('..')) {
+        throw new Error(`Template pack ${pack.name} writes outside the output directory: ${paths[index]}`);
+      }
+      if (files[filePath] !== undefined) {
+        throw new Error(`Template pack ${pack.name} renders ${filePath} more than once`);
+      }
+
+      const source = file.content !== undefined
+        ? file.content
+        : fs.readFileSync(path.join(pack.dir, FILES_DIR, file.source || file.path), 'utf8');
+      files[filePath] = renderTemplate(source, { ...fileContext, files: paths }, `${pack.name}/${file.source || file.path}`);
+    });
+
+    return files;
+  }
+
+  /**
+   * Install a pack into the project
+   * @param {string} sourceDir - Directory of the pack to install
+   * @param {Object} options - Install options
+   * @param {boolean} options.force - Replace an installed pack of the same name
+   * @returns {Object} Installed pack
+   */
+  add(sourceDir, options = {}) {
+    const { pack, errors } = loadPack(sourceDir);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template pack ${sourceDir}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const target = path.join(this.installDir, pack.name);
+    if (path.resolve(target) === path.resolve(sourceDir)) {
+      throw new Error(`Template pack ${pack.name} is already installed`);
+    }
+
+    if (fs.existsSync(target)) {
+      if (!options.force) {
+        throw new Error(`Template pack ${pack.name} is already installed, use --force to replace it`);
+      }
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+
+    fileUtils.ensureDir(this.installDir);
+    fs.cpSync(sourceDir, target, { recursive: true });
+
+    return { ...pack, dir: target };
+  }
+
+  /**
+   * Remove a pack installed in the project
+   * @param {string} name - Pack name
+   */
+  remove(name) {
+    const target = path.join(this.installDir, name);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(path.join(target, MANIFEST_FILE))) {
+      const pack = this.get(name);
+      throw new Error(pack
+        ? `Template pack ${name} is ${pack.source} and cannot be removed`
+        : `Template pack ${name} is not installed`);
+    }
+
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Expand a file of a pack into the files to render with their context: one
+ * per element of its `each` list, or the file itself
+ * @param {Object} file - File entry of the manifest
+ * @param {Object} context - Template context
+ * @returns {Array<Object>} Files as {file, context}
+ */
+function expandFile(file, context) {
+  if (!file.each) {
+    return [{ file, context }];
+  }
+
+  const items = lookup(context, file.each);
+  const list = Array.isArray(items) ? items : (items ? [items] : []);
+  return list.map((item, index) => ({
+    file,
+    context: {
+      ...context,
+      ...(file.as
+        ? { [file.as]: item }
+        : (item && typeof item === 'object' && !Array.isArray(item) ? item : {})),
+      this: item,
+      index,
+      first: index === 0,
+      last: index === list.length - 1
+    }
+  }));
+}
+
+/**
+ * Load and validate a pack directory
+ * @param {string} dir - Pack directory
+ * @returns {Object} Pack and validation errors as {pack, errors}
+ */
+function loadPack(dir) {
+  let manifest;
+  try {
+    manifest = fileUtils.readJSON(path.join(dir, MANIFEST_FILE));
+  } catch (error) {
+    return { pack: null, errors: [`${MANIFEST_FILE} is not valid JSON: ${error.message}`] };
+  }
+
+  if (!manifest) {
+    return { pack: null, errors: [`${MANIFEST_FILE} not found`] };
+  }
+
+  const pack = {
+    name: path.basename(dir),
+    description: '',
+    keywords: [],
+    variables: {},
+    ...manifest,
+    dir
+  };
+
+  return { pack, errors: validateManifest(pack) };
+}
+
+/**
+ * Validate a pack manifest
+ * @param {Object} pack - Pack with its manifest fields and dir
+ * @returns {Array<string>} Errors, empty if the pack is valid
+ */
+function validateManifest(pack) {
+  const errors = [];
+
+  if (typeof pack.name !== 'string' || !/^[\w-]+$/.test(pack.name)) {
+    errors.push('name must contain only letters, digits, "_" and "-"');
+  }
+
+  if (typeof pack.language !== 'string' || !pack.language) {
+    errors.push('language is required');
+  }
+
+  if (pack.framework !== undefined && (typeof pack.framework !== 'string' || !pack.framework)) {
+    errors.push('framework must be a string');
+  }
+
+  if (!Array.isArray(pack.keywords) || pack.keywords.some(keyword => typeof keyword !== 'string')) {
+    errors.push('keywords must be a list of strings');
+  }
+
+  const isKeywordList = list => Array.isArray(list) && list.every(keyword => typeof keyword === 'string');
+  if (pack.requires !== undefined && (!Array.isArray(pack.requires) || !pack.requires.every(isKeywordList))) {
+    errors.push('requires must be a list of keyword lists');
+  }
+
+  if (!pack.variables || typeof pack.variables !== 'object' || Array.isArray(pack.variables)) {
+    errors.push('variables must be an object');
+  } else {
+    for (const [name, variable] of Object.entries(pack.variables)) {
+      if (!variable || typeof variable !== 'object') {
+        errors.push(`variable ${name} must be an object`);
+      } else if (variable.keywords !== undefined && !Array.isArray(variable.keywords)) {
+        errors.push(`variable ${name}: keywords must be a list of strings`);
+      }
+    }
+  }
+
+  if (!Array.isArray(pack.files) || pack.files.length === 0) {
+    errors.push('files must list at least one file');
+    return errors;
+  }
+
+  pack.files.forEach((file, index) => {
+    if (!file || typeof file.path !== 'string' || !file.path) {
+      errors.push(`files[${index}]: path is required`);
+      return;
+    }
+
+    if (file.each !== undefined && (typeof file.each !== 'string' || !file.each)) {
+      errors.push(`files[${index}]: each must name a list`);
+    }
+
+    if (file.as !== undefined && (typeof file.as !== 'string' || !/^\w+$/.test(file.as))) {
+      errors.push(`files[${index}]: as must be a variable name`);
+    }
+
+    if (file.content === undefined) {
+      const source = path.join(pack.dir, FILES_DIR, file.source || file.path);
+      if (!fs.existsSync(source)) {
+        errors.push(`files[${index}]: template ${path.join(FILES_DIR, file.source || file.path)} not found`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve the variables of a pack. A variable with keywords is true when the
+ * prompt mentions one of them.
+ * @param {Object} pack - Pack
+ * @param {string} prompt - The user's prompt
+ * @param {Object} overrides - Values given by the user
+ * @returns {Object} Variable values
+ */
+function resolveVariables(pack, prompt, overrides = {}) {
+  const values = {};
+  const missing = [];
+
+  for (const [name, variable] of Object.entries(pack.variables)) {
+    if (overrides[name] !== undefined) {
+      values[name] = coerceValue(overrides[name], variable);
+    } else if (variable.keywords) {
+      values[name] = variable.keywords.some(keyword => matchesKeyword(prompt, keyword)) || Boolean(variable.default);
+    } else if (variable.default !== undefined) {
+      values[name] = variable.default;
+    } else if (variable.required) {
+      missing.push(name);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Template pack ${pack.name} requires ${missing.join(', ')} (set with --var name=value)`);
+  }
+
+  return values;
+}
+
+/**
+ * Convert a value given on the command line to the type of the variable
+ * @param {any} value - Given value
+ * @param {Object} variable - Variable definition
+ * @returns {any} Converted value
+ */
+function coerceValue(value, variable) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (variable.keywords || typeof variable.default === 'boolean') {
+    return !['false', '0', 'no', ''].includes(value.toLowerCase());
+  }
+
+  if (typeof variable.default === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a prompt mentions a keyword at the start of a word
+ * @param {string} prompt - The user's prompt
+ * @param {string} keyword - Keyword
+ * @returns {boolean} Whether the keyword is mentioned
+ */
+function matchesKeyword(prompt, keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}`).test(prompt.toLowerCase());
+}
+
+module.exports = { TemplateLibrary, loadPack, validateManifest, MANIFEST_FILE };
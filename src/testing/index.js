@@ -0,0 +1,18 @@
+/**
+ * Testing
+ * 
+ * Local test runner for generated code and the parsers of its test reports
+ */
+
+const { TestRunner, findSuites, NPM_RUNNERS } = require('./runner');
+const { parseJestReport, parseJUnitReport, mergeResults, summarize } = require('./reports');
+
+module.exports = {
+  TestRunner,
+  findSuites,
+  NPM_RUNNERS,
+  parseJestReport,
+  parseJUnitReport,
+  mergeResults,
+  summarize
+};
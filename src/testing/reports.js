@@ -0,0 +1,176 @@
+/**
+ * Test Reports
+ * 
+ * Parsers turning Jest/Vitest JSON and JUnit XML reports into test results
+ */
+
+// Longest error message kept for a test
+const MAX_ERROR_LENGTH = 2000;
+
+// Entities that may appear in the attributes and text of JUnit reports
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Terminal color codes, built from the escape character to keep it out of a regex literal
+const ANSI_COLORS = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+/**
+ * Build test results from a list of tests
+ * @param {Array<Object>} tests - Tests with name, status and error
+ * @returns {Object} Test results ({total, passed, failures, skipped, tests})
+ */
+function summarize(tests) {
+  return {
+    total: tests.length,
+    passed: tests.filter(test => test.status === 'PASSED').length,
+    failures: tests.filter(test => test.status === 'FAILED').length,
+    skipped: tests.filter(test => test.status === 'SKIPPED').length,
+    tests
+  };
+}
+
+/**
+ * Shorten an error message, dropping terminal colors
+ * @param {string} message - Error message
+ * @returns {string} Cleaned message
+ */
+function cleanError(message) {
+  const text = String(message).replace(ANSI_COLORS, '').trim();
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}...` : text;
+}
+
+/**
+ * Parse the JSON report written by `jest --json` or `vitest --reporter=json`
+ * @param {string|Object} report - Report content
+ * @param {string} rootDir - Directory test file paths are made relative to
+ * @returns {Object} Test results
+ */
+function parseJestReport(report, rootDir = '') {
+  const data = typeof report === 'string' ? JSON.parse(report) : report;
+  const tests = [];
+
+  for (const suite of data.testResults || []) {
+    const file = relativeTo(suite.name || suite.testFilePath || '', rootDir);
+    const assertions = suite.assertionResults || suite.testResults || [];
+
+    for (const assertion of assertions) {
+      const status = { passed: 'PASSED', failed: 'FAILED' }[assertion.status] || 'SKIPPED';
+      const test = {
+        name: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+        file,
+        status
+      };
+      if (status === 'FAILED') {
+        test.error = cleanError((assertion.failureMessages || []).join('\n') || 'Test failed');
+      }
+      if (typeof assertion.duration === 'number') {
+        test.duration_ms = Math.round(assertion.duration);
+      }
+      tests.push(test);
+    }
+
+    // A file that fails to load reports an error but no tests
+    if (assertions.length === 0 && suite.status === 'failed') {
+      tests.push({ name: file, file, status: 'FAILED', error: cleanError(suite.message || 'Test file failed to run') });
+    }
+  }
+
+  return summarize(tests);
+}
+
+/**
+ * Decode the XML entities of a string
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+    });
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} source - Attributes as written in the tag
+ * @returns {Object} Attribute values by name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse a JUnit XML report, as written by pytest and the node test runner
+ * @param {string} xml - Report content
+ * @returns {Object} Test results
+ */
+function parseJUnitReport(xml) {
+  const tests = [];
+  const testcase = /<testcase\b([^>]*?)(\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const match of xml.matchAll(testcase)) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[3] || '';
+    // The node test runner names the class of every test "test"
+    const className = attributes.classname && attributes.classname !== 'test' ? attributes.classname : null;
+    const test = {
+      name: className ? `${className} ${attributes.name}` : attributes.name,
+      status: 'PASSED'
+    };
+    if (attributes.file) {
+      test.file = attributes.file;
+    }
+    if (attributes.time) {
+      test.duration_ms = Math.round(parseFloat(attributes.time) * 1000);
+    }
+
+    const failure = body.match(/<(failure|error)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/);
+    if (failure) {
+      const { message, type } = parseAttributes(failure[2]);
+      const details = failure[4] ? decodeXml(failure[4]).trim() : '';
+      test.status = 'FAILED';
+      test.error = cleanError([message || type || 'Test failed', details].filter(Boolean).join('\n'));
+    } else if (/<skipped\b/.test(body)) {
+      test.status = 'SKIPPED';
+    }
+
+    tests.push(test);
+  }
+
+  return summarize(tests);
+}
+
+/**
+ * Combine the results of several test runs
+ * @param {Array<Object>} results - Test results
+ * @returns {Object} Combined test results
+ */
+function mergeResults(results) {
+  return summarize(results.flatMap(result => result.tests));
+}
+
+/**
+ * Make a path relative to a directory, using forward slashes
+ * @param {string} file - File path
+ * @param {string} rootDir - Directory
+ * @returns {string} Relative path, or the path itself outside the directory
+ */
+function relativeTo(file, rootDir) {
+  const normalized = file.replace(/\\/g, '/');
+  const root = rootDir.replace(/\\/g, '/').replace(/\/?$/, '/');
+  return rootDir && normalized.startsWith(root) ? normalized.slice(root.length) : normalized;
+}
+
+module.exports = {
+  parseJestReport,
+  parseJUnitReport,
+  mergeResults,
+  summarize
+};
@@ -0,0 +1,544 @@
+/**
+ * Test Runner
+ * 
+ * Runs the tests of generated code in a temporary workspace, as child
+ * processes without network access and with CPU, memory and time limits
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { fileUtils, abortUtils } = require('../utils');
+const { parseJestReport, parseJUnitReport, summarize } = require('./reports');
+
+// Directories that are never copied into a workspace
+const IGNORED_DIRS = ['node_modules', '.git', '.venv', 'venv', '__pycache__', '.pytest_cache', 'target', 'dist'];
+
+// Directory of the workspace the test reports are written to
+const REPORTS_DIR = '.test-reports';
+
+// Longest command output kept for error messages
+const MAX_OUTPUT_LENGTH = 4000;
+
+// Test runners an npm test script may use, with the options that make them write a report
+const NPM_RUNNERS = {
+  jest: {
+    pattern: /\bjest\b/,
+    format: 'json',
+    args: report => ['--json', `--outputFile=${report}`]
+  },
+  vitest: {
+    pattern: /\bvitest\b/,
+    format: 'json',
+    args: report => ['--reporter=json', `--outputFile=${report}`]
+  },
+  node: {
+    pattern: /\bnode\b.*\s--test\b/,
+    format: 'junit',
+    env: report => ({ NODE_OPTIONS: `--test-reporter=junit --test-reporter-destination="${report}"` })
+  }
+};
+
+// Runs a command in a new network namespace with only the loopback interface up,
+// so tests can still start servers on 127.0.0.1
+const NETWORK_NAMESPACE = ['unshare', '-rn', 'sh', '-c', 'ip link set lo up && exec "$@"', 'sh'];
+
+// Sandbox tools found on this machine, probed on first use
+let sandboxTools = null;
+
+/**
+ * Find out which sandbox tools work on this machine
+ * @returns {Object} Whether unshare can drop the network and prlimit can set limits
+ */
+function probeSandboxTools() {
+  if (!sandboxTools) {
+    const works = (command, args) => spawnSync(command, args, { stdio: 'ignore', timeout: 5000 }).status === 0;
+    sandboxTools = {
+      unshare: process.platform === 'linux' && works(NETWORK_NAMESPACE[0], [...NETWORK_NAMESPACE.slice(1), 'true']),
+      prlimit: process.platform === 'linux' && works('prlimit', ['--cpu=10', '--', 'true'])
+    };
+  }
+  return sandboxTools;
+}
+
+/**
+ * Read a package.json file
+ * @param {string} dir - Directory of the package
+ * @returns {Object|null} Package manifest, or null if missing or invalid
+ */
+function readPackage(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a package has dependencies to install
+ * @param {Object} pkg - Package manifest
+ * @returns {boolean} Whether it has dependencies
+ */
+function hasDependencies(pkg) {
+  return ['dependencies', 'devDependencies', 'optionalDependencies']
+    .some(field => pkg[field] && Object.keys(pkg[field]).length > 0);
+}
+
+/**
+ * Expand the workspace patterns of a package.json ("packages/*", "server")
+ * @param {string} root - Directory of the root package
+ * @param {Array<string>|Object} workspaces - workspaces field
+ * @returns {Array<string>} Workspace directories relative to the root
+ */
+function expandWorkspaces(root, workspaces) {
+  const patterns = Array.isArray(workspaces) ? workspaces : (workspaces.packages || []);
+  return patterns.flatMap(pattern => {
+    const normalized = pattern.replace(/\/$/, '');
+    if (!normalized.endsWith('/*')) {
+      return [normalized];
+    }
+    const parent = normalized.slice(0, -2);
+    const dir = path.join(root, parent);
+    return fs.existsSync(dir)
+      ? fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => `${parent}/${entry.name}`)
+      : [];
+  });
+}
+
+/**
+ * List the files of a workspace
+ * @param {string} dir - Directory to list
+ * @param {string} prefix - Path of the directory relative to the workspace
+ * @returns {Array<string>} Relative file paths
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return IGNORED_DIRS.includes(entry.name) || entry.name === REPORTS_DIR ? [] : listFiles(path.join(dir, entry.name), file);
+    }
+    return [file];
+  });
+}
+
+/**
+ * Find the test suites of a workspace
+ * @param {string} workspace - Workspace directory
+ * @returns {Array<Object>} Suites with their directory, runner and install step
+ */
+function findSuites(workspace) {
+  const suites = [];
+  const pkg = readPackage(workspace);
+
+  if (pkg) {
+    const install = hasDependencies(pkg) || pkg.workspaces ? { dir: '.', kind: 'npm' } : null;
+    const packages = pkg.workspaces ? expandWorkspaces(workspace, pkg.workspaces) : ['.'];
+
+    for (const dir of packages) {
+      const manifest = dir === '.' ? pkg : readPackage(path.join(workspace, dir));
+      const script = manifest && manifest.scripts && manifest.scripts.test;
+      // npm init writes a test script that always fails
+      if (!script || /no test specified/.test(script)) {
+        continue;
+      }
+      const runner = Object.keys(NPM_RUNNERS).find(name => NPM_RUNNERS[name].pattern.test(script)) || 'npm';
+      suites.push({ dir, runner, install });
+    }
+    return suites;
+  }
+
+  const files = listFiles(workspace);
+  if (files.includes('manage.py')) {
+    suites.push({ dir: '.', runner: 'django', install: files.includes('requirements.txt') ? { dir: '.', kind: 'pip' } : null });
+  } else if (files.some(file => /(^|\/)(test_[^/]*|[^/]*_test)\.py$/.test(file))) {
+    suites.push({ dir: '.', runner: 'pytest', install: files.includes('requirements.txt') ? { dir: '.', kind: 'pip' } : null });
+  }
+  return suites;
+}
+
+/**
+ * Keep the end of a command output
+ * @param {string} output - Command output
+ * @returns {string} Last part of the output
+ */
+function tail(output) {
+  const text = output.trim();
+  return text.length > MAX_OUTPUT_LENGTH ? `...${text.slice(-MAX_OUTPUT_LENGTH)}` : text;
+}
+
+class TestRunner {
+  /**
+   * Initialize the test runner
+   * @param {Object} config - test_runner configuration
+   * @param {number} config.timeout_ms - Time limit of a whole run
+   * @param {number} config.max_memory_mb - Memory limit of each process
+   * @param {number} config.max_cpu_seconds - CPU time limit of each process
+   * @param {boolean} config.allow_network - Let the tests use the network
+   * @param {string} config.npm_cache - npm cache to install packages from
+   * @param {string} config.pip_find_links - Directory of Python packages to install from
+   * @param {string} config.python - Python interpreter
+   * @param {string} config.workspace_path - Directory the workspaces are created in
+   * @param {boolean} config.keep_workspace - Keep the workspace after the run
+   */
+  constructor(config = {}) {
+    this.timeoutMs = config.timeout_ms || 300000;
+    this.maxMemoryMb = config.max_memory_mb || 2048;
+    this.maxCpuSeconds = config.max_cpu_seconds || 300;
+    this.allowNetwork = Boolean(config.allow_network);
+    this.npmCache = config.npm_cache || null;
+    this.pipFindLinks = config.pip_find_links || null;
+    this.python = config.python || (process.platform === 'win32' ? 'python' : 'python3');
+    this.workspacePath = config.workspace_path || os.tmpdir();
+    this.keepWorkspace = Boolean(config.keep_workspace);
+  }
+
+  /**
+   * Run the tests of generated code
+   * @param {string|Object} source - Directory of the code, or code files by path
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Signal that cancels the run
+   * @param {Function} options.onProgress - Called with {message} as the run goes on
+   * @returns {Promise<Object>} Test results ({total, passed, failures, skipped, tests, suites})
+   */
+  async run(source, options = {}) {
+    const { signal, onProgress = () => {} } = options;
+    if (!this.allowNetwork && !probeSandboxTools().unshare) {
+      throw new Error('Cannot run the tests without network access: unshare is not available. Set test_runner.allow_network to run them with network access');
+    }
+
+    const started = Date.now();
+    const deadline = started + this.timeoutMs;
+    const workspace = this.createWorkspace(source);
+
+    try {
+      const suites = findSuites(workspace);
+      const results = { ...summarize([]), suites: [], sandbox: this.describeSandbox() };
+
+      if (suites.length === 0) {
+        results.reason = 'No npm test script or pytest tests found';
+      }
+
+      const installs = new Map();
+      const tests = [];
+      for (const suite of suites) {
+        abortUtils.throwIfAborted(signal);
+        const label = suite.dir === '.' ? null : suite.dir;
+        let env = {};
+
+        if (suite.install) {
+          const key = `${suite.install.kind}:${suite.install.dir}`;
+          if (!installs.has(key)) {
+            onProgress({ message: `Installing ${suite.install.kind} dependencies` });
+            installs.set(key, await this.install(workspace, suite.install, deadline, signal));
+          }
+          const install = installs.get(key);
+          if (install.error) {
+            tests.push({ name: [label, install.command].filter(Boolean).join(': '), status: 'FAILED', error: install.error });
+            results.suites.push({ path: suite.dir, runner: suite.runner, error: install.error });
+            continue;
+          }
+          env = install.env;
+        }
+
+        onProgress({ message: `Running the ${suite.runner} tests${label ? ` of ${label}` : ''}` });
+        const suiteResults = await this.runSuite(workspace, suite, results.suites.length, env, deadline, signal);
+        tests.push(...suiteResults.tests.map(test => (label ? { ...test, name: `${label}: ${test.name}` } : test)));
+        results.suites.push(suiteResults.suite);
+      }
+
+      Object.assign(results, summarize(tests), { duration_ms: Date.now() - started });
+      if (this.keepWorkspace) {
+        results.workspace = workspace;
+      }
+      return results;
+    } finally {
+      if (!this.keepWorkspace) {
+        fs.rmSync(workspace, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Copy the code into a new temporary workspace
+   * @param {string|Object} source - Directory of the code, or code files by path
+   * @returns {string} Workspace directory
+   */
+  createWorkspace(source) {
+    if (typeof source === 'string' && !fs.existsSync(source)) {
+      throw new Error(`Code path ${source} does not exist`);
+    }
+
+    fileUtils.ensureDir(this.workspacePath);
+    const workspace = fs.realpathSync(fs.mkdtempSync(path.join(this.workspacePath, 'happiness-test-')));
+
+    try {
+      if (typeof source === 'string') {
+        fs.cpSync(source, workspace, {
+          recursive: true,
+          filter: file => file === source || !IGNORED_DIRS.includes(path.basename(file))
+        });
+      } else {
+        for (const [file, content] of Object.entries(source)) {
+          const target = path.resolve(workspace, file);
+          if (!target.startsWith(workspace + path.sep)) {
+            throw new Error(`Refusing to write ${file} outside the test workspace`);
+          }
+          fileUtils.ensureDir(path.dirname(target));
+          fs.writeFileSync(target, content);
+        }
+      }
+    } catch (error) {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      throw error;
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Install the dependencies of a suite from the local cache or mirror
+   * @param {string} workspace - Workspace directory
+   * @param {Object} install - Install step ({dir, kind})
+   * @param {number} deadline - Time the run must end by
+   * @param {AbortSignal} signal - Signal that cancels the run
+   * @returns {Promise<Object>} Environment for the tests, or the error of the install
+   */
+  async install(workspace, install, deadline, signal) {
+    const cwd = path.join(workspace, install.dir);
+
+    if (install.kind === 'pip') {
+      // Without a mirror the tests use the packages of the interpreter
+      if (!this.pipFindLinks) {
+        return { env: {} };
+      }
+      const args = ['-m', 'pip', 'install', '--no-index', '--find-links', path.resolve(this.pipFindLinks),
+        '--target', '.packages', '-r', 'requirements.txt'];
+      const result = await this.exec(this.python, args, { cwd, deadline, signal });
+      return result.code === 0
+        ? { env: { PYTHONPATH: path.join(cwd, '.packages') } }
+        : { command: 'pip install', error: this.describeFailure('Dependencies could not be installed from the local mirror', result) };
+    }
+
+    const args = ['install', '--offline', '--no-audit', '--no-fund', '--ignore-scripts'];
+    if (this.npmCache) {
+      args.push('--cache', path.resolve(this.npmCache));
+    }
+    const result = await this.exec('npm', args, { cwd, deadline, signal });
+    return result.code === 0
+      ? { env: {} }
+      : { command: 'npm install', error: this.describeFailure('Dependencies could not be installed from the local npm cache', result) };
+  }
+
+  /**
+   * Run the tests of a suite and parse its report
+   * @param {string} workspace - Workspace directory
+   * @param {Object} suite - Suite ({dir, runner})
+   * @param {number} index - Index of the suite, naming its report
+   * @param {Object} env - Environment set by the install step
+   * @param {number} deadline - Time the run must end by
+   * @param {AbortSignal} signal - Signal that cancels the run
+   * @returns {Promise<Object>} Tests of the suite and a summary of the run
+   */
+  async runSuite(workspace, suite, index, env, deadline, signal) {
+    const cwd = path.join(workspace, suite.dir);
+    const npmRunner = NPM_RUNNERS[suite.runner];
+    const format = npmRunner ? npmRunner.format : suite.runner === 'pytest' ? 'junit' : null;
+    const report = format ? path.join(workspace, REPORTS_DIR, `${index}.${format === 'json' ? 'json' : 'xml'}`) : null;
+    fileUtils.ensureDir(path.join(workspace, REPORTS_DIR));
+
+    let command;
+    let args;
+    if (suite.runner === 'pytest') {
+      [command, args] = [this.python, ['-m', 'pytest', '-q', '-p', 'no:cacheprovider', `--junitxml=${report}`]];
+    } else if (suite.runner === 'django') {
+      [command, args] = [this.python, ['manage.py', 'test']];
+    } else {
+      [command, args] = ['npm', ['test', '--', ...(npmRunner && npmRunner.args ? npmRunner.args(report) : [])]];
+      if (npmRunner && npmRunner.env) {
+        env = { ...env, ...npmRunner.env(report) };
+      }
+    }
+
+    const name = suite.runner === 'django' ? 'manage.py test' : suite.runner === 'pytest' ? 'pytest' : 'npm test';
+    const result = await this.exec(command, args, { cwd, env, deadline, signal });
+    const summary = { path: suite.dir, runner: suite.runner, exit_code: result.code, duration_ms: result.duration_ms };
+
+    let tests = [];
+    if (report && fs.existsSync(report)) {
+      try {
+        const content = fs.readFileSync(report, 'utf8');
+        tests = (format === 'json' ? parseJestReport(content, cwd) : parseJUnitReport(content)).tests;
+      } catch (error) {
+        summary.error = `Invalid test report: ${error.message}`;
+      }
+    }
+
+    // Runs that end badly without a failing test (crash, limit, no report) fail as a whole
+    if (result.code !== 0 && !tests.some(test => test.status === 'FAILED')) {
+      summary.error = this.describeFailure(`${name} exited with ${result.code === null ? result.signal : `code ${result.code}`}`, result);
+      tests.push({ name, status: 'FAILED', error: summary.error });
+    } else if (tests.length === 0) {
+      tests.push({ name, status: 'PASSED' });
+    }
+
+    return { tests, suite: summary };
+  }
+
+  /**
+   * Run a command in the sandbox
+   * @param {string} command - Command to run
+   * @param {Array<string>} args - Command arguments
+   * @param {Object} options - Options (cwd, env, deadline, signal)
+   * @returns {Promise<Object>} Exit code, signal, output and whether the time limit was hit
+   */
+  exec(command, args, options) {
+    const { cwd, env = {}, deadline, signal } = options;
+    abortUtils.throwIfAborted(signal);
+
+    const [file, ...rest] = [...this.sandboxPrefix(), command, ...args];
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, rest, {
+        cwd,
+        env: this.buildEnv(env),
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      let timedOut = false;
+      const collect = chunk => {
+        output = (output + chunk).slice(-MAX_OUTPUT_LENGTH * 2);
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+
+      // The whole process group is stopped, including servers started by the tests
+      const killGroup = () => {
+        try {
+          process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already exited
+        }
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, Math.max(deadline - Date.now(), 0));
+      if (signal) {
+        signal.addEventListener('abort', killGroup, { once: true });
+      }
+
+      let exit = { code: null, signal: null };
+      const finish = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', killGroup);
+        }
+      };
+
+      child.on('error', error => {
+        finish();
+        reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+      });
+      child.on('exit', (code, exitSignal) => {
+        exit = { code, signal: exitSignal };
+        killGroup();
+      });
+      child.on('close', () => {
+        finish();
+        if (signal && signal.aborted) {
+          reject(abortUtils.createAbortError());
+          return;
+        }
+        resolve({ ...exit, timedOut, output, duration_ms: Date.now() - started });
+      });
+    });
+  }
+
+  /**
+   * Build the command prefix that drops the network and sets the limits
+   * @returns {Array<string>} Command prefix
+   */
+  sandboxPrefix() {
+    const tools = probeSandboxTools();
+    const prefix = [];
+    if (!this.allowNetwork && tools.unshare) {
+      prefix.push(...NETWORK_NAMESPACE);
+    }
+    if (tools.prlimit) {
+      prefix.push('prlimit', `--cpu=${this.maxCpuSeconds}`, `--data=${this.maxMemoryMb * 1024 * 1024}`, '--');
+    }
+    return prefix;
+  }
+
+  /**
+   * Describe how the tests are isolated on this machine
+   * @returns {Object} Network isolation and whether the limits are enforced
+   */
+  describeSandbox() {
+    return { network: this.allowNetwork ? 'allowed' : 'disabled', limits: probeSandboxTools().prlimit };
+  }
+
+  /**
+   * Build the environment of a sandboxed command
+   * @param {Object} env - Variables of the suite
+   * @returns {Object} Environment
+   */
+  buildEnv(env) {
+    const base = { ...process.env };
+    // Variables of a surrounding test run would change how the generated tests run
+    delete base.JEST_WORKER_ID;
+    delete base.NODE_TEST_CONTEXT;
+    delete base.VITEST;
+
+    const sandbox = {
+      CI: 'true',
+      NO_COLOR: '1',
+      FORCE_COLOR: '0',
+      PYTHONDONTWRITEBYTECODE: '1',
+      npm_config_update_notifier: 'false'
+    };
+
+    if (!this.allowNetwork) {
+      // Installs fail right away instead of waiting for a registry they cannot reach
+      Object.assign(sandbox, {
+        npm_config_offline: 'true',
+        PIP_NO_INDEX: '1'
+      });
+    }
+
+    const merged = { ...base, ...sandbox, ...env };
+    if (env.NODE_OPTIONS && process.env.NODE_OPTIONS) {
+      merged.NODE_OPTIONS = `${process.env.NODE_OPTIONS} ${env.NODE_OPTIONS}`;
+    }
+    return merged;
+  }
+
+  /**
+   * Describe a failed command
+   * @param {string} message - What failed
+   * @param {Object} result - Result of the command
+   * @returns {string} Error message with the end of the output
+   */
+  describeFailure(message, result) {
+    let reason = message;
+    if (result.timedOut) {
+      reason = `${message}: time limit of ${Math.round(this.timeoutMs / 1000)}s reached`;
+    } else if (result.signal === 'SIGXCPU') {
+      reason = `${message}: CPU limit of ${this.maxCpuSeconds}s reached`;
+    }
+    const output = tail(result.output);
+    return output ? `${reason}\n${output}` : reason;
+  }
+}
+
+module.exports = {
+  TestRunner,
+  findSuites,
+  NPM_RUNNERS
+};
@@ -92,6 +92,26 @@ const fileUtils = {
     fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
   },
   
+  /**
+   * Write JSON to a file atomically: readers see either the old or the new
+   * content, never a partially written file
+   * @param {string} filePath - File path
+   * @param {Object} data - Data to write
+   * @param {Object} options - Write options
+   * @param {number} options.mode - File mode, e.g. 0o600 for a file only its owner may read
+   */
+  writeJSONAtomic: (filePath, data, options = {}) => {
+    fileUtils.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: options.mode });
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  },
+  
   /**
    * Read JSON from a file
    * @param {string} filePath - File path
@@ -104,6 +124,84 @@ const fileUtils = {
     
     const data = fs.readFileSync(filePath, 'utf8');
     return JSON.parse(data);
+  },
+  
+  /**
+   * Resolve a path a workflow, an agent or a code generator chose below a
+   * directory, refusing absolute paths and paths that leave it
+   * @param {string} dir - Directory the path must stay in
+   * @param {string} relativePath - Path relative to the directory
+   * @returns {string} Path joined to the directory, strictly inside it
+   */
+  resolveInside: (dir, relativePath) => {
+    const root = path.resolve(dir);
+    if (path.isAbsolute(relativePath) || !path.resolve(root, relativePath).startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write ${relativePath} outside ${dir}`);
+    }
+    return path.join(dir, relativePath);
+  }
+};
+
+/**
+ * Cancellation utilities
+ */
+const abortUtils = {
+  /**
+   * Create the error used to reject work that was cancelled
+   * @param {string} message - Error message
+   * @returns {Error} Error named AbortError
+   */
+  createAbortError: (message = 'Operation was cancelled') => {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+  },
+  
+  /**
+   * Check if an error was caused by a cancellation
+   * @param {Error} error - Error to check
+   * @returns {boolean} Whether the error is a cancellation
+   */
+  isAbortError: (error) => {
+    return Boolean(error) && (
+      error.name === 'AbortError' ||
+      error.name === 'CanceledError' ||
+      error.code === 'ERR_CANCELED'
+    );
+  },
+  
+  /**
+   * Throw an AbortError if the signal has been aborted
+   * @param {AbortSignal} signal - Signal to check
+   */
+  throwIfAborted: (signal) => {
+    if (signal && signal.aborted) {
+      throw abortUtils.createAbortError();
+    }
+  }
+};
+
+/**
+ * Process utilities
+ */
+const processUtils = {
+  /**
+   * Check whether a local process is still running
+   * @param {number} pid - Process ID
+   * @returns {boolean} Whether the process exists
+   */
+  isAlive: (pid) => {
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
   }
 };
 
@@ -114,10 +212,31 @@ const timeUtils = {
   /**
    * Sleep for the specified time
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} signal - Optional signal that interrupts the sleep
    * @returns {Promise} Promise that resolves after the specified time
    */
-  sleep: (ms) => {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep: (ms, signal) => {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortUtils.createAbortError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortUtils.createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
   },
   
   /**
@@ -272,6 +391,8 @@ module.exports = {
   logger,
   spinner,
   fileUtils,
+  abortUtils,
+  processUtils,
   timeUtils,
   formatUtils,
   validationUtils,
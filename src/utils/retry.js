@@ -0,0 +1,112 @@
+/**
+ * Retry utilities
+ * 
+ * Wraps agent and code generator calls with jittered exponential backoff
+ */
+
+const { timeUtils, abortUtils } = require('./index');
+
+// Network error codes that usually go away on their own
+const RETRYABLE_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+const DEFAULT_POLICY = {
+  max_retries: 3,
+  initial_backoff_ms: 1000,
+  max_backoff_ms: 30000,
+  backoff_multiplier: 2.0
+};
+
+/**
+ * Decide whether an error is worth retrying. Errors can opt in or out
+ * explicitly with a boolean `retryable` property.
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} Whether the call should be retried
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (abortUtils.isAbortError(error)) {
+    return false;
+  }
+
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const status = error.response && error.response.status;
+  if (status) {
+    return status >= 500 || status === 429 || status === 408;
+  }
+
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Compute the delay before a retry
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds, jittered between 50% and 100% of the backoff
+ */
+function getBackoffDelay(retry, policy = DEFAULT_POLICY) {
+  const { initial_backoff_ms, max_backoff_ms, backoff_multiplier } = { ...DEFAULT_POLICY, ...policy };
+  const backoff = Math.min(max_backoff_ms, initial_backoff_ms * Math.pow(backoff_multiplier, retry - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Call a function, retrying retryable failures with exponential backoff
+ * @param {Function} fn - Function to call, receives the attempt number (starting at 1)
+ * @param {Object} policy - Retry policy (max_retries, initial_backoff_ms, max_backoff_ms, backoff_multiplier)
+ * @param {Object} hooks - Optional callbacks and cancellation signal
+ * @param {Function} hooks.onAttempt - Called with { attempt, maxRetries } before each attempt
+ * @param {Function} hooks.onFailure - Called with { attempt, error, retryable, delay } after each failed attempt
+ * @param {AbortSignal} hooks.signal - Stops waiting for the next attempt when aborted
+ * @returns {Promise<any>} Result of the first successful call
+ */
+async function withRetry(fn, policy = {}, hooks = {}) {
+  const maxRetries = { ...DEFAULT_POLICY, ...policy }.max_retries;
+
+  for (let attempt = 1; ; attempt++) {
+    abortUtils.throwIfAborted(hooks.signal);
+
+    if (hooks.onAttempt) {
+      hooks.onAttempt({ attempt, maxRetries });
+    }
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = isRetryableError(error) && attempt <= maxRetries;
+      const delay = retryable ? getBackoffDelay(attempt, policy) : 0;
+
+      if (hooks.onFailure) {
+        hooks.onFailure({ attempt, error, retryable, delay });
+      }
+
+      if (!retryable) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      await timeUtils.sleep(delay, hooks.signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getBackoffDelay,
+  DEFAULT_POLICY
+};
@@ -0,0 +1,11 @@
+from django.contrib import admin
+
+from .models import {{#each entities as entity}}{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}}
+{{#each entities as entity}}
+
+
+@admin.register({{entity.pascal}})
+class {{entity.pascal}}Admin(admin.ModelAdmin):
+    list_display = ("id"{{#each entity.fields as field}}, "{{field.django_name}}"{{/each}})
+    search_fields = ("{{entity.display_field}}",)
+{{/each}}
@@ -0,0 +1,29 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    initial = True
+
+    dependencies = []
+
+    operations = [
+{{#each entities as entity}}
+        migrations.CreateModel(
+            name="{{entity.pascal}}",
+            fields=[
+                ("id", models.BigAutoField(auto_created=True, primary_key=True, serialize=False, verbose_name="ID")),
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+                ("{{field.django_name}}", models.ForeignKey({{#if field.optional}}blank=True, null=True, {{/if}}on_delete=models.PROTECT, related_name="+", to="api.{{field.reference.pascal}}")),
+{{else}}
+                ("{{field.name}}", models.{{field.django_field}}),
+{{/if}}
+{{/each}}
+            ],
+            options={
+                "ordering": ["id"],
+            },
+        ),
+{{/each}}
+    ]
@@ -0,0 +1,19 @@
+from django.db import models
+{{#each entities as entity}}
+
+
+class {{entity.pascal}}(models.Model):
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+    {{field.django_name}} = models.ForeignKey("{{field.reference.pascal}}", on_delete=models.PROTECT, related_name="+"{{#if field.optional}}, blank=True, null=True{{/if}})
+{{else}}
+    {{field.name}} = models.{{field.django_field}}
+{{/if}}
+{{/each}}
+
+    class Meta:
+        ordering = ["id"]
+
+    def __str__(self):
+        return str(self.{{entity.display_field}})
+{{/each}}
@@ -0,0 +1,79 @@
+"""Reading, validating, saving and filtering records for the JSON views"""
+import json
+
+from django.core.exceptions import ValidationError
+from django.db import models
+from django.db.models import ProtectedError
+from django.http import HttpResponse, JsonResponse
+
+
+def to_dict(record):
+    """Fields of a record by column name: a book's author is its author_id"""
+    return {field.attname: getattr(record, field.attname) for field in record._meta.concrete_fields}
+
+
+def find(model, record_id):
+    """Return the record with an id, None if there is none"""
+    return model.objects.filter(pk=record_id).first()
+
+
+def not_found(model):
+    """Answer that a record does not exist"""
+    return JsonResponse({"error": f"{model._meta.verbose_name.capitalize()} not found"}, status=404)
+
+
+def parse_filters(model, query):
+    """Read list filters from query parameters naming fields: ?author_id=1&completed=true"""
+    filters = {}
+    for field in model._meta.concrete_fields:
+        if field.attname in query:
+            value = query[field.attname]
+            if isinstance(field, models.BooleanField):
+                value = value.lower() in ("true", "1")
+            filters[field.attname] = field.to_python(value)
+    return filters
+
+
+def list_records(model, query, **filters):
+    """Answer the records matching the filters and the query parameters"""
+    try:
+        filters.update(parse_filters(model, query))
+    except ValidationError as error:
+        return JsonResponse({"error": "Invalid filter", "errors": error.messages}, status=400)
+    return JsonResponse([to_dict(record) for record in model.objects.filter(**filters)], safe=False)
+
+
+def save(record, request, status=200):
+    """Replace the fields of a record with the JSON body of a request. Missing
+    optional fields become null (false for booleans); invalid bodies and
+    references to missing records are answered with status 400."""
+    try:
+        data = json.loads(request.body or b"{}")
+    except json.JSONDecodeError:
+        data = None
+    if not isinstance(data, dict):
+        return JsonResponse({"error": "The body must be a JSON object"}, status=400)
+
+    fields = [field for field in record._meta.concrete_fields if not field.primary_key]
+    for field in fields:
+        setattr(record, field.attname, data.get(field.attname, field.get_default()))
+
+    try:
+        record.full_clean()
+    except ValidationError as error:
+        messages = error.message_dict
+        errors = {field.attname: messages[field.name] for field in fields if field.name in messages}
+        return JsonResponse({"error": f"Invalid {record._meta.verbose_name}", "errors": errors}, status=400)
+
+    record.save()
+    return JsonResponse(to_dict(record), status=status)
+
+
+def delete(record):
+    """Delete a record; records still referenced are answered with status 409"""
+    try:
+        record.delete()
+    except ProtectedError as error:
+        referencing = next(iter(error.protected_objects))._meta.verbose_name_plural
+        return JsonResponse({"error": f"{str(record._meta.verbose_name).capitalize()} still has {referencing}"}, status=409)
+    return HttpResponse(status=204)
@@ -0,0 +1,17 @@
+from api.models import {{#each entities as entity}}{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}}
+{{#each entities as entity}}
+
+
+def {{entity.name}}_payload():
+    """Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}"""
+    return {
+{{#each entity.fields as field}}
+        "{{field.name}}": {{#if field.is_reference}}create_{{field.reference.name}}().id{{else}}{{field.sample_py}}{{/if}},
+{{/each}}
+    }
+
+
+def create_{{entity.name}}():
+    """Create {{entity.article}} {{entity.words}} in the database"""
+    return {{entity.pascal}}.objects.create(**{{entity.name}}_payload())
+{{/each}}
@@ -0,0 +1,46 @@
+from django.test import TestCase
+
+from .helpers import {{#each entity.children as child}}create_{{child.name}}, {{/each}}{{#if entity.has_children}}create_{{entity.name}}, {{/if}}{{entity.name}}_payload
+
+
+class {{entity.pascal}}ApiTests(TestCase):
+    def post(self, path, payload):
+        return self.client.post(path, payload, content_type="application/json")
+
+    def test_create_read_update_and_delete_{{entity.name}}(self):
+        payload = {{entity.name}}_payload()
+        created = self.post("/api/{{entity.kebab_plural}}/", payload)
+        self.assertEqual(created.status_code, 201)
+        self.assertLessEqual(payload.items(), created.json().items())
+        {{entity.name}}_id = created.json()["id"]
+
+        self.assertIn({{entity.name}}_id, [record["id"] for record in self.client.get("/api/{{entity.kebab_plural}}/").json()])
+        self.assertEqual(self.client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}/").status_code, 200)
+        updated = self.client.put(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}/", payload, content_type="application/json")
+        self.assertEqual(updated.status_code, 200)
+        self.assertEqual(self.client.delete(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}/").status_code, 204)
+        self.assertEqual(self.client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}/").status_code, 404)
+
+    def test_rejects_{{entity.name}}_without_required_fields(self):
+        response = self.post("/api/{{entity.kebab_plural}}/", {})
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(set(response.json()["errors"]), {{{#each entity.required_fields}}"{{this}}"{{#unless last}}, {{/unless}}{{/each}}})
+{{#each entity.parents as parent}}
+
+    def test_rejects_{{entity.name}}_referencing_a_missing_{{parent.name}}(self):
+        response = self.post("/api/{{entity.kebab_plural}}/", {**{{entity.name}}_payload(), "{{parent.field}}": 9999})
+        self.assertEqual(response.status_code, 400)
+        self.assertIn("{{parent.field}}", response.json()["errors"])
+{{/each}}
+{{#each entity.children as child}}
+
+    def test_lists_the_{{child.plural}}_of_{{entity.article}}_{{entity.name}}(self):
+        {{entity.name}} = create_{{entity.name}}()
+        response = self.client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}.id}/{{child.kebab_plural}}/")
+        self.assertEqual(response.json(), [])
+
+    def test_keeps_{{entity.article}}_{{entity.name}}_with_{{child.plural}}(self):
+        {{child.name}} = create_{{child.name}}()
+        response = self.client.delete(f"/api/{{entity.kebab_plural}}/{{{child.name}}.{{child.field}}}/")
+        self.assertEqual(response.status_code, 409)
+{{/each}}
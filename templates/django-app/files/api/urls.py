@@ -0,0 +1,17 @@
+from django.urls import path
+
+from . import views
+
+urlpatterns = [
+{{#each entities as entity}}
+    path("{{entity.kebab_plural}}/", views.{{entity.name}}_list, name="{{entity.kebab}}-list"),
+    path("{{entity.kebab_plural}}/<int:{{entity.name}}_id>/", views.{{entity.name}}_detail, name="{{entity.kebab}}-detail"),
+{{#each entity.children as child}}
+    path(
+        "{{entity.kebab_plural}}/<int:{{entity.name}}_id>/{{child.kebab_plural}}/",
+        views.{{entity.name}}_{{child.plural}},
+        name="{{entity.kebab}}-{{child.kebab_plural}}",
+    ),
+{{/each}}
+{{/each}}
+]
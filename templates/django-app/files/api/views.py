@@ -0,0 +1,38 @@
+from django.http import JsonResponse
+from django.views.decorators.csrf import csrf_exempt
+from django.views.decorators.http import require_GET, require_http_methods
+
+from .models import {{#each entities as entity}}{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}}
+from .records import delete, find, list_records, not_found, save, to_dict
+{{#each entities as entity}}
+
+
+@csrf_exempt
+@require_http_methods(["GET", "POST"])
+def {{entity.name}}_list(request):
+    if request.method == "GET":
+        return list_records({{entity.pascal}}, request.GET)
+    return save({{entity.pascal}}(), request, status=201)
+
+
+@csrf_exempt
+@require_http_methods(["GET", "PUT", "DELETE"])
+def {{entity.name}}_detail(request, {{entity.name}}_id):
+    {{entity.name}} = find({{entity.pascal}}, {{entity.name}}_id)
+    if {{entity.name}} is None:
+        return not_found({{entity.pascal}})
+    if request.method == "PUT":
+        return save({{entity.name}}, request)
+    if request.method == "DELETE":
+        return delete({{entity.name}})
+    return JsonResponse(to_dict({{entity.name}}))
+{{#each entity.children as child}}
+
+
+@require_GET
+def {{entity.name}}_{{child.plural}}(request, {{entity.name}}_id):
+    if find({{entity.pascal}}, {{entity.name}}_id) is None:
+        return not_found({{entity.pascal}})
+    return list_records({{child.pascal}}, request.GET, {{child.field}}={{entity.name}}_id)
+{{/each}}
+{{/each}}
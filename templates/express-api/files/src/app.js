@@ -0,0 +1,29 @@
+const express = require('express');
+{{#each entities as entity}}
+const {{entity.camel_plural}}Router = require('./routes/{{entity.kebab_plural}}');
+{{/each}}
+
+const app = express();
+
+app.use(express.json());
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+{{#each entities as entity}}
+app.use('/api/{{entity.kebab_plural}}', {{entity.camel_plural}}Router);
+{{/each}}
+
+// Unknown routes
+app.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Errors thrown by route handlers
+app.use((err, req, res, next) => {
+  console.error(err);
+  res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+});
+
+module.exports = app;
@@ -0,0 +1,7 @@
+// Settings read from the environment and .env, see .env.example
+require('dotenv').config();
+
+module.exports = {
+  port: Number(process.env.PORT) || {{port}},
+  env: process.env.NODE_ENV || 'development'
+};
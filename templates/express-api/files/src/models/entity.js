@@ -0,0 +1,14 @@
+const { createStore } = require('../store');
+
+// Fields of {{entity.article}} {{entity.words}}; the id and created_at are set by the store
+const fields = {
+{{#each entity.fields as field}}
+  {{field.name}}: { type: '{{field.type}}', required: {{field.required}}{{#if field.is_reference}}, references: '{{field.reference.name}}'{{/if}} }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+module.exports = {
+  name: '{{entity.name}}',
+  fields,
+  store: createStore()
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+const {{entity.pascal}} = require('../models/{{entity.kebab}}');
+{{#each entity.parents as parent}}
+const {{parent.pascal}} = require('../models/{{parent.kebab}}');
+{{/each}}
+{{#each entity.children as child}}
+const {{child.pascal}} = require('../models/{{child.kebab}}');
+{{/each}}
+const { validate, parseFilters } = require('../validation');
+
+const router = express.Router();
+
+/**
+ * Validate {{entity.article}} {{entity.words}}{{#if entity.has_parents}} and check that the records it references exist{{/if}}
+ * @param {Object} body - Request body
+ * @returns {Object} Clean values and error messages as {value, errors}
+ */
+function check{{entity.pascal}}(body) {
+  const { value, errors } = validate(body, {{entity.pascal}}.fields);
+{{#each entity.parents as parent}}
+  if (value.{{parent.field}} != null && !{{parent.pascal}}.store.get(value.{{parent.field}})) {
+    errors.push('{{parent.field}} does not reference an existing {{parent.words}}');
+  }
+{{/each}}
+  return { value, errors };
+}
+
+// GET all {{entity.words_plural}}, filtered by any field given as a query parameter
+router.get('/', (req, res) => {
+  res.json({{entity.pascal}}.store.list(parseFilters(req.query, {{entity.pascal}}.fields)));
+});
+
+// GET {{entity.article}} {{entity.words}} by id
+router.get('/:id', (req, res) => {
+  const {{entity.camel}} = {{entity.pascal}}.store.get(req.params.id);
+  if (!{{entity.camel}}) return res.status(404).json({ error: '{{entity.label}} not found' });
+  res.json({{entity.camel}});
+});
+{{#each entity.children as child}}
+
+// GET the {{child.words_plural}} of {{entity.article}} {{entity.words}}
+router.get('/:id/{{child.kebab_plural}}', (req, res) => {
+  if (!{{entity.pascal}}.store.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+  res.json({{child.pascal}}.store.list({ {{child.field}}: Number(req.params.id) }));
+});
+{{/each}}
+
+// POST a new {{entity.words}}
+router.post('/', (req, res) => {
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join(', '), errors });
+  res.status(201).json({{entity.pascal}}.store.create(value));
+});
+
+// PUT replaces {{entity.article}} {{entity.words}}
+router.put('/:id', (req, res) => {
+  if (!{{entity.pascal}}.store.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join(', '), errors });
+  res.json({{entity.pascal}}.store.update(req.params.id, value));
+});
+
+// DELETE {{entity.article}} {{entity.words}}
+router.delete('/:id', (req, res) => {
+  if (!{{entity.pascal}}.store.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+{{#each entity.children as child}}
+  if ({{child.pascal}}.store.list({ {{child.field}}: Number(req.params.id) }).length > 0) {
+    return res.status(409).json({ error: '{{entity.label}} still has {{child.words_plural}}' });
+  }
+{{/each}}
+  {{entity.pascal}}.store.remove(req.params.id);
+  res.status(204).send();
+});
+
+module.exports = router;
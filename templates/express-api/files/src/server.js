@@ -0,0 +1,6 @@
+const app = require('./app');
+const config = require('./config');
+
+app.listen(config.port, () => {
+  console.log(`Server running on port ${config.port} (${config.env})`);
+});
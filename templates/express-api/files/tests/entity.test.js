@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { {{entity.camel}}Payload{{#if entity.has_children}}, create{{entity.pascal}}{{/if}} } = require('./helpers');
+
+describe('{{entity.words_plural}} API', () => {
+  test('creates, reads, updates and deletes {{entity.article}} {{entity.words}}', async () => {
+    const payload = await {{entity.camel}}Payload();
+    const created = await request(app).post('/api/{{entity.kebab_plural}}').send(payload).expect(201);
+    expect(created.body).toMatchObject(payload);
+
+    const list = await request(app).get('/api/{{entity.kebab_plural}}').expect(200);
+    expect(list.body.map(record => record.id)).toContain(created.body.id);
+
+    await request(app).get(`/api/{{entity.kebab_plural}}/${created.body.id}`).expect(200);
+    const updated = await request(app).put(`/api/{{entity.kebab_plural}}/${created.body.id}`).send(payload).expect(200);
+    expect(updated.body.id).toBe(created.body.id);
+
+    await request(app).delete(`/api/{{entity.kebab_plural}}/${created.body.id}`).expect(204);
+    await request(app).get(`/api/{{entity.kebab_plural}}/${created.body.id}`).expect(404);
+  });
+
+  test('rejects {{entity.article}} {{entity.words}} without its required fields', async () => {
+    const response = await request(app).post('/api/{{entity.kebab_plural}}').send({}).expect(400);
+{{#each entity.fields as field}}
+{{#if field.required}}
+    expect(response.body.errors).toContain('{{field.name}} is required');
+{{/if}}
+{{/each}}
+  });
+{{#each entity.parents as parent}}
+
+  test('rejects {{entity.article}} {{entity.words}} referencing a missing {{parent.words}}', async () => {
+    const payload = { ...(await {{entity.camel}}Payload()), {{parent.field}}: 9999 };
+    const response = await request(app).post('/api/{{entity.kebab_plural}}').send(payload).expect(400);
+    expect(response.body.errors).toContain('{{parent.field}} does not reference an existing {{parent.words}}');
+  });
+{{/each}}
+{{#each entity.children as child}}
+
+  test('lists the {{child.words_plural}} of {{entity.article}} {{entity.words}}', async () => {
+    const {{entity.camel}} = await create{{entity.pascal}}();
+    const response = await request(app).get(`/api/{{entity.kebab_plural}}/${{{entity.camel}}.id}/{{child.kebab_plural}}`).expect(200);
+    expect(response.body).toEqual([]);
+  });
+{{/each}}
+});
@@ -0,0 +1,32 @@
+const request = require('supertest');
+const app = require('../src/app');
+{{#each entities as entity}}
+
+/**
+ * Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+ * @returns {Promise<Object>} Request body
+ */
+async function {{entity.camel}}Payload() {
+  return {
+{{#each entity.fields as field}}
+    {{field.name}}: {{#if field.is_reference}}(await create{{field.reference.pascal}}()).id{{else}}{{field.sample}}{{/if}}{{#unless last}},{{/unless}}
+{{/each}}
+  };
+}
+
+/**
+ * Create {{entity.article}} {{entity.words}} through the API
+ * @returns {Promise<Object>} Created {{entity.words}}
+ */
+async function create{{entity.pascal}}() {
+  const response = await request(app).post('/api/{{entity.kebab_plural}}').send(await {{entity.camel}}Payload()).expect(201);
+  return response.body;
+}
+{{/each}}
+
+module.exports = {
+{{#each entities as entity}}
+  {{entity.camel}}Payload,
+  create{{entity.pascal}}{{#unless last}},{{/unless}}
+{{/each}}
+};
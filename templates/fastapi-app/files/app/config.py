@@ -0,0 +1,13 @@
+from pydantic_settings import BaseSettings, SettingsConfigDict
+
+
+class Settings(BaseSettings):
+    """Settings read from the environment and .env, see .env.example"""
+
+    model_config = SettingsConfigDict(env_file=".env")
+
+    app_title: str = "{{#if title}}{{title}}{{else}}{{entity_labels}} API{{/if}}"
+    debug: bool = False
+
+
+settings = Settings()
@@ -0,0 +1,6 @@
+from app.store import Store
+
+# In-memory stores, replace with a database
+{{#each entities as entity}}
+{{entity.plural}} = Store()
+{{/each}}
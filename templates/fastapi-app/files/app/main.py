@@ -0,0 +1,15 @@
+from fastapi import FastAPI
+
+from app.config import settings
+from app.routers import {{#each entities as entity}}{{entity.plural}}{{#unless last}}, {{/unless}}{{/each}}
+
+app = FastAPI(title=settings.app_title, debug=settings.debug)
+
+{{#each entities as entity}}
+app.include_router({{entity.plural}}.router)
+{{/each}}
+
+
+@app.get("/health")
+def health():
+    return {"status": "ok"}
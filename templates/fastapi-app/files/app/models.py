@@ -0,0 +1,28 @@
+import datetime
+
+from pydantic import BaseModel, Field
+{{#each entities as entity}}
+
+
+class {{entity.pascal}}Create(BaseModel):
+    """Fields of {{entity.article}} {{entity.words}} sent by clients"""
+
+{{#each entity.fields as field}}
+{{#if field.required}}
+    {{field.name}}: {{field.py_type}}{{#if field.is_string}} = Field(min_length=1){{/if}}{{#if field.is_email}} = Field(pattern=r"^[^@\s]+@[^@\s]+\.[^@\s]+$"){{/if}}{{#if field.is_url}} = Field(pattern=r"^https?://\S+$"){{/if}}
+{{else}}
+{{#if field.is_boolean}}
+    {{field.name}}: bool = False
+{{else}}
+    {{field.name}}: {{field.py_type}} | None = {{#if field.is_email}}Field(default=None, pattern=r"^[^@\s]+@[^@\s]+\.[^@\s]+$"){{else}}{{#if field.is_url}}Field(default=None, pattern=r"^https?://\S+$"){{else}}None{{/if}}{{/if}}
+{{/if}}
+{{/if}}
+{{/each}}
+
+
+class {{entity.pascal}}({{entity.pascal}}Create):
+    """{{entity.label}} as stored and returned by the API"""
+
+    id: int
+    created_at: datetime.datetime
+{{/each}}
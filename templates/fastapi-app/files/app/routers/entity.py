@@ -0,0 +1,76 @@
+{{#if entity.uses.date}}
+import datetime
+
+{{/if}}
+from fastapi import APIRouter, HTTPException, status
+
+from app import db
+from app.models import {{#each entity.children as child}}{{child.pascal}}, {{/each}}{{entity.pascal}}, {{entity.pascal}}Create
+
+router = APIRouter(prefix="/api/{{entity.kebab_plural}}", tags=["{{entity.plural}}"])
+
+
+def check_{{entity.name}}(data: {{entity.pascal}}Create) -> dict:
+    """Return the values of {{entity.article}} {{entity.words}}{{#if entity.has_parents}} after checking that the records it references exist{{/if}}"""
+    values = data.model_dump()
+{{#each entity.parents as parent}}
+    if values["{{parent.field}}"] is not None and db.{{parent.plural}}.get(values["{{parent.field}}"]) is None:
+        raise HTTPException(status_code=400, detail="{{parent.field}} does not reference an existing {{parent.words}}")
+{{/each}}
+    return values
+
+
+def get_or_404({{entity.name}}_id: int) -> dict:
+    {{entity.name}} = db.{{entity.plural}}.get({{entity.name}}_id)
+    if {{entity.name}} is None:
+        raise HTTPException(status_code=404, detail="{{entity.label}} not found")
+    return {{entity.name}}
+
+
+@router.get("", response_model=list[{{entity.pascal}}])
+def list_{{entity.plural}}(
+{{#each entity.fields as field}}
+    {{field.name}}: {{field.py_type}} | None = None,
+{{/each}}
+):
+    """List {{entity.words_plural}}, filtered by the fields given as query parameters"""
+    filters = {
+{{#each entity.fields as field}}
+        "{{field.name}}": {{field.name}},
+{{/each}}
+    }
+    return db.{{entity.plural}}.list(**{field: value for field, value in filters.items() if value is not None})
+
+
+@router.get("/{{{entity.name}}_id}", response_model={{entity.pascal}})
+def get_{{entity.name}}({{entity.name}}_id: int):
+    return get_or_404({{entity.name}}_id)
+{{#each entity.children as child}}
+
+
+@router.get("/{{{entity.name}}_id}/{{child.kebab_plural}}", response_model=list[{{child.pascal}}])
+def list_{{entity.name}}_{{child.plural}}({{entity.name}}_id: int):
+    get_or_404({{entity.name}}_id)
+    return db.{{child.plural}}.list({{child.field}}={{entity.name}}_id)
+{{/each}}
+
+
+@router.post("", response_model={{entity.pascal}}, status_code=status.HTTP_201_CREATED)
+def create_{{entity.name}}(data: {{entity.pascal}}Create):
+    return db.{{entity.plural}}.create(check_{{entity.name}}(data))
+
+
+@router.put("/{{{entity.name}}_id}", response_model={{entity.pascal}})
+def update_{{entity.name}}({{entity.name}}_id: int, data: {{entity.pascal}}Create):
+    get_or_404({{entity.name}}_id)
+    return db.{{entity.plural}}.update({{entity.name}}_id, check_{{entity.name}}(data))
+
+
+@router.delete("/{{{entity.name}}_id}", status_code=status.HTTP_204_NO_CONTENT)
+def delete_{{entity.name}}({{entity.name}}_id: int):
+    get_or_404({{entity.name}}_id)
+{{#each entity.children as child}}
+    if db.{{child.plural}}.list({{child.field}}={{entity.name}}_id):
+        raise HTTPException(status_code=409, detail="{{entity.label}} still has {{child.words_plural}}")
+{{/each}}
+    db.{{entity.plural}}.remove({{entity.name}}_id)
@@ -0,0 +1,34 @@
+from datetime import datetime, timezone
+
+
+class Store:
+    """In-memory store of records with numeric ids"""
+
+    def __init__(self):
+        self.records: dict[int, dict] = {}
+        self.next_id = 1
+
+    def list(self, **filters) -> list[dict]:
+        """List the records whose fields equal the given values"""
+        return [
+            record for record in self.records.values()
+            if all(record.get(field) == value for field, value in filters.items())
+        ]
+
+    def get(self, record_id: int) -> dict | None:
+        return self.records.get(record_id)
+
+    def create(self, data: dict) -> dict:
+        record = {"id": self.next_id, **data, "created_at": datetime.now(timezone.utc)}
+        self.records[record["id"]] = record
+        self.next_id += 1
+        return record
+
+    def update(self, record_id: int, data: dict) -> dict | None:
+        if record_id not in self.records:
+            return None
+        self.records[record_id] = {**self.records[record_id], **data, "id": record_id}
+        return self.records[record_id]
+
+    def remove(self, record_id: int) -> bool:
+        return self.records.pop(record_id, None) is not None
@@ -0,0 +1,23 @@
+from fastapi.testclient import TestClient
+
+from app.main import app
+
+client = TestClient(app)
+{{#each entities as entity}}
+
+
+def {{entity.name}}_payload() -> dict:
+    """Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}"""
+    return {
+{{#each entity.fields as field}}
+        "{{field.name}}": {{#if field.is_reference}}create_{{field.reference.name}}()["id"]{{else}}{{field.sample_py}}{{/if}},
+{{/each}}
+    }
+
+
+def create_{{entity.name}}() -> dict:
+    """Create {{entity.article}} {{entity.words}} through the API"""
+    response = client.post("/api/{{entity.kebab_plural}}", json={{entity.name}}_payload())
+    assert response.status_code == 201
+    return response.json()
+{{/each}}
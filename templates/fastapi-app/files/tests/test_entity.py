@@ -0,0 +1,39 @@
+from tests.helpers import client, {{#if entity.has_children}}create_{{entity.name}}, {{/if}}{{entity.name}}_payload
+
+
+def test_create_read_update_and_delete_{{entity.name}}():
+    payload = {{entity.name}}_payload()
+    created = client.post("/api/{{entity.kebab_plural}}", json=payload)
+    assert created.status_code == 201
+    assert created.json().items() >= payload.items()
+    {{entity.name}}_id = created.json()["id"]
+
+    assert {{entity.name}}_id in [record["id"] for record in client.get("/api/{{entity.kebab_plural}}").json()]
+    assert client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 200
+    assert client.put(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}", json=payload).status_code == 200
+    assert client.delete(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 204
+    assert client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 404
+
+
+def test_rejects_{{entity.name}}_without_required_fields():
+    response = client.post("/api/{{entity.kebab_plural}}", json={})
+    assert response.status_code == 422
+    missing = {error["loc"][-1] for error in response.json()["detail"]}
+    assert missing == {{{#each entity.required_fields}}"{{this}}"{{#unless last}}, {{/unless}}{{/each}}}
+{{#each entity.parents as parent}}
+
+
+def test_rejects_{{entity.name}}_referencing_a_missing_{{parent.name}}():
+    payload = { **{{entity.name}}_payload(), "{{parent.field}}": 9999}
+    response = client.post("/api/{{entity.kebab_plural}}", json=payload)
+    assert response.status_code == 400
+    assert response.json()["detail"] == "{{parent.field}} does not reference an existing {{parent.words}}"
+{{/each}}
+{{#each entity.children as child}}
+
+
+def test_lists_the_{{child.plural}}_of_{{entity.article}}_{{entity.name}}():
+    {{entity.name}} = create_{{entity.name}}()
+    response = client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}['id']}/{{child.kebab_plural}}")
+    assert response.json() == []
+{{/each}}
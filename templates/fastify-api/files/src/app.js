@@ -0,0 +1,31 @@
+const fastify = require('fastify');
+const { createStore } = require('./store');
+{{#each entities as entity}}
+const {{entity.camel_plural}}Routes = require('./routes/{{entity.kebab_plural}}');
+{{/each}}
+
+/**
+ * Build the Fastify application without starting it
+ * @param {Object} options - Fastify options, such as { logger: true }
+ * @returns {FastifyInstance} Application
+ */
+function buildApp(options = {}) {
+  const app = fastify(options);
+
+  // In-memory stores, one per application instance
+  app.decorate('db', {
+{{#each entities as entity}}
+    {{entity.camel_plural}}: createStore(){{#unless last}},{{/unless}}
+{{/each}}
+  });
+
+  app.get('/health', async () => ({ status: 'ok' }));
+
+{{#each entities as entity}}
+  app.register({{entity.camel_plural}}Routes, { prefix: '/api/{{entity.kebab_plural}}' });
+{{/each}}
+
+  return app;
+}
+
+module.exports = buildApp;
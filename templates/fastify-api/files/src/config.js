@@ -0,0 +1,8 @@
+// Settings read from the environment and .env, see .env.example
+require('dotenv').config();
+
+module.exports = {
+  port: Number(process.env.PORT) || {{port}},
+  host: process.env.HOST || '0.0.0.0',
+  env: process.env.NODE_ENV || 'development'
+};
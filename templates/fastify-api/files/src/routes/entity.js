@@ -0,0 +1,106 @@
+const { {{entity.camel}}Body, {{entity.camel}}Schema, {{entity.camel}}Query } = require('../schemas/{{entity.kebab}}');
+{{#each entity.children as child}}
+const { {{child.camel}}Schema } = require('../schemas/{{child.kebab}}');
+{{/each}}
+
+const idParams = {
+  type: 'object',
+  properties: { id: { type: 'integer' } },
+  required: ['id']
+};
+
+/**
+ * {{entity.label}} routes, registered under /api/{{entity.kebab_plural}}
+ * @param {FastifyInstance} app - Application
+ */
+async function {{entity.camel_plural}}Routes(app) {
+  const {{entity.camel_plural}} = app.db.{{entity.camel_plural}};
+
+  /**
+   * Fill in the optional fields of a request body{{#if entity.has_parents}} and check that the records
+   * it references exist{{/if}}
+   * @param {Object} body - Request body validated by the schema
+   * @returns {Object} Values and an error message as {value, error}
+   */
+  function check{{entity.pascal}}(body) {
+    const value = {
+{{#each entity.fields as field}}
+{{#if field.required}}
+      {{field.name}}: body.{{field.name}}{{#unless last}},{{/unless}}
+{{else}}
+      {{field.name}}: body.{{field.name}} ?? {{#if field.is_boolean}}false{{else}}null{{/if}}{{#unless last}},{{/unless}}
+{{/if}}
+{{/each}}
+    };
+{{#each entity.parents as parent}}
+    if (value.{{parent.field}} != null && !app.db.{{parent.camel_plural}}.get(value.{{parent.field}})) {
+      return { value, error: '{{parent.field}} does not reference an existing {{parent.words}}' };
+    }
+{{/each}}
+    return { value, error: null };
+  }
+
+  app.get('/', {
+    schema: { querystring: {{entity.camel}}Query, response: { 200: { type: 'array', items: {{entity.camel}}Schema } } }
+  }, async request => {{entity.camel_plural}}.list(request.query));
+
+  app.get('/:id', {
+    schema: { params: idParams, response: { 200: {{entity.camel}}Schema } }
+  }, async (request, reply) => {
+    const {{entity.camel}} = {{entity.camel_plural}}.get(request.params.id);
+    if (!{{entity.camel}}) {
+      return reply.code(404).send({ error: '{{entity.label}} not found' });
+    }
+    return {{entity.camel}};
+  });
+{{#each entity.children as child}}
+
+  app.get('/:id/{{child.kebab_plural}}', {
+    schema: { params: idParams, response: { 200: { type: 'array', items: {{child.camel}}Schema } } }
+  }, async (request, reply) => {
+    if (!{{entity.camel_plural}}.get(request.params.id)) {
+      return reply.code(404).send({ error: '{{entity.label}} not found' });
+    }
+    return app.db.{{child.camel_plural}}.list({ {{child.field}}: request.params.id });
+  });
+{{/each}}
+
+  app.post('/', {
+    schema: { body: {{entity.camel}}Body, response: { 201: {{entity.camel}}Schema } }
+  }, async (request, reply) => {
+    const { value, error } = check{{entity.pascal}}(request.body);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    return reply.code(201).send({{entity.camel_plural}}.create(value));
+  });
+
+  app.put('/:id', {
+    schema: { params: idParams, body: {{entity.camel}}Body, response: { 200: {{entity.camel}}Schema } }
+  }, async (request, reply) => {
+    if (!{{entity.camel_plural}}.get(request.params.id)) {
+      return reply.code(404).send({ error: '{{entity.label}} not found' });
+    }
+
+    const { value, error } = check{{entity.pascal}}(request.body);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    return {{entity.camel_plural}}.update(request.params.id, value);
+  });
+
+  app.delete('/:id', { schema: { params: idParams } }, async (request, reply) => {
+    if (!{{entity.camel_plural}}.get(request.params.id)) {
+      return reply.code(404).send({ error: '{{entity.label}} not found' });
+    }
+{{#each entity.children as child}}
+    if (app.db.{{child.camel_plural}}.list({ {{child.field}}: request.params.id }).length > 0) {
+      return reply.code(409).send({ error: '{{entity.label}} still has {{child.words_plural}}' });
+    }
+{{/each}}
+    {{entity.camel_plural}}.remove(request.params.id);
+    return reply.code(204).send();
+  });
+}
+
+module.exports = {{entity.camel_plural}}Routes;
@@ -0,0 +1,32 @@
+// Fields of {{entity.article}} {{entity.words}} as accepted in request bodies
+const properties = {
+{{#each entity.fields as field}}
+  {{field.name}}: { type: '{{field.json_type}}'{{#if field.is_string}}, minLength: 1{{/if}}{{#if field.is_email}}, format: 'email'{{/if}}{{#if field.is_url}}, format: 'uri'{{/if}}{{#if field.is_date}}, format: 'date'{{/if}} }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+const {{entity.camel}}Body = {
+  type: 'object',
+  properties,
+  required: [{{#each entity.required_fields}}'{{this}}'{{#unless last}}, {{/unless}}{{/each}}]
+};
+
+// {{entity.label}} as returned by the API; optional fields may be null
+const {{entity.camel}}Schema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+{{#each entity.fields as field}}
+    {{field.name}}: { type: {{#if field.required}}'{{field.json_type}}'{{else}}['{{field.json_type}}', 'null']{{/if}} },
+{{/each}}
+    created_at: { type: 'string' }
+  }
+};
+
+// Filters of the list route: any field, compared for equality
+const {{entity.camel}}Query = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(properties).map(([name, { type }]) => [name, { type }]))
+};
+
+module.exports = { {{entity.camel}}Body, {{entity.camel}}Schema, {{entity.camel}}Query };
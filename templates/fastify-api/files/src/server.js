@@ -0,0 +1,9 @@
+const buildApp = require('./app');
+const config = require('./config');
+
+const app = buildApp({ logger: config.env !== 'test' });
+
+app.listen({ port: config.port, host: config.host }).catch(error => {
+  app.log.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+const buildApp = require('../src/app');
+const { {{entity.camel}}Payload{{#if entity.has_children}}, create{{entity.pascal}}{{/if}} } = require('./helpers');
+
+describe('{{entity.words_plural}} API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('creates, reads, updates and deletes {{entity.article}} {{entity.words}}', async () => {
+    const payload = await {{entity.camel}}Payload(app);
+    const created = await app.inject({ method: 'POST', url: '/api/{{entity.kebab_plural}}', payload });
+    expect(created.statusCode).toBe(201);
+    expect(created.json()).toMatchObject(payload);
+    const { id } = created.json();
+
+    const list = await app.inject({ method: 'GET', url: '/api/{{entity.kebab_plural}}' });
+    expect(list.json().map(record => record.id)).toContain(id);
+
+    expect((await app.inject({ method: 'GET', url: `/api/{{entity.kebab_plural}}/${id}` })).statusCode).toBe(200);
+    expect((await app.inject({ method: 'PUT', url: `/api/{{entity.kebab_plural}}/${id}`, payload })).statusCode).toBe(200);
+    expect((await app.inject({ method: 'DELETE', url: `/api/{{entity.kebab_plural}}/${id}` })).statusCode).toBe(204);
+    expect((await app.inject({ method: 'GET', url: `/api/{{entity.kebab_plural}}/${id}` })).statusCode).toBe(404);
+  });
+
+  test('rejects {{entity.article}} {{entity.words}} without its required fields', async () => {
+    const response = await app.inject({ method: 'POST', url: '/api/{{entity.kebab_plural}}', payload: {} });
+    expect(response.statusCode).toBe(400);
+  });
+{{#each entity.parents as parent}}
+
+  test('rejects {{entity.article}} {{entity.words}} referencing a missing {{parent.words}}', async () => {
+    const payload = { ...(await {{entity.camel}}Payload(app)), {{parent.field}}: 9999 };
+    const response = await app.inject({ method: 'POST', url: '/api/{{entity.kebab_plural}}', payload });
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error).toBe('{{parent.field}} does not reference an existing {{parent.words}}');
+  });
+{{/each}}
+{{#each entity.children as child}}
+
+  test('lists the {{child.words_plural}} of {{entity.article}} {{entity.words}}', async () => {
+    const {{entity.camel}} = await create{{entity.pascal}}(app);
+    const response = await app.inject({ method: 'GET', url: `/api/{{entity.kebab_plural}}/${{{entity.camel}}.id}/{{child.kebab_plural}}` });
+    expect(response.json()).toEqual([]);
+  });
+{{/each}}
+});
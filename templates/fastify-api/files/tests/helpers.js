@@ -0,0 +1,32 @@
+{{#each entities as entity}}
+/**
+ * Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+ * @param {FastifyInstance} app - Application
+ * @returns {Promise<Object>} Request body
+ */
+async function {{entity.camel}}Payload(app) {
+  return {
+{{#each entity.fields as field}}
+    {{field.name}}: {{#if field.is_reference}}(await create{{field.reference.pascal}}(app)).id{{else}}{{field.sample}}{{/if}}{{#unless last}},{{/unless}}
+{{/each}}
+  };
+}
+
+/**
+ * Create {{entity.article}} {{entity.words}} through the API
+ * @param {FastifyInstance} app - Application
+ * @returns {Promise<Object>} Created {{entity.words}}
+ */
+async function create{{entity.pascal}}(app) {
+  const response = await app.inject({ method: 'POST', url: '/api/{{entity.kebab_plural}}', payload: await {{entity.camel}}Payload(app) });
+  expect(response.statusCode).toBe(201);
+  return response.json();
+}
+
+{{/each}}
+module.exports = {
+{{#each entities as entity}}
+  {{entity.camel}}Payload,
+  create{{entity.pascal}}{{#unless last}},{{/unless}}
+{{/each}}
+};
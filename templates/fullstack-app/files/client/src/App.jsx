@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react';
+import { RESOURCES } from '@{{project_name}}/shared';
+import { createRecord, deleteRecord, listRecords, updateRecord } from './api.js';
+import ResourcePanel from './components/ResourcePanel.jsx';
+import './App.css';
+
+const RESOURCE_NAMES = Object.keys(RESOURCES);
+
+function App() {
+  const [records, setRecords] = useState(() => Object.fromEntries(RESOURCE_NAMES.map(name => [name, []])));
+  const [active, setActive] = useState(RESOURCE_NAMES[0]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Every list is loaded up front: forms offer referenced records in select boxes
+  useEffect(() => {
+    Promise.all(RESOURCE_NAMES.map(async name => [name, await listRecords(name)]))
+      .then(lists => setRecords(Object.fromEntries(lists)))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const create = async (resource, data) => {
+    const record = await createRecord(resource, data);
+    setRecords(current => ({ ...current, [resource]: [...current[resource], record] }));
+  };
+
+  const update = async (resource, id, data) => {
+    const record = await updateRecord(resource, id, data);
+    setRecords(current => ({ ...current, [resource]: current[resource].map(other => (other.id === id ? record : other)) }));
+  };
+
+  const remove = async (resource, id) => {
+    try {
+      await deleteRecord(resource, id);
+      setRecords(current => ({ ...current, [resource]: current[resource].filter(record => record.id !== id) }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>{{entity_labels}}</h1>
+      </header>
+      {RESOURCE_NAMES.length > 1 && (
+        <nav>
+          {RESOURCE_NAMES.map(name => (
+            <button key={name} className={name === active ? 'active' : undefined} onClick={() => setActive(name)}>
+              {RESOURCES[name].labelPlural}
+            </button>
+          ))}
+        </nav>
+      )}
+      <main>
+        {error && <p className="error">{error}</p>}
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : (
+          <ResourcePanel
+            key={active}
+            resource={active}
+            records={records}
+            onCreate={create}
+            onUpdate={update}
+            onDelete={remove}
+          />
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,57 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, test } from 'vitest';
+import { RESOURCES, ROUTES } from '@{{project_name}}/shared';
+import App from './App.jsx';
+import { fillForm, mockApi, sampleRecords, SAMPLES } from './test/helpers.js';
+
+const { label, displayField } = RESOURCES.{{primary.camel_plural}};
+const sample = SAMPLES.{{primary.camel_plural}};
+
+describe('App', () => {
+  test('lists the {{primary.words_plural}} of the API', async () => {
+    mockApi({ {{primary.camel_plural}}: [{ id: 1, ...sample }] });
+    render(<App />);
+
+    expect(await screen.findByText(sample[displayField])).toBeInTheDocument();
+  });
+
+  test('adds {{primary.article}} {{primary.words}} through the form', async () => {
+    const fetch = mockApi({ ...sampleRecords(), {{primary.camel_plural}}: [] });
+    render(<App />);
+    await screen.findByText('No {{primary.words_plural}} yet.');
+
+    fillForm('{{primary.camel_plural}}');
+    fireEvent.click(screen.getByRole('button', { name: `Add ${label}` }));
+
+    expect(await screen.findByText(sample[displayField])).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(ROUTES.{{primary.camel_plural}}.list, expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify(sample)
+    }));
+  });
+
+  test('shows why a delete failed and keeps the record', async () => {
+    const fetch = mockApi({ {{primary.camel_plural}}: [{ id: 1, ...sample }] });
+    render(<App />);
+    const button = await screen.findByRole('button', { name: 'Delete' });
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 409, json: async () => ({ error: `${label} is in use` }) });
+    fireEvent.click(button);
+
+    expect(await screen.findByText(`${label} is in use`)).toBeInTheDocument();
+    expect(screen.getByText(sample[displayField])).toBeInTheDocument();
+  });
+{{#each entities as entity}}
+{{#unless first}}
+
+  test('shows the {{entity.words_plural}} on their tab', async () => {
+    mockApi();
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: RESOURCES.{{entity.camel_plural}}.labelPlural }));
+
+    expect(await screen.findByRole('heading', { name: RESOURCES.{{entity.camel_plural}}.labelPlural })).toBeInTheDocument();
+    expect(screen.getByText('No {{entity.words_plural}} yet.')).toBeInTheDocument();
+  });
+{{/unless}}
+{{/each}}
+});
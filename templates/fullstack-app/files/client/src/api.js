@@ -0,0 +1,23 @@
+import { ROUTES } from '@{{project_name}}/shared';
+
+// Client of the API, using the routes of the shared contract
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+export const listRecords = resource => request(ROUTES[resource].list);
+
+export const createRecord = (resource, data) => request(ROUTES[resource].list, { method: 'POST', body: JSON.stringify(data) });
+
+export const updateRecord = (resource, id, data) => request(ROUTES[resource].item(id), { method: 'PUT', body: JSON.stringify(data) });
+
+export const deleteRecord = (resource, id) => request(ROUTES[resource].item(id), { method: 'DELETE' });
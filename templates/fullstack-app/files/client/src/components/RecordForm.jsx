@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { RESOURCES, validate } from '@{{project_name}}/shared';
+
+/**
+ * Input values of a form showing a record, empty without one
+ * @param {Object} fields - Fields of the resource
+ * @param {Object|null} record - Record to edit
+ * @returns {Object} Input values by field name
+ */
+function toInputs(fields, record) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => {
+    const value = record ? record[name] : null;
+    return [name, field.type === 'boolean' ? Boolean(value) : (value == null ? '' : String(value))];
+  }));
+}
+
+/**
+ * Request body of the input values, typed as the shared contract expects
+ * @param {Object} fields - Fields of the resource
+ * @param {Object} inputs - Input values by field name
+ * @returns {Object} Request body
+ */
+function fromInputs(fields, inputs) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => {
+    const input = inputs[name];
+    if (field.type === 'boolean') return [name, input];
+    if (input === '') return [name, null];
+    if (field.type === 'integer' || field.type === 'number') return [name, Number(input)];
+    return [name, input];
+  }));
+}
+
+// Form creating or editing a record, with an input per field of the resource
+function RecordForm({ resource, record = null, records, onSubmit, onCancel }) {
+  const { label, fields } = RESOURCES[resource];
+  const [inputs, setInputs] = useState(() => toInputs(fields, record));
+  const [errors, setErrors] = useState([]);
+
+  const setInput = (name, value) => setInputs({ ...inputs, [name]: value });
+
+  const submit = async (e) => {
+    e.preventDefault();
+
+    // Same check as the server, so most mistakes never reach it
+    const { value, errors: invalid } = validate(resource, fromInputs(fields, inputs));
+    if (invalid.length > 0) {
+      setErrors(invalid);
+      return;
+    }
+
+    try {
+      await onSubmit(value);
+      setInputs(toInputs(fields, null));
+      setErrors([]);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  return (
+    <form className="record-form" onSubmit={submit}>
+      {Object.entries(fields).map(([name, field]) => (
+        <label key={name} className={field.input === 'checkbox' ? 'checkbox' : undefined}>
+          <span>{field.label}{field.required && ' *'}</span>
+          {field.references ? (
+            <select value={inputs[name]} onChange={(e) => setInput(name, e.target.value)}>
+              <option value="">Choose {RESOURCES[field.references].label.toLowerCase()}</option>
+              {records[field.references].map(option => (
+                <option key={option.id} value={option.id}>
+                  {option[RESOURCES[field.references].displayField]}
+                </option>
+              ))}
+            </select>
+          ) : field.input === 'textarea' ? (
+            <textarea value={inputs[name]} onChange={(e) => setInput(name, e.target.value)} />
+          ) : field.input === 'checkbox' ? (
+            <input type="checkbox" checked={inputs[name]} onChange={(e) => setInput(name, e.target.checked)} />
+          ) : (
+            <input
+              type={field.input}
+              step={field.type === 'number' ? 'any' : undefined}
+              value={inputs[name]}
+              onChange={(e) => setInput(name, e.target.value)}
+            />
+          )}
+        </label>
+      ))}
+
+      {errors.map(error => <p key={error} className="error">{error}</p>)}
+
+      <div className="actions">
+        <button type="submit">{record ? 'Save' : `Add ${label}`}</button>
+        {onCancel && <button type="button" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+
+export default RecordForm;
@@ -0,0 +1,44 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, test, vi } from 'vitest';
+import { RESOURCES, validate } from '@{{project_name}}/shared';
+import RecordForm from './RecordForm.jsx';
+import { fillForm, sampleRecords, SAMPLES } from '../test/helpers.js';
+
+describe.each(Object.keys(RESOURCES))('RecordForm of %s', resource => {
+  const { label } = RESOURCES[resource];
+
+  test('submits the typed values', async () => {
+    const onSubmit = vi.fn();
+    render(<RecordForm resource={resource} records={sampleRecords()} onSubmit={onSubmit} />);
+
+    fillForm(resource);
+    fireEvent.click(screen.getByRole('button', { name: `Add ${label}` }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith(SAMPLES[resource]));
+  });
+
+  test('checks the values with the shared contract before sending them', async () => {
+    const onSubmit = vi.fn();
+    render(<RecordForm resource={resource} records={sampleRecords()} onSubmit={onSubmit} />);
+
+    fireEvent.click(screen.getByRole('button', { name: `Add ${label}` }));
+
+    for (const error of validate(resource, {}).errors) {
+      expect(await screen.findByText(error)).toBeInTheDocument();
+    }
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  test('saves the record being edited or cancels', async () => {
+    const record = { id: 1, ...SAMPLES[resource] };
+    const onSubmit = vi.fn();
+    const onCancel = vi.fn();
+    render(<RecordForm resource={resource} record={record} records={sampleRecords()} onSubmit={onSubmit} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith(SAMPLES[resource]));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { RESOURCES } from '@{{project_name}}/shared';
+import RecordForm from './RecordForm.jsx';
+
+// List of the records of a resource with forms adding and editing them
+function ResourcePanel({ resource, records, onCreate, onUpdate, onDelete }) {
+  const { labelPlural, displayField, fields } = RESOURCES[resource];
+  const [editing, setEditing] = useState(null);
+
+  // Referenced records are shown by their display field, booleans as Yes or No
+  const describe = (name, value) => {
+    const field = fields[name];
+    if (field.references) {
+      const parent = records[field.references].find(record => record.id === value);
+      return parent ? parent[RESOURCES[field.references].displayField] : value;
+    }
+    if (field.type === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    return value;
+  };
+
+  const details = record => Object.keys(fields)
+    .filter(name => name !== displayField && record[name] != null && record[name] !== '')
+    .map(name => `${fields[name].label}: ${describe(name, record[name])}`)
+    .join(' · ');
+
+  const update = async (data) => {
+    await onUpdate(resource, editing.id, data);
+    setEditing(null);
+  };
+
+  return (
+    <section>
+      <h2>{labelPlural}</h2>
+
+      {editing ? (
+        <RecordForm
+          key={editing.id}
+          resource={resource}
+          record={editing}
+          records={records}
+          onSubmit={update}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <RecordForm key="new" resource={resource} records={records} onSubmit={data => onCreate(resource, data)} />
+      )}
+
+      {records[resource].length === 0 ? (
+        <p>No {labelPlural.toLowerCase()} yet.</p>
+      ) : (
+        <ul>
+          {records[resource].map(record => (
+            <li key={record.id}>
+              <div>
+                <strong>{record[displayField]}</strong>
+                <small>{details(record)}</small>
+              </div>
+              <div className="actions">
+                <button onClick={() => setEditing(record)}>Edit</button>
+                <button onClick={() => onDelete(resource, record.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default ResourcePanel;
@@ -0,0 +1,72 @@
+import { fireEvent, screen } from '@testing-library/react';
+import { vi } from 'vitest';
+import { RESOURCES, ROUTES } from '@{{project_name}}/shared';
+
+// A valid request body of each resource; references point at records with id 1
+export const SAMPLES = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: {
+{{#each entity.fields as field}}
+    {{field.name}}: {{field.sample}}{{#unless last}},{{/unless}}
+{{/each}}
+  }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+/**
+ * A record with id 1 of every resource, so references to it can be chosen
+ * @returns {Object} Records of each resource
+ */
+export function sampleRecords() {
+  return Object.fromEntries(Object.keys(RESOURCES).map(name => [name, [{ id: 1, ...SAMPLES[name] }]]));
+}
+
+/**
+ * Answer the requests of the app from records kept in memory, as the server does
+ * @param {Object} records - Records of each resource, such as {{{primary.camel_plural}}: [...]}
+ * @returns {Function} The fetch mock, to check the requests sent
+ */
+export function mockApi(records = {}) {
+  const reply = (status, body = null) => ({ ok: status < 400, status, json: async () => body });
+
+  const fetch = vi.fn(async (url, options = {}) => {
+    const resource = Object.keys(RESOURCES).find(name => url === ROUTES[name].list || url.startsWith(`${ROUTES[name].list}/`));
+    const list = records[resource] = records[resource] || [];
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    switch (options.method || 'GET') {
+      case 'POST': {
+        const record = { id: Math.max(0, ...list.map(other => other.id)) + 1, ...body };
+        list.push(record);
+        return reply(201, record);
+      }
+      case 'PUT':
+        return reply(200, { id: Number(url.split('/').pop()), ...body });
+      case 'DELETE':
+        return reply(204);
+      default:
+        return reply(200, [...list]);
+    }
+  });
+
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+/**
+ * Fill the form of a resource, the only one on screen
+ * @param {string} resource - Resource name, a key of RESOURCES
+ * @param {Object} values - Values by field name
+ */
+export function fillForm(resource, values = SAMPLES[resource]) {
+  for (const [name, field] of Object.entries(RESOURCES[resource].fields)) {
+    const input = screen.getByLabelText(new RegExp(`^${field.label}( \\*)?$`));
+    if (field.type === 'boolean') {
+      if (input.checked !== values[name]) {
+        fireEvent.click(input);
+      }
+    } else {
+      fireEvent.change(input, { target: { value: values[name] == null ? '' : String(values[name]) } });
+    }
+  }
+}
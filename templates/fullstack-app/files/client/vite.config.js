@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import { API_PREFIX } from '@{{project_name}}/shared';
+
+export default defineConfig({
+  plugins: [react()],
+  server: {
+    // Forward API calls to the server workspace during development
+    proxy: {
+      [API_PREFIX]: `http://localhost:${process.env.PORT || {{port}}}`
+    }
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js'
+  }
+});
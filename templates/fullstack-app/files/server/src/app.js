@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { API_PREFIX } from '@{{project_name}}/shared';
+import config from './config.js';
+{{#each entities as entity}}
+import {{entity.camel_plural}}Router from './routes/{{entity.kebab_plural}}.js';
+{{/each}}
+
+const app = express();
+
+app.use(express.json());
+
+app.get(`${API_PREFIX}/health`, (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+{{#each entities as entity}}
+app.use({{entity.camel_plural}}Router);
+{{/each}}
+
+app.use(API_PREFIX, (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Serve the built client, if any, and let it handle its own routes
+if (fs.existsSync(config.clientDist)) {
+  app.use(express.static(config.clientDist));
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(config.clientDist, 'index.html'));
+  });
+}
+
+// Errors thrown by route handlers
+app.use((err, req, res, next) => {
+  console.error(err);
+  res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+});
+
+export default app;
@@ -0,0 +1,13 @@
+// Settings read from the environment and .env, see .env.example
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export default {
+  port: Number(process.env.PORT) || {{port}},
+  env: process.env.NODE_ENV || 'development',
+  // Built client served by the API server in production
+  clientDist: path.resolve(dirname, '../../client/dist')
+};
@@ -0,0 +1,10 @@
+import { createStore } from './store.js';
+
+// One in-memory store per resource of the shared contract
+const db = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: createStore(){{#unless last}},{{/unless}}
+{{/each}}
+};
+
+export default db;
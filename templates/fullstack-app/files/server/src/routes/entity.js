@@ -0,0 +1,70 @@
+import express from 'express';
+import { ROUTES, parseFilters, validate } from '@{{project_name}}/shared';
+import db from '../db.js';
+
+const router = express.Router();
+
+/**
+ * Validate {{entity.article}} {{entity.words}} against the shared contract{{#if entity.has_parents}} and check that the records it references exist{{/if}}
+ * @param {Object} body - Request body
+ * @returns {Object} Clean values and error messages as {value, errors}
+ */
+function check{{entity.pascal}}(body) {
+  const { value, errors } = validate('{{entity.camel_plural}}', body);
+{{#each entity.parents as parent}}
+  if (value.{{parent.field}} != null && !db.{{parent.camel_plural}}.get(value.{{parent.field}})) {
+    errors.push('{{parent.field}} does not reference an existing {{parent.words}}');
+  }
+{{/each}}
+  return { value, errors };
+}
+
+// GET all {{entity.words_plural}}, filtered by any field given as a query parameter
+router.get(ROUTES.{{entity.camel_plural}}.list, (req, res) => {
+  res.json(db.{{entity.camel_plural}}.list(parseFilters('{{entity.camel_plural}}', req.query)));
+});
+
+// GET {{entity.article}} {{entity.words}} by id
+router.get(ROUTES.{{entity.camel_plural}}.item(), (req, res) => {
+  const {{entity.camel}} = db.{{entity.camel_plural}}.get(req.params.id);
+  if (!{{entity.camel}}) return res.status(404).json({ error: '{{entity.label}} not found' });
+  res.json({{entity.camel}});
+});
+{{#each entity.children as child}}
+
+// GET the {{child.words_plural}} of {{entity.article}} {{entity.words}}
+router.get(ROUTES.{{entity.camel_plural}}.{{child.camel_plural}}(), (req, res) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+  res.json(db.{{child.camel_plural}}.list({ {{child.field}}: Number(req.params.id) }));
+});
+{{/each}}
+
+// POST a new {{entity.words}}
+router.post(ROUTES.{{entity.camel_plural}}.list, (req, res) => {
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join(', '), errors });
+  res.status(201).json(db.{{entity.camel_plural}}.create(value));
+});
+
+// PUT replaces {{entity.article}} {{entity.words}}
+router.put(ROUTES.{{entity.camel_plural}}.item(), (req, res) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join(', '), errors });
+  res.json(db.{{entity.camel_plural}}.update(req.params.id, value));
+});
+
+// DELETE {{entity.article}} {{entity.words}}
+router.delete(ROUTES.{{entity.camel_plural}}.item(), (req, res) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) return res.status(404).json({ error: '{{entity.label}} not found' });
+{{#each entity.children as child}}
+  if (db.{{child.camel_plural}}.list({ {{child.field}}: Number(req.params.id) }).length > 0) {
+    return res.status(409).json({ error: '{{entity.label}} still has {{child.words_plural}}' });
+  }
+{{/each}}
+  db.{{entity.camel_plural}}.remove(req.params.id);
+  res.status(204).send();
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import request from 'supertest';
+import { ROUTES } from '@{{project_name}}/shared';
+import app from '../src/app.js';
+import { {{entity.camel}}Payload{{#if entity.has_children}}, create{{entity.pascal}}{{/if}} } from './helpers.js';
+
+const routes = ROUTES.{{entity.camel_plural}};
+
+test('creates, reads, updates and deletes {{entity.article}} {{entity.words}}', async () => {
+  const payload = await {{entity.camel}}Payload();
+  const created = await request(app).post(routes.list).send(payload).expect(201);
+  assert.deepEqual({ ...created.body, ...payload }, created.body);
+
+  const list = await request(app).get(routes.list).expect(200);
+  assert.ok(list.body.some(record => record.id === created.body.id));
+
+  await request(app).get(routes.item(created.body.id)).expect(200);
+  await request(app).put(routes.item(created.body.id)).send(payload).expect(200);
+  await request(app).delete(routes.item(created.body.id)).expect(204);
+  await request(app).get(routes.item(created.body.id)).expect(404);
+});
+
+test('rejects {{entity.words_plural}} the shared contract considers invalid', async () => {
+  const response = await request(app).post(routes.list).send({}).expect(400);
+  assert.deepEqual(response.body.errors, [{{#each entity.required_fields}}'{{this}} is required'{{#unless last}}, {{/unless}}{{/each}}]);
+});
+{{#each entity.parents as parent}}
+
+test('rejects {{entity.article}} {{entity.words}} referencing a missing {{parent.words}}', async () => {
+  const payload = { ...(await {{entity.camel}}Payload()), {{parent.field}}: 9999 };
+  const response = await request(app).post(routes.list).send(payload).expect(400);
+  assert.deepEqual(response.body.errors, ['{{parent.field}} does not reference an existing {{parent.words}}']);
+});
+{{/each}}
+{{#each entity.children as child}}
+
+test('lists the {{child.words_plural}} of {{entity.article}} {{entity.words}}', async () => {
+  const {{entity.camel}} = await create{{entity.pascal}}();
+  const response = await request(app).get(routes.{{child.camel_plural}}({{entity.camel}}.id)).expect(200);
+  assert.deepEqual(response.body, []);
+});
+{{/each}}
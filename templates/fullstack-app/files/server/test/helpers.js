@@ -0,0 +1,26 @@
+import request from 'supertest';
+import { ROUTES } from '@{{project_name}}/shared';
+import app from '../src/app.js';
+{{#each entities as entity}}
+
+/**
+ * Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+ * @returns {Promise<Object>} Request body
+ */
+export async function {{entity.camel}}Payload() {
+  return {
+{{#each entity.fields as field}}
+    {{field.name}}: {{#if field.is_reference}}(await create{{field.reference.pascal}}()).id{{else}}{{field.sample}}{{/if}}{{#unless last}},{{/unless}}
+{{/each}}
+  };
+}
+
+/**
+ * Create {{entity.article}} {{entity.words}} through the API
+ * @returns {Promise<Object>} Created {{entity.words}}
+ */
+export async function create{{entity.pascal}}() {
+  const response = await request(app).post(ROUTES.{{entity.camel_plural}}.list).send(await {{entity.camel}}Payload()).expect(201);
+  return response.body;
+}
+{{/each}}
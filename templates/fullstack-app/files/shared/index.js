@@ -0,0 +1,125 @@
+// API contract shared by the server and the client. Both sides import the
+// resources, routes and validation from here, so they cannot drift apart.
+{{#each entities as entity}}
+
+/**
+ * @typedef {Object} {{entity.pascal}}
+ * @property {number} id - Identifier assigned by the server
+{{#each entity.fields as field}}
+ * @property {{{field.ts_type}}{{#if field.optional}}{{#unless field.is_boolean}}|null{{/unless}}{{/if}}} {{field.name}} - {{field.label}}{{#if field.is_reference}} (id of {{field.reference.article}} {{field.reference.words}}){{/if}}
+{{/each}}
+ * @property {string} created_at - Creation time as an ISO 8601 string
+ */
+{{/each}}
+
+export const API_PREFIX = '/api';
+
+// Resources of the API by name: labels, the field naming a record and the
+// fields a request body may set (references name the resource they point to)
+export const RESOURCES = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: {
+    label: '{{entity.label}}',
+    labelPlural: '{{entity.label_plural}}',
+    displayField: '{{entity.display_field}}',
+    fields: {
+{{#each entity.fields as field}}
+      {{field.name}}: { label: '{{field.label}}', type: '{{field.type}}', input: '{{field.input_type}}', required: {{field.required}}{{#if field.is_reference}}, references: '{{field.reference.camel_plural}}'{{/if}} }{{#unless last}},{{/unless}}
+{{/each}}
+    }
+  }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+// Paths of each resource; call item() without an id for the route pattern
+export const ROUTES = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: {
+    list: `${API_PREFIX}/{{entity.kebab_plural}}`,
+    item: (id = ':id') => `${API_PREFIX}/{{entity.kebab_plural}}/${id}`{{#if entity.has_children}},{{/if}}
+{{#each entity.children as child}}
+    {{child.camel_plural}}: (id = ':id') => `${API_PREFIX}/{{entity.kebab_plural}}/${id}/{{child.kebab_plural}}`{{#unless last}},{{/unless}}
+{{/each}}
+  }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+// Check and description of each field type
+const TYPES = {
+  string: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+  text: [value => typeof value === 'string', 'a string'],
+  email: [value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'an email address'],
+  url: [value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value), 'an http(s) URL'],
+  date: [value => typeof value === 'string' && !Number.isNaN(Date.parse(value)), 'a date such as 2024-01-31'],
+  integer: [value => Number.isInteger(value), 'an integer'],
+  number: [value => typeof value === 'number' && Number.isFinite(value), 'a number'],
+  boolean: [value => typeof value === 'boolean', 'true or false']
+};
+
+export const MAX_STRING_LENGTH = 200;
+
+/**
+ * Validate a request body against the fields of a resource. Unknown
+ * properties are dropped; missing optional fields become null (false for
+ * booleans).
+ * @param {string} resource - Resource name, a key of RESOURCES
+ * @param {Object} body - Request body
+ * @returns {{value: Object, errors: Array<string>}} Clean values and error messages
+ */
+export function validate(resource, body) {
+  const value = {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(RESOURCES[resource].fields)) {
+    const input = body ? body[name] : undefined;
+
+    if (input === undefined || input === null || input === '') {
+      if (field.required) {
+        errors.push(`${name} is required`);
+      } else {
+        value[name] = field.type === 'boolean' ? false : null;
+      }
+      continue;
+    }
+
+    const [check, description] = TYPES[field.type];
+    if (!check(input)) {
+      errors.push(`${name} must be ${description}`);
+      continue;
+    }
+    if (field.type === 'string' && input.trim().length > MAX_STRING_LENGTH) {
+      errors.push(`${name} must be at most ${MAX_STRING_LENGTH} characters`);
+      continue;
+    }
+
+    value[name] = typeof input === 'string' ? input.trim() : input;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Read list filters from query parameters naming fields: ?author_id=1&completed=true
+ * @param {string} resource - Resource name, a key of RESOURCES
+ * @param {Object} query - Query parameters
+ * @returns {Object} Field values to match
+ */
+export function parseFilters(resource, query) {
+  const fields = RESOURCES[resource].fields;
+  const filters = {};
+
+  for (const [name, raw] of Object.entries(query)) {
+    const field = fields[name];
+    if (!field || typeof raw !== 'string') continue;
+
+    if (field.type === 'boolean') {
+      filters[name] = raw === 'true';
+    } else if (field.type === 'integer' || field.type === 'number') {
+      filters[name] = Number(raw);
+    } else {
+      filters[name] = raw;
+    }
+  }
+
+  return filters;
+}
@@ -0,0 +1,59 @@
+package main
+
+import (
+	"encoding/json"
+	"net/http"
+	"strconv"
+	"strings"
+)
+
+// API holds the records of every entity
+type API struct {
+{{#each entities as entity}}
+	{{entity.go_store_column}} *Store[{{entity.pascal}}]
+{{/each}}
+}
+
+// NewAPI creates an API with empty stores
+func NewAPI() *API {
+	api := &API{}
+{{#each entities as entity}}
+	api.{{entity.camel_plural}} = NewStore[{{entity.pascal}}]()
+{{/each}}
+	return api
+}
+
+// Routes returns the handler serving every route of the API
+func (api *API) Routes() http.Handler {
+	mux := http.NewServeMux()
+	mux.HandleFunc("/api/health", func(w http.ResponseWriter, r *http.Request) {
+		writeJSON(w, http.StatusOK, map[string]string{"status": "ok"})
+	})
+{{#each entities as entity}}
+	mux.HandleFunc("/api/{{entity.kebab_plural}}", api.handle{{entity.pascal_plural}})
+	mux.HandleFunc("/api/{{entity.kebab_plural}}/", api.handle{{entity.pascal}})
+{{/each}}
+	return mux
+}
+
+// splitPath returns the id and the rest of a path below a prefix:
+// /api/authors/1/books gives 1 and "books"
+func splitPath(path, prefix string) (int, string, bool) {
+	id, rest, _ := strings.Cut(strings.TrimPrefix(path, prefix), "/")
+	number, err := strconv.Atoi(id)
+	return number, rest, err == nil
+}
+
+func writeJSON(w http.ResponseWriter, status int, value any) {
+	w.Header().Set("Content-Type", "application/json")
+	w.WriteHeader(status)
+	json.NewEncoder(w).Encode(value)
+}
+
+func writeError(w http.ResponseWriter, status int, message string) {
+	writeJSON(w, status, map[string]string{"error": message})
+}
+
+func writeErrors(w http.ResponseWriter, errors []string) {
+	writeJSON(w, http.StatusBadRequest, map[string]any{"error": strings.Join(errors, ", "), "errors": errors})
+}
@@ -0,0 +1,79 @@
+package main
+
+import (
+	"bytes"
+	"encoding/json"
+	"io"
+	"net/http"
+	"net/http/httptest"
+	"testing"
+)
+
+// request sends a request with a JSON body, nil for none, to the routes of the API
+func request(t *testing.T, routes http.Handler, method, path string, body any) *httptest.ResponseRecorder {
+	t.Helper()
+	var reader io.Reader
+	if body != nil {
+		data, err := json.Marshal(body)
+		if err != nil {
+			t.Fatal(err)
+		}
+		reader = bytes.NewReader(data)
+	}
+	recorder := httptest.NewRecorder()
+	routes.ServeHTTP(recorder, httptest.NewRequest(method, path, reader))
+	return recorder
+}
+
+// decode reads the JSON body of a response
+func decode[T any](t *testing.T, recorder *httptest.ResponseRecorder) T {
+	t.Helper()
+	var value T
+	if err := json.Unmarshal(recorder.Body.Bytes(), &value); err != nil {
+		t.Fatalf("decoding %q: %v", recorder.Body.String(), err)
+	}
+	return value
+}
+
+// errorsOf returns the problems a response with status 400 lists
+func errorsOf(t *testing.T, recorder *httptest.ResponseRecorder) []string {
+	t.Helper()
+	if recorder.Code != http.StatusBadRequest {
+		t.Fatalf("status %d, want %d", recorder.Code, http.StatusBadRequest)
+	}
+	return decode[struct {
+		Errors []string `json:"errors"`
+	}](t, recorder).Errors
+}
+{{#each entities as entity}}
+
+// {{entity.camel}}Payload returns valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+func {{entity.camel}}Payload(t *testing.T, routes http.Handler) map[string]any {
+	payload := map[string]any{}
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+	payload["{{field.name}}"] = create{{field.reference.pascal}}(t, routes).ID
+{{else}}
+	payload["{{field.name}}"] = {{field.sample_json}}
+{{/if}}
+{{/each}}
+	return payload
+}
+
+// create{{entity.pascal}} creates {{entity.article}} {{entity.words}} through the API
+func create{{entity.pascal}}(t *testing.T, routes http.Handler) {{entity.pascal}} {
+	t.Helper()
+	recorder := request(t, routes, http.MethodPost, "/api/{{entity.kebab_plural}}", {{entity.camel}}Payload(t, routes))
+	if recorder.Code != http.StatusCreated {
+		t.Fatalf("creating {{entity.article}} {{entity.words}}: status %d: %s", recorder.Code, recorder.Body)
+	}
+	return decode[{{entity.pascal}}](t, recorder)
+}
+{{/each}}
+
+func TestHealth(t *testing.T) {
+	recorder := request(t, NewAPI().Routes(), http.MethodGet, "/api/health", nil)
+	if recorder.Code != http.StatusOK {
+		t.Errorf("status %d, want %d", recorder.Code, http.StatusOK)
+	}
+}
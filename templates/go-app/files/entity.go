@@ -0,0 +1,112 @@
+package main
+
+import (
+	"net/http"
+{{#if entity.has_children}}
+	"net/url"
+	"strconv"
+{{/if}}
+	"time"
+)
+
+// {{entity.pascal}} is a record of the API
+type {{entity.pascal}} struct {
+	Record
+{{#each entity.fields as field}}
+	{{field.go_column}} `json:"{{field.name}}"`
+{{/each}}
+}
+
+// read{{entity.pascal}} validates the fields of {{entity.article}} {{entity.words}} in a request body{{#if entity.has_parents}} and
+// checks that the records it references exist{{/if}}
+func (api *API) read{{entity.pascal}}(r *http.Request) ({{entity.pascal}}, []string) {
+	var {{entity.camel}} {{entity.pascal}}
+	input := readInput(r)
+	if len(input.errors) > 0 {
+		return {{entity.camel}}, input.errors
+	}
+{{#each entity.fields as field}}
+	if value := readField[{{field.go_type}}](input, "{{field.name}}", "{{field.type}}", {{field.required}}); value != nil {
+{{#if field.is_reference}}
+		if _, ok := api.{{field.reference.camel_plural}}.Get(*value); !ok {
+			input.errors = append(input.errors, "{{field.name}} does not reference an existing {{field.reference.words}}")
+		}
+{{/if}}
+		{{entity.camel}}.{{field.go_name}} = {{#if field.go_pointer}}value{{else}}*value{{/if}}
+	}
+{{/each}}
+	return {{entity.camel}}, input.errors
+}
+
+// handle{{entity.pascal_plural}} serves /api/{{entity.kebab_plural}}: GET lists the {{entity.words_plural}}, filtered by
+// any field given as a query parameter, and POST creates one
+func (api *API) handle{{entity.pascal_plural}}(w http.ResponseWriter, r *http.Request) {
+	switch r.Method {
+	case http.MethodGet:
+		writeJSON(w, http.StatusOK, api.{{entity.camel_plural}}.List(r.URL.Query()))
+	case http.MethodPost:
+		{{entity.camel}}, errors := api.read{{entity.pascal}}(r)
+		if len(errors) > 0 {
+			writeErrors(w, errors)
+			return
+		}
+		created := api.{{entity.camel_plural}}.Create(func(id int) {{entity.pascal}} {
+			{{entity.camel}}.ID = id
+			{{entity.camel}}.CreatedAt = time.Now().UTC()
+			return {{entity.camel}}
+		})
+		writeJSON(w, http.StatusCreated, created)
+	default:
+		writeError(w, http.StatusMethodNotAllowed, "Method not allowed")
+	}
+}
+
+// handle{{entity.pascal}} serves /api/{{entity.kebab_plural}}/{id}{{#each entity.children as child}} and /api/{{entity.kebab_plural}}/{id}/{{child.kebab_plural}}{{/each}}
+func (api *API) handle{{entity.pascal}}(w http.ResponseWriter, r *http.Request) {
+	id, rest, ok := splitPath(r.URL.Path, "/api/{{entity.kebab_plural}}/")
+	current, found := api.{{entity.camel_plural}}.Get(id)
+	if !ok || !found {
+		writeError(w, http.StatusNotFound, "{{entity.label}} not found")
+		return
+	}
+{{#each entity.children as child}}
+
+	// The {{child.words_plural}} of {{entity.article}} {{entity.words}}
+	if rest == "{{child.kebab_plural}}" && r.Method == http.MethodGet {
+		writeJSON(w, http.StatusOK, api.{{child.camel_plural}}.List(url.Values{"{{child.field}}": {strconv.Itoa(id)}}))
+		return
+	}
+{{/each}}
+	if rest != "" {
+		writeError(w, http.StatusNotFound, "Not found")
+		return
+	}
+
+	switch r.Method {
+	case http.MethodGet:
+		writeJSON(w, http.StatusOK, current)
+	case http.MethodPut:
+		{{entity.camel}}, errors := api.read{{entity.pascal}}(r)
+		if len(errors) > 0 {
+			writeErrors(w, errors)
+			return
+		}
+		updated, _ := api.{{entity.camel_plural}}.Update(id, func(current {{entity.pascal}}) {{entity.pascal}} {
+			{{entity.camel}}.ID = current.ID
+			{{entity.camel}}.CreatedAt = current.CreatedAt
+			return {{entity.camel}}
+		})
+		writeJSON(w, http.StatusOK, updated)
+	case http.MethodDelete:
+{{#each entity.children as child}}
+		if len(api.{{child.camel_plural}}.List(url.Values{"{{child.field}}": {strconv.Itoa(id)}})) > 0 {
+			writeError(w, http.StatusConflict, "{{entity.label}} still has {{child.words_plural}}")
+			return
+		}
+{{/each}}
+		api.{{entity.camel_plural}}.Delete(id)
+		w.WriteHeader(http.StatusNoContent)
+	default:
+		writeError(w, http.StatusMethodNotAllowed, "Method not allowed")
+	}
+}
@@ -0,0 +1,72 @@
+package main
+
+import (
+	"fmt"
+	"net/http"
+	"reflect"
+	"testing"
+)
+
+func Test{{entity.pascal}}CRUD(t *testing.T) {
+	routes := NewAPI().Routes()
+	payload := {{entity.camel}}Payload(t, routes)
+	{{entity.camel}} := create{{entity.pascal}}(t, routes)
+	path := fmt.Sprintf("/api/{{entity.kebab_plural}}/%d", {{entity.camel}}.ID)
+
+	steps := []struct {
+		method string
+		path   string
+		body   any
+		status int
+	}{
+		{http.MethodGet, "/api/{{entity.kebab_plural}}", nil, http.StatusOK},
+		{http.MethodGet, path, nil, http.StatusOK},
+		{http.MethodPut, path, payload, http.StatusOK},
+		{http.MethodDelete, path, nil, http.StatusNoContent},
+		{http.MethodGet, path, nil, http.StatusNotFound},
+	}
+	for _, step := range steps {
+		if recorder := request(t, routes, step.method, step.path, step.body); recorder.Code != step.status {
+			t.Errorf("%s %s: status %d, want %d: %s", step.method, step.path, recorder.Code, step.status, recorder.Body)
+		}
+	}
+}
+
+func TestRejects{{entity.pascal}}WithoutRequiredFields(t *testing.T) {
+	recorder := request(t, NewAPI().Routes(), http.MethodPost, "/api/{{entity.kebab_plural}}", map[string]any{})
+	want := []string{{{#each entity.required_fields}}"{{this}} is required"{{#unless last}}, {{/unless}}{{/each}}}
+	if errors := errorsOf(t, recorder); !reflect.DeepEqual(errors, want) {
+		t.Errorf("errors %q, want %q", errors, want)
+	}
+}
+{{#each entity.parents as parent}}
+
+func TestRejects{{entity.pascal}}ReferencingAMissing{{parent.pascal}}(t *testing.T) {
+	routes := NewAPI().Routes()
+	payload := {{entity.camel}}Payload(t, routes)
+	payload["{{parent.field}}"] = 9999
+	want := []string{"{{parent.field}} does not reference an existing {{parent.words}}"}
+	if errors := errorsOf(t, request(t, routes, http.MethodPost, "/api/{{entity.kebab_plural}}", payload)); !reflect.DeepEqual(errors, want) {
+		t.Errorf("errors %q, want %q", errors, want)
+	}
+}
+{{/each}}
+{{#each entity.children as child}}
+
+func TestKeeps{{entity.pascal}}ThatHas{{child.pascal_plural}}(t *testing.T) {
+	routes := NewAPI().Routes()
+	{{entity.camel}} := create{{entity.pascal}}(t, routes)
+	path := fmt.Sprintf("/api/{{entity.kebab_plural}}/%d", {{entity.camel}}.ID)
+
+	if children := decode[[]{{child.pascal}}](t, request(t, routes, http.MethodGet, path+"/{{child.kebab_plural}}", nil)); len(children) != 0 {
+		t.Errorf("listed %d {{child.words_plural}} of a new {{entity.words}}", len(children))
+	}
+
+	child := {{child.camel}}Payload(t, routes)
+	child["{{child.field}}"] = {{entity.camel}}.ID
+	request(t, routes, http.MethodPost, "/api/{{child.kebab_plural}}", child)
+	if recorder := request(t, routes, http.MethodDelete, path, nil); recorder.Code != http.StatusConflict {
+		t.Errorf("status %d, want %d", recorder.Code, http.StatusConflict)
+	}
+}
+{{/each}}
@@ -0,0 +1,90 @@
+package main
+
+import (
+	"encoding/json"
+	"net/http"
+	"net/mail"
+	"regexp"
+	"strconv"
+	"strings"
+	"time"
+)
+
+// Maximum length of a string field
+const maxStringLength = 200
+
+var urlPattern = regexp.MustCompile(`^https?://\S+$`)
+
+// Description of the values each field type accepts
+var typeDescriptions = map[string]string{
+	"string":  "a non-empty string",
+	"text":    "a string",
+	"email":   "an email address",
+	"url":     "an http(s) URL",
+	"date":    "a date such as 2024-01-31",
+	"integer": "an integer",
+	"number":  "a number",
+	"boolean": "true or false",
+}
+
+// Input holds the fields of a JSON request body and the errors found
+// while reading them
+type Input struct {
+	values map[string]json.RawMessage
+	errors []string
+}
+
+// readInput decodes a request body holding a JSON object
+func readInput(r *http.Request) *Input {
+	input := &Input{values: map[string]json.RawMessage{}}
+	if err := json.NewDecoder(r.Body).Decode(&input.values); err != nil {
+		input.errors = append(input.errors, "body must be a JSON object")
+	}
+	return input
+}
+
+// readField reads a field of the given type. It returns nil when the field
+// is missing, recording an error when it is required or invalid.
+func readField[T any](input *Input, name, fieldType string, required bool) *T {
+	raw, ok := input.values[name]
+	if !ok || string(raw) == "null" || string(raw) == `""` {
+		if required {
+			input.errors = append(input.errors, name+" is required")
+		}
+		return nil
+	}
+
+	var value T
+	if err := json.Unmarshal(raw, &value); err != nil || !validValue(fieldType, &value) {
+		input.errors = append(input.errors, name+" must be "+typeDescriptions[fieldType])
+		return nil
+	}
+	if fieldType == "string" && len(*any(&value).(*string)) > maxStringLength {
+		input.errors = append(input.errors, name+" must be at most "+strconv.Itoa(maxStringLength)+" characters")
+		return nil
+	}
+	return &value
+}
+
+// validValue checks a decoded value against its field type, trimming strings
+func validValue(fieldType string, value any) bool {
+	text, ok := value.(*string)
+	if !ok {
+		return true
+	}
+
+	*text = strings.TrimSpace(*text)
+	switch fieldType {
+	case "string":
+		return *text != ""
+	case "email":
+		_, err := mail.ParseAddress(*text)
+		return err == nil && !strings.ContainsAny(*text, "<> ")
+	case "url":
+		return urlPattern.MatchString(*text)
+	case "date":
+		_, err := time.Parse(time.DateOnly, *text)
+		return err == nil
+	}
+	return true
+}
@@ -0,0 +1,114 @@
+package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"net/url"
+	"sync"
+	"time"
+)
+
+// Record holds the fields every entity gets when it is created
+type Record struct {
+	ID        int       `json:"id"`
+	CreatedAt time.Time `json:"created_at"`
+}
+
+// Store keeps the records of one entity in memory, in creation order
+type Store[T any] struct {
+	mu      sync.Mutex
+	records map[int]T
+	ids     []int
+	nextID  int
+}
+
+// NewStore creates an empty store
+func NewStore[T any]() *Store[T] {
+	return &Store[T]{records: map[int]T{}, nextID: 1}
+}
+
+// List returns the records whose fields match the query parameters naming them
+func (s *Store[T]) List(query url.Values) []T {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	records := []T{}
+	for _, id := range s.ids {
+		if matches(s.records[id], query) {
+			records = append(records, s.records[id])
+		}
+	}
+	return records
+}
+
+// Get returns the record with the given id
+func (s *Store[T]) Get(id int) (T, bool) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	record, ok := s.records[id]
+	return record, ok
+}
+
+// Create stores the record built for the next id
+func (s *Store[T]) Create(build func(id int) T) T {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	record := build(s.nextID)
+	s.records[s.nextID] = record
+	s.ids = append(s.ids, s.nextID)
+	s.nextID++
+	return record
+}
+
+// Update replaces the record with the given id by the one built from it
+func (s *Store[T]) Update(id int, build func(current T) T) (T, bool) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	current, ok := s.records[id]
+	if !ok {
+		return current, false
+	}
+	s.records[id] = build(current)
+	return s.records[id], true
+}
+
+// Delete removes the record with the given id
+func (s *Store[T]) Delete(id int) bool {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	if _, ok := s.records[id]; !ok {
+		return false
+	}
+	delete(s.records, id)
+	for i, other := range s.ids {
+		if other == id {
+			s.ids = append(s.ids[:i], s.ids[i+1:]...)
+			break
+		}
+	}
+	return true
+}
+
+// matches checks the JSON fields of a record against query parameters
+// naming them: ?author_id=1&completed=true
+func matches(record any, query url.Values) bool {
+	if len(query) == 0 {
+		return true
+	}
+
+	var fields map[string]any
+	encoded, _ := json.Marshal(record)
+	json.Unmarshal(encoded, &fields)
+
+	for name := range query {
+		value, ok := fields[name]
+		if ok && fmt.Sprint(value) != query.Get(name) {
+			return false
+		}
+	}
+	return true
+}
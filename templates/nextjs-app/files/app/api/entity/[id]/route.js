@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { check{{entity.pascal}}, deleteConflict } from '@/lib/models/{{entity.kebab}}';
+
+const notFound = () => NextResponse.json({ error: '{{entity.label}} not found' }, { status: 404 });
+
+// GET {{entity.article}} {{entity.words}} by id
+export async function GET(request, { params }) {
+  const {{entity.camel}} = db.{{entity.camel_plural}}.get(params.id);
+  return {{entity.camel}} ? NextResponse.json({{entity.camel}}) : notFound();
+}
+
+// PUT replaces {{entity.article}} {{entity.words}}
+export async function PUT(request, { params }) {
+  if (!db.{{entity.camel_plural}}.get(params.id)) {
+    return notFound();
+  }
+
+  const { value, errors } = check{{entity.pascal}}(await request.json().catch(() => ({})));
+  if (errors.length > 0) {
+    return NextResponse.json({ error: errors.join(', '), errors }, { status: 400 });
+  }
+  return NextResponse.json(db.{{entity.camel_plural}}.update(params.id, value));
+}
+
+// DELETE {{entity.article}} {{entity.words}}
+export async function DELETE(request, { params }) {
+  if (!db.{{entity.camel_plural}}.get(params.id)) {
+    return notFound();
+  }
+
+  const conflict = deleteConflict(Number(params.id));
+  if (conflict) {
+    return NextResponse.json({ error: conflict }, { status: 409 });
+  }
+  db.{{entity.camel_plural}}.remove(params.id);
+  return new NextResponse(null, { status: 204 });
+}
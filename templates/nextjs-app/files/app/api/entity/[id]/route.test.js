@@ -0,0 +1,46 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+import db from '@/lib/db';
+import { DELETE, GET, PUT } from './route';
+import { resetDb, {{#each entity.parents as parent}}{{parent.camel}}Body, {{/each}}{{#each entity.children as child}}{{child.camel}}Body, {{/each}}{{entity.camel}}Body } from '@/test/helpers';
+
+const url = 'http://localhost/api/{{entity.kebab_plural}}/1';
+const params = { params: { id: '1' } };
+
+describe('/api/{{entity.kebab_plural}}/[id]', () => {
+{{#if entity.has_parents}}
+  // The records {{entity.camel}}Body references get id 1
+{{/if}}
+  beforeEach(() => {
+    resetDb();
+{{#each entity.parents as parent}}
+    db.{{parent.camel_plural}}.create({{parent.camel}}Body);
+{{/each}}
+  });
+
+  test('reads, replaces and deletes {{entity.article}} {{entity.words}}', async () => {
+    const {{entity.camel}} = db.{{entity.camel_plural}}.create({{entity.camel}}Body);
+    expect(await (await GET(new Request(url), params)).json()).toEqual({{entity.camel}});
+
+    const updated = await PUT(new Request(url, { method: 'PUT', body: JSON.stringify({{entity.camel}}Body) }), params);
+    expect(updated.status).toBe(200);
+
+    expect((await DELETE(new Request(url, { method: 'DELETE' }), params)).status).toBe(204);
+    expect((await GET(new Request(url), params)).status).toBe(404);
+  });
+
+  test('answers 404 for a missing {{entity.words}}', async () => {
+    expect((await PUT(new Request(url, { method: 'PUT', body: JSON.stringify({{entity.camel}}Body) }), params)).status).toBe(404);
+    expect((await DELETE(new Request(url, { method: 'DELETE' }), params)).status).toBe(404);
+  });
+{{#each entity.children as child}}
+
+  test('keeps {{entity.article}} {{entity.words}} that has {{child.words_plural}}', async () => {
+    db.{{entity.camel_plural}}.create({{entity.camel}}Body);
+    db.{{child.camel_plural}}.create({ ...{{child.camel}}Body, {{child.field}}: 1 });
+
+    const response = await DELETE(new Request(url, { method: 'DELETE' }), params);
+    expect(response.status).toBe(409);
+    expect(db.{{entity.camel_plural}}.get(1)).not.toBeNull();
+  });
+{{/each}}
+});
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { check{{entity.pascal}}, fields } from '@/lib/models/{{entity.kebab}}';
+import { parseFilters } from '@/lib/validation';
+
+// GET all {{entity.words_plural}}, filtered by any field given as a search parameter
+export async function GET(request) {
+  const filters = parseFilters(new URL(request.url).searchParams, fields);
+  return NextResponse.json(db.{{entity.camel_plural}}.list(filters));
+}
+
+// POST a new {{entity.words}}
+export async function POST(request) {
+  const { value, errors } = check{{entity.pascal}}(await request.json().catch(() => ({})));
+  if (errors.length > 0) {
+    return NextResponse.json({ error: errors.join(', '), errors }, { status: 400 });
+  }
+  return NextResponse.json(db.{{entity.camel_plural}}.create(value), { status: 201 });
+}
@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+{{#if entity.has_parents}}
+import db from '@/lib/db';
+{{/if}}import { GET, POST } from './route';
+import { resetDb, {{#each entity.parents as parent}}{{parent.camel}}Body, {{/each}}{{entity.camel}}Body } from '@/test/helpers';
+
+const url = 'http://localhost/api/{{entity.kebab_plural}}';
+
+describe('/api/{{entity.kebab_plural}}', () => {
+{{#if entity.has_parents}}
+  // The records {{entity.camel}}Body references get id 1
+{{/if}}
+  beforeEach(() => {
+    resetDb();
+{{#each entity.parents as parent}}
+    db.{{parent.camel_plural}}.create({{parent.camel}}Body);
+{{/each}}
+  });
+
+  test('creates {{entity.article}} {{entity.words}} and lists it', async () => {
+    const response = await POST(new Request(url, { method: 'POST', body: JSON.stringify({{entity.camel}}Body) }));
+    expect(response.status).toBe(201);
+    const created = await response.json();
+    expect(created).toMatchObject({{entity.camel}}Body);
+
+    const list = await GET(new Request(url));
+    expect(await list.json()).toEqual([created]);
+  });
+
+  test('rejects {{entity.article}} {{entity.words}} without its required fields', async () => {
+    const response = await POST(new Request(url, { method: 'POST', body: '{}' }));
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual([{{#each entity.required_fields}}'{{this}} is required'{{#unless last}}, {{/unless}}{{/each}}]);
+  });
+{{#each entity.parents as parent}}
+
+  test('rejects {{entity.article}} {{entity.words}} referencing a missing {{parent.words}}', async () => {
+    const body = { ...{{entity.camel}}Body, {{parent.field}}: 9999 };
+    const response = await POST(new Request(url, { method: 'POST', body: JSON.stringify(body) }));
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual(['{{parent.field}} does not reference an existing {{parent.words}}']);
+  });
+{{/each}}
+});
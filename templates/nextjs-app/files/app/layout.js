@@ -0,0 +1,14 @@
+import './globals.css';
+
+export const metadata = {
+  title: process.env.NEXT_PUBLIC_APP_TITLE || '{{#if title}}{{title}}{{else}}{{entity_labels}}{{/if}}',
+  description: 'Generated by Happiness Agent'
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
@@ -0,0 +1,81 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+{{#each entities as entity}}
+import {{entity.pascal}}List from '@/components/{{entity.pascal}}List';
+{{/each}}
+
+const TABS = [
+{{#each entities as entity}}
+  { name: '{{entity.camel_plural}}', label: '{{entity.label_plural}}' }{{#unless last}},{{/unless}}
+{{/each}}
+];
+
+export default function Home() {
+  const [records, setRecords] = useState(() => Object.fromEntries(TABS.map(tab => [tab.name, []])));
+  const [active, setActive] = useState(TABS[0].name);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Every list is loaded up front: forms offer referenced records in select boxes
+  useEffect(() => {
+    Promise.all(TABS.map(async tab => [tab.name, await api[tab.name].list()]))
+      .then(lists => setRecords(Object.fromEntries(lists)))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const create = async (name, data) => {
+    const record = await api[name].create(data);
+    setRecords(current => ({ ...current, [name]: [...current[name], record] }));
+  };
+
+  const update = async (name, id, data) => {
+    const record = await api[name].update(id, data);
+    setRecords(current => ({ ...current, [name]: current[name].map(other => (other.id === id ? record : other)) }));
+  };
+
+  const remove = async (name, id) => {
+    try {
+      await api[name].remove(id);
+      setRecords(current => ({ ...current, [name]: current[name].filter(record => record.id !== id) }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="container">
+      <h1>{process.env.NEXT_PUBLIC_APP_TITLE || '{{#if title}}{{title}}{{else}}{{entity_labels}}{{/if}}'}</h1>
+      {TABS.length > 1 && (
+        <nav>
+          {TABS.map(tab => (
+            <button key={tab.name} className={tab.name === active ? 'active' : undefined} onClick={() => setActive(tab.name)}>
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      )}
+      <main>
+        {error && <p className="error">{error}</p>}
+
+        {loading && <p>Loading...</p>}
+{{#each entities as entity}}
+        {!loading && active === '{{entity.camel_plural}}' && (
+          <{{entity.pascal}}List
+            {{entity.camel_plural}}={records.{{entity.camel_plural}}}
+{{#each entity.parents as parent}}
+            {{parent.camel_plural}}={records.{{parent.camel_plural}}}
+{{/each}}
+            onCreate={data => create('{{entity.camel_plural}}', data)}
+            onUpdate={(id, data) => update('{{entity.camel_plural}}', id, data)}
+            onDelete={id => remove('{{entity.camel_plural}}', id)}
+          />
+        )}
+{{/each}}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, test, vi } from 'vitest';
+import {{entity.pascal}}Form from './{{entity.pascal}}Form';
+import { fill{{entity.pascal}}Form, {{entity.camel}}Body } from '@/test/helpers';
+{{#each entity.parents as parent}}
+
+const {{parent.camel_plural}} = [{ id: 1, {{parent.display_field}}: 'Sample' }];
+{{/each}}
+
+describe('{{entity.pascal}}Form', () => {
+  test('submits the typed values of a new {{entity.words}}', async () => {
+    const onSubmit = vi.fn();
+    render(<{{entity.pascal}}Form {{#each entity.parents as parent}}{{parent.camel_plural}}={{{parent.camel_plural}}} {{/each}}onSubmit={onSubmit} />);
+
+    fill{{entity.pascal}}Form();
+    fireEvent.click(screen.getByRole('button', { name: 'Add {{entity.label}}' }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith({{entity.camel}}Body));
+  });
+
+  test('saves {{entity.article}} {{entity.words}} being edited or cancels', async () => {
+    const {{entity.camel}} = { id: 1, ...{{entity.camel}}Body };
+    const onSubmit = vi.fn();
+    const onCancel = vi.fn();
+    render(<{{entity.pascal}}Form {{entity.camel}}={{{entity.camel}}} {{#each entity.parents as parent}}{{parent.camel_plural}}={{{parent.camel_plural}}} {{/each}}onSubmit={onSubmit} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith({{entity.camel}}Body));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test('shows why a submit failed', async () => {
+    const onSubmit = vi.fn().mockRejectedValue(new Error('{{entity.display_field}} is required'));
+    render(<{{entity.pascal}}Form {{#each entity.parents as parent}}{{parent.camel_plural}}={{{parent.camel_plural}}} {{/each}}onSubmit={onSubmit} />);
+
+    fill{{entity.pascal}}Form();
+    fireEvent.click(screen.getByRole('button', { name: 'Add {{entity.label}}' }));
+
+    expect(await screen.findByText('{{entity.display_field}} is required')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,33 @@
+// Client of the API route handlers, used by the pages
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Calls of a REST resource
+ * @param {string} path - Path of the resource, such as /api/books
+ * @returns {Object} Functions listing, creating, updating and removing records
+ */
+function resource(path) {
+  return {
+    list: () => request(path),
+    create: data => request(path, { method: 'POST', body: JSON.stringify(data) }),
+    update: (id, data) => request(`${path}/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+    remove: id => request(`${path}/${id}`, { method: 'DELETE' })
+  };
+}
+
+export const api = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: resource('/api/{{entity.kebab_plural}}'){{#unless last}},{{/unless}}
+{{/each}}
+};
@@ -0,0 +1,14 @@
+import { createStore } from './store';
+
+// In-memory stores shared by the API route handlers, one per entity. They are
+// kept on globalThis so that reloading modules in development keeps the data;
+// restarting the server resets it.
+const db = globalThis.db || {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: createStore(){{#unless last}},{{/unless}}
+{{/each}}
+};
+
+globalThis.db = db;
+
+export default db;
@@ -0,0 +1,39 @@
+{{#if entity.is_related}}
+import db from '../db';
+{{/if}}import { validate } from '../validation';
+
+// Fields of {{entity.article}} {{entity.words}}; the id and created_at are set by the store
+export const fields = {
+{{#each entity.fields as field}}
+  {{field.name}}: { type: '{{field.type}}', required: {{field.required}}{{#if field.is_reference}}, references: '{{field.reference.name}}'{{/if}} }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+/**
+ * Validate {{entity.article}} {{entity.words}}{{#if entity.has_parents}} and check that the records it references exist{{/if}}
+ * @param {Object} body - Request body
+ * @returns {Object} Clean values and error messages as {value, errors}
+ */
+export function check{{entity.pascal}}(body) {
+  const { value, errors } = validate(body, fields);
+{{#each entity.parents as parent}}
+  if (value.{{parent.field}} != null && !db.{{parent.camel_plural}}.get(value.{{parent.field}})) {
+    errors.push('{{parent.field}} does not reference an existing {{parent.words}}');
+  }
+{{/each}}
+  return { value, errors };
+}
+
+/**
+ * Describe why {{entity.article}} {{entity.words}} cannot be deleted
+ * @param {number} id - Id of the {{entity.words}}
+ * @returns {string|null} Reason, null if nothing references it
+ */
+export function deleteConflict(id) {
+{{#each entity.children as child}}
+  if (db.{{child.camel_plural}}.list({ {{child.field}}: id }).length > 0) {
+    return '{{entity.label}} still has {{child.words_plural}}';
+  }
+{{/each}}
+  return null;
+}
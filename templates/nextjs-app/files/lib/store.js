@@ -0,0 +1,43 @@
+/**
+ * Create an in-memory store of records with numeric ids
+ * @returns {Object} Store with list, get, create, update and remove
+ */
+export function createStore() {
+  const records = new Map();
+  let nextId = 1;
+
+  return {
+    /**
+     * List the records whose fields equal the given values
+     * @param {Object} filters - Field values to match
+     * @returns {Array<Object>} Records
+     */
+    list(filters = {}) {
+      return Array.from(records.values()).filter(record =>
+        Object.entries(filters).every(([field, value]) => record[field] === value)
+      );
+    },
+
+    get(id) {
+      return records.get(Number(id)) || null;
+    },
+
+    create(data) {
+      const record = { id: nextId++, ...data, created_at: new Date().toISOString() };
+      records.set(record.id, record);
+      return record;
+    },
+
+    update(id, data) {
+      const existing = records.get(Number(id));
+      if (!existing) return null;
+      const record = { ...existing, ...data, id: existing.id };
+      records.set(record.id, record);
+      return record;
+    },
+
+    remove(id) {
+      return records.delete(Number(id));
+    }
+  };
+}
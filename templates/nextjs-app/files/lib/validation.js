@@ -0,0 +1,71 @@
+// Check and description of each field type
+const TYPES = {
+  string: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+  text: [value => typeof value === 'string', 'a string'],
+  email: [value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'an email address'],
+  url: [value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value), 'an http(s) URL'],
+  date: [value => typeof value === 'string' && !Number.isNaN(Date.parse(value)), 'a date such as 2024-01-31'],
+  integer: [value => Number.isInteger(value), 'an integer'],
+  number: [value => typeof value === 'number' && Number.isFinite(value), 'a number'],
+  boolean: [value => typeof value === 'boolean', 'true or false']
+};
+
+/**
+ * Validate a request body against the fields of a model. Unknown properties
+ * are dropped; missing optional fields become null (false for booleans).
+ * @param {Object} body - Request body
+ * @param {Object} fields - Field definitions as {name: {type, required}}
+ * @returns {Object} Clean values and error messages as {value, errors}
+ */
+export function validate(body, fields) {
+  const value = {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(fields)) {
+    const input = body ? body[name] : undefined;
+
+    if (input === undefined || input === null || input === '') {
+      if (field.required) {
+        errors.push(`${name} is required`);
+      } else {
+        value[name] = field.type === 'boolean' ? false : null;
+      }
+      continue;
+    }
+
+    const [check, description] = TYPES[field.type];
+    if (!check(input)) {
+      errors.push(`${name} must be ${description}`);
+      continue;
+    }
+
+    value[name] = typeof input === 'string' ? input.trim() : input;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Read list filters from search parameters naming fields: ?author_id=1&completed=true
+ * @param {URLSearchParams} searchParams - Search parameters of the request
+ * @param {Object} fields - Field definitions
+ * @returns {Object} Field values to match
+ */
+export function parseFilters(searchParams, fields) {
+  const filters = {};
+
+  for (const [name, raw] of searchParams) {
+    const field = fields[name];
+    if (!field) continue;
+
+    if (field.type === 'boolean') {
+      filters[name] = raw === 'true';
+    } else if (field.type === 'integer' || field.type === 'number') {
+      filters[name] = Number(raw);
+    } else {
+      filters[name] = raw;
+    }
+  }
+
+  return filters;
+}
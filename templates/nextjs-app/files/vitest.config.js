@@ -0,0 +1,24 @@
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  // Components are .js files holding JSX, as Next.js allows
+  esbuild: {
+    loader: 'jsx',
+    include: /\.jsx?$/,
+    exclude: []
+  },
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('.', import.meta.url))
+    }
+  },
+  test: {
+    environment: 'jsdom',
+    // Route handlers run on the server, where fetch Request and Response are Node's own
+    environmentMatchGlobs: [['app/api/**', 'node']],
+    setupFiles: './test/setup.js'
+  }
+});
@@ -0,0 +1,86 @@
+import pandas as pd
+import matplotlib.pyplot as plt
+import numpy as np
+from sklearn.model_selection import train_test_split
+from sklearn.linear_model import LinearRegression
+from sklearn.metrics import mean_squared_error, r2_score
+
+# Load data (sample code)
+def load_data(file_path):
+    print(f"Loading data from {file_path}")
+    # In a real application, you would load your data here
+    # For demo purposes, we'll create a synthetic dataset
+    np.random.seed(42)
+    n_samples = 100
+    x = np.linspace(0, 10, n_samples)
+    y = 2 * x + 1 + np.random.normal(0, 1, n_samples)
+    
+    df = pd.DataFrame({
+        'feature': x,
+        'target': y
+    })
+    return df
+
+# Perform basic data analysis
+def analyze_data(df):
+    print("Performing data analysis")
+    print("\nData Sample:")
+    print(df.head())
+    
+    print("\nBasic Statistics:")
+    print(df.describe())
+    
+    print("\nChecking for missing values:")
+    print(df.isnull().sum())
+    
+    # Basic visualization
+    plt.figure(figsize=(10, 6))
+    plt.scatter(df['feature'], df['target'])
+    plt.title('Feature vs Target')
+    plt.xlabel('Feature')
+    plt.ylabel('Target')
+    plt.savefig('feature_target_scatter.png')
+    print("Scatter plot saved as 'feature_target_scatter.png'")
+    
+    return df
+
+# Train a simple model
+def train_model(df):
+    print("Training model")
+    X = df[['feature']]
+    y = df['target']
+    
+    # Split the data
+    X_train, X_test, y_train, y_test = train_test_split(
+        X, y, test_size=0.2, random_state=42
+    )
+    
+    # Train a linear regression model
+    model = LinearRegression()
+    model.fit(X_train, y_train)
+    
+    # Make predictions
+    y_pred = model.predict(X_test)
+    
+    # Evaluate the model
+    mse = mean_squared_error(y_test, y_pred)
+    r2 = r2_score(y_test, y_pred)
+    
+    print(f"Model Results:")
+    print(f"  Coefficient: {model.coef_[0]:.4f}")
+    print(f"  Intercept: {model.intercept_:.4f}")
+    print(f"  Mean Squared Error: {mse:.4f}")
+    print(f"  R² Score: {r2:.4f}")
+    
+    return model
+
+# Main function
+def main():
+    print("Starting data analysis")
+    df = load_data('data.csv')
+    df = analyze_data(df)
+    model = train_model(df)
+    print("Analysis complete")
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,176 @@
+import re
+from datetime import date, datetime, timezone
+
+from flask import Flask, jsonify, request
+
+app = Flask(__name__)
+
+MAX_STRING_LENGTH = 200
+
+
+def is_date(value):
+    try:
+        date.fromisoformat(value)
+        return True
+    except (TypeError, ValueError):
+        return False
+
+
+# Check and description of each field type
+TYPES = {
+    "string": (lambda value: isinstance(value, str) and value.strip() != "", "a non-empty string"),
+    "text": (lambda value: isinstance(value, str), "a string"),
+    "email": (lambda value: isinstance(value, str) and re.fullmatch(r"[^\s@]+@[^\s@]+\.[^\s@]+", value) is not None, "an email address"),
+    "url": (lambda value: isinstance(value, str) and re.fullmatch(r"https?://\S+", value) is not None, "an http(s) URL"),
+    "date": (lambda value: isinstance(value, str) and is_date(value), "a date such as 2024-01-31"),
+    "integer": (lambda value: isinstance(value, int) and not isinstance(value, bool), "an integer"),
+    "number": (lambda value: isinstance(value, (int, float)) and not isinstance(value, bool), "a number"),
+    "boolean": (lambda value: isinstance(value, bool), "true or false"),
+}
+
+# Fields of each entity by name; references name the entity they point to
+FIELDS = {
+{{#each entities as entity}}
+    "{{entity.name}}": {
+{{#each entity.fields as field}}
+        "{{field.name}}": {"type": "{{field.type}}", "required": {{#if field.required}}True{{else}}False{{/if}}{{#if field.is_reference}}, "references": "{{field.reference.name}}"{{/if}}},
+{{/each}}
+    },
+{{/each}}
+}
+
+# In-memory records of each entity by id
+records = {entity: {} for entity in FIELDS}
+next_ids = {entity: 1 for entity in FIELDS}
+
+
+def validate(entity, body):
+    """Validate a request body against the fields of an entity. Unknown
+    properties are dropped; missing optional fields become None (False for
+    booleans). References must name an existing record."""
+    if not isinstance(body, dict):
+        return {}, ["body must be a JSON object"]
+
+    value = {}
+    errors = []
+    for name, field in FIELDS[entity].items():
+        given = body.get(name)
+        if given is None or given == "":
+            if field["required"]:
+                errors.append(f"{name} is required")
+            else:
+                value[name] = False if field["type"] == "boolean" else None
+            continue
+
+        check, description = TYPES[field["type"]]
+        if not check(given):
+            errors.append(f"{name} must be {description}")
+        elif field["type"] == "string" and len(given.strip()) > MAX_STRING_LENGTH:
+            errors.append(f"{name} must be at most {MAX_STRING_LENGTH} characters")
+        elif "references" in field and given not in records[field["references"]]:
+            errors.append(f"{name} does not reference an existing {field['references'].replace('_', ' ')}")
+        else:
+            value[name] = given.strip() if isinstance(given, str) else given
+
+    return value, errors
+
+
+def parse_filters(entity, query):
+    """Read list filters from query parameters naming fields: ?author_id=1&completed=true"""
+    filters = {}
+    for name, raw in query.items():
+        field = FIELDS[entity].get(name)
+        if field is None:
+            continue
+        if field["type"] == "boolean":
+            filters[name] = raw in ("true", "1")
+        elif field["type"] in ("integer", "number"):
+            try:
+                filters[name] = float(raw) if field["type"] == "number" else int(raw)
+            except ValueError:
+                filters[name] = raw
+        else:
+            filters[name] = raw
+    return filters
+
+
+def list_records(entity, **filters):
+    return [
+        record for record in records[entity].values()
+        if all(record.get(name) == value for name, value in filters.items())
+    ]
+
+
+def create_record(entity, value):
+    record = {"id": next_ids[entity], **value, "created_at": datetime.now(timezone.utc).isoformat()}
+    records[entity][record["id"]] = record
+    next_ids[entity] += 1
+    return record
+
+
+def invalid(errors):
+    return jsonify({"error": ", ".join(errors), "errors": errors}), 400
+{{#each entities as entity}}
+
+
+# {{entity.label_plural}}
+
+@app.get("/api/{{entity.kebab_plural}}")
+def list_{{entity.plural}}():
+    return jsonify(list_records("{{entity.name}}", **parse_filters("{{entity.name}}", request.args)))
+
+
+@app.post("/api/{{entity.kebab_plural}}")
+def create_{{entity.name}}():
+    value, errors = validate("{{entity.name}}", request.get_json(silent=True))
+    if errors:
+        return invalid(errors)
+    return jsonify(create_record("{{entity.name}}", value)), 201
+
+
+@app.get("/api/{{entity.kebab_plural}}/<int:{{entity.name}}_id>")
+def get_{{entity.name}}({{entity.name}}_id):
+    record = records["{{entity.name}}"].get({{entity.name}}_id)
+    if record is None:
+        return jsonify({"error": "{{entity.label}} not found"}), 404
+    return jsonify(record)
+{{#each entity.children as child}}
+
+
+@app.get("/api/{{entity.kebab_plural}}/<int:{{entity.name}}_id>/{{child.kebab_plural}}")
+def list_{{entity.name}}_{{child.plural}}({{entity.name}}_id):
+    if {{entity.name}}_id not in records["{{entity.name}}"]:
+        return jsonify({"error": "{{entity.label}} not found"}), 404
+    return jsonify(list_records("{{child.name}}", {{child.field}}={{entity.name}}_id))
+{{/each}}
+
+
+@app.put("/api/{{entity.kebab_plural}}/<int:{{entity.name}}_id>")
+def update_{{entity.name}}({{entity.name}}_id):
+    record = records["{{entity.name}}"].get({{entity.name}}_id)
+    if record is None:
+        return jsonify({"error": "{{entity.label}} not found"}), 404
+
+    value, errors = validate("{{entity.name}}", request.get_json(silent=True))
+    if errors:
+        return invalid(errors)
+    record.update(value)
+    return jsonify(record)
+
+
+@app.delete("/api/{{entity.kebab_plural}}/<int:{{entity.name}}_id>")
+def delete_{{entity.name}}({{entity.name}}_id):
+    if {{entity.name}}_id not in records["{{entity.name}}"]:
+        return jsonify({"error": "{{entity.label}} not found"}), 404
+{{#each entity.children as child}}
+    if list_records("{{child.name}}", {{child.field}}={{entity.name}}_id):
+        return jsonify({"error": "{{entity.label}} still has {{child.words_plural}}"}), 409
+{{/each}}
+
+    del records["{{entity.name}}"][{{entity.name}}_id]
+    return "", 204
+{{/each}}
+
+
+if __name__ == "__main__":
+    app.run(debug=True)
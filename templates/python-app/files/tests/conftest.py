@@ -0,0 +1,13 @@
+import pytest
+
+from app import FIELDS, app, next_ids, records
+
+
+@pytest.fixture
+def client():
+    """Test client of the API, starting from an empty store"""
+    for entity in FIELDS:
+        records[entity].clear()
+        next_ids[entity] = 1
+    app.config.update(TESTING=True)
+    return app.test_client()
@@ -0,0 +1,19 @@
+"""Request bodies and records of the tests, created through the API"""
+{{#each entities as entity}}
+
+
+def {{entity.name}}_payload(client):
+    """Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}"""
+    return {
+{{#each entity.fields as field}}
+        "{{field.name}}": {{#if field.is_reference}}create_{{field.reference.name}}(client)["id"]{{else}}{{field.sample_py}}{{/if}},
+{{/each}}
+    }
+
+
+def create_{{entity.name}}(client):
+    """Create {{entity.article}} {{entity.words}} through the API"""
+    response = client.post("/api/{{entity.kebab_plural}}", json={{entity.name}}_payload(client))
+    assert response.status_code == 201
+    return response.get_json()
+{{/each}}
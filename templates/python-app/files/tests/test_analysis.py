@@ -0,0 +1,29 @@
+import matplotlib
+
+matplotlib.use("Agg")
+
+import analysis  # noqa: E402
+
+
+def test_loads_a_sample_of_features_and_targets():
+    df = analysis.load_data("data.csv")
+    assert list(df.columns) == ["feature", "target"]
+    assert len(df) == 100
+    assert df.isnull().sum().sum() == 0
+
+
+def test_analysis_saves_a_scatter_plot(tmp_path, monkeypatch):
+    monkeypatch.chdir(tmp_path)
+    analysis.analyze_data(analysis.load_data("data.csv"))
+    assert (tmp_path / "feature_target_scatter.png").exists()
+
+
+def test_model_learns_the_trend_of_the_data():
+    model = analysis.train_model(analysis.load_data("data.csv"))
+    assert abs(model.coef_[0] - 2) < 0.5
+
+
+def test_script_runs_end_to_end(tmp_path, monkeypatch, capsys):
+    monkeypatch.chdir(tmp_path)
+    analysis.main()
+    assert "Analysis complete" in capsys.readouterr().out
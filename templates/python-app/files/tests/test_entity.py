@@ -0,0 +1,45 @@
+from tests.helpers import {{#each entity.children as child}}{{child.name}}_payload, {{/each}}{{#if entity.has_children}}create_{{entity.name}}, {{/if}}{{entity.name}}_payload
+
+
+def test_create_read_update_and_delete_{{entity.name}}(client):
+    payload = {{entity.name}}_payload(client)
+    created = client.post("/api/{{entity.kebab_plural}}", json=payload)
+    assert created.status_code == 201
+    assert created.get_json().items() >= payload.items()
+    {{entity.name}}_id = created.get_json()["id"]
+
+    assert {{entity.name}}_id in [record["id"] for record in client.get("/api/{{entity.kebab_plural}}").get_json()]
+    assert client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 200
+    assert client.put(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}", json=payload).status_code == 200
+    assert client.delete(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 204
+    assert client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}_id}").status_code == 404
+
+
+def test_rejects_{{entity.name}}_without_required_fields(client):
+    response = client.post("/api/{{entity.kebab_plural}}", json={})
+    assert response.status_code == 400
+    assert response.get_json()["errors"] == [{{#each entity.required_fields}}"{{this}} is required"{{#unless last}}, {{/unless}}{{/each}}]
+{{#each entity.parents as parent}}
+
+
+def test_rejects_{{entity.name}}_referencing_a_missing_{{parent.name}}(client):
+    payload = {**{{entity.name}}_payload(client), "{{parent.field}}": 9999}
+    response = client.post("/api/{{entity.kebab_plural}}", json=payload)
+    assert response.status_code == 400
+    assert response.get_json()["errors"] == ["{{parent.field}} does not reference an existing {{parent.words}}"]
+{{/each}}
+{{#each entity.children as child}}
+
+
+def test_lists_the_{{child.plural}}_of_{{entity.article}}_{{entity.name}}(client):
+    {{entity.name}} = create_{{entity.name}}(client)
+    response = client.get(f"/api/{{entity.kebab_plural}}/{{{entity.name}}['id']}/{{child.kebab_plural}}")
+    assert response.get_json() == []
+
+
+def test_keeps_{{entity.article}}_{{entity.name}}_that_has_{{child.plural}}(client):
+    {{entity.name}} = create_{{entity.name}}(client)
+    client.post("/api/{{child.kebab_plural}}", json={**{{child.name}}_payload(client), "{{child.field}}": {{entity.name}}["id"]})
+    response = client.delete(f"/api/{{entity.kebab_plural}}/{{{entity.name}}['id']}")
+    assert response.status_code == 409
+{{/each}}
@@ -0,0 +1,57 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, test } from 'vitest';
+import App from './App.jsx';
+import { fill{{primary.pascal}}Form, mockApi, {{primary.camel}}Body } from './test/helpers.js';
+
+describe('App', () => {
+  test('lists the {{primary.words_plural}} of the API', async () => {
+    mockApi({ '{{primary.kebab_plural}}': [{ id: 1, ...{{primary.camel}}Body }] });
+    render(<App />);
+
+    expect(await screen.findByText({{primary.camel}}Body.{{primary.display_field}})).toBeInTheDocument();
+  });
+
+  test('adds {{primary.article}} {{primary.words}} through the form', async () => {
+    const fetch = mockApi({{#if primary.has_parents}}{
+{{#each primary.parents as parent}}
+      '{{parent.kebab_plural}}': [{ id: 1, {{parent.display_field}}: 'Sample' }]{{#unless last}},{{/unless}}
+{{/each}}
+    }{{/if}});
+    render(<App />);
+    await screen.findByText('No {{primary.words_plural}} yet.');
+
+    fill{{primary.pascal}}Form();
+    fireEvent.click(screen.getByRole('button', { name: 'Add {{primary.label}}' }));
+
+    expect(await screen.findByText({{primary.camel}}Body.{{primary.display_field}})).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/{{primary.kebab_plural}}', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({{primary.camel}}Body)
+    }));
+  });
+
+  test('shows why a delete failed and keeps the record', async () => {
+    const fetch = mockApi({ '{{primary.kebab_plural}}': [{ id: 1, ...{{primary.camel}}Body }] });
+    render(<App />);
+    const button = await screen.findByRole('button', { name: 'Delete' });
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 409, json: async () => ({ error: '{{primary.label}} is in use' }) });
+    fireEvent.click(button);
+
+    expect(await screen.findByText('{{primary.label}} is in use')).toBeInTheDocument();
+    expect(screen.getByText({{primary.camel}}Body.{{primary.display_field}})).toBeInTheDocument();
+  });
+{{#each entities as entity}}
+{{#unless first}}
+
+  test('shows the {{entity.words_plural}} on their tab', async () => {
+    mockApi();
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: '{{entity.label_plural}}' }));
+
+    expect(await screen.findByRole('heading', { name: '{{entity.label_plural}}' })).toBeInTheDocument();
+    expect(screen.getByText('No {{entity.words_plural}} yet.')).toBeInTheDocument();
+  });
+{{/unless}}
+{{/each}}
+});
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+
+/**
+ * Input values of a form showing {{entity.article}} {{entity.words}}, empty without one
+ * @param {Object|null} {{entity.camel}} - {{entity.label}} to edit
+ * @returns {Object} Input values by field name
+ */
+function toInputs({{entity.camel}}) {
+  return {
+{{#each entity.fields as field}}
+{{#if field.is_boolean}}
+    {{field.name}}: Boolean({{entity.camel}}?.{{field.name}}){{#unless last}},{{/unless}}
+{{else}}
+    {{field.name}}: {{entity.camel}}?.{{field.name}} == null ? '' : String({{entity.camel}}.{{field.name}}){{#unless last}},{{/unless}}
+{{/if}}
+{{/each}}
+  };
+}
+
+/**
+ * Request body of the input values; empty inputs are sent as null
+ * @param {Object} inputs - Input values by field name
+ * @returns {Object} Request body
+ */
+function toBody(inputs) {
+  return {
+{{#each entity.fields as field}}
+{{#if field.is_boolean}}
+    {{field.name}}: inputs.{{field.name}}{{#unless last}},{{/unless}}
+{{else}}
+{{#if field.is_numeric}}
+    {{field.name}}: inputs.{{field.name}} === '' ? null : Number(inputs.{{field.name}}){{#unless last}},{{/unless}}
+{{else}}
+    {{field.name}}: inputs.{{field.name}} === '' ? null : inputs.{{field.name}}{{#unless last}},{{/unless}}
+{{/if}}
+{{/if}}
+{{/each}}
+  };
+}
+
+// Form creating or editing {{entity.article}} {{entity.words}}
+function {{entity.pascal}}Form({ {{entity.camel}} = null, {{#each entity.parents as parent}}{{parent.camel_plural}}, {{/each}}onSubmit, onCancel }) {
+  const [inputs, setInputs] = useState(() => toInputs({{entity.camel}}));
+  const [error, setError] = useState('');
+
+  const setInput = (name, value) => setInputs({ ...inputs, [name]: value });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      await onSubmit(toBody(inputs));
+      setInputs(toInputs(null));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form className="record-form" onSubmit={submit}>
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+      <label>
+        <span>{{field.label}}{{#if field.required}} *{{/if}}</span>
+        <select value={inputs.{{field.name}}} onChange={(e) => setInput('{{field.name}}', e.target.value)}{{#if field.required}} required{{/if}}>
+          <option value="">Choose {{field.reference.article}} {{field.reference.words}}</option>
+          {{{field.reference.camel_plural}}.map(option => (
+            <option key={option.id} value={option.id}>{option.{{field.reference.display_field}}}</option>
+          ))}
+        </select>
+      </label>
+{{else}}
+{{#if field.is_boolean}}
+      <label className="checkbox">
+        <input type="checkbox" checked={inputs.{{field.name}}} onChange={(e) => setInput('{{field.name}}', e.target.checked)} />
+        <span>{{field.label}}</span>
+      </label>
+{{else}}
+{{#if field.is_text}}
+      <label>
+        <span>{{field.label}}{{#if field.required}} *{{/if}}</span>
+        <textarea value={inputs.{{field.name}}} onChange={(e) => setInput('{{field.name}}', e.target.value)}{{#if field.required}} required{{/if}} />
+      </label>
+{{else}}
+      <label>
+        <span>{{field.label}}{{#if field.required}} *{{/if}}</span>
+        <input
+          type="{{field.input_type}}"
+{{#if field.is_number}}
+          step="any"
+{{/if}}
+          value={inputs.{{field.name}}}
+          onChange={(e) => setInput('{{field.name}}', e.target.value)}
+{{#if field.required}}
+          required
+{{/if}}
+        />
+      </label>
+{{/if}}
+{{/if}}
+{{/if}}
+{{/each}}
+
+      {error && <p className="error">{error}</p>}
+
+      <div className="actions">
+        <button type="submit">{{{entity.camel}} ? 'Save' : 'Add {{entity.label}}'}</button>
+        {onCancel && <button type="button" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+
+export default {{entity.pascal}}Form;
@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  server: {
+    // Forward API calls to the back end during development
+    proxy: {
+      '/api': process.env.API_URL || '{{api_url}}'
+    }
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js'
+  }
+});
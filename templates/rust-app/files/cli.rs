@@ -0,0 +1,84 @@
+use std::env;
+use std::fs;
+use std::process;
+
+// {{primary.label_plural}} are kept one per line in this file
+const STORE_FILE: &str = "{{primary.kebab_plural}}.txt";
+
+fn load_{{primary.plural}}() -> Vec<String> {
+    fs::read_to_string(STORE_FILE)
+        .map(|content| content.lines().map(String::from).collect())
+        .unwrap_or_default()
+}
+
+fn save_{{primary.plural}}({{primary.plural}}: &[String]) {
+    let mut content = {{primary.plural}}.join("\n");
+    if !content.is_empty() {
+        content.push('\n');
+    }
+    if let Err(error) = fs::write(STORE_FILE, content) {
+        eprintln!("Failed to save {{primary.words_plural}}: {}", error);
+        process::exit(1);
+    }
+}
+
+fn usage() -> ! {
+    eprintln!("Usage: {{#if crate_name}}{{crate_name}}{{else}}{{primary.kebab_plural}}{{/if}} <list | add <{{primary.display_field}}> | remove <number>>");
+    process::exit(2);
+}
+
+fn main() {
+    let args: Vec<String> = env::args().skip(1).collect();
+    let mut {{primary.plural}} = load_{{primary.plural}}();
+
+    match args.first().map(String::as_str) {
+        Some("list") | None => {
+            if {{primary.plural}}.is_empty() {
+                println!("No {{primary.words_plural}} found.");
+            }
+            for (index, {{primary.name}}) in {{primary.plural}}.iter().enumerate() {
+                println!("{}. {}", index + 1, {{primary.name}});
+            }
+        }
+        Some("add") if args.len() > 1 => {
+            let {{primary.name}} = args[1..].join(" ");
+            println!("Added {}", {{primary.name}});
+            {{primary.plural}}.push({{primary.name}});
+            save_{{primary.plural}}(&{{primary.plural}});
+        }
+        Some("remove") if args.len() == 2 => {
+            let number: usize = args[1].parse().unwrap_or_else(|_| usage());
+            if number == 0 || number > {{primary.plural}}.len() {
+                eprintln!("No {{primary.words}} number {}", number);
+                process::exit(1);
+            }
+            let removed = {{primary.plural}}.remove(number - 1);
+            println!("Removed {}", removed);
+            save_{{primary.plural}}(&{{primary.plural}});
+        }
+        _ => usage(),
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn saves_and_loads_{{primary.plural}}() {
+        let dir = env::temp_dir().join(format!("{{primary.kebab_plural}}-test-{}", process::id()));
+        fs::create_dir_all(&dir).unwrap();
+        env::set_current_dir(&dir).unwrap();
+
+        assert!(load_{{primary.plural}}().is_empty());
+        let {{primary.plural}} = vec!["first {{primary.words}}".to_string(), "second {{primary.words}}".to_string()];
+        save_{{primary.plural}}(&{{primary.plural}});
+        assert_eq!(load_{{primary.plural}}(), {{primary.plural}});
+        assert_eq!(
+            fs::read_to_string(STORE_FILE).unwrap(),
+            "first {{primary.words}}\nsecond {{primary.words}}\n"
+        );
+
+        fs::remove_dir_all(&dir).unwrap();
+    }
+}
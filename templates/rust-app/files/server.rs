@@ -0,0 +1,491 @@
+use std::collections::{BTreeMap, HashMap};
+use std::sync::{Arc, Mutex};
+
+use axum::{
+    extract::{Path, Query, State},
+    http::StatusCode,
+    response::{IntoResponse, Response},
+    routing::get,
+    Json, Router,
+};
+use chrono::{DateTime, NaiveDate, Utc};
+use serde::{de::DeserializeOwned, Deserialize, Serialize};
+use serde_json::{json, Map, Value};
+
+const MAX_STRING_LENGTH: usize = 200;
+
+/// A field a request body may set
+struct Field {
+    name: &'static str,
+    kind: &'static str,
+    required: bool,
+    /// Entity whose id the field holds
+    references: Option<&'static str>,
+}
+
+impl Field {
+    const fn new(name: &'static str, kind: &'static str, required: bool) -> Self {
+        Field {
+            name,
+            kind,
+            required,
+            references: None,
+        }
+    }
+{{#if has_relations}}
+
+    const fn reference(name: &'static str, entity: &'static str, required: bool) -> Self {
+        Field {
+            name,
+            kind: "integer",
+            required,
+            references: Some(entity),
+        }
+    }
+{{/if}}
+}
+{{#each entities as entity}}
+
+#[derive(Clone, Serialize, Deserialize)]
+struct {{entity.pascal}} {
+    id: u64,
+{{#each entity.fields as field}}
+    {{field.name}}: {{field.rust_field_type}},
+{{/each}}
+    created_at: DateTime<Utc>,
+}
+
+impl {{entity.pascal}} {
+    const FIELDS: &'static [Field] = &[
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+        Field::reference("{{field.name}}", "{{field.reference.name}}", {{field.required}}),
+{{else}}
+        Field::new("{{field.name}}", "{{field.type}}", {{field.required}}),
+{{/if}}
+{{/each}}
+    ];
+}
+{{/each}}
+
+/// Records of one entity by id
+struct Table<T> {
+    label: &'static str,
+    records: BTreeMap<u64, T>,
+    last_id: u64,
+}
+
+impl<T: Clone + Serialize> Table<T> {
+    fn new(label: &'static str) -> Self {
+        Table {
+            label,
+            records: BTreeMap::new(),
+            last_id: 0,
+        }
+    }
+
+    /// Records whose fields match the query parameters naming them
+    fn list(&self, query: &HashMap<String, String>) -> Vec<T> {
+        self.records
+            .values()
+            .filter(|record| matches(&serde_json::to_value(record).unwrap_or_default(), query))
+            .cloned()
+            .collect()
+    }
+
+    fn find(&self, id: u64) -> Result<T, ApiError> {
+        self.records
+            .get(&id)
+            .cloned()
+            .ok_or_else(|| ApiError::NotFound(format!("{} not found", self.label)))
+    }
+
+    fn next_id(&mut self) -> u64 {
+        self.last_id += 1;
+        self.last_id
+    }
+}
+
+// In-memory records of every entity
+struct Database {
+{{#each entities as entity}}
+    {{entity.plural}}: Table<{{entity.pascal}}>,
+{{/each}}
+}
+
+impl Default for Database {
+    fn default() -> Self {
+        Database {
+{{#each entities as entity}}
+            {{entity.plural}}: Table::new("{{entity.label}}"),
+{{/each}}
+        }
+    }
+}
+
+impl Database {
+    fn exists(&self, entity: &str, id: u64) -> bool {
+        match entity {
+{{#each entities as entity}}
+            "{{entity.name}}" => self.{{entity.plural}}.records.contains_key(&id),
+{{/each}}
+            _ => false,
+        }
+    }
+}
+
+type Db = Arc<Mutex<Database>>;
+
+enum ApiError {
+    NotFound(String),
+    Invalid(Vec<String>),
+{{#if has_relations}}
+    Conflict(&'static str),
+{{/if}}
+}
+
+impl IntoResponse for ApiError {
+    fn into_response(self) -> Response {
+        match self {
+            ApiError::NotFound(message) => {
+                (StatusCode::NOT_FOUND, Json(json!({ "error": message }))).into_response()
+            }
+            ApiError::Invalid(errors) => {
+                let body = json!({ "error": errors.join(", "), "errors": errors });
+                (StatusCode::BAD_REQUEST, Json(body)).into_response()
+            }
+{{#if has_relations}}
+            ApiError::Conflict(message) => {
+                (StatusCode::CONFLICT, Json(json!({ "error": message }))).into_response()
+            }
+{{/if}}
+        }
+    }
+}
+
+/// Check a value against a field type, returning the description of the
+/// values the type accepts when it does not match
+fn check(kind: &str, value: &Value) -> Result<(), &'static str> {
+    let text = value.as_str().map(str::trim);
+    let (valid, description) = match kind {
+        "string" => (
+            text.is_some_and(|text| !text.is_empty() && text.chars().count() <= MAX_STRING_LENGTH),
+            "a non-empty string of at most 200 characters",
+        ),
+        "email" => (text.is_some_and(is_email), "an email address"),
+        "url" => (
+            text.is_some_and(|text| {
+                (text.starts_with("http://") || text.starts_with("https://"))
+                    && !text.contains(char::is_whitespace)
+            }),
+            "an http(s) URL",
+        ),
+        "date" => (
+            text.is_some_and(|text| NaiveDate::parse_from_str(text, "%Y-%m-%d").is_ok()),
+            "a date such as 2024-01-31",
+        ),
+        "integer" => (value.is_i64() || value.is_u64(), "an integer"),
+        "number" => (value.is_number(), "a number"),
+        "boolean" => (value.is_boolean(), "true or false"),
+        _ => (text.is_some(), "a string"),
+    };
+    if valid {
+        Ok(())
+    } else {
+        Err(description)
+    }
+}
+
+fn is_email(text: &str) -> bool {
+    match text.split_once('@') {
+        Some((local, domain)) => {
+            !local.is_empty()
+                && domain.contains('.')
+                && !domain.starts_with('.')
+                && !domain.ends_with('.')
+                && !text.contains(char::is_whitespace)
+        }
+        None => false,
+    }
+}
+
+/// Validate a request body against fields. Unknown properties are dropped;
+/// missing optional fields become null (false for booleans) and references
+/// must name an existing record.
+fn validate(body: &Value, fields: &[Field], db: &Database) -> Result<Map<String, Value>, ApiError> {
+    let input = body
+        .as_object()
+        .ok_or_else(|| ApiError::Invalid(vec!["body must be a JSON object".to_string()]))?;
+    let mut value = Map::new();
+    let mut errors = Vec::new();
+
+    for field in fields {
+        let given = match input.get(field.name) {
+            None | Some(Value::Null) => None,
+            Some(Value::String(text)) if text.is_empty() => None,
+            Some(given) => Some(given),
+        };
+        let Some(given) = given else {
+            if field.required {
+                errors.push(format!("{} is required", field.name));
+            } else if field.kind == "boolean" {
+                value.insert(field.name.to_string(), Value::Bool(false));
+            } else {
+                value.insert(field.name.to_string(), Value::Null);
+            }
+            continue;
+        };
+
+        if let Err(description) = check(field.kind, given) {
+            errors.push(format!("{} must be {}", field.name, description));
+            continue;
+        }
+        if let Some(entity) = field.references {
+            if !given.as_u64().is_some_and(|id| db.exists(entity, id)) {
+                let entity = entity.replace('_', " ");
+                errors.push(format!(
+                    "{} does not reference an existing {}",
+                    field.name, entity
+                ));
+                continue;
+            }
+        }
+
+        let clean = match given {
+            Value::String(text) => Value::String(text.trim().to_string()),
+            other => other.clone(),
+        };
+        value.insert(field.name.to_string(), clean);
+    }
+
+    if errors.is_empty() {
+        Ok(value)
+    } else {
+        Err(ApiError::Invalid(errors))
+    }
+}
+
+/// Turn validated fields, with the id and creation time, into a record
+fn into_record<T: DeserializeOwned>(
+    mut value: Map<String, Value>,
+    id: u64,
+    created_at: DateTime<Utc>,
+) -> Result<T, ApiError> {
+    value.insert("id".to_string(), json!(id));
+    value.insert("created_at".to_string(), json!(created_at));
+    serde_json::from_value(Value::Object(value))
+        .map_err(|error| ApiError::Invalid(vec![error.to_string()]))
+}
+
+/// Check the JSON fields of a record against query parameters naming them:
+/// ?author_id=1&completed=true
+fn matches(record: &Value, query: &HashMap<String, String>) -> bool {
+    query.iter().all(|(name, wanted)| match record.get(name) {
+        None => true,
+        Some(Value::String(text)) => text == wanted,
+        Some(Value::Number(number)) => wanted.parse::<f64>().ok() == number.as_f64(),
+        Some(other) => other.to_string() == *wanted,
+    })
+}
+{{#if has_relations}}
+
+/// Query matching the records whose field holds an id
+fn with_id(field: &str, id: u64) -> HashMap<String, String> {
+    HashMap::from([(field.to_string(), id.to_string())])
+}
+{{/if}}
+{{#each entities as entity}}
+
+// {{entity.label_plural}}
+
+async fn list_{{entity.plural}}(
+    State(db): State<Db>,
+    Query(query): Query<HashMap<String, String>>,
+) -> Json<Vec<{{entity.pascal}}>> {
+    Json(db.lock().unwrap().{{entity.plural}}.list(&query))
+}
+
+async fn get_{{entity.name}}(State(db): State<Db>, Path(id): Path<u64>) -> Result<Json<{{entity.pascal}}>, ApiError> {
+    db.lock().unwrap().{{entity.plural}}.find(id).map(Json)
+}
+{{#each entity.children as child}}
+
+async fn list_{{entity.name}}_{{child.plural}}(
+    State(db): State<Db>,
+    Path(id): Path<u64>,
+) -> Result<Json<Vec<{{child.pascal}}>>, ApiError> {
+    let db = db.lock().unwrap();
+    db.{{entity.plural}}.find(id)?;
+    Ok(Json(db.{{child.plural}}.list(&with_id("{{child.field}}", id))))
+}
+{{/each}}
+
+async fn create_{{entity.name}}(
+    State(db): State<Db>,
+    Json(body): Json<Value>,
+) -> Result<(StatusCode, Json<{{entity.pascal}}>), ApiError> {
+    let mut db = db.lock().unwrap();
+    let value = validate(&body, {{entity.pascal}}::FIELDS, &db)?;
+    let id = db.{{entity.plural}}.next_id();
+    let record: {{entity.pascal}} = into_record(value, id, Utc::now())?;
+    db.{{entity.plural}}.records.insert(id, record.clone());
+    Ok((StatusCode::CREATED, Json(record)))
+}
+
+async fn update_{{entity.name}}(
+    State(db): State<Db>,
+    Path(id): Path<u64>,
+    Json(body): Json<Value>,
+) -> Result<Json<{{entity.pascal}}>, ApiError> {
+    let mut db = db.lock().unwrap();
+    let current = db.{{entity.plural}}.find(id)?;
+    let value = validate(&body, {{entity.pascal}}::FIELDS, &db)?;
+    let record: {{entity.pascal}} = into_record(value, id, current.created_at)?;
+    db.{{entity.plural}}.records.insert(id, record.clone());
+    Ok(Json(record))
+}
+
+async fn delete_{{entity.name}}(State(db): State<Db>, Path(id): Path<u64>) -> Result<StatusCode, ApiError> {
+    let mut db = db.lock().unwrap();
+    db.{{entity.plural}}.find(id)?;
+{{#each entity.children as child}}
+    if !db.{{child.plural}}.list(&with_id("{{child.field}}", id)).is_empty() {
+        return Err(ApiError::Conflict("{{entity.label}} still has {{child.words_plural}}"));
+    }
+{{/each}}
+    db.{{entity.plural}}.records.remove(&id);
+    Ok(StatusCode::NO_CONTENT)
+}
+{{/each}}
+
+#[tokio::main]
+async fn main() {
+    let db = Db::default();
+
+    let app = Router::new()
+{{#each entities as entity}}
+        .route("/api/{{entity.kebab_plural}}", get(list_{{entity.plural}}).post(create_{{entity.name}}))
+        .route(
+            "/api/{{entity.kebab_plural}}/:id",
+            get(get_{{entity.name}}).put(update_{{entity.name}}).delete(delete_{{entity.name}}),
+        )
+{{#each entity.children as child}}
+        .route("/api/{{entity.kebab_plural}}/:id/{{child.kebab_plural}}", get(list_{{entity.name}}_{{child.plural}}))
+{{/each}}
+{{/each}}
+        .with_state(db);
+
+    let port: u16 = std::env::var("PORT")
+        .ok()
+        .and_then(|value| value.parse().ok())
+        .unwrap_or({{port}});
+
+    let listener = tokio::net::TcpListener::bind(("0.0.0.0", port))
+        .await
+        .expect("failed to bind the port");
+    println!("Server running on port {}", port);
+    axum::serve(listener, app).await.expect("server error");
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn status(response: impl IntoResponse) -> StatusCode {
+        response.into_response().status()
+    }
+
+    /// Problems listed by a request rejected as invalid
+    fn errors<T>(result: Result<T, ApiError>) -> Vec<String> {
+        match result {
+            Err(ApiError::Invalid(errors)) => errors,
+            _ => panic!("the request was not rejected as invalid"),
+        }
+    }
+{{#each entities as entity}}
+
+    /// Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+    async fn {{entity.name}}_payload({{#unless entity.has_parents}}_{{/unless}}db: &Db) -> Value {
+{{#each entity.parents as parent}}
+        let {{parent.field}} = new_{{parent.name}}(db).await.id;
+{{/each}}
+        json!({
+{{#each entity.fields as field}}
+{{#if field.is_reference}}
+            "{{field.name}}": {{field.name}},
+{{else}}
+            "{{field.name}}": {{field.sample_json}},
+{{/if}}
+{{/each}}
+        })
+    }
+
+    async fn new_{{entity.name}}(db: &Db) -> {{entity.pascal}} {
+        let payload = {{entity.name}}_payload(db).await;
+        match create_{{entity.name}}(State(db.clone()), Json(payload)).await {
+            Ok((_, Json({{entity.name}}))) => {{entity.name}},
+            Err(_) => panic!("creating {{entity.article}} {{entity.words}} failed"),
+        }
+    }
+{{/each}}
+{{#each entities as entity}}
+
+    #[tokio::test]
+    async fn creates_reads_updates_and_deletes_{{entity.plural}}() {
+        let db = Db::default();
+        let {{entity.name}} = new_{{entity.name}}(&db).await;
+        let payload = {{entity.name}}_payload(&db).await;
+        let id = {{entity.name}}.id;
+
+        let query = Query(HashMap::new());
+        let Json({{entity.plural}}) = list_{{entity.plural}}(State(db.clone()), query).await;
+        assert!({{entity.plural}}.iter().any(|record| record.id == id));
+        let found = get_{{entity.name}}(State(db.clone()), Path(id)).await;
+        assert_eq!(status(found), StatusCode::OK);
+        let updated = update_{{entity.name}}(State(db.clone()), Path(id), Json(payload)).await;
+        assert_eq!(status(updated), StatusCode::OK);
+        let deleted = delete_{{entity.name}}(State(db.clone()), Path(id)).await;
+        assert_eq!(status(deleted), StatusCode::NO_CONTENT);
+        let missing = get_{{entity.name}}(State(db), Path(id)).await;
+        assert_eq!(status(missing), StatusCode::NOT_FOUND);
+    }
+
+    #[tokio::test]
+    async fn rejects_{{entity.plural}}_without_required_fields() {
+        let result = create_{{entity.name}}(State(Db::default()), Json(json!({}))).await;
+        let errors = errors(result);
+{{#each entity.required_fields}}
+        assert!(errors.contains(&"{{this}} is required".to_string()));
+{{/each}}
+    }
+{{#each entity.parents as parent}}
+
+    #[tokio::test]
+    async fn rejects_{{entity.plural}}_referencing_a_missing_{{parent.name}}() {
+        let db = Db::default();
+        let mut payload = {{entity.name}}_payload(&db).await;
+        payload["{{parent.field}}"] = json!(9999);
+        let result = create_{{entity.name}}(State(db), Json(payload)).await;
+        let message = "{{parent.field}} does not reference an existing {{parent.words}}";
+        assert_eq!(errors(result), [message]);
+    }
+{{/each}}
+{{#each entity.children as child}}
+
+    #[tokio::test]
+    async fn keeps_{{entity.plural}}_that_have_{{child.plural}}() {
+        let db = Db::default();
+        let id = new_{{entity.name}}(&db).await.id;
+        let listed = list_{{entity.name}}_{{child.plural}}(State(db.clone()), Path(id)).await;
+        assert!(listed.is_ok_and(|Json({{child.plural}})| {{child.plural}}.is_empty()));
+
+        let mut {{child.name}} = {{child.name}}_payload(&db).await;
+        {{child.name}}["{{child.field}}"] = json!(id);
+        let created = create_{{child.name}}(State(db.clone()), Json({{child.name}})).await;
+        assert_eq!(status(created), StatusCode::CREATED);
+        let deleted = delete_{{entity.name}}(State(db), Path(id)).await;
+        assert_eq!(status(deleted), StatusCode::CONFLICT);
+    }
+{{/each}}
+{{/each}}
+}
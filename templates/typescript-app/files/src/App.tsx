@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { api } from './api';
+import { useRecords } from './useRecords';
+{{#each entities as entity}}
+import {{entity.pascal}}List from './components/{{entity.pascal}}List';
+{{/each}}
+import './App.css';
+
+const TABS = [
+{{#each entities as entity}}
+  { name: '{{entity.camel_plural}}', label: '{{entity.label_plural}}' }{{#unless last}},{{/unless}}
+{{/each}}
+];
+
+function App() {
+{{#each entities as entity}}
+  const {{entity.camel_plural}} = useRecords(api.{{entity.camel_plural}});
+{{/each}}
+  const [active, setActive] = useState(TABS[0].name);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Every list is loaded up front: forms offer referenced records in select boxes
+  useEffect(() => {
+    Promise.all([{{#each entities as entity}}{{entity.camel_plural}}.load(){{#unless last}}, {{/unless}}{{/each}}])
+      .catch((err: Error) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Deleting fails while other records reference the record
+  const remove = (deletion: Promise<void>) => {
+    deletion.then(() => setError('')).catch((err: Error) => setError(err.message));
+  };
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>{{entity_labels}}</h1>
+      </header>
+      {TABS.length > 1 && (
+        <nav>
+          {TABS.map(tab => (
+            <button key={tab.name} className={tab.name === active ? 'active' : undefined} onClick={() => setActive(tab.name)}>
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      )}
+      <main>
+        {error && <p className="error">{error}</p>}
+
+        {loading && <p>Loading...</p>}
+{{#each entities as entity}}
+        {!loading && active === '{{entity.camel_plural}}' && (
+          <{{entity.pascal}}List
+            {{entity.camel_plural}}={ {{entity.camel_plural}}.records}
+{{#each entity.parents as parent}}
+            {{parent.camel_plural}}={ {{parent.camel_plural}}.records}
+{{/each}}
+            onCreate={ {{entity.camel_plural}}.create}
+            onUpdate={ {{entity.camel_plural}}.update}
+            onDelete={id => remove({{entity.camel_plural}}.remove(id))}
+          />
+        )}
+{{/each}}
+      </main>
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,38 @@
+import { {{#each entities as entity}}{{entity.pascal}}, New{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}} } from './types';
+
+// Client of the API{{#if backend}}; the dev server forwards /api calls to the Express server{{/if}}
+
+export interface Resource<T, N> {
+  list(): Promise<T[]>;
+  create(data: N): Promise<T>;
+  update(id: number, data: N): Promise<T>;
+  remove(id: number): Promise<void>;
+}
+
+async function request<T>(url: string, options: RequestInit = {}): Promise<T> {
+  const response = await fetch(url, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  return (response.status === 204 ? null : await response.json()) as T;
+}
+
+// Calls of a REST resource such as /api/books
+function resource<T, N>(path: string): Resource<T, N> {
+  return {
+    list: () => request<T[]>(path),
+    create: data => request<T>(path, { method: 'POST', body: JSON.stringify(data) }),
+    update: (id, data) => request<T>(`${path}/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+    remove: id => request<void>(`${path}/${id}`, { method: 'DELETE' })
+  };
+}
+
+export const api = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: resource<{{entity.pascal}}, New{{entity.pascal}}>('/api/{{entity.kebab_plural}}'){{#unless last}},{{/unless}}
+{{/each}}
+};
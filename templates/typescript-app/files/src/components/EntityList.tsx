@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { {{#each entity.parents as parent}}{{parent.pascal}}, {{/each}}{{entity.pascal}}, New{{entity.pascal}} } from '../types';
+import {{entity.pascal}}Form from './{{entity.pascal}}Form';
+
+interface {{entity.pascal}}ListProps {
+  {{entity.camel_plural}}: {{entity.pascal}}[];
+{{#each entity.parents as parent}}
+  {{parent.camel_plural}}: {{parent.pascal}}[];
+{{/each}}
+  onCreate: (data: New{{entity.pascal}}) => Promise<void>;
+  onUpdate: (id: number, data: New{{entity.pascal}}) => Promise<void>;
+  onDelete: (id: number) => void;
+}
+
+// {{entity.label_plural}} with forms adding and editing them
+function {{entity.pascal}}List({ {{entity.camel_plural}}, {{#each entity.parents as parent}}{{parent.camel_plural}}, {{/each}}onCreate, onUpdate, onDelete }: {{entity.pascal}}ListProps) {
+  const [editing, setEditing] = useState<{{entity.pascal}} | null>(null);
+
+  const update = async (data: New{{entity.pascal}}) => {
+    await onUpdate(editing!.id, data);
+    setEditing(null);
+  };
+
+  return (
+    <section>
+      <h2>{{entity.label_plural}}</h2>
+
+      {editing ? (
+        <{{entity.pascal}}Form
+          key={editing.id}
+          {{entity.camel}}={editing}
+{{#each entity.parents as parent}}
+          {{parent.camel_plural}}={{{parent.camel_plural}}}
+{{/each}}
+          onSubmit={update}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <{{entity.pascal}}Form key="new" {{#each entity.parents as parent}}{{parent.camel_plural}}={{{parent.camel_plural}}} {{/each}}onSubmit={onCreate} />
+      )}
+
+      {{{entity.camel_plural}}.length === 0 ? (
+        <p>No {{entity.words_plural}} yet.</p>
+      ) : (
+        <ul>
+          {{{entity.camel_plural}}.map(record => (
+            <li key={record.id}>
+              <div>
+                <strong>{record.{{entity.display_field}}}</strong>
+{{#each entity.fields as field}}
+{{#unless field.is_display}}
+{{#if field.is_reference}}
+                <small>{{field.label}}: { {{field.reference.camel_plural}}.find(option => option.id === record.{{field.name}})?.{{field.reference.display_field}} }</small>
+{{else}}
+{{#if field.is_boolean}}
+                <small>{{field.label}}: {record.{{field.name}} ? 'Yes' : 'No'}</small>
+{{else}}
+                {record.{{field.name}} != null && <small>{{field.label}}: {record.{{field.name}}}</small>}
+{{/if}}
+{{/if}}
+{{/unless}}
+{{/each}}
+              </div>
+              <div className="actions">
+                <button onClick={() => setEditing(record)}>Edit</button>
+                <button onClick={() => onDelete(record.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default {{entity.pascal}}List;
@@ -0,0 +1,9 @@
+import { createStore } from './store';
+import { {{#each entities as entity}}{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}} } from './types';
+
+// In-memory stores, one per entity
+export const db = {
+{{#each entities as entity}}
+  {{entity.camel_plural}}: createStore<{{entity.pascal}}>(){{#unless last}},{{/unless}}
+{{/each}}
+};
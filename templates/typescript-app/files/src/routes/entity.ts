@@ -0,0 +1,95 @@
+import { Request, Response, Router } from 'express';
+import { db } from '../db';
+import { New{{entity.pascal}} } from '../types';
+import { Fields, parseFilters, validate } from '../validation';
+
+// Fields of {{entity.article}} {{entity.words}}; the id and created_at are set by the store
+export const fields: Fields = {
+{{#each entity.fields as field}}
+  {{field.name}}: { type: '{{field.type}}', required: {{field.required}}{{#if field.is_reference}}, references: '{{field.reference.name}}'{{/if}} }{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+/**
+ * Validate {{entity.article}} {{entity.words}}{{#if entity.has_parents}} and check that the records it references exist{{/if}}
+ */
+function check{{entity.pascal}}(body: unknown): { value: New{{entity.pascal}}; errors: string[] } {
+  const { value, errors } = validate<New{{entity.pascal}}>(body, fields);
+{{#each entity.parents as parent}}
+  if (value.{{parent.field}} != null && !db.{{parent.camel_plural}}.get(value.{{parent.field}})) {
+    errors.push('{{parent.field}} does not reference an existing {{parent.words}}');
+  }
+{{/each}}
+  return { value, errors };
+}
+
+const router = Router();
+
+// GET all {{entity.words_plural}}, filtered by any field given as a query parameter
+router.get('/', (req: Request, res: Response) => {
+  res.json(db.{{entity.camel_plural}}.list(parseFilters(req.query, fields)));
+});
+
+// GET {{entity.article}} {{entity.words}} by id
+router.get('/:id', (req: Request<{ id: string }>, res: Response) => {
+  const {{entity.camel}} = db.{{entity.camel_plural}}.get(req.params.id);
+  if (!{{entity.camel}}) {
+    res.status(404).json({ error: '{{entity.label}} not found' });
+    return;
+  }
+  res.json({{entity.camel}});
+});
+{{#each entity.children as child}}
+
+// GET the {{child.words_plural}} of {{entity.article}} {{entity.words}}
+router.get('/:id/{{child.kebab_plural}}', (req: Request<{ id: string }>, res: Response) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) {
+    res.status(404).json({ error: '{{entity.label}} not found' });
+    return;
+  }
+  res.json(db.{{child.camel_plural}}.list({ {{child.field}}: Number(req.params.id) }));
+});
+{{/each}}
+
+// POST a new {{entity.words}}
+router.post('/', (req: Request, res: Response) => {
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join(', '), errors });
+    return;
+  }
+  res.status(201).json(db.{{entity.camel_plural}}.create(value));
+});
+
+// PUT replaces {{entity.article}} {{entity.words}}
+router.put('/:id', (req: Request<{ id: string }>, res: Response) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) {
+    res.status(404).json({ error: '{{entity.label}} not found' });
+    return;
+  }
+
+  const { value, errors } = check{{entity.pascal}}(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join(', '), errors });
+    return;
+  }
+  res.json(db.{{entity.camel_plural}}.update(req.params.id, value));
+});
+
+// DELETE {{entity.article}} {{entity.words}}
+router.delete('/:id', (req: Request<{ id: string }>, res: Response) => {
+  if (!db.{{entity.camel_plural}}.get(req.params.id)) {
+    res.status(404).json({ error: '{{entity.label}} not found' });
+    return;
+  }
+{{#each entity.children as child}}
+  if (db.{{child.camel_plural}}.list({ {{child.field}}: Number(req.params.id) }).length > 0) {
+    res.status(409).json({ error: '{{entity.label}} still has {{child.words_plural}}' });
+    return;
+  }
+{{/each}}
+  db.{{entity.camel_plural}}.remove(req.params.id);
+  res.status(204).send();
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import express, { Request, Response } from 'express';
+{{#each entities as entity}}
+import {{entity.camel_plural}}Router from './routes/{{entity.kebab_plural}}';
+{{/each}}
+
+const app = express();
+const port = Number(process.env.PORT) || {{port}};
+
+app.use(express.json());
+
+app.get('/health', (_req: Request, res: Response) => {
+  res.json({ status: 'ok' });
+});
+
+{{#each entities as entity}}
+app.use('/api/{{entity.kebab_plural}}', {{entity.camel_plural}}Router);
+{{/each}}
+
+// Unknown routes
+app.use((_req: Request, res: Response) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
+
+export default app;
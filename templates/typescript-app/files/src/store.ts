@@ -0,0 +1,52 @@
+// Fields the store sets on every record
+export interface StoredRecord {
+  id: number;
+  created_at: string;
+}
+
+export interface Store<T extends StoredRecord> {
+  list(filters?: Record<string, unknown>): T[];
+  get(id: number | string): T | null;
+  create(data: Omit<T, keyof StoredRecord>): T;
+  update(id: number | string, data: Omit<T, keyof StoredRecord>): T | null;
+  remove(id: number | string): boolean;
+}
+
+/**
+ * Create an in-memory store of records with numeric ids
+ */
+export function createStore<T extends StoredRecord>(): Store<T> {
+  const records = new Map<number, T>();
+  let nextId = 1;
+
+  return {
+    // List the records whose fields equal the given values
+    list(filters = {}) {
+      return Array.from(records.values()).filter(record =>
+        Object.entries(filters).every(([field, value]) => record[field as keyof T] === value)
+      );
+    },
+
+    get(id) {
+      return records.get(Number(id)) ?? null;
+    },
+
+    create(data) {
+      const record = { ...data, id: nextId++, created_at: new Date().toISOString() } as T;
+      records.set(record.id, record);
+      return record;
+    },
+
+    update(id, data) {
+      const existing = records.get(Number(id));
+      if (!existing) return null;
+      const record = { ...existing, ...data, id: existing.id };
+      records.set(record.id, record);
+      return record;
+    },
+
+    remove(id) {
+      return records.delete(Number(id));
+    }
+  };
+}
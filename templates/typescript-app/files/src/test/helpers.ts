@@ -0,0 +1,60 @@
+import { fireEvent, screen } from '@testing-library/react';
+import { vi } from 'vitest';
+import { {{#each entities as entity}}New{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}} } from '../types';
+
+// Record of the mocked API
+type MockRecord = { id: number; [field: string]: unknown };
+
+/**
+ * Answer the requests of the app from records of each resource by path, such
+ * as {'{{primary.kebab_plural}}': [...]}, kept in memory as the API does. Returns the
+ * fetch mock to check the requests sent.
+ */
+export function mockApi(records: Record<string, MockRecord[]> = {}) {
+  const reply = (status: number, body: unknown = null) => ({ ok: status < 400, status, json: async () => body });
+
+  const fetch = vi.fn(async (url: string, options: RequestInit = {}) => {
+    const [, resource, id] = url.match(/^\/api\/([\w-]+)(?:\/(\d+))?$/)!;
+    const list = records[resource] = records[resource] || [];
+    const body = options.body ? JSON.parse(options.body as string) : null;
+
+    switch (options.method || 'GET') {
+      case 'POST': {
+        const record: MockRecord = { id: Math.max(0, ...list.map(other => other.id)) + 1, ...body };
+        list.push(record);
+        return reply(201, record);
+      }
+      case 'PUT':
+        return reply(200, { id: Number(id), ...body });
+      case 'DELETE':
+        return reply(204);
+      default:
+        return reply(200, [...list]);
+    }
+  });
+
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+{{#each entities as entity}}
+
+// Values fill{{entity.pascal}}Form types, as the request body they make
+export const {{entity.camel}}Body: New{{entity.pascal}} = {
+{{#each entity.fields as field}}
+  {{field.name}}: {{field.sample}}{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+/**
+ * Fill the form of {{entity.article}} {{entity.words}} with {{entity.camel}}Body{{#if entity.has_parents}}; the referenced records have id 1{{/if}}
+ */
+export function fill{{entity.pascal}}Form() {
+{{#each entity.fields as field}}
+{{#if field.is_boolean}}
+  fireEvent.click(screen.getByLabelText('{{field.label}}'));
+{{else}}
+  fireEvent.change(screen.getByLabelText(/^{{field.label}}( \*)?$/), { target: { value: '{{field.sample_input}}' } });
+{{/if}}
+{{/each}}
+}
+{{/each}}
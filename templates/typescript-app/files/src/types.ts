@@ -0,0 +1,16 @@
+{{#each entities as entity}}
+// {{entity.label}} as the API returns it
+export interface {{entity.pascal}} {
+  id: number;
+{{#each entity.fields as field}}
+  {{field.name}}: {{field.ts_type}}{{#if field.optional}}{{#unless field.is_boolean}} | null{{/unless}}{{/if}};
+{{/each}}
+  created_at: string;
+}
+
+// Fields of {{entity.article}} {{entity.words}} a request body sets
+export type New{{entity.pascal}} = Omit<{{entity.pascal}}, 'id' | 'created_at'>;
+{{#unless last}}
+
+{{/unless}}
+{{/each}}
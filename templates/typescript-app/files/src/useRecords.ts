@@ -0,0 +1,28 @@
+import { useState } from 'react';
+import { Resource } from './api';
+
+/**
+ * Records of a resource with functions loading and changing them
+ */
+export function useRecords<T extends { id: number }, N>(resource: Resource<T, N>) {
+  const [records, setRecords] = useState<T[]>([]);
+
+  return {
+    records,
+    load: async () => {
+      setRecords(await resource.list());
+    },
+    create: async (data: N) => {
+      const record = await resource.create(data);
+      setRecords(current => [...current, record]);
+    },
+    update: async (id: number, data: N) => {
+      const record = await resource.update(id, data);
+      setRecords(current => current.map(other => (other.id === id ? record : other)));
+    },
+    remove: async (id: number) => {
+      await resource.remove(id);
+      setRecords(current => current.filter(record => record.id !== id));
+    }
+  };
+}
@@ -0,0 +1,77 @@
+export type FieldType = 'string' | 'text' | 'email' | 'url' | 'date' | 'integer' | 'number' | 'boolean';
+
+export interface FieldSpec {
+  type: FieldType;
+  required: boolean;
+  // Name of the entity a reference field points to
+  references?: string;
+}
+
+export type Fields = Record<string, FieldSpec>;
+
+// Check and description of each field type
+const TYPES: Record<FieldType, [(value: unknown) => boolean, string]> = {
+  string: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+  text: [value => typeof value === 'string', 'a string'],
+  email: [value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'an email address'],
+  url: [value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value), 'an http(s) URL'],
+  date: [value => typeof value === 'string' && !Number.isNaN(Date.parse(value)), 'a date such as 2024-01-31'],
+  integer: [value => Number.isInteger(value), 'an integer'],
+  number: [value => typeof value === 'number' && Number.isFinite(value), 'a number'],
+  boolean: [value => typeof value === 'boolean', 'true or false']
+};
+
+/**
+ * Validate a request body against fields. Unknown properties are dropped;
+ * missing optional fields become null (false for booleans).
+ */
+export function validate<T>(body: unknown, fields: Fields): { value: T; errors: string[] } {
+  const input = (body && typeof body === 'object' ? body : {}) as Record<string, unknown>;
+  const value: Record<string, unknown> = {};
+  const errors: string[] = [];
+
+  for (const [name, field] of Object.entries(fields)) {
+    const given = input[name];
+
+    if (given === undefined || given === null || given === '') {
+      if (field.required) {
+        errors.push(`${name} is required`);
+      } else {
+        value[name] = field.type === 'boolean' ? false : null;
+      }
+      continue;
+    }
+
+    const [check, description] = TYPES[field.type];
+    if (!check(given)) {
+      errors.push(`${name} must be ${description}`);
+      continue;
+    }
+
+    value[name] = typeof given === 'string' ? given.trim() : given;
+  }
+
+  return { value: value as T, errors };
+}
+
+/**
+ * Read list filters from query parameters naming fields: ?author_id=1&completed=true
+ */
+export function parseFilters(query: Record<string, unknown>, fields: Fields): Record<string, string | number | boolean> {
+  const filters: Record<string, string | number | boolean> = {};
+
+  for (const [name, raw] of Object.entries(query)) {
+    const field = fields[name];
+    if (!field || typeof raw !== 'string') continue;
+
+    if (field.type === 'boolean') {
+      filters[name] = raw === 'true';
+    } else if (field.type === 'integer' || field.type === 'number') {
+      filters[name] = Number(raw);
+    } else {
+      filters[name] = raw;
+    }
+  }
+
+  return filters;
+}
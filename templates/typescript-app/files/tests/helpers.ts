@@ -0,0 +1,24 @@
+import request from 'supertest';
+import app from '../src/server';
+import { {{#each entities as entity}}{{entity.pascal}}, New{{entity.pascal}}{{#unless last}}, {{/unless}}{{/each}} } from '../src/types';
+{{#each entities as entity}}
+
+/**
+ * Valid fields of {{entity.article}} {{entity.words}}{{#if entity.has_parents}}, creating the records it references{{/if}}
+ */
+export async function {{entity.camel}}Payload(): Promise<New{{entity.pascal}}> {
+  return {
+{{#each entity.fields as field}}
+    {{field.name}}: {{#if field.is_reference}}(await create{{field.reference.pascal}}()).id{{else}}{{field.sample}}{{/if}}{{#unless last}},{{/unless}}
+{{/each}}
+  };
+}
+
+/**
+ * Create {{entity.article}} {{entity.words}} through the API
+ */
+export async function create{{entity.pascal}}(): Promise<{{entity.pascal}}> {
+  const response = await request(app).post('/api/{{entity.kebab_plural}}').send(await {{entity.camel}}Payload()).expect(201);
+  return response.body;
+}
+{{/each}}
@@ -0,0 +1,21 @@
+/// <reference types="vitest" />
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  server: {
+    // Forward API calls to the Express server during development
+    proxy: {
+      '/api': 'http://localhost:{{port}}'
+    }
+  },
+  test: {
+    environment: 'jsdom',
+{{#if backend}}
+    // The API tests run in Node, outside the browser environment of the components
+    environmentMatchGlobs: [['tests/**', 'node']],
+{{/if}}
+    setupFiles: './src/test/setup.ts'
+  }
+});
@@ -0,0 +1,27 @@
+import { fireEvent, render, screen } from '@testing-library/vue';
+import { describe, expect, test } from 'vitest';
+import App from './App.vue';
+import { mockApi, {{primary.camel}}Body } from './test/helpers.js';
+
+describe('App', () => {
+  test('shows the {{primary.words_plural}} of the API first', async () => {
+    mockApi({ '{{primary.kebab_plural}}': [{ id: 1, ...{{primary.camel}}Body }] });
+    render(App);
+
+    expect(screen.getByRole('heading', { name: '{{primary.label_plural}}' })).toBeInTheDocument();
+    expect(await screen.findByText({{primary.camel}}Body.{{primary.display_field}})).toBeInTheDocument();
+  });
+{{#each entities as entity}}
+{{#unless first}}
+
+  test('shows the {{entity.words_plural}} on their tab', async () => {
+    mockApi();
+    render(App);
+    await fireEvent.click(screen.getByRole('button', { name: '{{entity.label_plural}}' }));
+
+    expect(screen.getByRole('heading', { name: '{{entity.label_plural}}' })).toBeInTheDocument();
+    expect(await screen.findByText('No {{entity.words_plural}} yet.')).toBeInTheDocument();
+  });
+{{/unless}}
+{{/each}}
+});
@@ -0,0 +1,13 @@
+import { request } from './request';
+
+// Client of the {{entity.words_plural}} API
+
+const path = '/api/{{entity.kebab_plural}}';
+
+export const list{{entity.pascal_plural}} = () => request(path);
+
+export const create{{entity.pascal}} = data => request(path, { method: 'POST', body: JSON.stringify(data) });
+
+export const update{{entity.pascal}} = (id, data) => request(`${path}/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+
+export const delete{{entity.pascal}} = id => request(`${path}/${id}`, { method: 'DELETE' });
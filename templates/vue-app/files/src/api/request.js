@@ -0,0 +1,19 @@
+// Requests to the API; during development Vite forwards /api calls to API_URL
+
+/**
+ * Send a JSON request
+ * @param {string} path - Path such as /api/books
+ * @param {Object} options - fetch options
+ * @returns {Promise<any>} Response body, null for 204 responses
+ */
+export async function request(path, options = {}) {
+  const response = await fetch(path, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
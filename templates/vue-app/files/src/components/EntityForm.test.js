@@ -0,0 +1,30 @@
+import { fireEvent, render, screen } from '@testing-library/vue';
+import { describe, expect, test } from 'vitest';
+import {{entity.pascal}}Form from './{{entity.pascal}}Form.vue';
+import { fill{{entity.pascal}}Form, {{entity.camel}}Body } from '../test/helpers.js';
+{{#each entity.parents as parent}}
+
+const {{parent.camel_plural}} = [{ id: 1, {{parent.display_field}}: 'Sample' }];
+{{/each}}
+
+describe('{{entity.pascal}}Form', () => {
+  test('submits the typed values of a new {{entity.words}}', async () => {
+    const { emitted } = render({{entity.pascal}}Form, { props: { {{#each entity.parents as parent}}{{parent.camel_plural}}{{#unless last}}, {{/unless}}{{/each}} } });
+
+    await fill{{entity.pascal}}Form();
+    await fireEvent.click(screen.getByRole('button', { name: 'Add {{entity.label}}' }));
+
+    expect(emitted().submit).toEqual([[{{entity.camel}}Body]]);
+  });
+
+  test('saves {{entity.article}} {{entity.words}} being edited or cancels', async () => {
+    const {{entity.camel}} = { id: 1, ...{{entity.camel}}Body };
+    const { emitted } = render({{entity.pascal}}Form, { props: { {{entity.camel}}{{#each entity.parents as parent}}, {{parent.camel_plural}}{{/each}} } });
+
+    await fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(emitted().submit).toEqual([[{{entity.camel}}Body]]);
+
+    await fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(emitted().cancel).toHaveLength(1);
+  });
+});
@@ -0,0 +1,49 @@
+import { fireEvent, render, screen } from '@testing-library/vue';
+import { describe, expect, test } from 'vitest';
+import {{entity.pascal}}List from './{{entity.pascal}}List.vue';
+import { fill{{entity.pascal}}Form, mockApi, {{entity.camel}}Body } from '../test/helpers.js';
+{{#if entity.has_parents}}
+
+// Records the form can reference
+const parents = {
+{{#each entity.parents as parent}}
+  '{{parent.kebab_plural}}': [{ id: 1, {{parent.display_field}}: 'Sample' }]{{#unless last}},{{/unless}}
+{{/each}}
+};
+{{/if}}
+
+describe('{{entity.pascal}}List', () => {
+  test('lists the {{entity.words_plural}} of the API', async () => {
+    mockApi({ {{#if entity.has_parents}}...parents, {{/if}}'{{entity.kebab_plural}}': [{ id: 1, ...{{entity.camel}}Body }] });
+    render({{entity.pascal}}List);
+
+    expect(await screen.findByText({{entity.camel}}Body.{{entity.display_field}})).toBeInTheDocument();
+  });
+
+  test('adds {{entity.article}} {{entity.words}} through the form', async () => {
+    const fetch = mockApi({{#if entity.has_parents}}{ ...parents }{{/if}});
+    render({{entity.pascal}}List);
+    await screen.findByText('No {{entity.words_plural}} yet.');
+
+    await fill{{entity.pascal}}Form();
+    await fireEvent.click(screen.getByRole('button', { name: 'Add {{entity.label}}' }));
+
+    expect(await screen.findByText({{entity.camel}}Body.{{entity.display_field}})).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/{{entity.kebab_plural}}', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({{entity.camel}}Body)
+    }));
+  });
+
+  test('shows why a delete failed and keeps the record', async () => {
+    const fetch = mockApi({ {{#if entity.has_parents}}...parents, {{/if}}'{{entity.kebab_plural}}': [{ id: 1, ...{{entity.camel}}Body }] });
+    render({{entity.pascal}}List);
+    const button = await screen.findByRole('button', { name: 'Delete' });
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 409, json: async () => ({ error: '{{entity.label}} is in use' }) });
+    await fireEvent.click(button);
+
+    expect(await screen.findByText('{{entity.label}} is in use')).toBeInTheDocument();
+    expect(screen.getByText({{entity.camel}}Body.{{entity.display_field}})).toBeInTheDocument();
+  });
+});
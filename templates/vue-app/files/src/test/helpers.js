@@ -0,0 +1,56 @@
+import { fireEvent, screen } from '@testing-library/vue';
+import { vi } from 'vitest';
+
+/**
+ * Answer the requests of the app from records kept in memory, as the API does
+ * @param {Object} records - Records of each resource by path, such as {'{{primary.kebab_plural}}': [...]}
+ * @returns {Function} The fetch mock, to check the requests sent
+ */
+export function mockApi(records = {}) {
+  const reply = (status, body = null) => ({ ok: status < 400, status, json: async () => body });
+
+  const fetch = vi.fn(async (url, options = {}) => {
+    const [, resource, id] = url.match(/^\/api\/([\w-]+)(?:\/(\d+))?$/);
+    const list = records[resource] = records[resource] || [];
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    switch (options.method || 'GET') {
+      case 'POST': {
+        const record = { id: Math.max(0, ...list.map(other => other.id)) + 1, ...body };
+        list.push(record);
+        return reply(201, record);
+      }
+      case 'PUT':
+        return reply(200, { id: Number(id), ...body });
+      case 'DELETE':
+        return reply(204);
+      default:
+        return reply(200, [...list]);
+    }
+  });
+
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+{{#each entities as entity}}
+
+// Values fill{{entity.pascal}}Form types, as the request body they make
+export const {{entity.camel}}Body = {
+{{#each entity.fields as field}}
+  {{field.name}}: {{field.sample}}{{#unless last}},{{/unless}}
+{{/each}}
+};
+
+/**
+ * Fill the form of {{entity.article}} {{entity.words}} with {{entity.camel}}Body{{#if entity.has_parents}}; the referenced records have id 1{{/if}}
+ */
+export async function fill{{entity.pascal}}Form() {
+{{#each entity.fields as field}}
+{{#if field.is_boolean}}
+  await fireEvent.update(screen.getByLabelText('{{field.label}}'));
+{{else}}
+  await fireEvent.update(screen.getByLabelText(/^{{field.label}}( \*)?$/), '{{field.sample_input}}');
+{{/if}}
+{{/each}}
+}
+{{/each}}
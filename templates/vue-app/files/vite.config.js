@@ -0,0 +1,20 @@
+import { defineConfig, loadEnv } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '');
+
+  return {
+    plugins: [vue()],
+    server: {
+      // Forward API calls to the back end during development
+      proxy: {
+        '/api': env.API_URL || '{{api_url}}'
+      }
+    },
+    test: {
+      environment: 'jsdom',
+      setupFiles: './src/test/setup.js'
+    }
+  };
+});